@@ -0,0 +1,190 @@
+// Broadphase benchmark
+// Builds a large level (static floor tiles + a few hundred falling crates), steps it with
+// every broadphase and prints the average step time. A second pass drops spheres on a
+// static triangle mesh with and without the BVH.
+//
+//   node examples/broadphase-benchmark.mjs            run the benchmark
+//   node examples/broadphase-benchmark.mjs --write    also save broadphase-benchmark.json,
+//                                                     which can be imported in the editor (Settings → Import JSON)
+
+import { writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import * as CANNON from 'cannon-es';
+import { BROADPHASE_TYPES, applyBroadphase, attachTrimeshBVH } from '../gameplayer/physicsBroadphase.js';
+
+const STEPS = 300;
+const TIME_STEP = 1 / 60;
+
+// Small seeded PRNG so every run builds the same level
+function random(seed) {
+  let t = seed;
+  return () => {
+    t = (t + 0x6d2b79f5) | 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const box = (id, name, position, size, color, physics) => ({
+  id,
+  name,
+  type: 'primitive',
+  primitive: 'box',
+  geometry: { width: size[0], height: size[1], depth: size[2] },
+  transform: { position, rotation: [0, 0, 0], scale: [1, 1, 1] },
+  material: { color, metalness: 0, roughness: 0.7 },
+  physics
+});
+
+// Scene file (formatVersion 2) for the benchmark level
+export function createBenchmarkProject({ tiles = 10, tileSize = 20, crates = 500, seed = 7 } = {}) {
+  const rand = random(seed);
+  const half = (tiles * tileSize) / 2;
+  const objects = [
+    {
+      id: 'sun',
+      name: 'Sun',
+      type: 'light',
+      transform: { position: [20, 40, 10], rotation: [0, 0, 0], scale: [1, 1, 1] },
+      light: { lightType: 'directional', color: 0xffffff, intensity: 0.9, castShadow: true }
+    },
+    {
+      id: 'sky',
+      name: 'Sky Light',
+      type: 'light',
+      transform: { position: [0, 50, 0], rotation: [0, 0, 0], scale: [1, 1, 1] },
+      light: { lightType: 'hemisphere', skyColor: 0xbfd8ff, groundColor: 0x404040, intensity: 0.6 }
+    }
+  ];
+
+  for (let x = 0; x < tiles; x++) {
+    for (let z = 0; z < tiles; z++) {
+      objects.push(box(
+        `tile-${x}-${z}`,
+        `Floor ${x},${z}`,
+        [-half + tileSize * (x + 0.5), -0.5, -half + tileSize * (z + 0.5)],
+        [tileSize, 1, tileSize],
+        (x + z) % 2 ? 0x556b2f : 0x6b8e23,
+        { enabled: true, bodyType: 'box', mass: 0, isStatic: true, size: { x: tileSize, y: 1, z: tileSize } }
+      ));
+    }
+  }
+
+  for (let i = 0; i < crates; i++) {
+    const s = 0.5 + rand();
+    objects.push(box(
+      `crate-${i}`,
+      `Crate ${i}`,
+      [(rand() * 2 - 1) * (half - 2), 2 + rand() * 10, (rand() * 2 - 1) * (half - 2)],
+      [s, s, s],
+      0x8b5a2b,
+      { enabled: true, bodyType: 'box', mass: 1, size: { x: s, y: s, z: s } }
+    ));
+  }
+
+  return {
+    formatVersion: 2,
+    generator: 'GD3D broadphase benchmark',
+    project: { id: 'broadphase-benchmark', name: 'Broadphase Benchmark', version: '0.1.0' },
+    startScene: 'benchmark',
+    scenes: [{
+      id: 'benchmark',
+      name: 'Broadphase Benchmark',
+      camera: { position: [0, 60, 120], target: [0, 0, 0] },
+      objects
+    }],
+    eventSheets: [],
+    variables: {},
+    assets: [],
+    physics: { broadphase: 'sap', sapAxis: 'auto' }
+  };
+}
+
+// Cannon world holding the project's box bodies
+function buildWorld(project, broadphase) {
+  const world = new CANNON.World({ gravity: new CANNON.Vec3(0, -9.82, 0) });
+  world.allowSleep = true;
+  project.scenes[0].objects.forEach((obj) => {
+    if (!obj.physics?.enabled) return;
+    const { width, height, depth } = obj.geometry;
+    const body = new CANNON.Body({
+      mass: obj.physics.isStatic ? 0 : obj.physics.mass,
+      shape: new CANNON.Box(new CANNON.Vec3(width / 2, height / 2, depth / 2))
+    });
+    body.position.set(...obj.transform.position);
+    world.addBody(body);
+  });
+  applyBroadphase(world, { broadphase });
+  return world;
+}
+
+// Average milliseconds per world.step
+function timeSteps(world, steps = STEPS) {
+  const start = performance.now();
+  for (let i = 0; i < steps; i++) world.step(TIME_STEP);
+  return (performance.now() - start) / steps;
+}
+
+// Bumpy terrain as a static Trimesh of (n * n * 2) triangles
+function createTerrain(n = 80, spacing = 1) {
+  const vertices = [];
+  const indices = [];
+  for (let z = 0; z <= n; z++) {
+    for (let x = 0; x <= n; x++) {
+      vertices.push((x - n / 2) * spacing, Math.sin(x * 0.4) * Math.cos(z * 0.3), (z - n / 2) * spacing);
+    }
+  }
+  for (let z = 0; z < n; z++) {
+    for (let x = 0; x < n; x++) {
+      const a = z * (n + 1) + x;
+      indices.push(a, a + n + 1, a + 1, a + 1, a + n + 1, a + n + 2);
+    }
+  }
+  return new CANNON.Trimesh(vertices, indices);
+}
+
+function terrainWorld(useBVH, spheres = 100) {
+  const rand = random(11);
+  const world = new CANNON.World({ gravity: new CANNON.Vec3(0, -9.82, 0) });
+  applyBroadphase(world, { broadphase: 'sap' });
+  const terrain = createTerrain();
+  if (useBVH) attachTrimeshBVH(terrain);
+  world.addBody(new CANNON.Body({ mass: 0, shape: terrain }));
+  for (let i = 0; i < spheres; i++) {
+    const body = new CANNON.Body({ mass: 1, shape: new CANNON.Sphere(0.5) });
+    body.position.set((rand() * 2 - 1) * 35, 3 + rand() * 5, (rand() * 2 - 1) * 35);
+    world.addBody(body);
+  }
+  return world;
+}
+
+function run() {
+  const project = createBenchmarkProject();
+  const bodyCount = project.scenes[0].objects.filter(o => o.physics?.enabled).length;
+
+  console.log(`🧮 Broadphase benchmark: ${bodyCount} bodies, ${STEPS} steps each`);
+  const results = {};
+  BROADPHASE_TYPES.forEach((type) => {
+    results[type] = timeSteps(buildWorld(project, type));
+  });
+  BROADPHASE_TYPES.forEach((type) => {
+    const speedup = results.naive / results[type];
+    console.log(`  ${type.padEnd(6)} ${results[type].toFixed(2).padStart(8)} ms/step   ${speedup.toFixed(1)}x vs naive`);
+  });
+
+  console.log(`🌲 Static Trimesh: ${createTerrain().indices.length / 3} triangles, 100 spheres`);
+  const octree = timeSteps(terrainWorld(false), 120);
+  const bvh = timeSteps(terrainWorld(true), 120);
+  console.log(`  octree ${octree.toFixed(2).padStart(8)} ms/step`);
+  console.log(`  bvh    ${bvh.toFixed(2).padStart(8)} ms/step   ${(octree / bvh).toFixed(1)}x vs octree`);
+
+  if (process.argv.includes('--write')) {
+    const file = fileURLToPath(new URL('./broadphase-benchmark.json', import.meta.url));
+    writeFileSync(file, JSON.stringify(project, null, 2));
+    console.log(`💾 Wrote ${file}`);
+  }
+}
+
+// Only run when executed directly, not when imported for createBenchmarkProject
+if (process.argv[1] === fileURLToPath(import.meta.url)) run();
@@ -0,0 +1,431 @@
+// =====================================================
+// GD3D ANIMATOR
+// =====================================================
+// Animation state machines for GLTF characters, shared by the editor's play mode, the
+// RuntimePlayer and this game player.
+//
+// An animator is authored per object in the scene file (`animator`):
+//   {
+//     parameters:  [{ name, type: 'float' | 'bool' | 'trigger', default }],
+//     states:      [{ id, name, type: 'clip' | 'blend1d' | 'blend2d', speed, loop, position: { x, y },
+//                     clip,                                  // clip states
+//                     parameter, motions: [{ clip, threshold }],      // blend1d
+//                     parameter, parameterY, motions: [{ clip, x, y }] // blend2d
+//                   }],
+//     entry:       id of the first state,
+//     transitions: [{ id, from: stateId | 'any', to, duration, exitTime, conditions: [{ parameter, op, value }] }],
+//     rootMotion:  { enabled, bone }   // optional, see rootMotion.js
+//   }
+// Clips are named as in the model. A transition is taken when all its conditions hold and, if it
+// has an exitTime (0..1 of the state's length), once the state has played that far; a transition
+// without conditions needs an exitTime. Conditions compare floats ('>', '<'), test bools
+// ('true', 'false') or consume a trigger ('set'). 'any' transitions are checked first, from every
+// state but their target. The states cross-fade over the transition's duration in seconds.
+//
+// Blend trees mix their motions by a parameter: blend1d linearly between the two thresholds
+// around the value, blend2d by inverse distance to the (x, y) point. The motions are time-scaled
+// to a shared length so a walk and a run stay in step while they are mixed.
+//
+// The character controller sets speed, grounded and jump on the player's animator; anything can
+// set parameters with Animator.set. Animator.update only weighs the actions; the AnimationMixer
+// is updated by its owner as before.
+//
+// With root motion on, the clips play in place and rootSpeed is the speed their root bone would
+// have moved the character at, mixed like the clips; the character controller moves at it.
+
+import * as THREE from 'three';
+import { extractRootMotion } from './rootMotion.js';
+
+export const ANIMATOR_PARAMETER_TYPES = ['float', 'bool', 'trigger'];
+export const ANIMATOR_STATE_TYPES = ['clip', 'blend1d', 'blend2d'];
+// Condition operators for each parameter type
+export const ANIMATOR_CONDITION_OPS = {
+  float: ['>', '<'],
+  bool: ['true', 'false'],
+  trigger: ['set']
+};
+// Transitions from this id leave any state
+export const ANY_STATE = 'any';
+
+let nextId = 0;
+const newId = prefix => `${prefix}_${Date.now().toString(36)}_${(nextId++).toString(36)}`;
+
+// The clip among names that looks like one of the wanted names (case-insensitive, partial)
+function guessClip(names, wanted) {
+  const lower = names.map(name => name.toLowerCase());
+  for (const word of wanted) {
+    const index = lower.findIndex(name => name === word);
+    if (index >= 0) return names[index];
+  }
+  for (const word of wanted) {
+    const index = lower.findIndex(name => name.includes(word));
+    if (index >= 0) return names[index];
+  }
+  return null;
+}
+
+export function createAnimatorState(overrides = {}) {
+  return {
+    id: newId('state'),
+    name: 'State',
+    type: 'clip',
+    clip: null,
+    speed: 1,
+    loop: true,
+    parameter: 'speed',
+    parameterY: null,
+    motions: [],
+    position: { x: 40, y: 40 },
+    ...overrides
+  };
+}
+
+export function createAnimatorTransition(overrides = {}) {
+  return {
+    id: newId('transition'),
+    from: null,
+    to: null,
+    duration: 0.2,
+    exitTime: null,
+    conditions: [],
+    ...overrides
+  };
+}
+
+// A locomotion animator for a model's clips: idle, walk and run blended by speed (in units per
+// second, thresholds at the character's move and run speeds) and, when the model has them, jump
+// and fall states driven by the jump trigger and the grounded flag.
+export function createAnimatorData(clipNames = [], { walkSpeed = 5, runSpeed = 8 } = {}) {
+  const idle = guessClip(clipNames, ['idle', 'stand']) || clipNames[0] || null;
+  const walk = guessClip(clipNames, ['walk', 'motion']);
+  const run = guessClip(clipNames, ['run', 'sprint', 'jog']);
+  const jump = guessClip(clipNames, ['jump']);
+  const fall = guessClip(clipNames, ['fall', 'air']);
+
+  const motions = [{ clip: idle, threshold: 0 }];
+  if (walk) motions.push({ clip: walk, threshold: walkSpeed });
+  if (run && run !== walk) motions.push({ clip: run, threshold: runSpeed });
+  const locomotion = createAnimatorState({
+    name: 'Locomotion',
+    type: 'blend1d',
+    parameter: 'speed',
+    motions: motions.filter(motion => motion.clip),
+    position: { x: 40, y: 110 }
+  });
+  const states = [locomotion];
+  const transitions = [];
+
+  if (jump) {
+    const jumpState = createAnimatorState({ name: 'Jump', clip: jump, loop: false, position: { x: 220, y: 40 } });
+    states.push(jumpState);
+    transitions.push(createAnimatorTransition({
+      from: ANY_STATE, to: jumpState.id, duration: 0.1, conditions: [{ parameter: 'jump', op: 'set' }]
+    }));
+    transitions.push(createAnimatorTransition({
+      from: jumpState.id, to: locomotion.id, duration: 0.2, conditions: [{ parameter: 'grounded', op: 'true' }]
+    }));
+  }
+  if (fall) {
+    const fallState = createAnimatorState({ name: 'Fall', clip: fall, position: { x: 220, y: 180 } });
+    states.push(fallState);
+    transitions.push(createAnimatorTransition({
+      from: locomotion.id, to: fallState.id, duration: 0.2, conditions: [{ parameter: 'grounded', op: 'false' }]
+    }));
+    transitions.push(createAnimatorTransition({
+      from: fallState.id, to: locomotion.id, duration: 0.15, conditions: [{ parameter: 'grounded', op: 'true' }]
+    }));
+  }
+
+  return {
+    parameters: [
+      { name: 'speed', type: 'float', default: 0 },
+      { name: 'grounded', type: 'bool', default: true },
+      { name: 'jump', type: 'trigger', default: false }
+    ],
+    states,
+    entry: locomotion.id,
+    transitions
+  };
+}
+
+// Weights of a 1D blend tree's motions for value, in motion order
+export function blend1DWeights(motions, value) {
+  const weights = motions.map(() => 0);
+  if (motions.length === 0) return weights;
+  const order = motions.map((motion, i) => i).sort((a, b) => motions[a].threshold - motions[b].threshold);
+  const first = order[0];
+  const last = order[order.length - 1];
+  if (!(value > motions[first].threshold)) {
+    weights[first] = 1;
+  } else if (value >= motions[last].threshold) {
+    weights[last] = 1;
+  } else {
+    for (let i = 0; i < order.length - 1; i++) {
+      const a = motions[order[i]];
+      const b = motions[order[i + 1]];
+      if (value >= a.threshold && value <= b.threshold) {
+        const t = b.threshold > a.threshold ? (value - a.threshold) / (b.threshold - a.threshold) : 0;
+        weights[order[i]] = 1 - t;
+        weights[order[i + 1]] = t;
+        break;
+      }
+    }
+  }
+  return weights;
+}
+
+// Weights of a 2D blend tree's motions for (x, y), in motion order
+export function blend2DWeights(motions, x, y) {
+  const weights = motions.map((motion) => {
+    const distance = Math.hypot((motion.x || 0) - x, (motion.y || 0) - y);
+    return distance < 1e-4 ? Infinity : 1 / (distance * distance);
+  });
+  const exact = weights.indexOf(Infinity);
+  if (exact >= 0) return weights.map((w, i) => (i === exact ? 1 : 0));
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  return total > 0 ? weights.map(w => w / total) : weights;
+}
+
+export class Animator {
+  // mixer: the object's AnimationMixer; clips: its AnimationClips; data: its `animator`
+  constructor(mixer, clips, data) {
+    this.mixer = mixer;
+    this.data = data;
+    // Actions that were playing before, restored by dispose
+    this.previous = clips.map(clip => mixer.existingAction(clip)).filter(action => action?.isRunning());
+
+    // Root motion: the clips that move their root bone are swapped for in-place copies
+    this.rootMotion = null;
+    this.rootSpeed = 0;
+    if (data.rootMotion?.enabled) {
+      const motion = extractRootMotion(mixer.getRoot(), clips, data.rootMotion.bone || null);
+      if (motion && [...motion.speeds.values()].some(speed => speed > 0)) {
+        this.rootMotion = motion;
+        clips = motion.clips;
+      } else {
+        console.warn(`⚠️ Root motion: no clip of ${mixer.getRoot().name} moves its root bone, using the set speeds`);
+      }
+    }
+    this.clips = new Map(clips.map(clip => [clip.name, clip]));
+    this.states = new Map(data.states.map(state => [state.id, state]));
+    this.parameters = {};
+    this.types = {};
+    (data.parameters || []).forEach((parameter) => {
+      this.types[parameter.name] = parameter.type;
+      if (parameter.type === 'float') this.parameters[parameter.name] = Number(parameter.default) || 0;
+      else this.parameters[parameter.name] = parameter.type === 'bool' && !!parameter.default;
+    });
+
+    this.actions = new Map();
+    this.used().forEach((name) => {
+      const clip = this.clips.get(name);
+      if (!clip) return;
+      const action = mixer.clipAction(clip);
+      action.reset();
+      action.setEffectiveWeight(0);
+      action.play();
+      this.actions.set(name, action);
+    });
+    this.previous.forEach((action) => { if (!this.actions.has(action.getClip().name)) action.stop(); });
+
+    // Playing states: the current one last, the ones it is fading from before it
+    this.playing = [];
+    this.fade = null;
+    const entry = this.states.get(data.entry) || data.states[0];
+    if (entry) this.enter(entry, 0);
+  }
+
+  // Clip names used by any state
+  used() {
+    const names = new Set();
+    this.data.states.forEach((state) => {
+      if (state.type === 'clip') names.add(state.clip);
+      else (state.motions || []).forEach(motion => names.add(motion.clip));
+    });
+    names.delete(null);
+    names.delete(undefined);
+    return names;
+  }
+
+  get current() {
+    return this.playing[this.playing.length - 1] || null;
+  }
+
+  // Name of the state playing (or being faded to)
+  get stateName() {
+    return this.current?.state.name || null;
+  }
+
+  set(name, value) {
+    if (!(name in this.types)) return;
+    const type = this.types[name];
+    this.parameters[name] = type === 'float' ? Number(value) || 0 : !!value;
+  }
+
+  get(name) {
+    return this.parameters[name];
+  }
+
+  setTrigger(name) {
+    this.set(name, true);
+  }
+
+  // Jump straight to a state by name, cross-fading over duration seconds
+  play(name, duration = 0) {
+    const state = this.data.states.find(s => s.name === name);
+    if (state) this.enter(state, duration);
+    return !!state;
+  }
+
+  enter(state, duration) {
+    // Clips that aren't audible right now start from their beginning
+    const weights = this.clipWeights();
+    this.motionsOf(state).forEach(({ clip }) => {
+      const action = this.actions.get(clip);
+      if (action && !(weights.get(clip) > 1e-3)) {
+        action.reset();
+        action.setLoop(state.loop === false ? THREE.LoopOnce : THREE.LoopRepeat, Infinity);
+        action.clampWhenFinished = state.loop === false;
+        action.play();
+      }
+    });
+    const entry = { state, time: 0, weight: duration > 0 ? 0 : 1 };
+    if (duration > 0) {
+      this.playing.forEach((playing) => { playing.from = playing.weight; });
+      this.playing.push(entry);
+      this.fade = { elapsed: 0, duration };
+    } else {
+      this.playing = [entry];
+      this.fade = null;
+    }
+  }
+
+  // [{ clip, weight }] of a state for the current parameters
+  motionsOf(state) {
+    if (state.type === 'clip') return state.clip ? [{ clip: state.clip, weight: 1 }] : [];
+    const motions = (state.motions || []).filter(motion => motion.clip);
+    const weights = state.type === 'blend2d'
+      ? blend2DWeights(motions, this.parameters[state.parameter] || 0, this.parameters[state.parameterY] || 0)
+      : blend1DWeights(motions, this.parameters[state.parameter] || 0);
+    return motions.map((motion, i) => ({ clip: motion.clip, weight: weights[i] }));
+  }
+
+  // Length in seconds of one pass through a state, its motions mixed
+  stateDuration(state, motions = this.motionsOf(state)) {
+    let duration = 0;
+    motions.forEach(({ clip, weight }) => { duration += (this.clips.get(clip)?.duration || 0) * weight; });
+    return duration;
+  }
+
+  conditionHolds(condition) {
+    const value = this.parameters[condition.parameter];
+    switch (condition.op) {
+      case '>': return value > Number(condition.value);
+      case '<': return value < Number(condition.value);
+      case 'true': return value === true;
+      case 'false': return value === false;
+      case 'set': return value === true;
+      default: return false;
+    }
+  }
+
+  // The first transition to take now, or null
+  pickTransition() {
+    const current = this.current;
+    if (!current) return null;
+    const candidates = [
+      ...this.data.transitions.filter(t => t.from === ANY_STATE && t.to !== current.state.id),
+      ...this.data.transitions.filter(t => t.from === current.state.id)
+    ];
+    return candidates.find((transition) => {
+      const conditions = transition.conditions || [];
+      const hasExitTime = transition.exitTime !== null && transition.exitTime !== undefined;
+      if (conditions.length === 0 && !hasExitTime) return false;
+      if (hasExitTime && current.time < transition.exitTime) return false;
+      return conditions.every(condition => this.conditionHolds(condition)) && this.states.has(transition.to);
+    }) || null;
+  }
+
+  update(delta) {
+    const transition = this.pickTransition();
+    if (transition) {
+      // Triggers are used up by the transition they fire
+      (transition.conditions || []).forEach((condition) => {
+        if (condition.op === 'set') this.parameters[condition.parameter] = false;
+      });
+      this.enter(this.states.get(transition.to), Math.max(0, Number(transition.duration) || 0));
+    }
+    // Unused triggers only last one update
+    Object.keys(this.types).forEach((name) => {
+      if (this.types[name] === 'trigger') this.parameters[name] = false;
+    });
+
+    // Cross-fade: the newest state takes over from everything before it
+    if (this.fade) {
+      this.fade.elapsed += delta;
+      const t = Math.min(1, this.fade.elapsed / this.fade.duration);
+      const current = this.current;
+      this.playing.forEach((playing) => {
+        playing.weight = playing === current ? t : playing.from * (1 - t);
+      });
+      if (t >= 1) {
+        this.playing = [current];
+        this.fade = null;
+      }
+    }
+
+    // Advance each state's normalised time and time-scale its clips to the state's length
+    const weights = new Map();
+    const scales = new Map();
+    this.playing.forEach((playing) => {
+      const motions = this.motionsOf(playing.state);
+      const duration = this.stateDuration(playing.state, motions);
+      const speed = Number(playing.state.speed ?? 1);
+      if (duration > 0) {
+        playing.time += delta * speed / duration;
+        if (playing.state.loop === false) playing.time = Math.min(playing.time, 1);
+        else playing.time %= 1;
+      }
+      motions.forEach(({ clip, weight }) => {
+        weights.set(clip, (weights.get(clip) || 0) + weight * playing.weight);
+        // The state with the most say over a shared clip sets its speed
+        const clipDuration = this.clips.get(clip)?.duration || 0;
+        const scale = duration > 0 ? speed * clipDuration / duration : speed;
+        const say = weight * playing.weight;
+        if (!scales.has(clip) || scales.get(clip).say < say) scales.set(clip, { say, scale });
+      });
+    });
+    this.actions.forEach((action, clip) => {
+      action.setEffectiveWeight(weights.get(clip) || 0);
+      if (scales.has(clip)) action.setEffectiveTimeScale(scales.get(clip).scale);
+    });
+    this.weights = weights;
+
+    // The root speeds mixed like the clips, at the speed each clip plays
+    if (this.rootMotion) {
+      let rootSpeed = 0;
+      this.actions.forEach((action, clip) => {
+        rootSpeed += (weights.get(clip) || 0) * (this.rootMotion.speeds.get(clip) || 0) * action.getEffectiveTimeScale();
+      });
+      this.rootSpeed = rootSpeed;
+    }
+  }
+
+  // Current weight of every clip, by name
+  clipWeights() {
+    return this.weights || new Map();
+  }
+
+  // Stop the state machine and go back to what the mixer was playing before
+  dispose() {
+    this.actions.forEach(action => action.stop());
+    this.previous.forEach((action) => {
+      action.reset();
+      action.setEffectiveWeight(1);
+      action.setEffectiveTimeScale(1);
+      action.play();
+    });
+    this.actions.clear();
+    this.playing = [];
+  }
+}
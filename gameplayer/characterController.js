@@ -0,0 +1,282 @@
+// =====================================================
+// GD3D CHARACTER CONTROLLER
+// =====================================================
+// Keyboard and mouse control of the player character, shared by the editor's play mode and this
+// game player.
+//
+// The player is the object flagged `isPlayer` in the scene file (see findPlayer). The controller
+// turns WASD, Shift and Space into a velocity and jumps for the player's CharacterMotor
+// (physicsCharacter.js), which does the actual moving; without a motor (no physics body) the
+// object is moved along the ground by hand. It also turns the character, feeds its Animator
+// (animator.js) the speed, grounded and jump parameters and places the camera for the camera mode
+// in its `characterSettings`. When the animator has root motion, the walk and run speeds only pick
+// the clips and the character moves at the speed the clips move it (rootMotion.js).
+// Camera modes:
+//   third-person  - orbits behind the character, mouse to look around (pointer lock)
+//   first-person  - at the character's eyes, mouse to look around; the character is hidden
+//   top-down      - high above, looking down; W/S move along z and A/D along x
+//   side-scroller - to the side, looking along -z; A/D move along x, W or Space jumps
+// Animators and mixers are updated by the host (the editor's viewport, the game loop), not here.
+
+import * as THREE from 'three';
+import { createCharacterSettings } from './physicsCharacter.js';
+
+export const CAMERA_MODES = ['third-person', 'first-person', 'top-down', 'side-scroller'];
+
+// Camera settings read from `characterSettings` next to the motor's, with their defaults
+export const CONTROLLER_DEFAULTS = {
+  cameraMode: 'third-person',
+  cameraDistance: 5, // behind (third-person), above (top-down) or beside (side-scroller)
+  cameraHeight: 1.5, // of the third-person camera above the character's feet
+  eyeHeight: 1.6, // of the first-person camera
+  sensitivity: 0.002, // radians per pixel of mouse movement
+  pitchLimit: Math.PI / 3
+};
+
+// Keys the controller uses (KeyboardEvent.code)
+const CONTROL_KEYS = ['KeyW', 'KeyA', 'KeyS', 'KeyD', 'Space', 'ShiftLeft', 'ShiftRight'];
+// Models like Soldier.glb face -z, so they are turned half way round to face where they walk
+const FACING_OFFSET = Math.PI;
+// Share of the remaining turn made every frame
+const TURN_RATE = 0.15;
+
+// 'third-person', 'Third Person' and 'third_person' all name the same mode
+export function normalizeCameraMode(mode) {
+  const name = String(mode || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+  return CAMERA_MODES.includes(name) ? name : CONTROLLER_DEFAULTS.cameraMode;
+}
+
+// The first object under root flagged as the player. isPlayer(object) decides; by default the
+// flag is `userData.isPlayer` (the editor passes a lookup of the object's scene data instead).
+export function findPlayer(root, isPlayer = object => !!object.userData?.isPlayer) {
+  let player = null;
+  root?.traverse((object) => {
+    if (!player && isPlayer(object)) player = object;
+  });
+  return player;
+}
+
+// Angle a turned towards b by t of the shortest way round
+function turnTowards(a, b, t) {
+  const difference = Math.atan2(Math.sin(b - a), Math.cos(b - a));
+  return a + difference * t;
+}
+
+const tmpVector = new THREE.Vector3();
+const tmpEuler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+export class CharacterController {
+  // options: { player, camera, motor, settings, animator, lockElement }
+  //   motor       - the player's CharacterMotor, null to move the object by hand
+  //   settings    - the player's `characterSettings`
+  //   animator    - the player's Animator (default player.userData.animator), null for none
+  //   lockElement - element the pointer is locked to for mouse look (default document.body)
+  constructor({ player, camera, motor = null, settings = {}, animator = null, lockElement = null }) {
+    this.player = player;
+    this.camera = camera;
+    this.motor = motor;
+    this.animator = animator || player.userData.animator || null;
+    this.lockElement = lockElement || (typeof document !== 'undefined' ? document.body : null);
+    this.keys = new Set();
+    this.jumpPressed = false;
+    this.wasJumping = false;
+    this.visible = player.visible;
+    this.target = null;
+    this.configure(settings);
+
+    // Look the way the camera already does
+    this.yaw = 0;
+    this.pitch = 0;
+    if (camera) {
+      camera.getWorldDirection(tmpVector);
+      this.yaw = Math.atan2(-tmpVector.x, -tmpVector.z);
+    }
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onKeyUp = this.onKeyUp.bind(this);
+    this.onMouseMove = this.onMouseMove.bind(this);
+    this.onBlur = this.onBlur.bind(this);
+  }
+
+  // Use different settings, e.g. another camera mode. Speeds come from the motor when there is one.
+  configure(settings = {}) {
+    this.settings = { ...CONTROLLER_DEFAULTS, ...createCharacterSettings(settings) };
+    Object.keys(CONTROLLER_DEFAULTS).forEach((key) => {
+      if (key !== 'cameraMode' && Number.isFinite(Number(settings[key]))) this.settings[key] = Number(settings[key]);
+    });
+    this.setMode(settings.cameraMode);
+  }
+
+  setMode(mode) {
+    this.mode = normalizeCameraMode(mode);
+    this.player.visible = this.mode === 'first-person' ? false : this.visible;
+  }
+
+  usesMouseLook() {
+    return this.mode === 'third-person' || this.mode === 'first-person';
+  }
+
+  // Listen to the keyboard and mouse of target (a document)
+  attach(target = document) {
+    this.detach();
+    this.target = target;
+    target.addEventListener('keydown', this.onKeyDown);
+    target.addEventListener('keyup', this.onKeyUp);
+    target.addEventListener('mousemove', this.onMouseMove);
+    target.defaultView?.addEventListener('blur', this.onBlur);
+  }
+
+  detach() {
+    if (!this.target) return;
+    this.target.removeEventListener('keydown', this.onKeyDown);
+    this.target.removeEventListener('keyup', this.onKeyUp);
+    this.target.removeEventListener('mousemove', this.onMouseMove);
+    this.target.defaultView?.removeEventListener('blur', this.onBlur);
+    if (this.lockElement && this.target.pointerLockElement === this.lockElement) this.target.exitPointerLock();
+    this.target = null;
+  }
+
+  dispose() {
+    this.detach();
+    this.keys.clear();
+    this.motor?.move(0, 0);
+    this.player.visible = this.visible;
+  }
+
+  onKeyDown(event) {
+    if (!CONTROL_KEYS.includes(event.code)) return;
+    event.preventDefault();
+    this.keys.add(event.code);
+    const jumpKey = event.code === 'Space' || (this.mode === 'side-scroller' && event.code === 'KeyW');
+    if (jumpKey && !event.repeat) this.jumpPressed = true;
+    // Lock the pointer for mouse look once the player starts moving
+    const locked = this.target?.pointerLockElement === this.lockElement;
+    if (this.usesMouseLook() && !locked && ['KeyW', 'KeyA', 'KeyS', 'KeyD'].includes(event.code)) {
+      this.lockElement?.requestPointerLock?.();
+    }
+  }
+
+  onKeyUp(event) {
+    if (!CONTROL_KEYS.includes(event.code)) return;
+    event.preventDefault();
+    this.keys.delete(event.code);
+  }
+
+  onMouseMove(event) {
+    if (!this.usesMouseLook() || this.target?.pointerLockElement !== this.lockElement) return;
+    this.yaw -= event.movementX * this.settings.sensitivity;
+    this.pitch -= event.movementY * this.settings.sensitivity;
+    this.pitch = THREE.MathUtils.clamp(this.pitch, -this.settings.pitchLimit, this.settings.pitchLimit);
+  }
+
+  // Keys held while the window lost focus never see their keyup
+  onBlur() {
+    this.keys.clear();
+  }
+
+  // Wanted walking direction in world space, length 0 or 1: { x, z }
+  inputDirection() {
+    const forward = (this.keys.has('KeyW') ? 1 : 0) - (this.keys.has('KeyS') ? 1 : 0);
+    const right = (this.keys.has('KeyD') ? 1 : 0) - (this.keys.has('KeyA') ? 1 : 0);
+    let x;
+    let z;
+    if (this.mode === 'side-scroller') {
+      x = right;
+      z = 0;
+    } else if (this.mode === 'top-down') {
+      x = right;
+      z = -forward;
+    } else {
+      // Relative to where the camera looks
+      const sin = Math.sin(this.yaw);
+      const cos = Math.cos(this.yaw);
+      x = -sin * forward + cos * right;
+      z = -cos * forward - sin * right;
+    }
+    const length = Math.hypot(x, z);
+    return length > 0 ? { x: x / length, z: z / length } : { x: 0, z: 0 };
+  }
+
+  update(delta) {
+    const player = this.player;
+
+    // Ragdolled (SetRagdoll action): physics moves the character, the camera keeps following
+    if (player.userData.ragdolled) {
+      this.motor?.move(0, 0);
+      this.jumpPressed = false;
+      this.animator?.set('speed', 0);
+      this.updateCamera();
+      return;
+    }
+
+    const direction = this.inputDirection();
+    const moving = direction.x !== 0 || direction.z !== 0;
+    const running = this.keys.has('ShiftLeft') || this.keys.has('ShiftRight');
+    const settings = this.motor ? this.motor.settings : this.settings;
+    const speed = running ? settings.runSpeed : settings.moveSpeed;
+    const pace = this.animator?.rootMotion ? this.animator.rootSpeed : speed;
+
+    if (this.motor) {
+      // The motor moves the body over the next physics steps; the host places the object from it
+      this.motor.move(direction.x * pace, direction.z * pace);
+      if (this.jumpPressed) this.motor.jump();
+    } else {
+      player.position.x += direction.x * pace * delta;
+      player.position.z += direction.z * pace * delta;
+    }
+    this.jumpPressed = false;
+
+    // Face the way the character walks (or looks, in first person)
+    if (this.mode === 'first-person') {
+      player.rotation.y = this.yaw;
+    } else if (moving) {
+      const target = Math.atan2(direction.x, direction.z) + FACING_OFFSET;
+      player.rotation.y = turnTowards(player.rotation.y, target, TURN_RATE);
+    }
+
+    this.updateAnimator(moving ? speed : 0);
+    this.updateCamera();
+  }
+
+  // Parameters for the animator's transitions and blend trees
+  updateAnimator(speed) {
+    const animator = this.animator;
+    if (!animator) return;
+    const motor = this.motor;
+    animator.set('speed', speed);
+    animator.set('grounded', motor ? motor.grounded : true);
+    // The motor takes a jump on its next step (or later, buffered), so watch for it starting
+    const jumping = !!motor?.jumping;
+    if (jumping && !this.wasJumping) animator.setTrigger('jump');
+    this.wasJumping = jumping;
+  }
+
+  updateCamera() {
+    const camera = this.camera;
+    if (!camera) return;
+    const position = this.player.position;
+    const { cameraDistance, cameraHeight, eyeHeight } = this.settings;
+
+    if (this.mode === 'first-person') {
+      camera.position.set(position.x, position.y + eyeHeight, position.z);
+      camera.quaternion.setFromEuler(tmpEuler.set(this.pitch, this.yaw, 0));
+    } else if (this.mode === 'top-down') {
+      // Tilted slightly so "up" on screen stays -z
+      camera.position.set(position.x, position.y + cameraDistance, position.z + cameraDistance * 0.25);
+      camera.lookAt(position.x, position.y, position.z);
+    } else if (this.mode === 'side-scroller') {
+      camera.position.set(position.x, position.y + cameraHeight, position.z + cameraDistance);
+      camera.lookAt(position.x, position.y + cameraHeight, position.z);
+    } else {
+      // Behind the character at the camera yaw, pitched by moving the point looked at
+      const sin = Math.sin(this.yaw);
+      const cos = Math.cos(this.yaw);
+      camera.position.set(position.x + sin * cameraDistance, position.y + cameraHeight, position.z + cos * cameraDistance);
+      camera.lookAt(
+        position.x - sin,
+        position.y + 1.2 + Math.tan(this.pitch) * cameraDistance,
+        position.z - cos
+      );
+    }
+  }
+}
@@ -7,14 +7,27 @@ import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js'
 import { SSAOPass } from 'three/addons/postprocessing/SSAOPass.js';
 import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
 import * as CANNON from 'cannon-es';
+import { parseSceneFile, getStartScene } from './sceneFormat.js';
+import { applyBroadphase } from './physicsBroadphase.js';
+import { FixedTimestep, snapBody } from './physicsTimestep.js';
+import { addCapsuleShapes } from './physicsShapes.js';
+import { addCompoundFrames, bodyPositionForObject } from './physicsCompound.js';
+import { createSceneConstraints } from './physicsConstraints.js';
+import { PhysicsMaterialLibrary } from './physicsMaterials.js';
+import { applyCollisionLayer, objectLayer } from './physicsLayers.js';
+import { MovingPlatforms } from './physicsPlatforms.js';
+import { ContinuousCollision } from './physicsCCD.js';
+import { CharacterMotors } from './physicsCharacter.js';
+import { CharacterController, findPlayer } from './characterController.js';
+import { Animator, createAnimatorData } from './animator.js';
+import { createTerrainMesh, decodeTerrain, addTerrainShape, terrainHeightAt } from './terrain.js';
 
 // =====================================================
 // GAME CONFIGURATION
 // =====================================================
 const CONFIG = {
   physics: {
-    gravity: -20,
-    timeStep: 1/60
+    gravity: -20
   },
   character: {
     moveSpeed: 5,
@@ -38,26 +51,36 @@ const CONFIG = {
 const gameState = {
   isRunning: false,
   clock: new THREE.Clock(),
-  keys: {},
-  camera: {
-    yaw: 0,
-    pitch: 0
-  },
   player: {
     object: null,
     body: null,
+    motor: null, // Kinematic character motor moving the body
+    controller: null, // Keyboard, mouse, animation and camera (characterController.js)
     mixer: null,
-    actions: {},
-    currentAction: 'idle',
-    isGrounded: false
-  }
+    animator: null, // Animation state machine the controller drives (animator.js)
+    actions: {}
+  },
+  // Mixers and animators of the scene's other animated models: [{ mixer, animator }]
+  animated: []
 };
 
 // =====================================================
 // SCENE SETUP
 // =====================================================
 let scene, camera, renderer, physicsWorld, composer;
+// Fixed physics step with interpolated rendering (step rate from the project's physics settings)
+const physicsTimestep = new FixedTimestep();
+// Named physics materials (ice, rubber, ...) from the project's physics settings
+let physicsMaterials;
+// Kinematic platforms on waypoint paths from the scene's objects
+let movingPlatforms;
+// Swept-sphere checks for fast bodies with `physics.ccd`
+let continuousCollision;
+// The player's kinematic character motor, stepped before every physics step
+let characterMotors;
 let sceneData = null;
+// The flat ground plane, hidden when the scene brings its own terrain
+let groundMesh = null;
 
 function initScene() {
   // Create scene
@@ -372,6 +395,7 @@ function createGround() {
   ground.position.y = -1; // Offset ground plane
   ground.receiveShadow = true;
   scene.add(ground);
+  groundMesh = ground;
   
   // Physics ground (static, infinite plane)
   const groundShape = new CANNON.Plane();
@@ -382,6 +406,7 @@ function createGround() {
   });
   groundBody.position.y = -1; // Match visual ground offset
   groundBody.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
+  applyCollisionLayer(groundBody, sceneData?.physics, 'World');
   physicsWorld.addBody(groundBody);
   
   console.log('🌍 Ground created (static)');
@@ -403,6 +428,18 @@ function initPhysics() {
   });
   physicsWorld.addContactMaterial(defaultContactMaterial);
   physicsWorld.defaultContactMaterial = defaultContactMaterial;
+  physicsMaterials = new PhysicsMaterialLibrary(physicsWorld, defaultMaterial, defaultContactMaterial);
+  physicsMaterials.configure();
+  movingPlatforms = new MovingPlatforms(physicsWorld);
+  continuousCollision = new ContinuousCollision(physicsWorld);
+  characterMotors = new CharacterMotors(physicsWorld);
+  
+  // New bodies start with no previous state, so they aren't interpolated from the origin.
+  // Bodies without a material get the default one so their contacts with named materials apply.
+  physicsWorld.addEventListener('addBody', (event) => {
+    snapBody(event.body);
+    if (!event.body.material) event.body.material = physicsMaterials.defaultMaterial;
+  });
   
   console.log('⚙️ Physics initialized');
 }
@@ -454,7 +491,15 @@ async function loadSceneData() {
       console.warn('No scene.json found, using default scene');
       return null;
     }
-    sceneData = await response.json();
+    const raw = await response.json();
+    try {
+      // Migrate older exports to the current format and validate against the schema
+      sceneData = parseSceneFile(raw);
+    } catch (error) {
+      console.warn('⚠️ scene.json failed validation, skipping scene objects:', error.message);
+      sceneData = null;
+      return null;
+    }
     console.log('📦 Scene data loaded:', sceneData);
     return sceneData;
   } catch (error) {
@@ -464,19 +509,28 @@ async function loadSceneData() {
 }
 
 async function buildSceneFromData() {
-  // ALWAYS load the character first (not from scene.json)
-  await loadDefaultCharacter();
+  // Load the player first, so terrains can stand it on their surface
+  await loadPlayerCharacter();
   
   // Then load scene objects from scene.json (if available)
-  if (!sceneData || !sceneData.objects) {
+  const startScene = sceneData ? getStartScene(sceneData) : null;
+  if (!startScene || !startScene.objects) {
     console.log('📦 No scene data found, only character loaded');
     return;
   }
   
+  // Optional fog from the scene environment
+  const fog = startScene.environment?.fog;
+  if (fog && fog.enabled) {
+    scene.fog = new THREE.Fog(fog.color ?? 0xcccccc, fog.near ?? 10, fog.far ?? 100);
+  }
+  
   const loader = new GLTFLoader();
   
-  for (const obj of sceneData.objects) {
-    // Skip player character - already loaded by default
+  for (const obj of startScene.objects) {
+    const transform = obj.transform || {};
+    
+    // Skip player character - already loaded by loadPlayerCharacter
     if (obj.isPlayer) {
       continue;
     }
@@ -487,20 +541,21 @@ async function buildSceneFromData() {
     }
     
     if (obj.type === 'gltf') {
-      // Skip if no model path
-      if (!obj.modelPath) {
-        console.warn(`⚠️ Skipping GLTF object "${obj.name}" - no modelPath specified`);
+      // Skip if no asset path
+      if (!obj.asset) {
+        console.warn(`⚠️ Skipping GLTF object "${obj.name}" - no asset specified`);
         continue;
       }
       
       try {
-        const gltf = await loader.loadAsync(obj.modelPath);
+        const gltf = await loader.loadAsync(obj.asset);
         const model = gltf.scene;
         
         model.name = obj.name || 'GLTF Model';
-        model.position.set(...obj.position);
-        model.rotation.set(...obj.rotation);
-        model.scale.set(...obj.scale);
+        model.userData.sceneObjectId = obj.id;
+        model.position.set(...(transform.position || [0, 0, 0]));
+        model.rotation.set(...(transform.rotation || [0, 0, 0]));
+        model.scale.set(...(transform.scale || [1, 1, 1]));
         
         // Enable shadows
         model.traverse((child) => {
@@ -512,22 +567,84 @@ async function buildSceneFromData() {
         
         scene.add(model);
         
+        // Animation state machine authored in the editor
+        if (obj.animator && gltf.animations.length > 0) {
+          const mixer = new THREE.AnimationMixer(model);
+          const animator = new Animator(mixer, gltf.animations, obj.animator);
+          model.userData.animator = animator;
+          gameState.animated.push({ mixer, animator });
+        }
+        
         // Add physics if enabled
         if (obj.physics && obj.physics.enabled) {
           createPhysicsBody(model, obj.physics, obj.collisionFrames);
         }
       } catch (error) {
-        console.error(`Failed to load model: ${obj.modelPath}`, error);
+        console.error(`Failed to load model: ${obj.asset}`, error);
       }
-    } else if (obj.type === 'mesh' || obj.type === 'primitive') {
+    } else if (obj.type === 'primitive') {
       createMeshObject(obj);
+    } else if (obj.type === 'terrain') {
+      createTerrainObject(obj);
     }
   }
   
+  // Joints and moving platforms for the bodies created above
+  const findBody = id => scene.children.find(child => child.userData.sceneObjectId === id)?.userData.physicsBody;
+  createSceneConstraints(physicsWorld, startScene.objects, findBody);
+  movingPlatforms.addSceneObjects(startScene.objects, findBody);
+  
   console.log('✅ Scene loaded from scene.json');
 }
 
-// Load the default character (always present)
+// The scene's Player Character object becomes the player, driven by the character controller like
+// in editor play mode. Scenes without one get the default Soldier.
+async function loadPlayerCharacter() {
+  const playerObject = playerSceneObject();
+  if (!playerObject) {
+    await loadDefaultCharacter();
+    return;
+  }
+
+  const transform = playerObject.transform || {};
+  if (playerObject.type === 'gltf' && playerObject.asset) {
+    try {
+      const gltf = await new GLTFLoader().loadAsync(playerObject.asset);
+      const model = gltf.scene;
+      model.name = playerObject.name || 'Player';
+      model.userData.sceneObjectId = playerObject.id;
+      model.userData.isPlayer = true;
+      // The ground plane sits at y = -1 here (see createGround), so the player moves down with it
+      model.position.set(...(transform.position || [0, 0, 0]));
+      model.position.y -= 1;
+      model.rotation.set(...(transform.rotation || [0, 0, 0]));
+      model.scale.set(...(transform.scale || [1, 1, 1]));
+      model.traverse((child) => {
+        if (child.isMesh) {
+          child.castShadow = true;
+          child.receiveShadow = true;
+        }
+      });
+      scene.add(model);
+      setupCharacter(model, gltf, playerObject.collisionFrames);
+      console.log(`✅ Player character loaded: ${model.name}`);
+    } catch (error) {
+      console.error(`❌ Failed to load player character: ${playerObject.asset}`, error);
+      createCapsuleCharacter();
+    }
+  } else if (playerObject.type === 'primitive') {
+    const mesh = createPrimitiveMesh(playerObject);
+    mesh.userData.isPlayer = true;
+    scene.add(mesh);
+    setupCharacter(mesh, { animations: [] }, playerObject.collisionFrames);
+    console.log(`✅ Player character created: ${mesh.name}`);
+  } else {
+    console.warn(`⚠️ Player character "${playerObject.name}" can't be loaded, using a capsule`);
+    createCapsuleCharacter();
+  }
+}
+
+// Load the default character (scenes without a Player Character object)
 async function loadDefaultCharacter() {
   const loader = new GLTFLoader();
   try {
@@ -536,6 +653,7 @@ async function loadDefaultCharacter() {
     const model = gltf.scene;
     
     model.name = 'Player';
+    model.userData.isPlayer = true;
     model.position.set(0, -1.05, 0);
     model.scale.setScalar(1);
     
@@ -580,51 +698,54 @@ async function loadDefaultCharacter() {
 }
 
 function createMeshObject(objData) {
-  let geometry;
-  
-  // Determine geometry type from object name or explicit geometry field
-  let geometryType = objData.geometry || 'BoxGeometry';
+  const mesh = createPrimitiveMesh(objData);
+  scene.add(mesh);
   
-  // Try to infer from object name if not specified
-  if (!objData.geometry && objData.name) {
-    const nameLower = objData.name.toLowerCase();
-    if (nameLower.includes('sphere')) geometryType = 'SphereGeometry';
-    else if (nameLower.includes('cylinder')) geometryType = 'CylinderGeometry';
-    else if (nameLower.includes('cube') || nameLower.includes('box')) geometryType = 'BoxGeometry';
+  // Create physics bodies for collision
+  if (objData.physics && objData.physics.enabled) {
+    createPhysicsBody(mesh, objData.physics, objData.collisionFrames);
   }
+}
+
+// The mesh of a primitive scene object, standing on the ground
+function createPrimitiveMesh(objData) {
+  let geometry;
+  const params = objData.geometry || {};
+  const transform = objData.transform || {};
   
-  // Create geometry with parameters or defaults
-  switch (geometryType) {
-    case 'BoxGeometry':
-    case 'box':
-      const boxParams = objData.geometryParams || [1, 1, 1];
-      geometry = new THREE.BoxGeometry(...boxParams);
-      break;
-    case 'SphereGeometry':
+  // Create geometry from the primitive type with saved parameters or defaults
+  switch (objData.primitive) {
     case 'sphere':
-      const sphereParams = objData.geometryParams || [0.5, 32, 32];
-      geometry = new THREE.SphereGeometry(...sphereParams);
+      geometry = new THREE.SphereGeometry(params.radius || 0.5, params.widthSegments || 32, params.heightSegments || 32);
       break;
-    case 'CylinderGeometry':
     case 'cylinder':
-      const cylParams = objData.geometryParams || [0.5, 0.5, 1, 32];
-      geometry = new THREE.CylinderGeometry(...cylParams);
+      geometry = new THREE.CylinderGeometry(
+        params.radiusTop ?? 0.5,
+        params.radiusBottom ?? 0.5,
+        params.height || 1,
+        params.radialSegments || 32
+      );
+      break;
+    case 'plane':
+      geometry = new THREE.PlaneGeometry(params.width || 1, params.height || 1);
       break;
     default:
-      geometry = new THREE.BoxGeometry(1, 1, 1);
+      // box, cube, platform and solidPlatform are all boxes
+      geometry = new THREE.BoxGeometry(params.width || 1, params.height || 1, params.depth || 1);
   }
   
   const material = new THREE.MeshStandardMaterial({
-    color: objData.color || 0xcccccc,
-    roughness: 0.7,
-    metalness: 0.3
+    color: objData.material?.color ?? 0xcccccc,
+    roughness: objData.material?.roughness ?? 0.7,
+    metalness: objData.material?.metalness ?? 0.3
   });
   
   const mesh = new THREE.Mesh(geometry, material);
   mesh.name = objData.name || 'Mesh';
-  mesh.position.set(...objData.position);
-  mesh.rotation.set(...objData.rotation);
-  mesh.scale.set(...objData.scale);
+  mesh.userData.sceneObjectId = objData.id;
+  mesh.position.set(...(transform.position || [0, 0, 0]));
+  mesh.rotation.set(...(transform.rotation || [0, 0, 0]));
+  mesh.scale.set(...(transform.scale || [1, 1, 1]));
   mesh.castShadow = true;
   mesh.receiveShadow = true;
   
@@ -639,12 +760,54 @@ function createMeshObject(objData) {
     console.log(`   ⬆️ Adjusted Y position from 0 to ${mesh.position.y.toFixed(2)} (ground is at -1)`);
   }
   
+  return mesh;
+}
+
+// Terrain objects replace the flat ground. The ground plane sits at y = -1 here (see createGround),
+// so terrains move down with it and keep their place relative to the editor's ground.
+function createTerrainObject(objData) {
+  const transform = objData.transform || {};
+  const terrain = decodeTerrain(objData.terrain);
+  const mesh = createTerrainMesh(terrain);
+  mesh.name = objData.name || 'Terrain';
+  mesh.userData.sceneObjectId = objData.id;
+  mesh.position.set(...(transform.position || [0, 0, 0]));
+  mesh.position.y -= 1;
+  mesh.rotation.set(...(transform.rotation || [0, 0, 0]));
   scene.add(mesh);
-  
-  // Create physics bodies for collision
-  if (objData.physics && objData.physics.enabled) {
-    createPhysicsBody(mesh, objData.physics, objData.collisionFrames);
+  if (groundMesh) groundMesh.visible = false;
+
+  // Always a static heightfield, whatever else the physics settings say
+  const body = new CANNON.Body({
+    mass: 0,
+    type: CANNON.Body.STATIC,
+    material: physicsMaterials.get(objData.physics?.material)
+  });
+  addTerrainShape(body, terrain);
+  body.position.copy(mesh.position);
+  body.quaternion.copy(mesh.quaternion);
+  snapBody(body);
+  applyCollisionLayer(body, sceneData?.physics, objData.physics?.layer || 'World');
+  physicsWorld.addBody(body);
+  mesh.userData.physicsBody = body;
+
+  // The player starts at the origin; stand it on the terrain instead of inside it
+  const player = gameState.player;
+  if (player.body && player.object) {
+    mesh.updateMatrixWorld();
+    const local = mesh.worldToLocal(player.object.position.clone());
+    const height = terrainHeightAt(terrain, local.x, local.z);
+    if (height !== null) {
+      const top = mesh.position.y + height + 0.05;
+      if (player.body.position.y < top) {
+        player.body.position.y = top;
+        player.object.position.y = top;
+        snapBody(player.body);
+      }
+    }
   }
+
+  console.log(`⛰️ Terrain created: ${mesh.name} (${terrain.resolution}x${terrain.resolution}, ${terrain.size} units)`);
 }
 
 function createPhysicsBody(threeObject, physicsConfig, collisionFrames = null) {
@@ -655,61 +818,22 @@ function createPhysicsBody(threeObject, physicsConfig, collisionFrames = null) {
     // Create compound body
     const body = new CANNON.Body({ 
       mass: physicsConfig.isStatic ? 0 : (physicsConfig.mass || 1),
-      type: physicsConfig.isStatic ? CANNON.Body.STATIC : CANNON.Body.DYNAMIC
+      type: physicsConfig.isStatic ? CANNON.Body.STATIC : CANNON.Body.DYNAMIC,
+      material: physicsMaterials.get(physicsConfig.material)
     });
     
-    // Add each collision frame as a child shape (apply object's world scale)
-    collisionFrames.forEach((frame, index) => {
-      let shape;
-      const worldScale = threeObject.getWorldScale(new THREE.Vector3());
-
-      // Create shape based on frame type (scale sizes into world units)
-      if (frame.type === 'box') {
-        const halfSize = new CANNON.Vec3(
-          ((frame.size?.x || 1) * worldScale.x) / 2,
-          ((frame.size?.y || 1) * worldScale.y) / 2,
-          ((frame.size?.z || 1) * worldScale.z) / 2
-        );
-        shape = new CANNON.Box(halfSize);
-      } else if (frame.type === 'sphere') {
-        const maxScale = Math.max(worldScale.x, worldScale.y, worldScale.z);
-        shape = new CANNON.Sphere((frame.radius || 0.5) * maxScale);
-      } else if (frame.type === 'capsule') {
-        // Use cylinder for capsule approximation; scale radius/height
-        const radius = (frame.radius || 0.5) * Math.max(worldScale.x, worldScale.z);
-        const height = ((frame.size?.y || 2) * worldScale.y) - (2 * radius);
-        shape = new CANNON.Cylinder(radius, radius, Math.max(height, 0.01), 8);
-      }
-
-      if (shape) {
-        // Apply frame position and rotation offsets (scale positional offset)
-        const framePos = new CANNON.Vec3(
-          (frame.position?.x || 0) * worldScale.x,
-          (frame.position?.y || 0) * worldScale.y,
-          (frame.position?.z || 0) * worldScale.z
-        );
-        
-        const frameQuat = new CANNON.Quaternion();
-        if (frame.rotation) {
-          // Stored rotations in editor are degrees — convert to radians for cannon
-          const toRad = Math.PI / 180;
-          frameQuat.setFromEuler(
-            (frame.rotation.x || 0) * toRad,
-            (frame.rotation.y || 0) * toRad,
-            (frame.rotation.z || 0) * toRad
-          );
-        }
-
-        body.addShape(shape, framePos, frameQuat);
-        console.log(`  Added ${frame.type} shape ${index + 1} at position:`, framePos);
-      }
-    });
+    // Same shapes and centre of mass as the editor's compound bodies (physicsCompound.js)
+    const worldScale = threeObject.getWorldScale(new THREE.Vector3());
+    const count = addCompoundFrames(body, collisionFrames, worldScale, { centerOfMass: !physicsConfig.isStatic });
+    console.log(`  Added ${count} collision frame shape(s)`);
     
     // Position the compound body
-    body.position.copy(threeObject.position);
     body.quaternion.copy(threeObject.quaternion);
+    bodyPositionForObject(body, threeObject.position, threeObject.quaternion, body.position);
+    applyCollisionLayer(body, sceneData?.physics, objectLayer(physicsConfig));
     
     physicsWorld.addBody(body);
+    if (physicsConfig.ccd) continuousCollision.add(body, physicsConfig.ccdRadius);
     threeObject.userData.physicsBody = body;
     
     console.log(`✅ Created compound physics body for ${threeObject.name} (${physicsConfig.isStatic ? 'STATIC' : 'DYNAMIC'})`);
@@ -730,7 +854,7 @@ function createPhysicsBody(threeObject, physicsConfig, collisionFrames = null) {
   
   // Create shape based on bodyType
   let shape;
-  if (physicsConfig.bodyType === 'box' || !physicsConfig.bodyType) {
+  if (!physicsConfig.bodyType || ['box', 'platform', 'solidPlatform'].includes(physicsConfig.bodyType)) {
     shape = new CANNON.Box(new CANNON.Vec3(size.x, size.y, size.z));
   } else if (physicsConfig.bodyType === 'sphere') {
     const radius = Math.max(size.x, size.y, size.z);
@@ -743,13 +867,22 @@ function createPhysicsBody(threeObject, physicsConfig, collisionFrames = null) {
   const body = new CANNON.Body({ 
     mass: physicsConfig.isStatic ? 0 : (physicsConfig.mass || 1),
     shape: shape,
-    type: physicsConfig.isStatic ? CANNON.Body.STATIC : CANNON.Body.DYNAMIC
+    type: physicsConfig.isStatic ? CANNON.Body.STATIC : CANNON.Body.DYNAMIC,
+    material: physicsMaterials.get(physicsConfig.material)
   });
+  if (physicsConfig.bodyType === 'capsule') {
+    // Upright capsule filling the size (half extents here)
+    addCapsuleShapes(body, Math.min(size.x, size.z), size.y * 2);
+  }
+  // Trigger zones ('platform' bodies included, like in the editor) let objects pass through
+  if (physicsConfig.isTrigger || physicsConfig.bodyType === 'platform') body.collisionResponse = false;
   
   body.position.copy(threeObject.position);
   body.quaternion.copy(threeObject.quaternion);
+  applyCollisionLayer(body, sceneData?.physics, objectLayer(physicsConfig));
   
   physicsWorld.addBody(body);
+  if (physicsConfig.ccd) continuousCollision.add(body, physicsConfig.ccdRadius);
   
   // Store reference for syncing
   threeObject.userData.physicsBody = body;
@@ -761,6 +894,18 @@ function createPhysicsBody(threeObject, physicsConfig, collisionFrames = null) {
 // CHARACTER CONTROLLER
 // =====================================================
 
+// Character settings of the scene's player object (moveSpeed, maxSlope, stepHeight, ...), over the
+// defaults in CONFIG.character
+function playerCharacterSettings() {
+  return { ...CONFIG.character, ...playerSceneObject()?.characterSettings };
+}
+
+// The start scene's object flagged as the player
+function playerSceneObject() {
+  const startScene = sceneData ? getStartScene(sceneData) : null;
+  return startScene?.objects?.find(obj => obj.isPlayer) || null;
+}
+
 function createCapsuleCharacter() {
   // Create a simple capsule as fallback character
   const capsuleGeometry = new THREE.CapsuleGeometry(
@@ -772,27 +917,28 @@ function createCapsuleCharacter() {
   const capsuleMaterial = new THREE.MeshStandardMaterial({ color: 0x4ade80 });
   const capsule = new THREE.Mesh(capsuleGeometry, capsuleMaterial);
   capsule.castShadow = true;
+  capsule.userData.isPlayer = true;
   capsule.position.y = CONFIG.character.capsuleHeight / 2 + CONFIG.character.capsuleRadius;
   
   scene.add(capsule);
   gameState.player.object = capsule;
   
-  // Create physics body
-  const shape = new CANNON.Cylinder(
-    CONFIG.character.capsuleRadius,
-    CONFIG.character.capsuleRadius,
-    CONFIG.character.capsuleHeight,
-    8
-  );
+  // Create physics body (CapsuleGeometry's height is the straight part, add the two caps)
   const body = new CANNON.Body({
     mass: 1,
-    shape: shape,
     linearDamping: 0.9,
     angularDamping: 0.99
   });
+  addCapsuleShapes(
+    body,
+    CONFIG.character.capsuleRadius,
+    CONFIG.character.capsuleHeight + CONFIG.character.capsuleRadius * 2
+  );
   body.position.y = CONFIG.character.capsuleHeight / 2 + CONFIG.character.capsuleRadius;
+  applyCollisionLayer(body, sceneData?.physics, 'Player');
   physicsWorld.addBody(body);
   gameState.player.body = body;
+  gameState.player.motor = characterMotors.add(body, playerCharacterSettings());
   
   console.log('🤖 Capsule character created');
 }
@@ -809,11 +955,14 @@ function setupCharacter(model, gltf, collisionFrames = null) {
       gameState.player.actions[clip.name.toLowerCase()] = action;
     });
     
-    // Play idle animation
-    const idleAction = gameState.player.actions['idle'];
-    if (idleAction) {
-      idleAction.play();
-    }
+    // The player's animator from the editor, or idle/walk/run locomotion from the clip names
+    const settings = playerCharacterSettings();
+    const data = playerSceneObject()?.animator || createAnimatorData(gltf.animations.map(clip => clip.name), {
+      walkSpeed: settings.moveSpeed,
+      runSpeed: settings.runSpeed
+    });
+    gameState.player.animator = new Animator(gameState.player.mixer, gltf.animations, data);
+    console.log(`🎞️ Player animator starts in ${gameState.player.animator.stateName}`);
   }
 
   // Create physics body for character - MATCH EDITOR'S APPROACH
@@ -827,50 +976,8 @@ function setupCharacter(model, gltf, collisionFrames = null) {
   if (collisionFrames && collisionFrames.length > 0) {
     console.log(`🎮 Creating character physics body with ${collisionFrames.length} collision frames`);
     
-    // Add each collision frame as a child shape (just like the editor does)
-    collisionFrames.forEach((frame, index) => {
-      let shape;
-      
-      // Create shape based on frame type
-      if (frame.type === 'box') {
-        shape = new CANNON.Box(new CANNON.Vec3(
-          (frame.size?.x || 1) / 2,
-          (frame.size?.y || 1) / 2, 
-          (frame.size?.z || 1) / 2
-        ));
-      } else if (frame.type === 'sphere') {
-        shape = new CANNON.Sphere(frame.radius || 0.5);
-      } else if (frame.type === 'cylinder') {
-        shape = new CANNON.Cylinder(
-          frame.radius || 0.5,
-          frame.radius || 0.5,
-          frame.height || 1,
-          8
-        );
-      }
-      
-      if (shape) {
-        // Frame position is RELATIVE to the body (model origin)
-        const framePos = new CANNON.Vec3(
-          frame.position?.x || 0,
-          frame.position?.y || 0,
-          frame.position?.z || 0
-        );
-        
-        const frameQuat = new CANNON.Quaternion();
-        if (frame.rotation) {
-          frameQuat.setFromEuler(
-            (frame.rotation.x || 0) * Math.PI / 180,
-            (frame.rotation.y || 0) * Math.PI / 180,
-            (frame.rotation.z || 0) * Math.PI / 180
-          );
-        }
-        
-        // Add shape as child with offset
-        body.addShape(shape, framePos, frameQuat);
-        console.log(`  ✅ Added ${frame.type} shape ${index + 1} at offset (${framePos.x}, ${framePos.y}, ${framePos.z})`);
-      }
-    });
+    // Frame shapes around the model origin (fixed rotation, so no centre of mass shift)
+    addCompoundFrames(body, collisionFrames);
   } else {
     console.log('🎮 Creating default character physics body (capsule)');
     
@@ -882,17 +989,21 @@ function setupCharacter(model, gltf, collisionFrames = null) {
     const capsuleRadius = Math.min(size.x, size.z) * 0.45;
     const capsuleHeight = size.y * 0.90;
     
-    const shape = new CANNON.Cylinder(capsuleRadius, capsuleRadius, capsuleHeight, 8);
-    body.addShape(shape);
+    // The body sits at the model's origin (the feet of a rigged character, the centre of a
+    // primitive), so move the capsule until its bottom touches the model's bottom
+    const bottom = bbox.min.y - model.position.y;
+    addCapsuleShapes(body, capsuleRadius, capsuleHeight, new CANNON.Vec3(0, bottom + capsuleHeight / 2, 0));
   }
   
   // Position physics body at MODEL's position (shapes are offset from here)
   // This matches how the editor does it
   body.position.copy(model.position);
   body.updateMassProperties();
+  applyCollisionLayer(body, sceneData?.physics, 'Player');
   
   physicsWorld.addBody(body);
   gameState.player.body = body;
+  gameState.player.motor = characterMotors.add(body, playerCharacterSettings());
   
   console.log(`🎮 Character physics body at (${body.position.x}, ${body.position.y}, ${body.position.z})`);
   console.log('🎮 Character controller setup complete');
@@ -902,41 +1013,18 @@ function setupCharacter(model, gltf, collisionFrames = null) {
 // INPUT HANDLING
 // =====================================================
 function setupInput() {
-  // Keyboard
+  // Movement keys and mouse look are handled by the character controller (createController)
   document.addEventListener('keydown', (e) => {
-    gameState.keys[e.code] = true;
-    
     // Toggle controls info
     if (e.code === 'KeyH') {
       const info = document.getElementById('controls-info');
       info.classList.toggle('hidden');
     }
-    
-    // Only prevent default for game control keys
-    if (['KeyW', 'KeyA', 'KeyS', 'KeyD', 'Space', 'ShiftLeft', 'ShiftRight'].includes(e.code)) {
-      e.preventDefault();
-    }
-  });
-  
-  document.addEventListener('keyup', (e) => {
-    gameState.keys[e.code] = false;
-  });
-  
-  // Mouse for camera
-  document.addEventListener('mousemove', (e) => {
-    if (document.pointerLockElement === document.body) {
-      gameState.camera.yaw -= e.movementX * CONFIG.camera.sensitivity;
-      gameState.camera.pitch -= e.movementY * CONFIG.camera.sensitivity;
-      gameState.camera.pitch = Math.max(
-        -CONFIG.camera.pitchLimit,
-        Math.min(CONFIG.camera.pitchLimit, gameState.camera.pitch)
-      );
-    }
   });
   
   // Pointer lock
   document.body.addEventListener('click', () => {
-    if (gameState.isRunning && !document.pointerLockElement) {
+    if (gameState.isRunning && !document.pointerLockElement && gameState.player.controller?.usesMouseLook()) {
       document.body.requestPointerLock();
     }
   });
@@ -947,122 +1035,50 @@ function setupInput() {
 // =====================================================
 // GAME LOOP
 // =====================================================
-function updateCharacter(delta) {
+// The controller for the player object, with the scene's character settings over CONFIG
+function createController() {
   const player = gameState.player;
-  if (!player.object || !player.body) return;
-  
-  // Ground check with camera set for raycaster
-  const raycaster = new THREE.Raycaster(
-    new THREE.Vector3(player.object.position.x, player.object.position.y + 0.1, player.object.position.z),
-    new THREE.Vector3(0, -1, 0)
-  );
-  raycaster.camera = camera; // Set camera for sprite raycasting
-  
-  // Filter out sprites and helpers from raycast
-  const hits = raycaster.intersectObjects(scene.children, true).filter(h => 
-    h.object.type !== 'Sprite' && 
-    !h.object.name.includes('Helper') &&
-    h.object.type !== 'LineSegments'
-  );
-  player.isGrounded = hits.some(h => h.distance < 0.3);
-  
-  // Get input direction (reversed for correct forward/backward)
-  const moveDir = new THREE.Vector2();
-  if (gameState.keys['KeyW']) moveDir.y -= 1;  // Forward (inverted)
-  if (gameState.keys['KeyS']) moveDir.y += 1;  // Backward (inverted)
-  if (gameState.keys['KeyA']) moveDir.x -= 1;
-  if (gameState.keys['KeyD']) moveDir.x += 1;
-  if (moveDir.length() > 0) moveDir.normalize();
-  
-  // Calculate movement
-  const isRunning = gameState.keys['ShiftLeft'] || gameState.keys['ShiftRight'];
-  const speed = isRunning ? CONFIG.character.runSpeed : CONFIG.character.moveSpeed;
-  
-  const moveX = (Math.sin(gameState.camera.yaw) * moveDir.y + Math.cos(gameState.camera.yaw) * moveDir.x) * speed * delta;
-  const moveZ = (Math.cos(gameState.camera.yaw) * moveDir.y - Math.sin(gameState.camera.yaw) * moveDir.x) * speed * delta;
-  
-  // Apply movement
-  player.object.position.x += moveX;
-  player.object.position.z += moveZ;
-  
-  // Rotate player (add Math.PI to make character face forward)
-  if (moveDir.length() > 0) {
-    const targetAngle = Math.atan2(moveX, moveZ) + Math.PI;
-    player.object.rotation.y = THREE.MathUtils.lerp(player.object.rotation.y, targetAngle, 0.15);
-  }
-  
-  // Sync physics body
-  player.body.position.x = player.object.position.x;
-  player.body.position.z = player.object.position.z;
-  player.body.velocity.x = 0;
-  player.body.velocity.z = 0;
-  
-  // Jump
-  if ((gameState.keys['Space']) && player.isGrounded) {
-    player.body.velocity.y = CONFIG.character.jumpForce;
-    gameState.keys['Space'] = false;
+  const object = findPlayer(scene);
+  if (!object) {
+    console.warn('⚠️ No player character to control');
+    return;
   }
-  
-  // Update player Y from physics
-  // Body position = model position (shapes are offset from body center)
-  player.object.position.y = player.body.position.y;
-  
-  // Animation
-  if (player.mixer) {
-    let animName = 'idle';
-    if (moveDir.length() > 0) {
-      animName = isRunning ? 'run' : 'walk';
+  player.controller = new CharacterController({
+    player: object,
+    camera,
+    motor: player.motor,
+    animator: player.animator,
+    settings: {
+      cameraDistance: CONFIG.camera.distance,
+      cameraHeight: CONFIG.camera.height,
+      sensitivity: CONFIG.camera.sensitivity,
+      pitchLimit: CONFIG.camera.pitchLimit,
+      ...playerCharacterSettings()
     }
-    
-    playAnimation(animName);
-    player.mixer.update(delta);
-  }
-  
-  // Update camera
-  updateCamera();
+  });
+  console.log(`🎮 Character controller ready (${player.controller.mode})`);
 }
 
-function playAnimation(animName) {
+function updateCharacter(delta) {
   const player = gameState.player;
-  const actions = player.actions;
+  if (!player.object || !player.controller) return;
   
-  let targetAction = actions[animName] || actions[animName.toLowerCase()];
-  if (!targetAction && Object.keys(actions).length > 0) {
-    targetAction = actions[Object.keys(actions)[0]];
-  }
+  // Place the player between the last two physics states like the other bodies
+  // Body position = model position (shapes are offset from body center)
+  if (player.body) physicsTimestep.interpolate(player.body, player.object.position, null);
   
-  if (targetAction && player.currentAction !== animName) {
-    const currentAction = actions[player.currentAction];
-    if (currentAction) currentAction.fadeOut(0.2);
-    
-    if (animName === 'run') targetAction.timeScale = 1.5;
-    else targetAction.timeScale = 1.0;
-    
-    targetAction.reset().fadeIn(0.2).play();
-    player.currentAction = animName;
-  }
+  // Input for the next physics steps, facing, animation and camera
+  player.controller.update(delta);
+  if (player.animator) player.animator.update(delta);
+  if (player.mixer) player.mixer.update(delta);
 }
 
-function updateCamera() {
-  const player = gameState.player;
-  if (!player.object) return;
-  
-  const camOffset = new THREE.Vector3(
-    Math.sin(gameState.camera.yaw) * CONFIG.camera.distance,
-    CONFIG.camera.height,
-    Math.cos(gameState.camera.yaw) * CONFIG.camera.distance
-  );
-  
-  camera.position.copy(player.object.position).add(camOffset);
-  
-  // Look at character with pitch adjustment
-  const lookTarget = new THREE.Vector3(
-    player.object.position.x - Math.sin(gameState.camera.yaw) * 1,
-    player.object.position.y + 1.2 + Math.tan(gameState.camera.pitch) * CONFIG.camera.distance,
-    player.object.position.z - Math.cos(gameState.camera.yaw) * 1
-  );
-  
-  camera.lookAt(lookTarget);
+// The other animated models: state machines first, then their mixers
+function updateAnimated(delta) {
+  gameState.animated.forEach(({ mixer, animator }) => {
+    animator.update(delta);
+    mixer.update(delta);
+  });
 }
 
 let lastTime = 0;
@@ -1088,17 +1104,16 @@ function gameLoop() {
     fpsTime = 0;
   }
   
-  // Update physics
-  physicsWorld.step(CONFIG.physics.timeStep);
+  // Update physics in fixed steps for the time this frame took
+  physicsTimestep.step(physicsWorld, delta);
   
-  // Sync physics bodies with visual meshes (for scene objects)
+  // Sync physics bodies with visual meshes (for scene objects), between the last two physics states
   scene.traverse((object) => {
     if (object.userData.physicsBody && object !== gameState.player.object) {
       const body = object.userData.physicsBody;
-      // Only sync dynamic bodies (not static, not the player)
-      if (body.type === CANNON.Body.DYNAMIC) {
-        object.position.copy(body.position);
-        object.quaternion.copy(body.quaternion);
+      // Only sync moving bodies (not static, not the player)
+      if (body.type !== CANNON.Body.STATIC) {
+        physicsTimestep.interpolate(body, object.position, object.quaternion);
       }
     }
   });
@@ -1112,6 +1127,7 @@ function gameLoop() {
   
   // Update character
   updateCharacter(delta);
+  updateAnimated(delta);
   
   // Render with post-processing
   composer.render();
@@ -1127,7 +1143,14 @@ async function init() {
   setupInput();
   
   await loadSceneData();
+  // Broadphase and step rate chosen in the editor's project settings
+  applyBroadphase(physicsWorld, sceneData?.physics);
+  physicsTimestep.configure(sceneData?.physics);
+  physicsMaterials.configure(sceneData?.physics?.materials);
+  // The ground was put on its layer before the project's layer table was loaded
+  physicsWorld.bodies.forEach(body => applyCollisionLayer(body, sceneData?.physics, body.collisionLayer));
   await buildSceneFromData();
+  createController();
   
   // Setup post-processing from scene data
   if (sceneData && sceneData.postProcessing) {
@@ -1155,7 +1178,9 @@ async function init() {
 function startGame() {
   gameState.isRunning = true;
   lastTime = performance.now();
-  document.body.requestPointerLock();
+  physicsTimestep.reset();
+  gameState.player.controller?.attach(document);
+  if (gameState.player.controller?.usesMouseLook()) document.body.requestPointerLock();
   gameLoop();
   console.log('🎮 Game started!');
 }
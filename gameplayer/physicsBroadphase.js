@@ -0,0 +1,288 @@
+// =====================================================
+// GD3D PHYSICS BROADPHASE
+// =====================================================
+// Broadphase selection and the Trimesh BVH, shared by the editor's PhysicsWorld,
+// the RuntimePlayer's PhysicsEngine and this game player.
+//
+// The broadphase is a project setting (`physics.broadphase` in the scene file):
+//   naive - test every pair of bodies, O(n²); fine for a few dozen bodies
+//   sap   - sweep and prune along one axis ('auto' picks the axis with the most spread)
+//   grid  - uniform grid fitted to the bodies every step; best for large, evenly spread levels
+
+import * as CANNON from 'cannon-es';
+import { DEFAULT_TIMESTEP_SETTINGS } from './physicsTimestep.js';
+import { DEFAULT_PHYSICS_MATERIALS } from './physicsMaterials.js';
+import { DEFAULT_COLLISION_LAYERS, DEFAULT_COLLISION_MATRIX } from './physicsLayers.js';
+
+export const BROADPHASE_TYPES = ['naive', 'sap', 'grid'];
+
+export const DEFAULT_PHYSICS_SETTINGS = {
+  broadphase: 'sap',
+  sapAxis: 'auto',
+  gridDivisions: { x: 10, y: 4, z: 10 },
+  // Fixed step length and per-frame cap, see physicsTimestep.js
+  ...DEFAULT_TIMESTEP_SETTINGS,
+  // Named surface materials, see physicsMaterials.js
+  materials: DEFAULT_PHYSICS_MATERIALS,
+  // Named collision layers and which of them collide, see physicsLayers.js
+  layers: DEFAULT_COLLISION_LAYERS,
+  collisionMatrix: DEFAULT_COLLISION_MATRIX
+};
+
+const SAP_AXES = { x: 0, y: 1, z: 2 };
+
+// Grid broadphase whose bounds follow the bodies, so levels don't need hand-tuned extents.
+// Bodies outside the bounds are clamped into the edge cells by cannon's GridBroadphase.
+class FittedGridBroadphase extends CANNON.GridBroadphase {
+  collisionPairs(world, pairs1, pairs2) {
+    const min = this.aabbMin.set(Infinity, Infinity, Infinity);
+    const max = this.aabbMax.set(-Infinity, -Infinity, -Infinity);
+
+    world.bodies.forEach((body) => {
+      // Unbounded shapes (planes) only contribute their origin so the cells next to them exist
+      const r = Number.isFinite(body.boundingRadius) && body.boundingRadius < 1e6 ? body.boundingRadius : 1;
+      const p = body.position;
+      min.set(Math.min(min.x, p.x - r), Math.min(min.y, p.y - r), Math.min(min.z, p.z - r));
+      max.set(Math.max(max.x, p.x + r), Math.max(max.y, p.y + r), Math.max(max.z, p.z + r));
+    });
+
+    if (min.x > max.x) {
+      min.set(-1, -1, -1);
+      max.set(1, 1, 1);
+    }
+    // Keep every axis non-degenerate (a flat level still needs a height)
+    max.set(Math.max(max.x, min.x + 1), Math.max(max.y, min.y + 1), Math.max(max.z, min.z + 1));
+
+    return super.collisionPairs(world, pairs1, pairs2);
+  }
+
+  // Bodies spanning several cells are reported once per cell. cannon-es 0.20's makePairsUnique
+  // only walks half of its key list and leaves stale keys behind, which later yields undefined pairs.
+  makePairsUnique(pairs1, pairs2) {
+    const seen = new Set();
+    const unique1 = [];
+    const unique2 = [];
+    for (let i = 0; i < pairs1.length; i++) {
+      const a = pairs1[i].id;
+      const b = pairs2[i].id;
+      const key = a < b ? `${a},${b}` : `${b},${a}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      unique1.push(pairs1[i]);
+      unique2.push(pairs2[i]);
+    }
+    pairs1.length = 0;
+    pairs2.length = 0;
+    pairs1.push(...unique1);
+    pairs2.push(...unique2);
+  }
+}
+
+// Replace the world's broadphase according to the project's physics settings
+export function applyBroadphase(world, settings = {}) {
+  const options = { ...DEFAULT_PHYSICS_SETTINGS, ...settings };
+  const previous = world.broadphase;
+
+  // A SAP broadphase listens to the world for added/removed bodies - unhook it
+  if (previous instanceof CANNON.SAPBroadphase) {
+    world.removeEventListener('addBody', previous._addBodyHandler);
+    world.removeEventListener('removeBody', previous._removeBodyHandler);
+  }
+
+  let broadphase;
+  switch (options.broadphase) {
+    case 'sap':
+      broadphase = new CANNON.SAPBroadphase(world);
+      if (options.sapAxis in SAP_AXES) {
+        broadphase.axisIndex = SAP_AXES[options.sapAxis];
+      } else if (world.bodies.length > 0) {
+        broadphase.autoDetectAxis();
+      }
+      break;
+    case 'grid': {
+      const divisions = { ...DEFAULT_PHYSICS_SETTINGS.gridDivisions, ...(options.gridDivisions || {}) };
+      broadphase = new FittedGridBroadphase(
+        new CANNON.Vec3(-1, -1, -1),
+        new CANNON.Vec3(1, 1, 1),
+        Math.max(1, Math.round(divisions.x)),
+        Math.max(1, Math.round(divisions.y)),
+        Math.max(1, Math.round(divisions.z))
+      );
+      break;
+    }
+    default:
+      broadphase = new CANNON.NaiveBroadphase();
+  }
+
+  broadphase.setWorld(world);
+  world.broadphase = broadphase;
+  world.broadphaseSettings = options;
+  return broadphase;
+}
+
+// Re-pick the SAP axis after the set of bodies changed (only when the axis is 'auto')
+export function refreshBroadphase(world) {
+  const broadphase = world.broadphase;
+  if (broadphase instanceof CANNON.SAPBroadphase && world.broadphaseSettings?.sapAxis === 'auto' && broadphase.axisList.length > 0) {
+    broadphase.autoDetectAxis();
+  }
+}
+
+// =====================================================
+// TRIMESH BVH
+// =====================================================
+// Bounding volume hierarchy over the triangles of a CANNON.Trimesh. It replaces the
+// shape's octree (`shape.tree`) and answers the same aabbQuery / rayQuery calls the
+// narrowphase and raycasts make, but only returns triangles whose own bounds are hit.
+// Built in the unscaled mesh frame, like the octree it replaces.
+
+const LEAF_SIZE = 4;
+const tmpVertex = new CANNON.Vec3();
+const localFrom = new CANNON.Vec3();
+const localTo = new CANNON.Vec3();
+
+export class TrimeshBVH {
+  constructor(trimesh) {
+    this.trimesh = trimesh;
+    this.nodes = [];
+    this.build();
+  }
+
+  // (Re)build the hierarchy from the trimesh's triangles
+  build() {
+    const mesh = this.trimesh;
+    const count = mesh.indices.length / 3;
+    this.triangleBounds = new Float64Array(count * 6);
+    this.triangles = new Uint32Array(count);
+    this.nodes = [];
+
+    for (let i = 0; i < count; i++) {
+      let minX = Infinity, minY = Infinity, minZ = Infinity;
+      let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+      for (let k = 0; k < 3; k++) {
+        mesh._getUnscaledVertex(mesh.indices[i * 3 + k], tmpVertex);
+        minX = Math.min(minX, tmpVertex.x); maxX = Math.max(maxX, tmpVertex.x);
+        minY = Math.min(minY, tmpVertex.y); maxY = Math.max(maxY, tmpVertex.y);
+        minZ = Math.min(minZ, tmpVertex.z); maxZ = Math.max(maxZ, tmpVertex.z);
+      }
+      this.triangleBounds.set([minX, minY, minZ, maxX, maxY, maxZ], i * 6);
+      this.triangles[i] = i;
+    }
+
+    if (count > 0) this.buildNode(0, count);
+  }
+
+  // Node layout: { min: [x,y,z], max: [x,y,z], start, end, left, right } - leaves have left === -1
+  buildNode(start, end) {
+    const bounds = this.triangleBounds;
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    const centroidMin = [Infinity, Infinity, Infinity];
+    const centroidMax = [-Infinity, -Infinity, -Infinity];
+
+    for (let i = start; i < end; i++) {
+      const o = this.triangles[i] * 6;
+      for (let axis = 0; axis < 3; axis++) {
+        min[axis] = Math.min(min[axis], bounds[o + axis]);
+        max[axis] = Math.max(max[axis], bounds[o + 3 + axis]);
+        const c = (bounds[o + axis] + bounds[o + 3 + axis]) * 0.5;
+        centroidMin[axis] = Math.min(centroidMin[axis], c);
+        centroidMax[axis] = Math.max(centroidMax[axis], c);
+      }
+    }
+
+    const index = this.nodes.length;
+    const node = { min, max, start, end, left: -1, right: -1 };
+    this.nodes.push(node);
+    if (end - start <= LEAF_SIZE) return index;
+
+    // Split at the median along the axis where the triangle centroids spread most
+    const extents = [0, 1, 2].map(axis => centroidMax[axis] - centroidMin[axis]);
+    const axis = extents.indexOf(Math.max(...extents));
+    if (extents[axis] <= 0) return index;
+
+    const centroid = (t) => bounds[t * 6 + axis] + bounds[t * 6 + 3 + axis];
+    const sorted = Array.from(this.triangles.subarray(start, end)).sort((a, b) => centroid(a) - centroid(b));
+    this.triangles.set(sorted, start);
+
+    const mid = (start + end) >> 1;
+    node.left = this.buildNode(start, mid);
+    node.right = this.buildNode(mid, end);
+    return index;
+  }
+
+  // Walk the tree and push every triangle whose bounds pass `test(minX, minY, minZ, maxX, maxY, maxZ)`.
+  // The same test prunes the nodes on the way down.
+  query(test, result) {
+    if (this.nodes.length === 0) return result;
+    const b = this.triangleBounds;
+    const stack = [0];
+    while (stack.length) {
+      const node = this.nodes[stack.pop()];
+      const { min, max } = node;
+      if (!test(min[0], min[1], min[2], max[0], max[1], max[2])) continue;
+      if (node.left === -1) {
+        for (let i = node.start; i < node.end; i++) {
+          const o = this.triangles[i] * 6;
+          if (test(b[o], b[o + 1], b[o + 2], b[o + 3], b[o + 4], b[o + 5])) result.push(this.triangles[i]);
+        }
+      } else {
+        stack.push(node.left, node.right);
+      }
+    }
+    return result;
+  }
+
+  // Triangles whose bounds overlap an AABB given in the unscaled mesh frame (Octree API)
+  aabbQuery(aabb, result) {
+    const l = aabb.lowerBound;
+    const u = aabb.upperBound;
+    const overlaps = (minX, minY, minZ, maxX, maxY, maxZ) => (
+      minX <= u.x && maxX >= l.x &&
+      minY <= u.y && maxY >= l.y &&
+      minZ <= u.z && maxZ >= l.z
+    );
+    return this.query(overlaps, result);
+  }
+
+  // Triangles whose bounds are crossed by a CANNON.Ray segment (Octree API).
+  // treeTransform is the body's transform; the segment is moved into the unscaled mesh frame.
+  rayQuery(ray, treeTransform, result) {
+    const scale = this.trimesh.scale;
+    CANNON.Transform.pointToLocalFrame(treeTransform.position, treeTransform.quaternion, ray.from, localFrom);
+    CANNON.Transform.pointToLocalFrame(treeTransform.position, treeTransform.quaternion, ray.to, localTo);
+    const from = [localFrom.x / scale.x, localFrom.y / scale.y, localFrom.z / scale.z];
+    const dir = [localTo.x / scale.x - from[0], localTo.y / scale.y - from[1], localTo.z / scale.z - from[2]];
+
+    // Slab test of the segment from + t * dir, t in [0, 1]
+    const crosses = (minX, minY, minZ, maxX, maxY, maxZ) => {
+      const min = [minX, minY, minZ];
+      const max = [maxX, maxY, maxZ];
+      let tMin = 0;
+      let tMax = 1;
+      for (let axis = 0; axis < 3; axis++) {
+        if (Math.abs(dir[axis]) < 1e-12) {
+          if (from[axis] < min[axis] || from[axis] > max[axis]) return false;
+          continue;
+        }
+        let t0 = (min[axis] - from[axis]) / dir[axis];
+        let t1 = (max[axis] - from[axis]) / dir[axis];
+        if (t0 > t1) [t0, t1] = [t1, t0];
+        tMin = Math.max(tMin, t0);
+        tMax = Math.min(tMax, t1);
+        if (tMin > tMax) return false;
+      }
+      return true;
+    };
+    return this.query(crosses, result);
+  }
+}
+
+// Give a Trimesh shape a BVH instead of its octree; it is rebuilt whenever cannon rebuilds the tree
+export function attachTrimeshBVH(trimesh) {
+  trimesh.tree = new TrimeshBVH(trimesh);
+  trimesh.updateTree = function updateTree() {
+    this.tree.build();
+  };
+  return trimesh.tree;
+}
@@ -0,0 +1,89 @@
+// =====================================================
+// GD3D CONTINUOUS COLLISION DETECTION
+// =====================================================
+// Opt-in CCD for small fast bodies (projectiles, falling debris), shared by the editor's
+// PhysicsWorld, the RuntimePlayer's PhysicsEngine and this game player.
+//
+// cannon-es only tests bodies where they are at the end of each step, so a body that moves further
+// than its own size in one step can skip over a thin box or a Trimesh ground. After every step,
+// each CCD body that moved more than its radius sweeps a sphere (see physicsQueries.js sphereCast)
+// from where it was to where it ended up. If the sphere hits something on the way, the body is
+// moved back to the point of impact and its velocity into the surface is bounced with the pair's
+// restitution (cannon's soft contacts can't stop a very fast body in a single step). The next
+// step's narrowphase then sees the contact, so friction and contact events work as normal.
+//
+// Objects opt in with `physics.ccd`; `physics.ccdRadius` sets the swept sphere's radius (default:
+// half the body's smallest extent, so the sweep never reports hits the real shape wouldn't have).
+
+import * as CANNON from 'cannon-es';
+import { sphereCast, overlapSphere } from './physicsQueries.js';
+
+// Sweep radius for a body without an explicit one
+export function defaultCCDRadius(body) {
+  const sphere = body.shapes.length === 1 && body.shapes[0] instanceof CANNON.Sphere ? body.shapes[0] : null;
+  if (sphere) return sphere.radius;
+  body.updateAABB();
+  const { lowerBound: min, upperBound: max } = body.aabb;
+  return Math.max(Math.min(max.x - min.x, max.y - min.y, max.z - min.z) / 2, 0.01);
+}
+
+export class ContinuousCollision {
+  constructor(world) {
+    this.world = world;
+    this.bodies = new Map(); // body -> sweep radius
+    this.update = this.update.bind(this);
+    world.addEventListener('postStep', this.update);
+  }
+
+  // radius: sweep sphere radius (see the header for the default)
+  add(body, radius) {
+    if (!body) return;
+    this.bodies.set(body, radius > 0 ? radius : defaultCCDRadius(body));
+  }
+
+  remove(body) {
+    this.bodies.delete(body);
+  }
+
+  clear() {
+    this.bodies.clear();
+  }
+
+  dispose() {
+    this.clear();
+    this.world.removeEventListener('postStep', this.update);
+  }
+
+  // Runs after every physics step. body.previousPosition is where the step started.
+  update() {
+    this.bodies.forEach((radius, body) => {
+      if (body.type !== CANNON.Body.DYNAMIC || body.sleepState === CANNON.Body.SLEEPING) return;
+      const from = body.previousPosition;
+      const travel = body.position.distanceTo(from);
+      // Slow enough for the regular narrowphase
+      if (travel <= radius) return;
+
+      const options = { mask: body.collisionFilterMask, group: body.collisionFilterGroup, exclude: [body] };
+      // Whatever it already touched at the start is the narrowphase's business
+      overlapSphere(this.world, from, radius, options).forEach(hit => options.exclude.push(hit.body));
+      const hit = sphereCast(this.world, from, body.position, radius, options);
+      if (!hit) return;
+
+      const t = hit.distance / travel;
+      body.position.set(
+        from.x + (body.position.x - from.x) * t,
+        from.y + (body.position.y - from.y) * t,
+        from.z + (body.position.z - from.z) * t
+      );
+      body.aabbNeedsUpdate = true;
+
+      const normal = new CANNON.Vec3(hit.normal.x, hit.normal.y, hit.normal.z);
+      const into = body.velocity.dot(normal);
+      if (into < 0) {
+        const contact = (body.material && hit.body.material && this.world.getContactMaterial(body.material, hit.body.material))
+          || this.world.defaultContactMaterial;
+        body.velocity.vsub(normal.scale(into * (1 + contact.restitution)), body.velocity);
+      }
+    });
+  }
+}
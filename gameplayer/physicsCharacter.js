@@ -0,0 +1,376 @@
+// =====================================================
+// GD3D CHARACTER MOTOR
+// =====================================================
+// Kinematic character movement shared by the editor's PhysicsWorld and this game player.
+//
+// A motor takes over a character's body: the body becomes KINEMATIC and every physics step the
+// motor sweeps the character's capsule along the wanted movement with capsule casts
+// (physicsQueries.js), sliding along whatever it hits instead of passing through it. On top of
+// that it
+//   - walks up slopes up to maxSlope degrees and slides down steeper ones,
+//   - steps up ledges up to stepHeight without jumping,
+//   - snaps down onto the ground within snapDistance when walking down slopes and stairs,
+//   - still jumps coyoteTime seconds after walking off an edge,
+//   - remembers a jump pressed up to jumpBufferTime seconds before landing.
+// The motor moves the body through its velocity, so it pushes dynamic bodies, and it rides on
+// moving platforms (physicsPlatforms.js) it stands on.
+//
+// Settings come from the player's `characterSettings` in the scene file, see
+// createCharacterSettings. moveSpeed and runSpeed are read by the controllers; the motor itself is
+// told a horizontal velocity each frame (CharacterMotor.move).
+
+import * as CANNON from 'cannon-es';
+import { capsuleCast, overlapCapsule, raycastClosest } from './physicsQueries.js';
+
+// Every character setting with its default
+export const CHARACTER_SETTINGS_DEFAULTS = {
+  moveSpeed: 5, // units per second
+  runSpeed: 8,
+  jumpForce: 8, // upward speed of a jump
+  maxSlope: 45, // steepest walkable ground, degrees
+  stepHeight: 0.3, // tallest ledge walked up without jumping
+  snapDistance: 0.3, // how far the character is pulled down to stay on the ground
+  coyoteTime: 0.15, // seconds a jump is still allowed after leaving the ground
+  jumpBufferTime: 0.1, // seconds a jump pressed in the air is remembered
+  pushForce: 20 // force on dynamic bodies walked into, newtons
+};
+
+// Gap kept between the capsule and what it stands on or walks against
+const SKIN = 0.02;
+const MAX_SLIDES = 4;
+const MAX_DEPENETRATION = 3;
+// How far past a ledge's edge its top is looked for
+const EDGE_PROBE = 0.05;
+
+// Character settings with every field filled in. Older files saved the jump buffer as `jumpBuffer`.
+export function createCharacterSettings(overrides = {}) {
+  const settings = { ...CHARACTER_SETTINGS_DEFAULTS };
+  Object.keys(CHARACTER_SETTINGS_DEFAULTS).forEach((key) => {
+    const value = Number(overrides?.[key] ?? (key === 'jumpBufferTime' ? overrides?.jumpBuffer : undefined));
+    if (Number.isFinite(value) && value >= 0) settings[key] = value;
+  });
+  settings.maxSlope = Math.min(settings.maxSlope, 89);
+  return settings;
+}
+
+// The capsule a body's shapes fit in: { radius, height, center } with center the offset of the
+// capsule's middle from the body position. Capsule bodies use their capsule, others their bounds.
+export function characterCapsule(body) {
+  const index = body.shapes.findIndex(shape => shape.capsule);
+  if (index >= 0) {
+    // A capsule's first shape (its cylinder, or its only sphere) sits in its middle
+    const { radius, height } = body.shapes[index].capsule;
+    return { radius, height, center: body.shapeOffsets[index].clone() };
+  }
+  body.updateAABB();
+  const { lowerBound, upperBound } = body.aabb;
+  const radius = Math.max(Math.min(upperBound.x - lowerBound.x, upperBound.z - lowerBound.z) / 2, 0.05);
+  const height = Math.max(upperBound.y - lowerBound.y, radius * 2);
+  const center = new CANNON.Vec3(
+    (lowerBound.x + upperBound.x) / 2 - body.position.x,
+    (lowerBound.y + upperBound.y) / 2 - body.position.y,
+    (lowerBound.z + upperBound.z) / 2 - body.position.z
+  );
+  return { radius, height, center };
+}
+
+const tmpMove = new CANNON.Vec3();
+
+export class CharacterMotor {
+  constructor(world, body, settings = {}) {
+    this.world = world;
+    this.body = body;
+    this.settings = createCharacterSettings(settings);
+    this.capsule = characterCapsule(body);
+    this.wanted = { x: 0, z: 0 }; // horizontal velocity asked for by the controller
+    this.velocity = new CANNON.Vec3(); // x/z as wanted, y from gravity and jumps
+    this.grounded = false;
+    this.ground = null; // { body, normal, point } while grounded
+    this.airTime = 0; // seconds since the character last stood on the ground
+    this.jumpBuffer = 0;
+    this.jumpPressed = false;
+    this.jumping = false; // jumped and not landed yet, so coyote time can't jump again
+  }
+
+  // Horizontal velocity for the next physics steps, in units per second
+  move(x, z) {
+    this.wanted.x = x || 0;
+    this.wanted.z = z || 0;
+  }
+
+  // Jump now if standing (or within coyote time), or on landing within the jump buffer
+  jump() {
+    this.jumpPressed = true;
+    this.jumpBuffer = this.settings.jumpBufferTime;
+  }
+
+  // Use different settings, e.g. after editing them in the inspector
+  configure(settings) {
+    this.settings = createCharacterSettings(settings);
+  }
+
+  castOptions(ignore = null) {
+    return {
+      mask: this.body.collisionFilterMask,
+      group: this.body.collisionFilterGroup,
+      exclude: ignore ? [this.body, ignore] : [this.body]
+    };
+  }
+
+  walkable(normal) {
+    return normal.y >= Math.cos(this.settings.maxSlope * Math.PI / 180) - 1e-6;
+  }
+
+  cast(from, move, ignore = null) {
+    const { radius, height } = this.capsule;
+    const to = { x: from.x + move.x, y: from.y + move.y, z: from.z + move.z };
+    return capsuleCast(this.world, from, to, radius, height, null, this.castOptions(ignore));
+  }
+
+  // Push the capsule out of anything it touches or was left inside of (a character placed on the
+  // ground, a moving platform driving into it), so the sweeps start free
+  depenetrate(position) {
+    const { radius, height } = this.capsule;
+    for (let i = 0; i < MAX_DEPENETRATION; i++) {
+      const hits = overlapCapsule(this.world, position, radius, height, null, this.castOptions());
+      if (hits.length === 0) return;
+      const hit = hits.reduce((deepest, h) => (h.depth > deepest.depth ? h : deepest));
+      const out = Math.max(0, hit.depth) + SKIN / 2;
+      position.x += hit.normal.x * out;
+      position.y += hit.normal.y * out;
+      position.z += hit.normal.z * out;
+    }
+  }
+
+  // Move the capsule centre `position` by `move`, sliding along what it hits. On the ground, walls
+  // and steep slopes only slide sideways so they can't be climbed. Returns the last blocking hit.
+  slide(position, move, onGround, dt) {
+    let blocker = null;
+    const remaining = move.clone();
+    for (let i = 0; i < MAX_SLIDES; i++) {
+      const length = remaining.length();
+      if (length < 1e-6) break;
+      const hit = this.cast(position, remaining);
+      if (!hit) {
+        position.vadd(remaining, position);
+        break;
+      }
+      const travel = Math.max(0, hit.distance - SKIN);
+      remaining.scale(travel / length, tmpMove);
+      position.vadd(tmpMove, position);
+      remaining.scale(1 - travel / length, remaining);
+
+      const normal = new CANNON.Vec3(hit.normal.x, hit.normal.y, hit.normal.z);
+      if (onGround && !this.walkable(normal)) {
+        normal.y = 0;
+        if (normal.lengthSquared() < 1e-8) break;
+        normal.normalize();
+        blocker = hit;
+      }
+      this.push(hit, remaining, dt);
+      const into = remaining.dot(normal);
+      if (into < 0) remaining.vsub(normal.scale(into), remaining);
+    }
+    return blocker;
+  }
+
+  // Shove a dynamic body walked into
+  push(hit, move, dt) {
+    const other = hit.body;
+    if (other.type !== CANNON.Body.DYNAMIC || !(dt > 0) || !(this.settings.pushForce > 0)) return;
+    const horizontal = new CANNON.Vec3(move.x, 0, move.z);
+    if (horizontal.lengthSquared() < 1e-10) return;
+    horizontal.normalize();
+    const point = new CANNON.Vec3(hit.point.x, hit.point.y, hit.point.z).vsub(other.position);
+    other.applyImpulse(horizontal.scale(this.settings.pushForce * dt), point);
+    other.wakeUp();
+  }
+
+  // Walk over a ledge the slide stopped at: up by stepHeight, along, and back down onto walkable
+  // ground. Returns the position after the step, or null when there's nothing to step onto.
+  stepUp(position, move, dt) {
+    const stepHeight = this.settings.stepHeight;
+    if (!(stepHeight > 0)) return null;
+    const raised = position.clone();
+    const up = this.cast(raised, new CANNON.Vec3(0, stepHeight, 0));
+    raised.y += up ? Math.max(0, up.distance - SKIN) : stepHeight;
+    const climbed = raised.y - position.y;
+    if (climbed < SKIN) return null;
+
+    this.slide(raised, move, true, dt);
+    const down = this.cast(raised, new CANNON.Vec3(0, -climbed - SKIN, 0));
+    if (!down || down.distance < SKIN) return null;
+    // The rounded bottom rides up edges it leans on, so measure the ledge where it's touched
+    if (down.point.y - (position.y - this.capsule.height / 2) > stepHeight + SKIN) return null;
+    // Coming down onto the ledge's edge gives a slanted contact; what counts is the top behind it
+    if (!this.walkable(down.normal)) {
+      const inward = new CANNON.Vec3(move.x, 0, move.z);
+      inward.normalize();
+      const from = { x: down.point.x + inward.x * EDGE_PROBE, y: down.point.y + stepHeight, z: down.point.z + inward.z * EDGE_PROBE };
+      const top = raycastClosest(this.world, from, { x: from.x, y: down.point.y - EDGE_PROBE, z: from.z }, this.castOptions());
+      if (!top || !this.walkable(top.normal)) return null;
+    }
+    raised.y -= Math.max(0, down.distance - SKIN);
+    return raised;
+  }
+
+  // The ground within `distance` below the capsule, or null. A capsule resting on an edge touches it
+  // with its rounded bottom, so a steep contact still counts when there's ground right underneath.
+  findGround(position, distance) {
+    const hit = this.cast(position, new CANNON.Vec3(0, -distance, 0));
+    if (!hit) return null;
+    if (this.walkable(hit.normal)) return hit;
+    const { radius, height } = this.capsule;
+    const bottom = { x: position.x, y: position.y - height / 2 + radius, z: position.z };
+    const ray = raycastClosest(this.world, bottom, { x: bottom.x, y: bottom.y - radius - distance - SKIN, z: bottom.z }, this.castOptions());
+    return ray && this.walkable(ray.normal) ? { ...hit, normal: ray.normal } : null;
+  }
+
+  // One physics step of movement: sets the body's velocity so the step ends where the sweep did
+  step(dt) {
+    const body = this.body;
+    // Out of the world (e.g. replaced by a ragdoll): nothing to move
+    if (!body.world || !(dt > 0)) return;
+    const settings = this.settings;
+    const start = body.position.vadd(body.quaternion.vmult(this.capsule.center));
+    const position = start.clone();
+    this.depenetrate(position);
+
+    // Jumps: pressed this frame or buffered, standing or within coyote time
+    const wasGrounded = this.grounded;
+    let jumped = false;
+    if ((this.jumpPressed || this.jumpBuffer > 0) && !this.jumping && this.airTime <= settings.coyoteTime) {
+      this.velocity.y = settings.jumpForce;
+      this.jumping = true;
+      this.grounded = false;
+      this.jumpBuffer = 0;
+      jumped = true;
+    } else {
+      this.jumpBuffer = Math.max(0, this.jumpBuffer - dt);
+    }
+    this.jumpPressed = false;
+
+    // Ride along with a moving (kinematic) body underneath
+    const carry = new CANNON.Vec3();
+    if (this.grounded && this.ground?.body.type === CANNON.Body.KINEMATIC) this.ground.body.velocity.scale(dt, carry);
+
+    // Across: slide, or step up a ledge that blocked the way
+    this.velocity.x = this.wanted.x;
+    this.velocity.z = this.wanted.z;
+    const across = new CANNON.Vec3(this.velocity.x * dt + carry.x, 0, this.velocity.z * dt + carry.z);
+    const before = position.clone();
+    const blocker = this.slide(position, across, this.grounded, dt);
+    if (blocker && this.grounded) {
+      const stepped = this.stepUp(before, across, dt);
+      const progress = p => (p.x - before.x) ** 2 + (p.z - before.z) ** 2;
+      if (stepped && progress(stepped) > progress(position) + 1e-8) position.copy(stepped);
+    }
+
+    // Up and down with the platform underneath (which moves out of the way itself)
+    if (Math.abs(carry.y) > 1e-8) {
+      const hit = this.cast(position, new CANNON.Vec3(0, carry.y, 0), this.ground.body);
+      position.y += hit ? Math.sign(carry.y) * Math.max(0, hit.distance - SKIN) : carry.y;
+    }
+
+    // Gravity and jumps
+    if (!this.grounded) this.velocity.y += this.world.gravity.y * dt;
+    else this.velocity.y = 0;
+    const vertical = this.velocity.y * dt;
+    if (Math.abs(vertical) > 1e-8) {
+      const hit = this.cast(position, new CANNON.Vec3(0, vertical, 0));
+      if (!hit) {
+        position.y += vertical;
+      } else if (vertical > 0) {
+        // Head against a ceiling
+        position.y += Math.max(0, hit.distance - SKIN);
+        if (this.velocity.y > 0) this.velocity.y = 0;
+      } else if (this.walkable(hit.normal)) {
+        position.y -= Math.max(0, hit.distance - SKIN);
+      } else {
+        // Falling onto a steep slope: slide down along it
+        position.y -= Math.max(0, hit.distance - SKIN);
+        const rest = new CANNON.Vec3(0, vertical + Math.max(0, hit.distance - SKIN), 0);
+        const normal = new CANNON.Vec3(hit.normal.x, hit.normal.y, hit.normal.z);
+        rest.vsub(normal.scale(rest.dot(normal)), rest);
+        this.slide(position, rest, false, dt);
+      }
+    }
+
+    // Ground: snapped to when walking down slopes and stairs, never right after a jump
+    const snap = wasGrounded && !jumped ? settings.snapDistance + SKIN : SKIN * 2;
+    const ground = this.velocity.y > 0 ? null : this.findGround(position, snap);
+    if (ground) {
+      position.y -= Math.max(0, ground.distance - SKIN);
+      this.grounded = true;
+      this.ground = { body: ground.body, normal: ground.normal, point: ground.point };
+      this.velocity.y = 0;
+      this.airTime = 0;
+      this.jumping = false;
+    } else {
+      this.grounded = false;
+      this.ground = null;
+      this.airTime += dt;
+    }
+
+    // The body travels there during this step
+    body.velocity.set((position.x - start.x) / dt, (position.y - start.y) / dt, (position.z - start.z) / dt);
+    body.angularVelocity.setZero();
+  }
+}
+
+// The motors of one world, stepped before every physics step
+export class CharacterMotors {
+  constructor(world) {
+    this.world = world;
+    this.motors = new Map(); // body -> { motor, type, mass }
+    this.update = this.update.bind(this);
+    world.addEventListener('preStep', this.update);
+  }
+
+  // Move a body with a motor from now on. Returns the motor.
+  add(body, settings = {}) {
+    this.remove(body);
+    const motor = new CharacterMotor(this.world, body, settings);
+    this.motors.set(body, { motor, type: body.type, mass: body.mass });
+    body.type = CANNON.Body.KINEMATIC;
+    body.mass = 0;
+    body.updateMassProperties();
+    body.velocity.setZero();
+    body.allowSleep = false;
+    body.wakeUp();
+    return motor;
+  }
+
+  // Leave the body where it is, with its original body type
+  remove(body) {
+    const entry = this.motors.get(body);
+    if (!entry) return;
+    this.motors.delete(body);
+    body.velocity.setZero();
+    body.type = entry.type;
+    body.mass = entry.mass;
+    body.updateMassProperties();
+  }
+
+  get(body) {
+    return this.motors.get(body)?.motor || null;
+  }
+
+  has(body) {
+    return this.motors.has(body);
+  }
+
+  clear() {
+    Array.from(this.motors.keys()).forEach(body => this.remove(body));
+  }
+
+  dispose() {
+    this.clear();
+    this.world.removeEventListener('preStep', this.update);
+  }
+
+  update() {
+    const dt = this.world.dt;
+    this.motors.forEach(({ motor }) => motor.step(dt));
+  }
+}
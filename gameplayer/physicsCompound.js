@@ -0,0 +1,188 @@
+// =====================================================
+// GD3D COMPOUND COLLIDERS
+// =====================================================
+// Bodies built from an object's collision frames, shared by the editor's PhysicsWorld and this
+// game player.
+//
+// A collision frame is one collider in object space (see SCENE_FORMAT.md):
+//   { type: 'box' | 'sphere' | 'cylinder' | 'capsule' | 'convex', position, rotation (degrees),
+//     size (box), radius (sphere, cylinder, capsule), height (cylinder, capsule tip to tip),
+//     vertices: [[x, y, z]], faces: [[a, b, c, ...]] (convex, relative to position) }
+// Sizes and positions are multiplied by the object's world scale.
+//
+// cannon-es rotates a body around its origin, so a body whose frames are not centred on the
+// object's origin would spin around the wrong point. Dynamic compound bodies are therefore moved
+// to the frames' centre of mass (each frame weighted by its volume), their shapes are offset by
+// the opposite amount, and `body.centerOfMassOffset` keeps where that centre sits in object space.
+// FixedTimestep.interpolate takes the offset back out when the body's transform is copied to the
+// object; use bodyPositionForObject when placing the body at an object by hand.
+
+import * as CANNON from 'cannon-es';
+import { addCapsuleShapes, capsuleFrameSize } from './physicsShapes.js';
+
+export const COLLISION_FRAME_TYPES = ['box', 'sphere', 'cylinder', 'capsule', 'convex'];
+
+const CYLINDER_SEGMENTS = 16;
+const NO_SCALE = { x: 1, y: 1, z: 1 };
+
+// Frame rotation (stored in degrees, XYZ order like Three.js) as a quaternion
+export function frameOrientation(frame) {
+  const toRad = Math.PI / 180;
+  const rotation = frame.rotation || {};
+  return new CANNON.Quaternion().setFromEuler(
+    (rotation.x || 0) * toRad,
+    (rotation.y || 0) * toRad,
+    (rotation.z || 0) * toRad
+  );
+}
+
+function framePosition(frame, scale) {
+  return new CANNON.Vec3(
+    (frame.position?.x || 0) * scale.x,
+    (frame.position?.y || 0) * scale.y,
+    (frame.position?.z || 0) * scale.z
+  );
+}
+
+const maxScale = scale => Math.max(scale.x, scale.y, scale.z);
+
+// Convex frame points, scaled, relative to the frame position
+function convexPoints(frame, scale) {
+  return (frame.vertices || []).map(([x, y, z]) => new CANNON.Vec3(x * scale.x, y * scale.y, z * scale.z));
+}
+
+// Volume and centroid (relative to the frame position) of a closed convex hull
+function convexMassProperties(points, faces) {
+  let volume = 0;
+  const centroid = new CANNON.Vec3();
+  faces.forEach((face) => {
+    // Fan triangles, each making a tetrahedron with the origin
+    for (let i = 1; i < face.length - 1; i++) {
+      const a = points[face[0]];
+      const b = points[face[i]];
+      const c = points[face[i + 1]];
+      if (!a || !b || !c) continue;
+      const v = a.dot(b.cross(c)) / 6;
+      volume += v;
+      centroid.x += v * (a.x + b.x + c.x) / 4;
+      centroid.y += v * (a.y + b.y + c.y) / 4;
+      centroid.z += v * (a.z + b.z + c.z) / 4;
+    }
+  });
+  if (Math.abs(volume) > 1e-9) centroid.scale(1 / volume, centroid);
+  return { volume: Math.abs(volume), centroid };
+}
+
+// Volume of a frame and its centre in object space, used to weight the centre of mass
+function frameMass(frame, scale) {
+  const center = framePosition(frame, scale);
+  switch (frame.type) {
+    case 'sphere': {
+      const r = (frame.radius || 0.5) * maxScale(scale);
+      return { volume: (4 / 3) * Math.PI * r ** 3, center };
+    }
+    case 'cylinder': {
+      const r = (frame.radius || 0.5) * Math.max(scale.x, scale.z);
+      return { volume: Math.PI * r * r * (frame.height || 1) * scale.y, center };
+    }
+    case 'capsule': {
+      const { radius: r, height } = capsuleFrameSize(frame, scale);
+      return { volume: Math.PI * r * r * (height - 2 * r) + (4 / 3) * Math.PI * r ** 3, center };
+    }
+    case 'convex': {
+      const { volume, centroid } = convexMassProperties(convexPoints(frame, scale), frame.faces || []);
+      return { volume, center: center.vadd(frameOrientation(frame).vmult(centroid)) };
+    }
+    default: {
+      const size = frame.size || NO_SCALE;
+      return { volume: (size.x || 1) * scale.x * (size.y || 1) * scale.y * (size.z || 1) * scale.z, center };
+    }
+  }
+}
+
+// Volume-weighted centre of the frames in (scaled) object space
+export function framesCenterOfMass(frames, scale = NO_SCALE) {
+  const center = new CANNON.Vec3();
+  let total = 0;
+  (frames || []).forEach((frame) => {
+    const { volume, center: frameCenter } = frameMass(frame, scale);
+    center.vadd(frameCenter.scale(volume), center);
+    total += volume;
+  });
+  return total > 0 ? center.scale(1 / total) : center;
+}
+
+// The cannon shape of a non-capsule frame, or null when a convex frame has no usable hull
+function frameShape(frame, scale) {
+  switch (frame.type) {
+    case 'sphere':
+      return new CANNON.Sphere((frame.radius || 0.5) * maxScale(scale));
+    case 'cylinder': {
+      const r = (frame.radius || 0.5) * Math.max(scale.x, scale.z);
+      return new CANNON.Cylinder(r, r, (frame.height || 1) * scale.y, CYLINDER_SEGMENTS);
+    }
+    case 'convex': {
+      const vertices = convexPoints(frame, scale);
+      const faces = (frame.faces || []).filter(face => face.length >= 3 && face.every(i => vertices[i]));
+      if (vertices.length < 4 || faces.length < 4) return null;
+      return new CANNON.ConvexPolyhedron({ vertices, faces });
+    }
+    default: {
+      // Boxes, and frames of unknown types saved by older versions
+      const size = frame.size || NO_SCALE;
+      return new CANNON.Box(new CANNON.Vec3(
+        ((size.x || 1) * scale.x) / 2,
+        ((size.y || 1) * scale.y) / 2,
+        ((size.z || 1) * scale.z) / 2
+      ));
+    }
+  }
+}
+
+// Add every frame's shape to a body. Shapes are placed relative to `origin` (object space), which
+// is the object's origin unless the body was moved to its centre of mass. Returns the number of
+// frames added.
+export function addFrameShapes(body, frames, scale = NO_SCALE, origin = new CANNON.Vec3()) {
+  let count = 0;
+  (frames || []).forEach((frame) => {
+    const offset = framePosition(frame, scale).vsub(origin);
+    const orientation = frameOrientation(frame);
+    if (frame.type === 'capsule') {
+      const { radius, height } = capsuleFrameSize(frame, scale);
+      addCapsuleShapes(body, radius, height, offset, orientation);
+      count++;
+      return;
+    }
+    const shape = frameShape(frame, scale);
+    if (!shape) {
+      console.warn(`⚠️ Skipping ${frame.type} collision frame without a usable hull`);
+      return;
+    }
+    body.addShape(shape, offset, orientation);
+    count++;
+  });
+  return count;
+}
+
+// Build a body's shapes from collision frames. With centerOfMass (dynamic bodies that can rotate)
+// the shapes are centred on the frames' centre of mass and body.centerOfMassOffset is set.
+// Returns the number of frames added.
+export function addCompoundFrames(body, frames, scale = NO_SCALE, { centerOfMass = false } = {}) {
+  const origin = centerOfMass ? framesCenterOfMass(frames, scale) : new CANNON.Vec3();
+  const count = addFrameShapes(body, frames, scale, origin);
+  if (centerOfMass && origin.lengthSquared() > 1e-12) body.centerOfMassOffset = origin;
+  else delete body.centerOfMassOffset;
+  return count;
+}
+
+// Where a body goes for an object at position/quaternion ({ x, y, z } / { x, y, z, w }), taking
+// its centre of mass offset into account
+export function bodyPositionForObject(body, position, quaternion, target = new CANNON.Vec3()) {
+  target.set(position.x, position.y, position.z);
+  const offset = body.centerOfMassOffset;
+  if (offset) {
+    const q = new CANNON.Quaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+    target.vadd(q.vmult(offset), target);
+  }
+  return target;
+}
@@ -0,0 +1,137 @@
+// =====================================================
+// GD3D PHYSICS CONSTRAINTS
+// =====================================================
+// Joints between bodies, shared by the editor's PhysicsWorld, the RuntimePlayer's PhysicsEngine
+// and this game player.
+//
+// Constraints are authored per object in the scene file (`constraints` on the first body):
+//   { id, type, target, pivotA, pivotB, axisA, axisB, distance, restLength, stiffness, damping,
+//     maxForce, collideConnected, motorSpeed }
+// `target` is the id of the second object, or null to pin the first body to the world.
+// Pivots and axes are { x, y, z } in each body's local frame (object origin, world units).
+//
+//   hinge    - rotate around axisA/axisB through the pivots (doors, wheels, swings); motorSpeed in rad/s
+//   point    - ball joint: the pivots stay together (chains, ropes)
+//   distance - keep the body centres `distance` apart (rigid rods)
+//   spring   - damped spring between the pivots with `restLength`, `stiffness` and `damping`
+//   lock     - keep the current relative transform (welds, breakable with maxForce)
+
+import * as CANNON from 'cannon-es';
+
+export const CONSTRAINT_TYPES = ['hinge', 'point', 'distance', 'spring', 'lock'];
+
+const vec = (v, fallback = [0, 0, 0]) => new CANNON.Vec3(v?.x ?? fallback[0], v?.y ?? fallback[1], v?.z ?? fallback[2]);
+
+// Constraint data with every field filled in
+export function createConstraintData(type = 'hinge', target = null, overrides = {}) {
+  return {
+    id: `constraint-${Date.now().toString(36)}-${Math.floor(Math.random() * 1e4)}`,
+    type,
+    target,
+    pivotA: { x: 0, y: 0, z: 0 },
+    pivotB: { x: 0, y: 0, z: 0 },
+    axisA: { x: 0, y: 1, z: 0 },
+    axisB: { x: 0, y: 1, z: 0 },
+    distance: 1,
+    restLength: 1,
+    stiffness: 50,
+    damping: 1,
+    maxForce: 1e6,
+    collideConnected: false,
+    motorSpeed: 0,
+    ...overrides
+  };
+}
+
+// Create a constraint between two bodies (bodyB null = the world) and add it to the world.
+// Returns a handle for removeConstraint: { data, bodyA, bodyB, anchor, constraint, spring }
+export function createConstraint(world, data, bodyA, bodyB = null) {
+  if (!bodyA || !CONSTRAINT_TYPES.includes(data.type)) return null;
+
+  const pivotA = vec(data.pivotA);
+  let pivotB = vec(data.pivotB);
+  const axisA = vec(data.axisA, [0, 1, 0]).unit();
+  let axisB = vec(data.axisB, [0, 1, 0]).unit();
+  const maxForce = data.maxForce ?? 1e6;
+  const handle = { data, bodyA, bodyB, anchor: null, constraint: null, spring: null };
+
+  // Pinned to the world: a static anchor body where pivotA currently is
+  let other = bodyB;
+  if (!other) {
+    other = new CANNON.Body({ mass: 0, type: CANNON.Body.STATIC });
+    bodyA.pointToWorldFrame(pivotA, other.position);
+    world.addBody(other);
+    handle.anchor = other;
+    pivotB = new CANNON.Vec3();
+    axisB = bodyA.vectorToWorldFrame(axisA);
+  }
+
+  switch (data.type) {
+    case 'hinge':
+      handle.constraint = new CANNON.HingeConstraint(bodyA, other, {
+        pivotA, pivotB, axisA, axisB, maxForce
+      });
+      if (data.motorSpeed) {
+        handle.constraint.enableMotor();
+        handle.constraint.setMotorSpeed(data.motorSpeed);
+        handle.constraint.setMotorMaxForce(maxForce);
+      }
+      break;
+    case 'point':
+      handle.constraint = new CANNON.PointToPointConstraint(bodyA, pivotA, other, pivotB, maxForce);
+      break;
+    case 'distance':
+      handle.constraint = new CANNON.DistanceConstraint(bodyA, other, data.distance, maxForce);
+      break;
+    case 'lock':
+      handle.constraint = new CANNON.LockConstraint(bodyA, other, { maxForce });
+      break;
+    case 'spring':
+      handle.spring = new CANNON.Spring(bodyA, other, {
+        localAnchorA: pivotA,
+        localAnchorB: pivotB,
+        restLength: data.restLength ?? 1,
+        stiffness: data.stiffness ?? 50,
+        damping: data.damping ?? 1
+      });
+      // Springs are forces, so they are applied before every (fixed) step
+      handle.applySpring = () => handle.spring.applyForce();
+      world.addEventListener('preStep', handle.applySpring);
+      break;
+  }
+
+  if (handle.constraint) {
+    // cannon's constructors don't pass collideConnected on (it defaults to true)
+    handle.constraint.collideConnected = !!data.collideConnected;
+    world.addConstraint(handle.constraint);
+  }
+  bodyA.wakeUp();
+  other.wakeUp();
+  return handle;
+}
+
+export function removeConstraint(world, handle) {
+  if (!handle) return;
+  if (handle.constraint) world.removeConstraint(handle.constraint);
+  if (handle.applySpring) world.removeEventListener('preStep', handle.applySpring);
+  if (handle.anchor) world.removeBody(handle.anchor);
+}
+
+// Create the constraints of every scene file object. getBody(objectId) returns that object's body.
+export function createSceneConstraints(world, objects, getBody) {
+  const handles = [];
+  (objects || []).forEach((obj) => {
+    (obj.constraints || []).forEach((data) => {
+      const bodyA = getBody(obj.id);
+      const bodyB = data.target ? getBody(data.target) : null;
+      if (!bodyA || (data.target && !bodyB)) {
+        console.warn(`⚠️ Skipping ${data.type} constraint on ${obj.name || obj.id}: missing physics body`);
+        return;
+      }
+      const handle = createConstraint(world, data, bodyA, bodyB);
+      if (handle) handles.push(handle);
+    });
+  });
+  if (handles.length > 0) console.log(`🔗 Created ${handles.length} constraint(s)`);
+  return handles;
+}
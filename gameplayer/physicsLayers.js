@@ -0,0 +1,63 @@
+// =====================================================
+// GD3D COLLISION LAYERS
+// =====================================================
+// Named collision layers shared by the editor's PhysicsWorld, the RuntimePlayer's PhysicsEngine
+// and this game player.
+//
+// The layers are a project setting (`physics.layers` in the scene file): a list of up to 16 names
+// whose position is the layer's bit in cannon's collisionFilterGroup. `physics.collisionMatrix`
+// lists, per layer, the layers it collides with; it is kept symmetric by the editor, and a layer
+// missing from it collides with everything. Objects pick a layer with `physics.layer`; without
+// one, triggers are on "Trigger", the player on "Player" and everything else on "Default".
+
+export const MAX_COLLISION_LAYERS = 16;
+
+export const DEFAULT_COLLISION_LAYERS = ['Default', 'Player', 'Enemy', 'World', 'Trigger', 'Pickup'];
+
+// Everything collides except trigger/trigger and pickup/pickup pairs
+export const DEFAULT_COLLISION_MATRIX = Object.fromEntries(DEFAULT_COLLISION_LAYERS.map(layer => [
+  layer,
+  DEFAULT_COLLISION_LAYERS.filter(other => !(layer === other && (layer === 'Trigger' || layer === 'Pickup')))
+]));
+
+const ALL = -1;
+
+function layerList(settings) {
+  const layers = settings?.layers;
+  return Array.isArray(layers) && layers.length > 0 ? layers.slice(0, MAX_COLLISION_LAYERS) : DEFAULT_COLLISION_LAYERS;
+}
+
+// The collisionFilterGroup bit of a layer (unknown layers use the first one)
+export function layerBit(settings, name) {
+  const index = layerList(settings).indexOf(name);
+  return 1 << Math.max(index, 0);
+}
+
+// Bitmask of several layers, e.g. the layers a raycast should hit. No list means every layer.
+export function layersMask(settings, names) {
+  if (!names) return ALL;
+  return names.reduce((mask, name) => mask | layerBit(settings, name), 0);
+}
+
+// The collisionFilterMask of a layer: every layer the matrix says it collides with
+export function layerMask(settings, name) {
+  const collidesWith = (settings?.collisionMatrix || DEFAULT_COLLISION_MATRIX)[name];
+  if (!Array.isArray(collidesWith)) return ALL;
+  return layersMask(settings, collidesWith.filter(other => layerList(settings).includes(other)));
+}
+
+// The layer an object's body goes on (see the header for the defaults)
+export function objectLayer(physics = {}, isPlayer = false) {
+  if (physics.layer) return physics.layer;
+  if (physics.isTrigger || physics.bodyType === 'platform') return 'Trigger';
+  return isPlayer ? 'Player' : 'Default';
+}
+
+// Put a body on a layer (unknown layers, e.g. deleted ones, fall back to the first layer)
+export function applyCollisionLayer(body, settings, name) {
+  const layers = layerList(settings);
+  const layer = layers.includes(name) ? name : layers[0];
+  body.collisionFilterGroup = layerBit(settings, layer);
+  body.collisionFilterMask = layerMask(settings, layer);
+  body.collisionLayer = layer;
+}
@@ -0,0 +1,88 @@
+// =====================================================
+// GD3D PHYSICS MATERIALS
+// =====================================================
+// Named surface materials shared by the editor's PhysicsWorld, the RuntimePlayer's
+// PhysicsEngine and this game player.
+//
+// The library is a project setting (`physics.materials` in the scene file), keyed by id:
+//   { "ice": { "name": "Ice", "friction": 0.02, "restitution": 0.05 }, ... }
+// and objects pick one with `physics.material`. Objects without one use the world's default
+// material, whose friction and restitution are the runtime's default contact material.
+//
+// cannon-es only reads friction and restitution from ContactMaterials, so one is generated for
+// every pair of materials (default included). A pair slides like its slipperier material and
+// bounces like its bouncier one: ice is slippery on anything and rubber bounces off anything.
+// The CANNON.Material objects themselves keep friction/restitution unset (-1); setting them
+// would override every contact of every body sharing that material.
+
+import * as CANNON from 'cannon-es';
+
+export const DEFAULT_PHYSICS_MATERIALS = {
+  ice: { name: 'Ice', friction: 0.02, restitution: 0.05 },
+  rubber: { name: 'Rubber', friction: 0.9, restitution: 0.75 },
+  metal: { name: 'Metal', friction: 0.35, restitution: 0.2 },
+  wood: { name: 'Wood', friction: 0.6, restitution: 0.3 }
+};
+
+// Friction and restitution of a contact between two materials
+export function combineMaterials(a, b) {
+  return {
+    friction: Math.min(a.friction, b.friction),
+    restitution: Math.max(a.restitution, b.restitution)
+  };
+}
+
+export class PhysicsMaterialLibrary {
+  // defaultMaterial is what bodies without a named material use; defaultContact supplies the
+  // default material's friction/restitution and the solver settings of generated contacts
+  constructor(world, defaultMaterial = new CANNON.Material('default'), defaultContact = world.defaultContactMaterial) {
+    this.world = world;
+    this.defaultMaterial = defaultMaterial;
+    this.defaultContact = defaultContact;
+    this.definitions = {};
+    this.materials = new Map(); // id -> CANNON.Material, kept across configure() so bodies stay valid
+    this.contacts = [];
+  }
+
+  // Replace the material definitions and regenerate the contact materials of every pair
+  configure(definitions = DEFAULT_PHYSICS_MATERIALS) {
+    this.contacts.forEach(contact => this.world.removeContactMaterial(contact));
+    this.contacts = [];
+    this.definitions = definitions || {};
+
+    const base = { friction: this.defaultContact.friction, restitution: this.defaultContact.restitution };
+    const entries = Object.entries(this.definitions).map(([id, def]) => [this.material(id), {
+      friction: Number.isFinite(def?.friction) ? def.friction : base.friction,
+      restitution: Number.isFinite(def?.restitution) ? def.restitution : base.restitution
+    }]);
+
+    entries.forEach(([materialA, propsA], i) => {
+      this.addContact(this.defaultMaterial, materialA, combineMaterials(base, propsA));
+      entries.slice(i).forEach(([materialB, propsB]) => {
+        this.addContact(materialA, materialB, combineMaterials(propsA, propsB));
+      });
+    });
+  }
+
+  // The CANNON.Material for a material id (unknown or empty ids give the default material)
+  get(id) {
+    return id && this.definitions[id] ? this.material(id) : this.defaultMaterial;
+  }
+
+  material(id) {
+    if (!this.materials.has(id)) this.materials.set(id, new CANNON.Material(id));
+    return this.materials.get(id);
+  }
+
+  addContact(materialA, materialB, props) {
+    const contact = new CANNON.ContactMaterial(materialA, materialB, {
+      ...props,
+      contactEquationStiffness: this.defaultContact.contactEquationStiffness,
+      contactEquationRelaxation: this.defaultContact.contactEquationRelaxation,
+      frictionEquationStiffness: this.defaultContact.frictionEquationStiffness,
+      frictionEquationRelaxation: this.defaultContact.frictionEquationRelaxation
+    });
+    this.world.addContactMaterial(contact);
+    this.contacts.push(contact);
+  }
+}
@@ -0,0 +1,207 @@
+// =====================================================
+// GD3D MOVING PLATFORMS
+// =====================================================
+// Kinematic platforms that follow a waypoint path, shared by the editor's PhysicsWorld, the
+// RuntimePlayer's PhysicsEngine and this game player.
+//
+// A platform is authored per object in the scene file (`movingPlatform`):
+//   { enabled, mode, speed, easing, waypoints: [{ x, y, z, wait }] }
+// Waypoints are offsets from the object's position in world units. The platform starts at the
+// first one (normally { 0, 0, 0 }), waits `wait` seconds at each and travels at `speed` units/s:
+//   pingPong - first → … → last → … → first
+//   loop     - first → … → last → first
+// Each leg between two waypoints is eased on its own.
+//
+// The body becomes KINEMATIC and is driven by its velocity every physics step, so it pushes
+// dynamic bodies and carries them by friction. Character motors (physicsCharacter.js) ride along
+// by themselves; for code that places a body by hand, which throws that friction away, the
+// platform's movement under a body standing on it is also collected in `body.platformCarry`
+// (see takePlatformCarry).
+
+import * as CANNON from 'cannon-es';
+import { snapBody } from './physicsTimestep.js';
+
+export const PLATFORM_PATH_MODES = ['pingPong', 'loop'];
+
+export const PLATFORM_EASINGS = {
+  linear: t => t,
+  easeIn: t => t * t,
+  easeOut: t => t * (2 - t),
+  easeInOut: t => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t))
+};
+
+// A contact normal this close to straight up means the other body stands on the platform
+const RIDER_NORMAL_Y = 0.5;
+
+// Platform data with every field filled in: up 3 units and back
+export function createMovingPlatformData(overrides = {}) {
+  return {
+    enabled: true,
+    mode: 'pingPong',
+    speed: 2,
+    easing: 'easeInOut',
+    waypoints: [
+      { x: 0, y: 0, z: 0, wait: 1 },
+      { x: 0, y: 3, z: 0, wait: 1 }
+    ],
+    ...overrides
+  };
+}
+
+// The legs of one trip around the path: wait at `from`, then travel to `to`
+function pathLegs(data) {
+  const points = data?.waypoints || [];
+  if (points.length < 2) return [];
+
+  const order = points.map((_, i) => i);
+  if (data.mode === 'loop') order.push(0);
+  else order.push(...order.slice(0, -1).reverse());
+
+  const speed = Math.max(Number(data.speed) || 0, 1e-3);
+  const legs = [];
+  for (let i = 0; i < order.length - 1; i++) {
+    const from = points[order[i]];
+    const to = points[order[i + 1]];
+    const length = Math.hypot((to.x || 0) - (from.x || 0), (to.y || 0) - (from.y || 0), (to.z || 0) - (from.z || 0));
+    legs.push({ from, to, wait: Math.max(0, Number(from.wait) || 0), duration: length / speed });
+  }
+  return legs;
+}
+
+// Offset from the object's position `time` seconds after the platform started, as { x, y, z }
+export function platformOffsetAt(data, time, legs = pathLegs(data)) {
+  const first = data?.waypoints?.[0] || {};
+  const total = legs.reduce((sum, leg) => sum + leg.wait + leg.duration, 0);
+  if (total <= 0) return { x: first.x || 0, y: first.y || 0, z: first.z || 0 };
+
+  const ease = PLATFORM_EASINGS[data.easing] || PLATFORM_EASINGS.linear;
+  let t = ((time % total) + total) % total;
+  for (const { from, to, wait, duration } of legs) {
+    if (t < wait) return { x: from.x || 0, y: from.y || 0, z: from.z || 0 };
+    t -= wait;
+    if (t < duration) {
+      const k = ease(t / duration);
+      return {
+        x: (from.x || 0) + ((to.x || 0) - (from.x || 0)) * k,
+        y: (from.y || 0) + ((to.y || 0) - (from.y || 0)) * k,
+        z: (from.z || 0) + ((to.z || 0) - (from.z || 0)) * k
+      };
+    }
+    t -= duration;
+  }
+  return { x: first.x || 0, y: first.y || 0, z: first.z || 0 };
+}
+
+// The platform movement collected under a body since the last call, as { x, y, z }
+export function takePlatformCarry(body) {
+  const carry = body?.platformCarry;
+  if (!carry) return { x: 0, y: 0, z: 0 };
+  const { x, y, z } = carry;
+  carry.setZero();
+  return { x, y, z };
+}
+
+export class MovingPlatforms {
+  constructor(world) {
+    this.world = world;
+    this.platforms = new Map(); // body -> { data, legs, origin, time, type, mass }
+    this.update = this.update.bind(this);
+    world.addEventListener('preStep', this.update);
+  }
+
+  // Start moving a body along data's path, measured from where the body is now.
+  // Returns false when the data has no usable path.
+  add(body, data) {
+    if (!body || !data?.enabled) return false;
+    const legs = pathLegs(data);
+    if (legs.length === 0) return false;
+
+    this.remove(body);
+    this.platforms.set(body, { data, legs, origin: body.position.clone(), time: 0, type: body.type, mass: body.mass });
+    body.type = CANNON.Body.KINEMATIC;
+    body.mass = 0;
+    body.updateMassProperties();
+    body.allowSleep = false;
+    body.wakeUp();
+
+    // Start on the first waypoint
+    const offset = platformOffsetAt(data, 0, legs);
+    body.position.set(body.position.x + offset.x, body.position.y + offset.y, body.position.z + offset.z);
+    snapBody(body);
+    return true;
+  }
+
+  // Stop a platform where it is, with its original body type
+  remove(body) {
+    const platform = this.platforms.get(body);
+    if (!platform) return;
+    this.platforms.delete(body);
+    body.velocity.setZero();
+    body.type = platform.type;
+    body.mass = platform.mass;
+    body.updateMassProperties();
+  }
+
+  clear() {
+    Array.from(this.platforms.keys()).forEach(body => this.remove(body));
+  }
+
+  dispose() {
+    this.clear();
+    this.world.removeEventListener('preStep', this.update);
+  }
+
+  // Create the platforms of every scene file object. getBody(objectId) returns that object's body.
+  addSceneObjects(objects, getBody) {
+    let count = 0;
+    (objects || []).forEach((obj) => {
+      if (!obj.movingPlatform?.enabled) return;
+      const body = getBody(obj.id);
+      if (!body) {
+        console.warn(`⚠️ Skipping moving platform ${obj.name || obj.id}: missing physics body`);
+        return;
+      }
+      if (this.add(body, obj.movingPlatform)) count++;
+    });
+    if (count > 0) console.log(`🛗 Created ${count} moving platform(s)`);
+  }
+
+  // Runs before every physics step: aim each platform at where its path is at the end of the
+  // step, and hand the same movement to the bodies standing on it
+  update() {
+    if (this.platforms.size === 0) return;
+    const dt = this.world.dt;
+    if (!(dt > 0)) return;
+
+    const moves = new Map();
+    this.platforms.forEach((platform, body) => {
+      platform.time += dt;
+      const offset = platformOffsetAt(platform.data, platform.time, platform.legs);
+      const move = new CANNON.Vec3(
+        platform.origin.x + offset.x - body.position.x,
+        platform.origin.y + offset.y - body.position.y,
+        platform.origin.z + offset.z - body.position.z
+      );
+      move.scale(1 / dt, body.velocity);
+      moves.set(body, move);
+    });
+
+    this.world.contacts.forEach((contact) => {
+      const platformIsA = moves.has(contact.bi);
+      const platform = platformIsA ? contact.bi : contact.bj;
+      const rider = platformIsA ? contact.bj : contact.bi;
+      if (!moves.has(platform) || rider.type !== CANNON.Body.DYNAMIC) return;
+      // ni points out of bi
+      const up = platformIsA ? contact.ni.y : -contact.ni.y;
+      if (up < RIDER_NORMAL_Y) return;
+
+      if (!rider.platformCarry) rider.platformCarry = new CANNON.Vec3();
+      // Several contacts with the same platform must carry the rider once
+      if (rider.platformCarriedBy === platform && rider.platformCarryStep === this.world.stepnumber) return;
+      rider.platformCarriedBy = platform;
+      rider.platformCarryStep = this.world.stepnumber;
+      rider.platformCarry.vadd(moves.get(platform), rider.platformCarry);
+      rider.wakeUp();
+    });
+  }
+}
@@ -0,0 +1,215 @@
+// =====================================================
+// GD3D PHYSICS QUERIES
+// =====================================================
+// Spatial queries (raycasts, shape casts, overlaps) shared by the editor's PhysicsWorld, the
+// RuntimePlayer's PhysicsEngine and this game player.
+//
+// Every query takes plain { x, y, z } points and an options object:
+//   mask            - collisionFilterMask of the bodies to hit (see physicsLayers.js layersMask)
+//   group           - collisionFilterGroup of the querying body; bodies whose own mask leaves it
+//                     out are skipped, the same two-way test cannon's narrowphase makes
+//   exclude         - bodies to ignore, e.g. the querying character's own body
+//   includeTriggers - also hit bodies without collision response (trigger zones)
+// and returns hits shaped { body, point, normal, distance }, with the normal pointing out of the
+// hit surface. Overlap hits also carry `depth`, how far the probe sinks into the body along the
+// normal. Runtimes add the hit object (see PhysicsWorld.raycastClosest and friends).
+//
+// cannon-es has no shape casts, so sphere and capsule casts march a probe body along the path in
+// steps of half its radius, testing it against nearby bodies with a private narrowphase, and then
+// bisect the last step to find where it first touches.
+
+import * as CANNON from 'cannon-es';
+import { addCapsuleShapes } from './physicsShapes.js';
+
+const CAST_REFINE_STEPS = 10;
+
+// Queries run their own narrowphase so they don't disturb the world's contact pools
+const narrowphases = new WeakMap();
+
+const toVec3 = (v, out = new CANNON.Vec3()) => out.set(v.x, v.y, v.z);
+const toPlain = v => ({ x: v.x, y: v.y, z: v.z });
+
+function rayOptions(options = {}) {
+  return {
+    collisionFilterMask: options.mask ?? -1,
+    collisionFilterGroup: options.group ?? -1,
+    skipBackfaces: true,
+    checkCollisionResponse: !options.includeTriggers
+  };
+}
+
+function rayHit(result) {
+  return {
+    body: result.body,
+    point: toPlain(result.hitPointWorld),
+    normal: toPlain(result.hitNormalWorld),
+    distance: result.distance
+  };
+}
+
+// Closest hit between two points, or null
+export function raycastClosest(world, from, to, options = {}) {
+  const exclude = options.exclude || [];
+  if (exclude.length === 0) {
+    const result = new CANNON.RaycastResult();
+    world.raycastClosest(toVec3(from), toVec3(to), rayOptions(options), result);
+    return result.hasHit ? rayHit(result) : null;
+  }
+  return raycastAll(world, from, to, options)[0] || null;
+}
+
+// The nearest hit on every body between two points, nearest first
+export function raycastAll(world, from, to, options = {}) {
+  const exclude = options.exclude || [];
+  const hits = new Map();
+  world.raycastAll(toVec3(from), toVec3(to), rayOptions(options), (result) => {
+    // cannon reports a hit per face/triangle, and reuses the result object, so keep a copy of the nearest
+    if (exclude.includes(result.body)) return;
+    const previous = hits.get(result.body);
+    if (!previous || result.distance < previous.distance) hits.set(result.body, rayHit(result));
+  });
+  return Array.from(hits.values()).sort((a, b) => a.distance - b.distance);
+}
+
+// Bodies whose bounds overlap the probe's and that pass the query filters
+function candidates(world, probe, options) {
+  const exclude = options.exclude || [];
+  const mask = options.mask ?? -1;
+  const group = options.group ?? -1;
+  probe.updateAABB();
+  return world.bodies.filter((body) => {
+    if (body === probe || exclude.includes(body)) return false;
+    if (!(body.collisionFilterGroup & mask) || !(body.collisionFilterMask & group)) return false;
+    if (!options.includeTriggers && !body.collisionResponse) return false;
+    if (body.aabbNeedsUpdate) body.updateAABB();
+    return body.aabb.overlaps(probe.aabb);
+  });
+}
+
+// Contacts between the probe (at its current pose) and the candidates, as hits
+function probeContacts(world, probe, bodies) {
+  if (bodies.length === 0) return [];
+  if (!narrowphases.has(world)) narrowphases.set(world, new CANNON.Narrowphase(world));
+  const contacts = [];
+  narrowphases.get(world).getContacts(bodies.map(() => probe), bodies, world, contacts, [], [], []);
+
+  // One hit per body: its deepest contact
+  const hits = new Map();
+  contacts.forEach((c) => {
+    const probeIsA = c.bi === probe;
+    const other = probeIsA ? c.bj : c.bi;
+    const point = probeIsA ? c.rj.vadd(c.bj.position) : c.ri.vadd(c.bi.position);
+    // ni points out of bi; flip it so it points out of the hit body
+    const normal = probeIsA ? c.ni.negate() : c.ni.clone();
+    const depth = -c.ni.dot(c.rj.vadd(c.bj.position).vsub(c.ri.vadd(c.bi.position)));
+    const previous = hits.get(other);
+    if (!previous || depth > previous.depth) hits.set(other, { body: other, point, normal, depth });
+  });
+  return Array.from(hits.values());
+}
+
+// Bodies touching a probe body placed at position/quaternion, nearest contact first.
+// distance is measured from the probe's position to the contact point.
+function overlap(world, probe, position, options) {
+  toVec3(position, probe.position);
+  probe.aabbNeedsUpdate = true;
+  return probeContacts(world, probe, candidates(world, probe, options))
+    .map(hit => ({
+      body: hit.body,
+      point: toPlain(hit.point),
+      normal: toPlain(hit.normal),
+      distance: hit.point.distanceTo(probe.position),
+      depth: hit.depth
+    }))
+    .sort((a, b) => a.distance - b.distance);
+}
+
+function probeBody(quaternion) {
+  const probe = new CANNON.Body({ mass: 1, type: CANNON.Body.DYNAMIC });
+  if (quaternion) probe.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+  return probe;
+}
+
+export function overlapSphere(world, center, radius, options = {}) {
+  const probe = probeBody();
+  probe.addShape(new CANNON.Sphere(radius));
+  return overlap(world, probe, center, options);
+}
+
+// halfExtents { x, y, z }; quaternion { x, y, z, w } rotates the box (axis-aligned when omitted)
+export function overlapBox(world, center, halfExtents, quaternion = null, options = {}) {
+  const probe = probeBody(quaternion);
+  probe.addShape(new CANNON.Box(toVec3(halfExtents)));
+  return overlap(world, probe, center, options);
+}
+
+// height is tip to tip like every GD3D capsule; quaternion tilts it (upright along Y when omitted)
+export function overlapCapsule(world, center, radius, height, quaternion = null, options = {}) {
+  const probe = probeBody(quaternion);
+  addCapsuleShapes(probe, radius, height);
+  return overlap(world, probe, center, options);
+}
+
+// Sweep a probe from `from` to `to` and return the first hit, or null. The hit's distance is how
+// far the probe's centre travelled before touching; a probe that starts inside something hits at 0.
+function shapeCast(world, probe, radius, from, to, options) {
+  const start = toVec3(from);
+  const path = toVec3(to).vsub(start);
+  const length = path.length();
+  const place = (t) => {
+    start.vadd(path.scale(t), probe.position);
+    probe.aabbNeedsUpdate = true;
+  };
+  const test = (t) => {
+    place(t);
+    return probeContacts(world, probe, candidates(world, probe, options));
+  };
+
+  const stepLength = Math.max(radius * 0.5, 1e-3);
+  const steps = Math.max(1, Math.ceil(length / stepLength));
+  let free = 0;
+  let hits = test(0);
+  let hitT = 0;
+  for (let i = 1; i <= steps && hits.length === 0; i++) {
+    const t = i / steps;
+    hits = test(t);
+    if (hits.length === 0) free = t;
+    else hitT = t;
+  }
+  if (hits.length === 0) return null;
+
+  // Bisect between the last free position and the first touching one
+  if (hitT > 0) {
+    for (let i = 0; i < CAST_REFINE_STEPS; i++) {
+      const mid = (free + hitT) / 2;
+      const midHits = test(mid);
+      if (midHits.length > 0) {
+        hitT = mid;
+        hits = midHits;
+      } else {
+        free = mid;
+      }
+    }
+  }
+
+  const hit = hits.reduce((best, h) => (h.depth > best.depth ? h : best));
+  return {
+    body: hit.body,
+    point: toPlain(hit.point),
+    normal: toPlain(hit.normal),
+    distance: hitT * length
+  };
+}
+
+export function sphereCast(world, from, to, radius, options = {}) {
+  const probe = probeBody();
+  probe.addShape(new CANNON.Sphere(radius));
+  return shapeCast(world, probe, radius, from, to, options);
+}
+
+// height is tip to tip like every GD3D capsule; quaternion tilts it (upright along Y when omitted)
+export function capsuleCast(world, from, to, radius, height, quaternion = null, options = {}) {
+  const probe = probeBody(quaternion);
+  addCapsuleShapes(probe, radius, height);
+  return shapeCast(world, probe, radius, from, to, options);
+}
@@ -0,0 +1,46 @@
+// =====================================================
+// GD3D PHYSICS SHAPES
+// =====================================================
+// Collider helpers shared by the editor's PhysicsWorld, the RuntimePlayer's PhysicsEngine and
+// this game player.
+//
+// cannon-es has no capsule shape, so a capsule is a cylinder with a sphere on each end, standing
+// along the local Y axis. `height` is always the full height from tip to tip, so the cylinder
+// part is height - 2 * radius long (a capsule no taller than its width is a single sphere).
+
+import * as CANNON from 'cannon-es';
+
+const CAPSULE_SEGMENTS = 12;
+
+// Radius and full height of a capsule collision frame, scaled into world units.
+// Frames saved before capsules had their own `height` stored it in size.y.
+export function capsuleFrameSize(frame, scale = { x: 1, y: 1, z: 1 }) {
+  const radius = (frame.radius ?? 0.5) * Math.max(scale.x, scale.z);
+  const height = (frame.height ?? frame.size?.y ?? 2) * scale.y;
+  return { radius, height: Math.max(height, radius * 2) };
+}
+
+// Add a capsule to a body. offset/orientation place it in body space like Body.addShape.
+// The first shape carries `capsule: { radius, height }` and the others `capsulePart: true`,
+// so debug views can draw the parts as one capsule. Returns the added shapes.
+export function addCapsuleShapes(body, radius, height, offset = new CANNON.Vec3(), orientation = new CANNON.Quaternion()) {
+  const length = Math.max(0, height - radius * 2);
+  const shapes = [];
+
+  if (length > 1e-6) {
+    const cylinder = new CANNON.Cylinder(radius, radius, length, CAPSULE_SEGMENTS);
+    body.addShape(cylinder, offset, orientation);
+    shapes.push(cylinder);
+  }
+
+  const capOffsets = length > 1e-6 ? [length / 2, -length / 2] : [0];
+  capOffsets.forEach((y) => {
+    const cap = new CANNON.Sphere(radius);
+    body.addShape(cap, offset.vadd(orientation.vmult(new CANNON.Vec3(0, y, 0))), orientation);
+    shapes.push(cap);
+  });
+
+  shapes[0].capsule = { radius, height: length + radius * 2 };
+  shapes.slice(1).forEach((shape) => { shape.capsulePart = true; });
+  return shapes;
+}
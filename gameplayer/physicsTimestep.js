@@ -0,0 +1,93 @@
+// =====================================================
+// GD3D FIXED TIMESTEP
+// =====================================================
+// Fixed-step physics with render interpolation, shared by the editor's PhysicsWorld,
+// the RuntimePlayer's PhysicsEngine and this game player.
+//
+// Frame time is collected in an accumulator and the world is advanced in steps of exactly
+// `fixedTimeStep`, so the simulation behaves the same at 30, 60 or 144 FPS. At most
+// `maxSubSteps` steps run per frame; time beyond that is dropped so a long frame (tab switch,
+// breakpoint) can't snowball into ever longer frames. The leftover time is used to blend
+// rendered transforms between the last two physics states.
+//
+// World.step(dt, timeSinceLastCalled, maxSubSteps) does the same internally, but it also
+// bails out based on wall-clock time, which makes the number of steps machine dependent.
+
+import * as CANNON from 'cannon-es';
+
+export const DEFAULT_TIMESTEP_SETTINGS = {
+  fixedTimeStep: 1 / 60,
+  maxSubSteps: 5
+};
+
+const tmpQuaternion = new CANNON.Quaternion();
+const tmpOffset = new CANNON.Vec3();
+
+export class FixedTimestep {
+  // settings is the project's `physics` block; only fixedTimeStep and maxSubSteps are read
+  constructor(settings = {}) {
+    this.accumulator = 0;
+    this.alpha = 0;
+    this.configure(settings);
+  }
+
+  configure(settings = {}) {
+    const fixedTimeStep = Number(settings.fixedTimeStep);
+    const maxSubSteps = Number(settings.maxSubSteps);
+    this.fixedTimeStep = fixedTimeStep > 0 ? fixedTimeStep : DEFAULT_TIMESTEP_SETTINGS.fixedTimeStep;
+    this.maxSubSteps = maxSubSteps >= 1 ? Math.round(maxSubSteps) : DEFAULT_TIMESTEP_SETTINGS.maxSubSteps;
+  }
+
+  // Add a frame's time and run the fixed steps it pays for. Returns the number of steps taken.
+  step(world, deltaTime) {
+    const h = this.fixedTimeStep;
+    this.accumulator += Math.max(0, deltaTime || 0);
+
+    let substeps = 0;
+    while (this.accumulator >= h && substeps < this.maxSubSteps) {
+      world.step(h);
+      this.accumulator -= h;
+      substeps++;
+    }
+
+    // Over the cap: keep only the partial step so rendering stays smooth
+    if (this.accumulator >= h) this.accumulator %= h;
+
+    this.alpha = this.accumulator / h;
+    return substeps;
+  }
+
+  // Write the body's transform, blended between its previous and current physics state, into a
+  // Three.js position/quaternion pair. Compound bodies centred on their centre of mass
+  // (physicsCompound.js) give the position of the object's origin instead of the body's.
+  interpolate(body, position, quaternion) {
+    const a = this.alpha;
+    const p = body.previousPosition;
+    const c = body.position;
+    body.previousQuaternion.slerp(body.quaternion, a, tmpQuaternion);
+
+    position.set(p.x + (c.x - p.x) * a, p.y + (c.y - p.y) * a, p.z + (c.z - p.z) * a);
+    if (body.centerOfMassOffset) {
+      tmpQuaternion.vmult(body.centerOfMassOffset, tmpOffset);
+      position.set(position.x - tmpOffset.x, position.y - tmpOffset.y, position.z - tmpOffset.z);
+    }
+    if (quaternion) quaternion.set(tmpQuaternion.x, tmpQuaternion.y, tmpQuaternion.z, tmpQuaternion.w);
+  }
+
+  // Forget pending time (play/stop, scene change)
+  reset() {
+    this.accumulator = 0;
+    this.alpha = 0;
+  }
+}
+
+// Call after moving a body by hand (teleport, reset) so it isn't blended from its old spot.
+// Also refreshes its bounds: cannon computes them when a shape is added and only recomputes them
+// for bodies it moves itself, so static bodies placed after creation were invisible to raycasts.
+export function snapBody(body) {
+  body.aabbNeedsUpdate = true;
+  body.previousPosition.copy(body.position);
+  body.previousQuaternion.copy(body.quaternion);
+  body.interpolatedPosition.copy(body.position);
+  body.interpolatedQuaternion.copy(body.quaternion);
+}
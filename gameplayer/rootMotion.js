@@ -0,0 +1,99 @@
+// =====================================================
+// GD3D ROOT MOTION
+// =====================================================
+// Root motion for GLTF characters, shared by the editor's play mode, the RuntimePlayer and this
+// game player through the Animator (animator.js).
+//
+// A walk cycle authored with root motion moves its root bone (the hips) forward over the clip.
+// extractRootMotion measures how fast each clip moves it across the ground and returns copies of
+// the clips with that forward drift taken out, so the model walks on the spot while the hips keep
+// their sway and bounce. The Animator mixes the measured speeds like it mixes the clips and the
+// character controller moves the character motor at that speed instead of its set walk and run
+// speeds, so the feet don't slide whatever pace the clips were animated at.
+//
+// Clips animated in place (like Soldier.glb's) have no root motion to measure; they report speed 0.
+// Only the horizontal drift is used: jumps and falls stay with the character motor.
+
+import * as THREE from 'three';
+
+const tmpScale = new THREE.Vector3();
+
+// The node a position track animates, or null
+function trackNode(root, track) {
+  const { nodeName, propertyName } = THREE.PropertyBinding.parseTrackName(track.name);
+  if (propertyName !== 'position' || !nodeName) return null;
+  return THREE.PropertyBinding.findNode(root, nodeName) || null;
+}
+
+// Names of the bones with position tracks in any of the clips, outermost first. The first one
+// (usually the hips) is the root bone unless another is picked.
+export function rootMotionBones(root, clips) {
+  const bones = new Map();
+  clips.forEach((clip) => {
+    clip.tracks.forEach((track) => {
+      const node = trackNode(root, track);
+      if (!node?.isBone || bones.has(node.name)) return;
+      let depth = 0;
+      for (let parent = node.parent; parent && parent !== root; parent = parent.parent) depth++;
+      bones.set(node.name, depth);
+    });
+  });
+  return [...bones.keys()].sort((a, b) => bones.get(a) - bones.get(b));
+}
+
+// Measure and remove the root bone's forward drift. root is the animated object (the mixer's root),
+// boneName the root bone (default: the outermost bone with position tracks).
+// Returns { bone, clips, speeds } - clips in place (copies of the ones that moved, in the same
+// order), speeds by clip name in world units per second - or null without a root bone.
+export function extractRootMotion(root, clips, boneName = null) {
+  const bone = boneName || rootMotionBones(root, clips)[0];
+  const node = bone ? root.getObjectByName(bone) : null;
+  if (!node?.parent) return null;
+
+  // Bone positions are in its parent's space: turn them into the model's, where y is up
+  root.updateMatrixWorld(true);
+  const toModel = new THREE.Matrix3().setFromMatrix4(
+    new THREE.Matrix4().copy(root.matrixWorld).invert().multiply(node.parent.matrixWorld)
+  );
+  const fromModel = toModel.clone().invert();
+  const worldScale = root.getWorldScale(tmpScale).x;
+
+  const speeds = new Map();
+  const inPlace = clips.map((clip) => {
+    const index = clip.tracks.findIndex(track => trackNode(root, track) === node);
+    const track = clip.tracks[index];
+    if (!track || track.times.length < 2 || clip.duration <= 0) {
+      speeds.set(clip.name, 0);
+      return clip;
+    }
+
+    // Horizontal drift from the first key to the last, in model space
+    const values = track.values;
+    const last = values.length - 3;
+    const drift = new THREE.Vector3(values[last] - values[0], values[last + 1] - values[1], values[last + 2] - values[2])
+      .applyMatrix3(toModel);
+    drift.y = 0;
+    const speed = drift.length() * worldScale / clip.duration;
+    if (speed < 1e-4) {
+      speeds.set(clip.name, 0);
+      return clip;
+    }
+    speeds.set(clip.name, speed);
+
+    // Take the drift out in proportion to time; the rest of the movement stays
+    const copy = clip.clone();
+    const copied = copy.tracks[index];
+    const start = track.times[0];
+    const length = track.times[track.times.length - 1] - start;
+    const offset = new THREE.Vector3();
+    for (let i = 0; i < copied.times.length; i++) {
+      offset.copy(drift).multiplyScalar((copied.times[i] - start) / length).applyMatrix3(fromModel);
+      copied.values[i * 3] -= offset.x;
+      copied.values[i * 3 + 1] -= offset.y;
+      copied.values[i * 3 + 2] -= offset.z;
+    }
+    return copy;
+  });
+
+  return { bone, clips: inPlace, speeds };
+}
@@ -0,0 +1,788 @@
+// =====================================================
+// GD3D SCENE FILE FORMAT
+// =====================================================
+// Single source of truth for the scene/project file format shared by the
+// editor (SettingsPanel, ExportGameButton), the RuntimePlayer and this game player.
+// See SCENE_FORMAT.md in the repository root for the documented layout.
+
+export const SCENE_FORMAT_VERSION = 2;
+
+const vec3 = { type: 'array', items: { type: 'number' }, minItems: 3, maxItems: 3 };
+const xyz = {
+  type: 'object',
+  properties: { x: { type: 'number' }, y: { type: 'number' }, z: { type: 'number' } }
+};
+
+// JSON Schema (draft-07) for formatVersion 2
+export const SCENE_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'https://gd3d.dev/schemas/scene-v2.json',
+  title: 'GD3D scene file',
+  type: 'object',
+  required: ['formatVersion', 'project', 'scenes'],
+  properties: {
+    formatVersion: { const: SCENE_FORMAT_VERSION },
+    generator: { type: 'string' },
+    project: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        version: { type: 'string' },
+        description: { type: 'string' },
+        savedAt: { type: 'string' }
+      }
+    },
+    startScene: { type: 'string' },
+    scenes: { type: 'array', minItems: 1, items: { $ref: '#/definitions/scene' } },
+    eventSheets: { type: 'array', items: { $ref: '#/definitions/eventSheet' } },
+    // Initial values of global event-sheet variables
+    variables: { type: 'object' },
+    // Project physics settings, see the gameplayer/physics*.js modules
+    physics: {
+      type: 'object',
+      properties: {
+        broadphase: { enum: ['naive', 'sap', 'grid'] },
+        sapAxis: { enum: ['auto', 'x', 'y', 'z'] },
+        gridDivisions: xyz,
+        fixedTimeStep: { type: 'number', minimum: 0.001 },
+        maxSubSteps: { type: 'integer', minimum: 1 },
+        // { id: { name, friction, restitution } }, see physicsMaterials.js
+        materials: { type: 'object' },
+        // Layer names (bit order) and { layer: [layers it collides with] }, see physicsLayers.js
+        layers: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 16 },
+        collisionMatrix: { type: 'object' }
+      }
+    },
+    postProcessing: { type: 'object' },
+    // Files loaded up front, e.g. { type: 'audio', name, url } for PlaySound actions
+    assets: { type: 'array' },
+    prefabs: { type: 'array' }
+  },
+  definitions: {
+    scene: {
+      type: 'object',
+      required: ['id', 'name', 'objects'],
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        camera: {
+          type: 'object',
+          properties: { position: vec3, target: vec3 }
+        },
+        environment: {
+          type: 'object',
+          properties: {
+            background: { type: 'string' },
+            fog: {
+              type: 'object',
+              properties: {
+                enabled: { type: 'boolean' },
+                color: { type: 'string' },
+                near: { type: 'number' },
+                far: { type: 'number' }
+              }
+            }
+          }
+        },
+        objects: { type: 'array', items: { $ref: '#/definitions/object' } }
+      }
+    },
+    object: {
+      type: 'object',
+      required: ['id', 'name', 'type', 'transform'],
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        type: { enum: ['primitive', 'gltf', 'light', 'group', 'terrain'] },
+        transform: {
+          type: 'object',
+          required: ['position', 'rotation', 'scale'],
+          properties: { position: vec3, rotation: vec3, scale: vec3 }
+        },
+        primitive: { type: 'string' },
+        geometry: { type: 'object' },
+        asset: { type: 'string' },
+        material: {
+          type: 'object',
+          properties: {
+            color: { type: 'number' },
+            metalness: { type: 'number' },
+            roughness: { type: 'number' }
+          }
+        },
+        light: {
+          type: 'object',
+          properties: {
+            lightType: { enum: ['directional', 'hemisphere', 'point', 'spot', 'ambient'] },
+            color: { type: 'number' },
+            skyColor: { type: 'number' },
+            groundColor: { type: 'number' },
+            intensity: { type: 'number' },
+            castShadow: { type: 'boolean' }
+          }
+        },
+        physics: {
+          type: 'object',
+          required: ['enabled'],
+          properties: {
+            enabled: { type: 'boolean' },
+            bodyType: { type: 'string' },
+            mass: { type: 'number', minimum: 0 },
+            size: xyz,
+            isStatic: { type: 'boolean' },
+            isTrigger: { type: 'boolean' },
+            // Id of a project physics material; the default material when missing
+            material: { type: 'string' },
+            // Collision layer name; triggers, the player and other objects have defaults
+            layer: { type: 'string' },
+            // Continuous collision detection for fast bodies (see physicsCCD.js); radius 0 = from the shape
+            ccd: { type: 'boolean' },
+            ccdRadius: { type: 'number', minimum: 0 },
+            useCollisionMesh: { type: 'boolean' },
+            autoCreate: { type: ['string', 'null'] }
+          }
+        },
+        collisionFrames: { type: 'array', items: { $ref: '#/definitions/collisionFrame' } },
+        // Joints from this object's body to another object (see physicsConstraints.js)
+        constraints: { type: 'array', items: { $ref: '#/definitions/constraint' } },
+        // Waypoint path for a kinematic platform (see physicsPlatforms.js)
+        movingPlatform: { $ref: '#/definitions/movingPlatform' },
+        // Heightmap of a terrain object (see terrain.js)
+        terrain: { $ref: '#/definitions/terrain' },
+        // Ragdoll of a skinned character (see src/physics/ragdoll.js)
+        ragdoll: { $ref: '#/definitions/ragdoll' },
+        // Animation state machine of a GLTF model (see animator.js)
+        animator: { $ref: '#/definitions/animator' },
+        // Named markers on its clips, e.g. footsteps (see src/engine/animationEvents.js)
+        animationEvents: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['clip', 'time', 'name'],
+            properties: {
+              id: { type: 'string' },
+              clip: { type: 'string' },
+              // Seconds from the start of the clip
+              time: { type: 'number', minimum: 0 },
+              name: { type: 'string' },
+              sound: { type: 'string' },
+              volume: { type: 'number', minimum: 0 }
+            }
+          }
+        },
+        // Timeline clips as THREE.AnimationClip JSON (see src/engine/keyframeAnimation.js)
+        keyframeClips: { type: 'array', items: { $ref: '#/definitions/keyframeClip' } },
+        isPlayer: { type: 'boolean' },
+        characterSettings: { type: 'object' },
+        audio: { type: 'object' },
+        events: { type: 'string' }
+      }
+    },
+    collisionFrame: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        id: { type: ['string', 'number'] },
+        type: { type: 'string' },
+        position: xyz,
+        rotation: xyz,
+        size: xyz,
+        radius: { type: 'number' },
+        height: { type: 'number' },
+        vertices: { type: 'array', items: vec3 },
+        faces: { type: 'array', items: { type: 'array', items: { type: 'integer', minimum: 0 }, minItems: 3 } },
+        autoGenerated: { type: 'boolean' }
+      }
+    },
+    constraint: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        id: { type: 'string' },
+        type: { enum: ['hinge', 'point', 'distance', 'spring', 'lock'] },
+        target: { type: ['string', 'null'] },
+        pivotA: xyz,
+        pivotB: xyz,
+        axisA: xyz,
+        axisB: xyz,
+        distance: { type: 'number', minimum: 0 },
+        restLength: { type: 'number', minimum: 0 },
+        stiffness: { type: 'number', minimum: 0 },
+        damping: { type: 'number', minimum: 0 },
+        maxForce: { type: 'number', minimum: 0 },
+        collideConnected: { type: 'boolean' },
+        motorSpeed: { type: 'number' }
+      }
+    },
+    keyframeClip: {
+      type: 'object',
+      required: ['name', 'duration', 'tracks'],
+      properties: {
+        name: { type: 'string' },
+        duration: { type: 'number', minimum: 0 },
+        uuid: { type: 'string' },
+        blendMode: { type: 'number' },
+        autoplay: { type: 'boolean' },
+        loop: { enum: ['once', 'repeat', 'pingPong'] },
+        tracks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name', 'type', 'times', 'values'],
+            properties: {
+              // Property path, e.g. ".position" or ".material.color"
+              name: { type: 'string' },
+              type: { enum: ['vector', 'color', 'number'] },
+              times: { type: 'array', items: { type: 'number', minimum: 0 } },
+              values: { type: 'array', items: { type: 'number' } },
+              // Curve from each key to the next
+              easing: { type: 'array', items: { enum: ['linear', 'easeIn', 'easeOut', 'easeInOut', 'step'] } }
+            }
+          }
+        }
+      }
+    },
+    movingPlatform: {
+      type: 'object',
+      required: ['waypoints'],
+      properties: {
+        enabled: { type: 'boolean' },
+        mode: { enum: ['pingPong', 'loop'] },
+        speed: { type: 'number', minimum: 0 },
+        easing: { enum: ['linear', 'easeIn', 'easeOut', 'easeInOut'] },
+        waypoints: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              x: { type: 'number' },
+              y: { type: 'number' },
+              z: { type: 'number' },
+              wait: { type: 'number', minimum: 0 }
+            }
+          }
+        }
+      }
+    },
+    ragdoll: {
+      type: 'object',
+      required: ['parts'],
+      properties: {
+        enabled: { type: 'boolean' },
+        mass: { type: 'number', minimum: 0 },
+        blendTime: { type: 'number', minimum: 0 },
+        parts: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name', 'bone'],
+            properties: {
+              name: { type: 'string' },
+              bone: { type: 'string' },
+              endBone: { type: ['string', 'null'] },
+              parent: { type: ['string', 'null'] },
+              radius: { type: 'number', minimum: 0 },
+              // Degrees, from the bind pose
+              coneAngle: { type: 'number', minimum: 0 },
+              twistAngle: { type: 'number', minimum: 0 }
+            }
+          }
+        }
+      }
+    },
+    animator: {
+      type: 'object',
+      required: ['states'],
+      properties: {
+        parameters: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name', 'type'],
+            properties: {
+              name: { type: 'string' },
+              type: { enum: ['float', 'bool', 'trigger'] },
+              default: { type: ['number', 'boolean'] }
+            }
+          }
+        },
+        states: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'type'],
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              type: { enum: ['clip', 'blend1d', 'blend2d'] },
+              clip: { type: ['string', 'null'] },
+              speed: { type: 'number' },
+              loop: { type: 'boolean' },
+              parameter: { type: ['string', 'null'] },
+              parameterY: { type: ['string', 'null'] },
+              // Blend tree motions: threshold for blend1d, x and y for blend2d
+              motions: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['clip'],
+                  properties: {
+                    clip: { type: 'string' },
+                    threshold: { type: 'number' },
+                    x: { type: 'number' },
+                    y: { type: 'number' }
+                  }
+                }
+              },
+              // Node position in the editor's graph view
+              position: { type: 'object', properties: { x: { type: 'number' }, y: { type: 'number' } } }
+            }
+          }
+        },
+        entry: { type: ['string', 'null'] },
+        // Clips moving their root bone drive the character (see rootMotion.js); bone null = the hips
+        rootMotion: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean' },
+            bone: { type: ['string', 'null'] }
+          }
+        },
+        transitions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['from', 'to'],
+            properties: {
+              id: { type: 'string' },
+              // A state id, or 'any' for every state
+              from: { type: 'string' },
+              to: { type: 'string' },
+              duration: { type: 'number', minimum: 0 },
+              exitTime: { type: ['number', 'null'], minimum: 0 },
+              conditions: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['parameter', 'op'],
+                  properties: {
+                    parameter: { type: 'string' },
+                    op: { enum: ['>', '<', 'true', 'false', 'set'] },
+                    value: { type: 'number' }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    terrain: {
+      type: 'object',
+      required: ['size', 'resolution', 'maxHeight'],
+      properties: {
+        size: { type: 'number', minimum: 0 },
+        resolution: { type: 'integer', minimum: 2 },
+        maxHeight: { type: 'number', minimum: 0 },
+        // base64: resolution² little-endian uint16 heights (0..65535 = 0..maxHeight), row by row
+        heights: { type: 'string' },
+        // base64: resolution² x 4 paint layer weights (0..255)
+        splat: { type: 'string' },
+        layers: {
+          type: 'array',
+          maxItems: 4,
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              color: { type: 'string' },
+              texture: { type: ['string', 'null'] },
+              tiling: { type: 'number', minimum: 0 }
+            }
+          }
+        }
+      }
+    },
+    eventSheet: {
+      type: 'object',
+      required: ['id', 'events'],
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        // Scene object the sheet belongs to - actions without a target act on it
+        objectId: { type: ['string', 'null'] },
+        // Initial values of the object's variables
+        variables: { type: 'object' },
+        events: { type: 'array', items: { $ref: '#/definitions/event' } }
+      }
+    },
+    event: {
+      type: 'object',
+      required: ['condition'],
+      properties: {
+        id: { type: 'string' },
+        condition: { $ref: '#/definitions/eventPart' },
+        // Events that only group sub-events have no action
+        action: { type: ['object', 'null'] },
+        subEvents: { type: 'array', items: { $ref: '#/definitions/event' } }
+      }
+    },
+    eventPart: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { type: 'string' },
+        parameters: { type: 'object' },
+        // And / Or children
+        conditions: { type: 'array', items: { $ref: '#/definitions/eventPart' } }
+      }
+    }
+  }
+};
+
+// =====================================================
+// VALIDATION
+// =====================================================
+
+// Small JSON Schema validator covering the keywords SCENE_SCHEMA uses:
+// type, enum, const, required, properties, items, minItems, maxItems, minimum and local $ref.
+export function validateScene(data, schema = SCENE_SCHEMA) {
+  const errors = [];
+  validateNode(data, schema, schema, '$', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, expected) {
+  const actual = typeOf(value);
+  if (expected === 'number') return actual === 'number' || actual === 'integer';
+  return actual === expected;
+}
+
+function validateNode(value, node, root, path, errors) {
+  if (node.$ref) {
+    const target = node.$ref.replace(/^#\//, '').split('/').reduce((acc, key) => acc?.[key], root);
+    if (!target) {
+      errors.push(`${path}: unresolved schema reference ${node.$ref}`);
+      return;
+    }
+    validateNode(value, target, root, path, errors);
+    return;
+  }
+
+  if (node.const !== undefined && value !== node.const) {
+    errors.push(`${path}: expected ${JSON.stringify(node.const)}, got ${JSON.stringify(value)}`);
+    return;
+  }
+
+  if (node.enum && !node.enum.includes(value)) {
+    errors.push(`${path}: expected one of ${node.enum.join(', ')}, got ${JSON.stringify(value)}`);
+    return;
+  }
+
+  if (node.type) {
+    const types = Array.isArray(node.type) ? node.type : [node.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+
+  if (typeof value === 'number' && node.minimum !== undefined && value < node.minimum) {
+    errors.push(`${path}: must be >= ${node.minimum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (node.minItems !== undefined && value.length < node.minItems) {
+      errors.push(`${path}: expected at least ${node.minItems} items`);
+    }
+    if (node.maxItems !== undefined && value.length > node.maxItems) {
+      errors.push(`${path}: expected at most ${node.maxItems} items`);
+    }
+    if (node.items) {
+      value.forEach((item, i) => validateNode(item, node.items, root, `${path}[${i}]`, errors));
+    }
+  } else if (value && typeof value === 'object') {
+    (node.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    });
+    Object.entries(node.properties || {}).forEach(([key, child]) => {
+      if (value[key] !== undefined) validateNode(value[key], child, root, `${path}.${key}`, errors);
+    });
+  }
+}
+
+// =====================================================
+// MIGRATIONS
+// =====================================================
+
+// Files without a numeric formatVersion are the legacy (v1) layouts:
+// - editor/export files with a flat `objects[]` list and array transforms
+//   (SettingsPanel, ExportGameButton, gameplayer/scene.json, src/assets/*_editor.json)
+// - project files with `scenes[].entities[]` and `transform.pos/rot/scale`
+//   (examples/simple-platformer.json, SceneLoader)
+export function detectFormatVersion(data) {
+  if (data && typeof data.formatVersion === 'number') return data.formatVersion;
+  return 1;
+}
+
+// Ordered upgrade steps: MIGRATIONS[n] turns a version n file into version n + 1
+export const MIGRATIONS = {
+  1: migrateV1ToV2
+};
+
+// Upgrade a parsed scene file of any known version to SCENE_FORMAT_VERSION.
+// Returns a new object; the input is not modified.
+export function migrateScene(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Scene file must be a JSON object');
+  }
+
+  let version = detectFormatVersion(data);
+  if (version > SCENE_FORMAT_VERSION) {
+    throw new Error(`Scene file format ${version} is newer than supported format ${SCENE_FORMAT_VERSION}`);
+  }
+
+  let migrated = JSON.parse(JSON.stringify(data));
+  while (version < SCENE_FORMAT_VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) throw new Error(`No migration from scene format ${version}`);
+    migrated = step(migrated);
+    version = migrated.formatVersion;
+  }
+  return migrated;
+}
+
+// Migrate then validate. Throws an Error listing the problems if the result doesn't match the schema.
+export function parseSceneFile(data) {
+  const fromVersion = detectFormatVersion(data);
+  const scene = migrateScene(data);
+  const { valid, errors } = validateScene(scene);
+  if (!valid) {
+    throw new Error(`Invalid scene file:\n${errors.slice(0, 10).join('\n')}`);
+  }
+  if (fromVersion !== SCENE_FORMAT_VERSION) {
+    console.log(`📦 Migrated scene file from format ${fromVersion} to ${SCENE_FORMAT_VERSION}`);
+  }
+  return scene;
+}
+
+// Return the scene that should be loaded first
+export function getStartScene(project) {
+  const scenes = project?.scenes || [];
+  return scenes.find(s => s.id === project.startScene) || scenes[0] || null;
+}
+
+// Colors in old files may be numbers, "#rrggbb" or "0xrrggbb" strings
+function toColorNumber(value, fallback) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string') {
+    const parsed = parseInt(value.replace(/^#|^0x/i, ''), 16);
+    if (!Number.isNaN(parsed)) return parsed;
+  }
+  return fallback;
+}
+
+function toVec3(value, fallback) {
+  if (Array.isArray(value) && value.length === 3) return value.map(Number);
+  if (value && typeof value === 'object' && 'x' in value) return [value.x || 0, value.y || 0, value.z || 0];
+  return fallback;
+}
+
+function normalizeObjectType(type) {
+  const t = (type || '').toLowerCase();
+  if (t.includes('light')) return 'light';
+  if (t === 'gltf' || t === 'primitive' || t === 'group') return t;
+  if (t === 'mesh') return 'primitive';
+  return 'group';
+}
+
+function guessLightType(obj) {
+  if (obj.lightType) return obj.lightType;
+  const name = `${obj.name || ''} ${obj.type || ''}`.toLowerCase();
+  if (name.includes('hemisphere')) return 'hemisphere';
+  if (name.includes('point')) return 'point';
+  if (name.includes('spot')) return 'spot';
+  return 'directional';
+}
+
+// Legacy flat editor/export object -> v2 object
+function migrateEditorObject(obj, index) {
+  const type = normalizeObjectType(obj.type);
+  // SettingsPanel wrote the real transform under `transform` and zeroed arrays alongside it
+  const t = obj.transform || {};
+  const out = {
+    id: String(obj.id || `object-${index}`),
+    name: obj.name || `Object ${index}`,
+    type,
+    transform: {
+      position: toVec3(t.position, null) || toVec3(obj.position, [0, 0, 0]),
+      rotation: toVec3(t.rotation, null) || toVec3(obj.rotation, [0, 0, 0]),
+      scale: toVec3(t.scale, null) || toVec3(obj.scale, [1, 1, 1])
+    }
+  };
+
+  if (type === 'primitive') {
+    const geometryName = typeof obj.geometry === 'string' ? obj.geometry.replace(/Geometry$/, '').toLowerCase() : null;
+    out.primitive = typeof obj.primitive === 'string' ? obj.primitive : (geometryName || guessPrimitiveFromName(obj.name));
+    if (Array.isArray(obj.geometryParams)) {
+      out.geometry = geometryParamsFromArray(out.primitive, obj.geometryParams);
+    } else if (obj.geometryParams && typeof obj.geometryParams === 'object') {
+      out.geometry = { ...obj.geometryParams };
+    }
+  }
+
+  const asset = obj.modelPath || obj.asset || obj.filename;
+  if (type === 'gltf' && asset) out.asset = asset;
+
+  if (obj.material || obj.color !== undefined) {
+    out.material = {
+      color: toColorNumber(obj.material?.color ?? obj.color, 0xcccccc),
+      metalness: obj.material?.metalness ?? 0,
+      roughness: obj.material?.roughness ?? 0.5
+    };
+  }
+
+  if (type === 'light') {
+    out.light = { lightType: guessLightType(obj), ...(obj.lightProps || {}) };
+  }
+
+  if (obj.physics) {
+    out.physics = { ...obj.physics, enabled: obj.physics.enabled ?? true };
+    if (out.physics.autoCreate === undefined) delete out.physics.autoCreate;
+  }
+  if (Array.isArray(obj.collisionFrames) && obj.collisionFrames.length > 0) {
+    out.collisionFrames = obj.collisionFrames;
+  }
+  ['isPlayer', 'characterSettings', 'audio'].forEach((key) => {
+    if (obj[key] !== undefined) out[key] = obj[key];
+  });
+  return out;
+}
+
+function guessPrimitiveFromName(name = '') {
+  const lower = name.toLowerCase();
+  if (lower.includes('sphere')) return 'sphere';
+  if (lower.includes('cylinder')) return 'cylinder';
+  if (lower.includes('plane')) return 'plane';
+  return 'box';
+}
+
+function geometryParamsFromArray(primitive, params) {
+  switch (primitive) {
+    case 'sphere':
+      return { radius: params[0] };
+    case 'cylinder':
+      return { radiusTop: params[0], radiusBottom: params[1], height: params[2] };
+    case 'plane':
+      return { width: params[0], height: params[1] };
+    default:
+      return { width: params[0], height: params[1], depth: params[2] };
+  }
+}
+
+// Legacy `scenes[].entities[]` entity -> v2 object
+function migrateEntity(entity, index) {
+  const t = entity.transform || {};
+  const out = {
+    id: String(entity.id || `entity-${index}`),
+    name: entity.name || `Entity ${index}`,
+    type: normalizeObjectType(entity.type),
+    transform: {
+      position: toVec3(t.pos || t.position, [0, 0, 0]),
+      rotation: toVec3(t.rot || t.rotation, [0, 0, 0]),
+      scale: toVec3(t.scale, [1, 1, 1])
+    }
+  };
+
+  if (entity.type === 'primitive' && entity.primitive) {
+    const { type: shape = 'box', color, ...params } = entity.primitive;
+    out.primitive = shape;
+    if (Object.keys(params).length > 0) out.geometry = params;
+    out.material = { color: toColorNumber(color, 0x666666), metalness: 0, roughness: 0.5 };
+  }
+  if (entity.type === 'gltf' && entity.asset) out.asset = entity.asset;
+
+  if (entity.physics) {
+    // Old runtime physics: { bodyType: dynamic|static|kinematic, mass, shape }
+    const { bodyType, shape, mass, ...rest } = entity.physics;
+    out.physics = {
+      ...rest,
+      enabled: true,
+      bodyType: shape || 'box',
+      mass: mass ?? 1,
+      isStatic: bodyType === 'static'
+    };
+    if (bodyType === 'kinematic') out.physics.isTrigger = true;
+  }
+  if (entity.events) out.events = entity.events;
+  ['isPlayer', 'characterSettings', 'audio', 'collisionFrames'].forEach((key) => {
+    if (entity[key] !== undefined) out[key] = entity[key];
+  });
+  return out;
+}
+
+function migrateV1ToV2(data) {
+  // Project layout: { project, scenes: [{ entities }], eventSheets }
+  if (Array.isArray(data.scenes)) {
+    const scenes = data.scenes.map((scene, i) => ({
+      id: String(scene.id || `scene-${i}`),
+      name: scene.name || `Scene ${i + 1}`,
+      ...(scene.camera ? {
+        camera: {
+          position: toVec3(scene.camera.pos || scene.camera.position, [0, 5, 10]),
+          target: toVec3(scene.camera.target, [0, 0, 0])
+        }
+      } : {}),
+      objects: (scene.entities || scene.objects || []).map(migrateEntity)
+    }));
+
+    return {
+      formatVersion: 2,
+      generator: data.generator || 'GD3D Editor',
+      project: {
+        id: data.project?.id || 'project',
+        name: data.project?.name || data.name || 'Untitled Project',
+        version: data.project?.version || '0.1.0',
+        ...(data.project?.description ? { description: data.project.description } : {})
+      },
+      startScene: scenes[0]?.id,
+      scenes,
+      eventSheets: data.eventSheets || [],
+      ...(data.postProcessing ? { postProcessing: data.postProcessing } : {}),
+      ...(data.assets ? { assets: data.assets } : {}),
+      ...(data.prefabs ? { prefabs: data.prefabs } : {})
+    };
+  }
+
+  // Flat editor/export layout: { name | metadata, scene, objects, postProcessing }
+  const name = data.name || data.metadata?.projectName || 'Untitled Project';
+  const environment = data.scene ? { ...data.scene } : undefined;
+  return {
+    formatVersion: 2,
+    generator: data.metadata?.generator || 'GD3D Editor',
+    project: {
+      id: name.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+      name,
+      version: '0.1.0',
+      ...(data.timestamp || data.metadata?.exportDate ? { savedAt: data.timestamp || data.metadata.exportDate } : {})
+    },
+    startScene: 'main',
+    scenes: [{
+      id: 'main',
+      name: 'Main',
+      ...(environment ? { environment } : {}),
+      objects: (data.objects || []).map(migrateEditorObject)
+    }],
+    eventSheets: data.eventSheets || [],
+    ...(data.postProcessing ? { postProcessing: data.postProcessing } : {})
+  };
+}
@@ -0,0 +1,346 @@
+// =====================================================
+// GD3D TERRAIN
+// =====================================================
+// Heightmap terrain shared by the editor, the RuntimePlayer and this game player: the mesh with
+// its splat-map material, the CANNON.Heightfield collider and the scene file encoding.
+//
+// A terrain is a square grid of `resolution` x `resolution` height samples spread over `size` x
+// `size` world units, centred on the object's origin. Sample (row, col) sits at
+//   x = -size / 2 + col * spacing,  z = -size / 2 + row * spacing,  spacing = size / (resolution - 1)
+// and its height (0..maxHeight) is heights[row * resolution + col]. Every sample also has four
+// splat weights (0..255), one per paint layer, in splat[(row * resolution + col) * 4 + layer].
+//
+// Scene files store heights as base64 little-endian 16-bit values scaled to maxHeight and the
+// splat map as base64 RGBA bytes (see SCENE_FORMAT.md). The object's scale is not applied to the
+// collider; change size and maxHeight instead.
+
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+
+export const DEFAULT_TERRAIN = { size: 64, resolution: 65, maxHeight: 10 };
+export const TERRAIN_RESOLUTION_LIMITS = { min: 2, max: 257 };
+
+// Paint layers. `tiling` is how many world units one repeat of the layer's texture covers.
+export const DEFAULT_SPLAT_LAYERS = [
+  { name: 'Grass', color: '#5d8a3c', texture: null, tiling: 8 },
+  { name: 'Dirt', color: '#8b6a43', texture: null, tiling: 8 },
+  { name: 'Rock', color: '#7d7d7d', texture: null, tiling: 8 },
+  { name: 'Snow', color: '#f2f2f2', texture: null, tiling: 8 }
+];
+
+const HEIGHT_STEPS = 65535;
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+export const terrainSpacing = terrain => terrain.size / (terrain.resolution - 1);
+
+// A flat terrain, fully painted with the first layer
+export function createTerrain(options = {}) {
+  const size = options.size > 0 ? options.size : DEFAULT_TERRAIN.size;
+  const resolution = Math.round(clamp(options.resolution || DEFAULT_TERRAIN.resolution,
+    TERRAIN_RESOLUTION_LIMITS.min, TERRAIN_RESOLUTION_LIMITS.max));
+  const maxHeight = options.maxHeight > 0 ? options.maxHeight : DEFAULT_TERRAIN.maxHeight;
+  const count = resolution * resolution;
+  const splat = new Uint8Array(count * 4);
+  for (let i = 0; i < count; i++) splat[i * 4] = 255;
+  return {
+    size,
+    resolution,
+    maxHeight,
+    heights: new Float32Array(count),
+    splat,
+    layers: (options.layers || DEFAULT_SPLAT_LAYERS).map(layer => ({ ...layer }))
+  };
+}
+
+// Resample a terrain onto a new resolution/size/maxHeight, keeping its shape and paint
+export function resizeTerrain(terrain, options = {}) {
+  const next = createTerrain({ ...terrain, ...options, layers: terrain.layers });
+  const { resolution } = next;
+  const scale = (terrain.resolution - 1) / (resolution - 1);
+  for (let row = 0; row < resolution; row++) {
+    for (let col = 0; col < resolution; col++) {
+      const i = row * resolution + col;
+      next.heights[i] = clamp(sampleGrid(terrain.heights, terrain.resolution, row * scale, col * scale, 1, 0), 0, next.maxHeight);
+      for (let layer = 0; layer < 4; layer++) {
+        next.splat[i * 4 + layer] = Math.round(sampleGrid(terrain.splat, terrain.resolution, row * scale, col * scale, 4, layer));
+      }
+    }
+  }
+  return next;
+}
+
+// Bilinear sample of a row-major grid at fractional (row, col)
+function sampleGrid(values, resolution, row, col, stride, channel) {
+  const r0 = clamp(Math.floor(row), 0, resolution - 1);
+  const c0 = clamp(Math.floor(col), 0, resolution - 1);
+  const r1 = Math.min(r0 + 1, resolution - 1);
+  const c1 = Math.min(c0 + 1, resolution - 1);
+  const tr = clamp(row - r0, 0, 1);
+  const tc = clamp(col - c0, 0, 1);
+  const at = (r, c) => values[(r * resolution + c) * stride + channel];
+  const top = at(r0, c0) + (at(r0, c1) - at(r0, c0)) * tc;
+  const bottom = at(r1, c0) + (at(r1, c1) - at(r1, c0)) * tc;
+  return top + (bottom - top) * tr;
+}
+
+// Height of the terrain surface at local (x, z), on the same triangles as the mesh and the
+// collider. Returns null outside the terrain.
+export function terrainHeightAt(terrain, x, z) {
+  const { size, resolution, heights } = terrain;
+  const spacing = terrainSpacing(terrain);
+  const fx = (x + size / 2) / spacing;
+  const fz = (z + size / 2) / spacing;
+  if (fx < 0 || fz < 0 || fx > resolution - 1 || fz > resolution - 1) return null;
+  const col = Math.min(Math.floor(fx), resolution - 2);
+  const row = Math.min(Math.floor(fz), resolution - 2);
+  const tx = fx - col;
+  const tz = fz - row;
+  const a = heights[row * resolution + col];
+  const b = heights[row * resolution + col + 1];
+  const c = heights[(row + 1) * resolution + col];
+  const d = heights[(row + 1) * resolution + col + 1];
+  // Cells are split along their (row, col) - (row + 1, col + 1) diagonal
+  return tx > tz ? a + (b - a) * tx + (d - b) * tz : a + (c - a) * tz + (d - c) * tx;
+}
+
+// ---------- Scene file encoding ----------
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// Runtime terrain -> the plain JSON object stored in scene files and the editor's object data
+export function encodeTerrain(terrain) {
+  const { size, resolution, maxHeight, heights, splat, layers } = terrain;
+  const bytes = new Uint8Array(heights.length * 2);
+  const view = new DataView(bytes.buffer);
+  heights.forEach((height, i) => {
+    view.setUint16(i * 2, Math.round(clamp(height / maxHeight, 0, 1) * HEIGHT_STEPS), true);
+  });
+  return {
+    size,
+    resolution,
+    maxHeight,
+    heights: bytesToBase64(bytes),
+    splat: bytesToBase64(splat),
+    layers: layers.map(layer => ({ ...layer }))
+  };
+}
+
+// Scene file terrain -> runtime terrain. Missing or mismatched data falls back to a flat terrain
+// painted with the first layer.
+export function decodeTerrain(data = {}) {
+  const terrain = createTerrain({ ...data, layers: data.layers?.length ? data.layers : undefined });
+  const count = terrain.resolution * terrain.resolution;
+  try {
+    if (data.heights) {
+      const bytes = base64ToBytes(data.heights);
+      if (bytes.length !== count * 2) throw new Error(`expected ${count} heights, got ${bytes.length / 2}`);
+      const view = new DataView(bytes.buffer);
+      for (let i = 0; i < count; i++) terrain.heights[i] = (view.getUint16(i * 2, true) / HEIGHT_STEPS) * terrain.maxHeight;
+    }
+    if (data.splat) {
+      const bytes = base64ToBytes(data.splat);
+      if (bytes.length !== count * 4) throw new Error(`expected ${count} splat weights, got ${bytes.length / 4}`);
+      terrain.splat.set(bytes);
+    }
+  } catch (err) {
+    console.warn('⚠️ Terrain data could not be read, using a flat terrain:', err.message);
+    return createTerrain({ ...terrain, layers: terrain.layers });
+  }
+  return terrain;
+}
+
+// ---------- Mesh ----------
+
+const TERRAIN_VERTEX_PARS = `
+attribute vec4 splatWeights;
+varying vec4 vSplat;
+varying vec2 vTerrainUv;
+`;
+
+const TERRAIN_FRAGMENT_PARS = `
+uniform vec3 terrainColors[4];
+uniform vec4 terrainTiling;
+uniform sampler2D terrainMap0;
+uniform sampler2D terrainMap1;
+uniform sampler2D terrainMap2;
+uniform sampler2D terrainMap3;
+varying vec4 vSplat;
+varying vec2 vTerrainUv;
+`;
+
+// Replaces <map_fragment>: blends the four layers by their splat weights
+const TERRAIN_MAP_FRAGMENT = `
+vec4 splatWeight = vSplat;
+float splatTotal = splatWeight.x + splatWeight.y + splatWeight.z + splatWeight.w;
+splatWeight = splatTotal > 0.001 ? splatWeight / splatTotal : vec4(1.0, 0.0, 0.0, 0.0);
+vec3 terrainColor =
+  terrainColors[0] * texture2D(terrainMap0, vTerrainUv / terrainTiling.x).rgb * splatWeight.x +
+  terrainColors[1] * texture2D(terrainMap1, vTerrainUv / terrainTiling.y).rgb * splatWeight.y +
+  terrainColors[2] * texture2D(terrainMap2, vTerrainUv / terrainTiling.z).rgb * splatWeight.z +
+  terrainColors[3] * texture2D(terrainMap3, vTerrainUv / terrainTiling.w).rgb * splatWeight.w;
+diffuseColor.rgb *= terrainColor;
+`;
+
+let whiteTexture = null;
+function getWhiteTexture() {
+  if (!whiteTexture) {
+    whiteTexture = new THREE.DataTexture(new Uint8Array([255, 255, 255, 255]), 1, 1);
+    whiteTexture.needsUpdate = true;
+  }
+  return whiteTexture;
+}
+
+function createTerrainGeometry(terrain) {
+  const { resolution } = terrain;
+  const count = resolution * resolution;
+  const geometry = new THREE.BufferGeometry();
+  const uvs = new Float32Array(count * 2);
+  for (let row = 0; row < resolution; row++) {
+    for (let col = 0; col < resolution; col++) {
+      const i = row * resolution + col;
+      uvs[i * 2] = col / (resolution - 1);
+      uvs[i * 2 + 1] = 1 - row / (resolution - 1);
+    }
+  }
+  // Same triangles as the Heightfield: each cell is split along its (row, col) - (row + 1, col + 1)
+  // diagonal, counter-clockwise seen from above
+  const indices = [];
+  for (let row = 0; row < resolution - 1; row++) {
+    for (let col = 0; col < resolution - 1; col++) {
+      const a = row * resolution + col;
+      const b = a + 1;
+      const c = a + resolution;
+      const d = c + 1;
+      indices.push(a, d, b, a, c, d);
+    }
+  }
+  geometry.setIndex(indices);
+  geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+  geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+  geometry.setAttribute('splatWeights', new THREE.BufferAttribute(new Uint8Array(count * 4), 4, true));
+  return geometry;
+}
+
+function createTerrainMaterial() {
+  const uniforms = {
+    terrainColors: { value: [0, 1, 2, 3].map(() => new THREE.Color()) },
+    terrainTiling: { value: new THREE.Vector4(8, 8, 8, 8) },
+    terrainMap0: { value: getWhiteTexture() },
+    terrainMap1: { value: getWhiteTexture() },
+    terrainMap2: { value: getWhiteTexture() },
+    terrainMap3: { value: getWhiteTexture() }
+  };
+  const material = new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.9, metalness: 0 });
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `#include <common>\n${TERRAIN_VERTEX_PARS}`)
+      .replace('#include <begin_vertex>', '#include <begin_vertex>\nvSplat = splatWeights;\nvTerrainUv = position.xz;');
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', `#include <common>\n${TERRAIN_FRAGMENT_PARS}`)
+      .replace('#include <map_fragment>', TERRAIN_MAP_FRAGMENT);
+  };
+  material.userData.terrainUniforms = uniforms;
+  return material;
+}
+
+// Copy a terrain's layer colours, tiling and textures into its mesh's material.
+// options.textureLoader loads layer textures (default: a THREE.TextureLoader).
+export function updateTerrainLayers(mesh, options = {}) {
+  const terrain = mesh.userData.terrain;
+  const uniforms = mesh.material.userData.terrainUniforms;
+  if (!terrain || !uniforms) return;
+  const textures = mesh.userData.terrainTextures || (mesh.userData.terrainTextures = {});
+  const tiling = [];
+  for (let i = 0; i < 4; i++) {
+    const layer = terrain.layers[i] || DEFAULT_SPLAT_LAYERS[i];
+    uniforms.terrainColors.value[i].set(layer.color || '#ffffff');
+    tiling.push(layer.tiling > 0 ? layer.tiling : 8);
+    let texture = getWhiteTexture();
+    if (layer.texture) {
+      if (!textures[layer.texture]) {
+        const loader = options.textureLoader || new THREE.TextureLoader();
+        textures[layer.texture] = loader.load(layer.texture, undefined, undefined, () => {
+          console.warn(`⚠️ Terrain texture could not be loaded: ${layer.texture}`);
+        });
+        textures[layer.texture].wrapS = THREE.RepeatWrapping;
+        textures[layer.texture].wrapT = THREE.RepeatWrapping;
+        textures[layer.texture].colorSpace = THREE.SRGBColorSpace;
+      }
+      texture = textures[layer.texture];
+    }
+    uniforms[`terrainMap${i}`].value = texture;
+  }
+  uniforms.terrainTiling.value.set(...tiling);
+}
+
+// Copy a terrain's heights and splat weights into its mesh. Rebuilds the geometry when the
+// resolution changed.
+export function updateTerrainMesh(mesh) {
+  const terrain = mesh.userData.terrain;
+  if (!terrain) return;
+  const { resolution, size, heights, splat } = terrain;
+  const count = resolution * resolution;
+  if (mesh.geometry.getAttribute('position')?.count !== count) {
+    mesh.geometry.dispose();
+    mesh.geometry = createTerrainGeometry(terrain);
+  }
+  const spacing = terrainSpacing(terrain);
+  const position = mesh.geometry.getAttribute('position');
+  for (let row = 0; row < resolution; row++) {
+    for (let col = 0; col < resolution; col++) {
+      const i = row * resolution + col;
+      position.setXYZ(i, -size / 2 + col * spacing, heights[i], -size / 2 + row * spacing);
+    }
+  }
+  position.needsUpdate = true;
+  const weights = mesh.geometry.getAttribute('splatWeights');
+  weights.array.set(splat);
+  weights.needsUpdate = true;
+  mesh.geometry.computeVertexNormals();
+  mesh.geometry.computeBoundingBox();
+  mesh.geometry.computeBoundingSphere();
+}
+
+// A mesh showing a runtime terrain; the terrain is kept in mesh.userData.terrain
+export function createTerrainMesh(terrain, options = {}) {
+  const mesh = new THREE.Mesh(createTerrainGeometry(terrain), createTerrainMaterial());
+  mesh.userData.terrain = terrain;
+  mesh.receiveShadow = true;
+  mesh.castShadow = true;
+  updateTerrainMesh(mesh);
+  updateTerrainLayers(mesh, options);
+  return mesh;
+}
+
+// ---------- Physics ----------
+
+// Add a terrain's Heightfield to a body placed at the terrain object's position and rotation.
+// Heightfields are built in their own x/y plane with heights along z, so the shape is turned to
+// lie flat and moved to the terrain's corner; the data is indexed [col][row from the far edge].
+export function addTerrainShape(body, terrain) {
+  const { resolution, size, heights } = terrain;
+  const data = [];
+  for (let col = 0; col < resolution; col++) {
+    const column = [];
+    for (let j = 0; j < resolution; j++) column.push(heights[(resolution - 1 - j) * resolution + col]);
+    data.push(column);
+  }
+  const shape = new CANNON.Heightfield(data, { elementSize: terrainSpacing(terrain) });
+  const orientation = new CANNON.Quaternion().setFromEuler(-Math.PI / 2, 0, 0);
+  body.addShape(shape, new CANNON.Vec3(-size / 2, 0, size / 2), orientation);
+  return shape;
+}
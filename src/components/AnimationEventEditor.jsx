@@ -0,0 +1,148 @@
+import { useState } from 'react';
+import { useSceneStore } from '../store/sceneStore';
+import { usePlayStore } from '../store/playStore';
+import { useAudioStore } from '../store/audioStore';
+import { objectClips } from '../engine/sceneAnimators';
+import { createAnimationEvent } from '../engine/animationEvents';
+
+const inputClass = 'w-full px-1 py-0.5 bg-gray-900 border border-gray-700 rounded text-white text-xs';
+
+// Named markers on the selected model's clips (saved as its `animationEvents`). In play mode each
+// marker a playing clip passes plays its sound at the model and fires On Animation Event.
+export default function AnimationEventEditor() {
+  const { selectedObject, getObjectData, updateObjectData } = useSceneStore();
+  const { isPlaying } = usePlayStore();
+  const { audioLibrary } = useAudioStore();
+  const [clipName, setClipName] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+
+  if (!selectedObject) return null;
+  const clips = objectClips(selectedObject);
+  if (clips.length === 0) return null;
+  const data = getObjectData(selectedObject.uuid);
+  const events = data?.animationEvents || [];
+  const clip = clips.find(c => c.name === clipName) || clips[0];
+  const duration = clip.duration;
+  const clipEvents = events.filter(event => event.clip === clip.name).sort((a, b) => a.time - b.time);
+  const sounds = Array.from(audioLibrary.keys());
+
+  const save = (next) => {
+    if (isPlaying) {
+      console.warn('⚠️ Cannot modify animation events during Play mode');
+      return;
+    }
+    updateObjectData(selectedObject.uuid, { animationEvents: next.length > 0 ? next : undefined });
+  };
+
+  const updateEvent = (id, changes) => save(events.map(event => (event.id === id ? { ...event, ...changes } : event)));
+
+  // Click on the timeline to put a marker there
+  const addAt = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    const event = createAnimationEvent({ clip: clip.name, time: Math.round(fraction * duration * 100) / 100 });
+    save([...events, event]);
+    setSelectedId(event.id);
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-600">
+      <h6 className="text-xs font-semibold text-gray-300 mb-2">Animation Events</h6>
+      <p className="text-xs text-gray-400 mb-2">
+        Markers on a clip, like footsteps. Each one plays its sound at the model and fires On Animation Event when the clip passes it in play mode.
+      </p>
+
+      <select
+        value={clip.name}
+        onChange={(e) => { setClipName(e.target.value); setSelectedId(null); }}
+        className={`${inputClass} mb-2`}
+      >
+        {clips.map((c) => {
+          const count = events.filter(event => event.clip === c.name).length;
+          return <option key={c.name} value={c.name}>{c.name} ({c.duration.toFixed(2)} s{count > 0 ? `, ${count} events` : ''})</option>;
+        })}
+      </select>
+
+      {/* Timeline */}
+      <div
+        className={`relative h-6 bg-gray-900 border border-gray-700 rounded mb-1 ${isPlaying ? '' : 'cursor-crosshair'}`}
+        onClick={isPlaying ? undefined : addAt}
+        title="Click to add an event here"
+      >
+        {clipEvents.map(event => (
+          <div
+            key={event.id}
+            onClick={(e) => { e.stopPropagation(); setSelectedId(event.id); }}
+            title={`${event.name} at ${event.time} s`}
+            className={`absolute top-0 bottom-0 w-1 -ml-0.5 cursor-pointer ${event.id === selectedId ? 'bg-blue-400' : 'bg-yellow-400'}`}
+            style={{ left: `${duration > 0 ? Math.min(100, (event.time / duration) * 100) : 0}%` }}
+          />
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-gray-500 mb-2">
+        <span>0 s</span>
+        <span>{duration.toFixed(2)} s</span>
+      </div>
+
+      <div className="space-y-1">
+        {clipEvents.map(event => (
+          <div
+            key={event.id}
+            onClick={() => setSelectedId(event.id)}
+            className={`grid grid-cols-[1fr_55px_1fr_40px_20px] gap-1 items-center rounded p-0.5 ${event.id === selectedId ? 'bg-gray-700' : ''}`}
+          >
+            <input
+              value={event.name}
+              disabled={isPlaying}
+              title="Event name, matched by On Animation Event"
+              onChange={(e) => updateEvent(event.id, { name: e.target.value })}
+              className={inputClass}
+            />
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              max={duration}
+              value={event.time}
+              disabled={isPlaying}
+              title="Seconds from the start of the clip"
+              onChange={(e) => updateEvent(event.id, { time: Math.min(duration, Math.max(0, parseFloat(e.target.value) || 0)) })}
+              className={inputClass}
+            />
+            <select
+              value={event.sound || ''}
+              disabled={isPlaying}
+              onChange={(e) => updateEvent(event.id, { sound: e.target.value })}
+              className={inputClass}
+            >
+              <option value="">(No sound)</option>
+              {event.sound && !sounds.includes(event.sound) && <option value={event.sound}>{event.sound} (not loaded)</option>}
+              {sounds.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+            <input
+              type="number"
+              step="0.1"
+              min="0"
+              value={event.volume ?? 1}
+              disabled={isPlaying}
+              title="Volume"
+              onChange={(e) => updateEvent(event.id, { volume: Math.max(0, parseFloat(e.target.value) || 0) })}
+              className={inputClass}
+            />
+            <button
+              onClick={(e) => { e.stopPropagation(); save(events.filter(other => other.id !== event.id)); }}
+              disabled={isPlaying}
+              className="text-red-400 hover:text-red-300 disabled:opacity-50 text-xs"
+              title="Delete event"
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+        {clipEvents.length === 0 && (
+          <div className="text-xs text-gray-500">No events on {clip.name}. Click the timeline to add one.</div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,700 @@
+import { useEffect, useState } from 'react';
+import { useSceneStore } from '../store/sceneStore';
+import { usePlayStore } from '../store/playStore';
+import {
+  ANIMATOR_PARAMETER_TYPES,
+  ANIMATOR_STATE_TYPES,
+  ANIMATOR_CONDITION_OPS,
+  ANY_STATE,
+  createAnimatorData,
+  createAnimatorState,
+  createAnimatorTransition
+} from '../engine/animator';
+import { objectClips } from '../engine/sceneAnimators';
+import { rootMotionBones, extractRootMotion } from '../engine/rootMotion';
+import { createCharacterSettings } from '../physics/character';
+
+const inputClass = 'w-full px-1 py-0.5 bg-gray-900 border border-gray-700 rounded text-white text-xs';
+const smallButtonClass = 'px-2 py-0.5 bg-gray-600 hover:bg-gray-500 disabled:opacity-50 text-white rounded text-xs';
+
+// Graph view layout
+const GRAPH_WIDTH = 360;
+const GRAPH_HEIGHT = 240;
+const NODE_WIDTH = 110;
+const NODE_HEIGHT = 32;
+const ANY_POSITION = { x: 10, y: 10 };
+
+const STATE_TYPE_LABELS = { clip: 'Clip', blend1d: '1D Blend Tree', blend2d: '2D Blend Tree' };
+const OP_LABELS = { '>': 'greater than', '<': 'less than', true: 'is true', false: 'is false', set: 'is set' };
+
+// Centre of a node in the graph
+const nodeCentre = position => ({ x: position.x + NODE_WIDTH / 2, y: position.y + NODE_HEIGHT / 2 });
+
+// Where the line from a towards b leaves a node's rectangle
+function nodeEdge(a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  if (dx === 0 && dy === 0) return a;
+  const scale = Math.min(
+    dx !== 0 ? (NODE_WIDTH / 2) / Math.abs(dx) : Infinity,
+    dy !== 0 ? (NODE_HEIGHT / 2) / Math.abs(dy) : Infinity
+  );
+  return { x: a.x + dx * scale, y: a.y + dy * scale };
+}
+
+// Animation state machine of the selected GLTF model (saved as its `animator` data): states
+// mapped to its clips or blending them, and transitions between them on parameter conditions.
+// The player gets an idle/walk/run animator in play mode without one; the character controller
+// sets its speed, grounded and jump parameters.
+export default function AnimatorEditor() {
+  const { selectedObject, getObjectData, updateObjectData } = useSceneStore();
+  const { isPlaying } = usePlayStore();
+  const [selection, setSelection] = useState(null); // { kind: 'state' | 'transition', id }
+  const [drag, setDrag] = useState(null); // { id, offsetX, offsetY, x, y }
+  const [liveState, setLiveState] = useState(null);
+
+  // Follow the state the running animator is in
+  useEffect(() => {
+    if (!isPlaying || !selectedObject) {
+      setLiveState(null);
+      return undefined;
+    }
+    const timer = setInterval(() => {
+      setLiveState(selectedObject.userData.animator?.current?.state.id || null);
+    }, 100);
+    return () => clearInterval(timer);
+  }, [isPlaying, selectedObject]);
+
+  if (!selectedObject) {
+    return <p className="text-xs text-gray-400">Select an animated GLTF model to edit its animator.</p>;
+  }
+  const clips = objectClips(selectedObject);
+  const clipNames = clips.map(clip => clip.name);
+  if (clipNames.length === 0) {
+    return <p className="text-xs text-gray-400">{selectedObject.name} has no animation clips.</p>;
+  }
+  const data = getObjectData(selectedObject.uuid);
+  const animator = data?.animator;
+
+  const save = (next) => {
+    if (isPlaying) {
+      console.warn('⚠️ Cannot modify animators during Play mode');
+      return;
+    }
+    updateObjectData(selectedObject.uuid, { animator: next });
+  };
+
+  const create = () => {
+    const settings = createCharacterSettings(data?.characterSettings);
+    const next = createAnimatorData(clipNames, { walkSpeed: settings.moveSpeed, runSpeed: settings.runSpeed });
+    console.log(`🎞️ Created an animator for ${selectedObject.name} with ${next.states.length} states`);
+    setSelection(null);
+    save(next);
+  };
+
+  if (!animator) {
+    return (
+      <div>
+        <p className="text-xs text-gray-400 mb-2">
+          {selectedObject.name} plays {data?.isPlayer ? 'idle, walk and run by speed' : 'all its clips at once'} without an animator.
+          The new animator starts as an idle/walk/run blend tree with jump and fall states when the model has those clips.
+        </p>
+        <button
+          onClick={create}
+          disabled={isPlaying}
+          className="w-full px-3 py-1 bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white rounded text-xs"
+        >
+          ➕ Create Animator
+        </button>
+      </div>
+    );
+  }
+
+  const update = changes => save({ ...animator, ...changes });
+  const states = animator.states || [];
+  const transitions = animator.transitions || [];
+  const parameters = animator.parameters || [];
+  const stateById = id => states.find(state => state.id === id);
+  const positionOf = (id) => {
+    if (id === ANY_STATE) return ANY_POSITION;
+    if (drag && drag.id === id) return { x: drag.x, y: drag.y };
+    return stateById(id)?.position || { x: 0, y: 0 };
+  };
+
+  // States
+  const updateState = (id, changes) => update({ states: states.map(state => (state.id === id ? { ...state, ...changes } : state)) });
+
+  const addState = () => {
+    const state = createAnimatorState({
+      name: `State ${states.length + 1}`,
+      clip: clipNames[0],
+      position: { x: 140 + (states.length % 3) * 20, y: 100 + (states.length % 3) * 20 }
+    });
+    update({ states: [...states, state], entry: animator.entry || state.id });
+    setSelection({ kind: 'state', id: state.id });
+  };
+
+  const deleteState = (id) => {
+    const rest = states.filter(state => state.id !== id);
+    update({
+      states: rest,
+      entry: animator.entry === id ? rest[0]?.id || null : animator.entry,
+      transitions: transitions.filter(transition => transition.from !== id && transition.to !== id)
+    });
+    setSelection(null);
+  };
+
+  // Transitions
+  const updateTransition = (id, changes) => update({ transitions: transitions.map(transition => (transition.id === id ? { ...transition, ...changes } : transition)) });
+
+  const addTransition = (from, to) => {
+    const transition = createAnimatorTransition({ from, to, exitTime: 1 });
+    update({ transitions: [...transitions, transition] });
+    setSelection({ kind: 'transition', id: transition.id });
+  };
+
+  const deleteTransition = (id) => {
+    update({ transitions: transitions.filter(transition => transition.id !== id) });
+    setSelection(null);
+  };
+
+  // Parameters. Renaming one renames it in the conditions and blend trees that use it.
+  const updateParameter = (index, changes) => {
+    const old = parameters[index];
+    const next = parameters.map((parameter, i) => (i === index ? { ...parameter, ...changes } : parameter));
+    if (changes.type && changes.type !== old.type) next[index].default = changes.type === 'float' ? 0 : false;
+    const rename = name => (changes.name !== undefined && name === old.name ? changes.name : name);
+    update({
+      parameters: next,
+      states: states.map(state => ({ ...state, parameter: rename(state.parameter), parameterY: rename(state.parameterY) })),
+      transitions: transitions.map(transition => ({
+        ...transition,
+        conditions: (transition.conditions || []).map(condition => ({ ...condition, parameter: rename(condition.parameter) }))
+      }))
+    });
+  };
+
+  const addParameter = () => {
+    let name = 'param';
+    for (let i = 1; parameters.some(parameter => parameter.name === name); i++) name = `param${i}`;
+    update({ parameters: [...parameters, { name, type: 'float', default: 0 }] });
+  };
+
+  // Graph dragging: the position is saved once, on release
+  const graphPoint = (event) => {
+    const rect = event.currentTarget.ownerSVGElement?.getBoundingClientRect() || event.currentTarget.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) * (GRAPH_WIDTH / rect.width),
+      y: (event.clientY - rect.top) * (GRAPH_HEIGHT / rect.height)
+    };
+  };
+
+  const startDrag = (event, state) => {
+    event.stopPropagation();
+    setSelection({ kind: 'state', id: state.id });
+    if (isPlaying) return;
+    const point = graphPoint(event);
+    const position = state.position || { x: 0, y: 0 };
+    setDrag({ id: state.id, offsetX: point.x - position.x, offsetY: point.y - position.y, x: position.x, y: position.y });
+  };
+
+  const moveDrag = (event) => {
+    if (!drag) return;
+    const point = graphPoint(event);
+    setDrag({
+      ...drag,
+      x: Math.max(0, Math.min(GRAPH_WIDTH - NODE_WIDTH, point.x - drag.offsetX)),
+      y: Math.max(0, Math.min(GRAPH_HEIGHT - NODE_HEIGHT, point.y - drag.offsetY))
+    });
+  };
+
+  const endDrag = () => {
+    if (!drag) return;
+    const state = stateById(drag.id);
+    if (state && (state.position?.x !== drag.x || state.position?.y !== drag.y)) {
+      updateState(drag.id, { position: { x: Math.round(drag.x), y: Math.round(drag.y) } });
+    }
+    setDrag(null);
+  };
+
+  // Root bone choices and the speed each clip moves it at
+  let rootMotion = null;
+  if (animator.rootMotion?.enabled) {
+    const measured = extractRootMotion(selectedObject, clips, animator.rootMotion.bone || null);
+    const speeds = measured?.speeds || new Map();
+    rootMotion = {
+      bones: rootMotionBones(selectedObject, clips),
+      speeds,
+      moving: clipNames.filter(name => speeds.get(name) > 0)
+    };
+  }
+
+  const selectedState = selection?.kind === 'state' ? stateById(selection.id) : null;
+  const selectedTransition = selection?.kind === 'transition' ? transitions.find(transition => transition.id === selection.id) : null;
+  const stateLabel = id => (id === ANY_STATE ? 'Any State' : stateById(id)?.name || '(missing)');
+
+  const numberField = (value, onChange, step, title, min) => (
+    <input
+      type="number"
+      step={step}
+      min={min}
+      value={value ?? 0}
+      title={title}
+      disabled={isPlaying}
+      onChange={(e) => onChange(parseFloat(e.target.value) || 0)}
+      className={inputClass}
+    />
+  );
+
+  const clipSelect = (value, onChange) => (
+    <select value={value || ''} disabled={isPlaying} onChange={(e) => onChange(e.target.value || null)} className={inputClass}>
+      <option value="">(No clip)</option>
+      {value && !clipNames.includes(value) && <option value={value}>{value} (missing)</option>}
+      {clipNames.map(name => <option key={name} value={name}>{name}</option>)}
+    </select>
+  );
+
+  const parameterSelect = (value, onChange, types, emptyLabel) => (
+    <select value={value || ''} disabled={isPlaying} onChange={(e) => onChange(e.target.value || null)} className={inputClass}>
+      {emptyLabel && <option value="">{emptyLabel}</option>}
+      {value && !parameters.some(parameter => parameter.name === value) && <option value={value}>{value} (missing)</option>}
+      {parameters.filter(parameter => types.includes(parameter.type)).map(parameter => (
+        <option key={parameter.name} value={parameter.name}>{parameter.name}</option>
+      ))}
+    </select>
+  );
+
+  // Arrows: pairs going both ways are drawn side by side
+  const arrows = transitions.map((transition) => {
+    const from = nodeCentre(positionOf(transition.from));
+    const to = nodeCentre(positionOf(transition.to));
+    const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+    const reverse = transitions.some(other => other.from === transition.to && other.to === transition.from);
+    const shift = reverse ? 6 : 0;
+    const nx = -(to.y - from.y) / length * shift;
+    const ny = (to.x - from.x) / length * shift;
+    const start = nodeEdge({ x: from.x + nx, y: from.y + ny }, { x: to.x + nx, y: to.y + ny });
+    const end = nodeEdge({ x: to.x + nx, y: to.y + ny }, { x: from.x + nx, y: from.y + ny });
+    return { transition, start, end };
+  });
+
+  const node = (id, position, label, subtitle, state = null) => {
+    const selected = selection?.kind === 'state' && selection.id === id;
+    const live = liveState === id;
+    let fill = '#374151';
+    if (id === ANY_STATE) fill = '#0f766e';
+    else if (animator.entry === id) fill = '#9a3412';
+    return (
+      <g
+        key={id}
+        transform={`translate(${position.x}, ${position.y})`}
+        onMouseDown={state ? (event) => startDrag(event, state) : undefined}
+        style={{ cursor: state && !isPlaying ? 'move' : 'default' }}
+      >
+        <rect
+          width={NODE_WIDTH}
+          height={NODE_HEIGHT}
+          rx="4"
+          fill={fill}
+          stroke={live ? '#4ade80' : selected ? '#60a5fa' : '#6b7280'}
+          strokeWidth={live || selected ? 2 : 1}
+        />
+        <text x={NODE_WIDTH / 2} y="13" textAnchor="middle" fill="white" fontSize="10">{label}</text>
+        <text x={NODE_WIDTH / 2} y="25" textAnchor="middle" fill="#d1d5db" fontSize="8">{subtitle}</text>
+      </g>
+    );
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h6 className="text-xs font-semibold text-gray-300">{selectedObject.name}</h6>
+        <div className="flex gap-1">
+          <button onClick={addState} disabled={isPlaying} className={smallButtonClass}>➕ State</button>
+          <button
+            onClick={() => { setSelection(null); save(undefined); }}
+            disabled={isPlaying}
+            className="px-2 py-0.5 bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white rounded text-xs"
+          >
+            🗑️ Remove
+          </button>
+        </div>
+      </div>
+
+      {/* Graph view */}
+      <svg
+        viewBox={`0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}`}
+        className="w-full bg-gray-900 border border-gray-700 rounded mb-1 select-none"
+        onMouseMove={moveDrag}
+        onMouseUp={endDrag}
+        onMouseLeave={endDrag}
+        onMouseDown={() => setSelection(null)}
+      >
+        <defs>
+          <marker id="animator-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill="#9ca3af" />
+          </marker>
+          <marker id="animator-arrow-selected" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill="#60a5fa" />
+          </marker>
+        </defs>
+        {arrows.map(({ transition, start, end }) => {
+          const selected = selection?.kind === 'transition' && selection.id === transition.id;
+          return (
+            <g
+              key={transition.id}
+              onMouseDown={(event) => { event.stopPropagation(); setSelection({ kind: 'transition', id: transition.id }); }}
+              style={{ cursor: 'pointer' }}
+            >
+              {/* Wide invisible line to make the arrow easier to click */}
+              <line x1={start.x} y1={start.y} x2={end.x} y2={end.y} stroke="transparent" strokeWidth="8" />
+              <line
+                x1={start.x}
+                y1={start.y}
+                x2={end.x}
+                y2={end.y}
+                stroke={selected ? '#60a5fa' : '#9ca3af'}
+                strokeWidth={selected ? 2 : 1}
+                markerEnd={`url(#${selected ? 'animator-arrow-selected' : 'animator-arrow'})`}
+              />
+            </g>
+          );
+        })}
+        {node(ANY_STATE, ANY_POSITION, 'Any State', 'transitions from every state')}
+        {states.map(state => node(
+          state.id,
+          positionOf(state.id),
+          state.name,
+          state.type === 'clip' ? state.clip || '(no clip)' : `${STATE_TYPE_LABELS[state.type]} (${(state.motions || []).length})`,
+          state
+        ))}
+      </svg>
+      <p className="text-xs text-gray-500 mb-3">
+        Drag states to arrange them. Orange is the entry state{isPlaying ? ', green the one playing' : ''}. Click a state or an arrow to edit it.
+      </p>
+
+      {/* Root motion */}
+      <div className="mb-3">
+        <label className="flex items-center gap-2 text-xs text-gray-300 mb-1">
+          <input
+            type="checkbox"
+            checked={!!animator.rootMotion?.enabled}
+            disabled={isPlaying}
+            onChange={(e) => update({ rootMotion: { bone: null, ...animator.rootMotion, enabled: e.target.checked } })}
+          />
+          Root motion (the clips set how fast the character walks)
+        </label>
+        {rootMotion && (
+          <div className="space-y-1">
+            <select
+              value={animator.rootMotion.bone || ''}
+              disabled={isPlaying}
+              onChange={(e) => update({ rootMotion: { ...animator.rootMotion, bone: e.target.value || null } })}
+              className={inputClass}
+            >
+              <option value="">Root bone: {rootMotion.bones[0] || '(none found)'}</option>
+              {rootMotion.bones.map(bone => <option key={bone} value={bone}>{bone}</option>)}
+            </select>
+            {rootMotion.moving.length > 0 ? (
+              <div className="text-xs text-gray-400">
+                {rootMotion.moving.map(name => `${name}: ${rootMotion.speeds.get(name).toFixed(2)} m/s`).join(', ')}
+              </div>
+            ) : (
+              <div className="text-xs text-yellow-300">
+                ⚠️ None of the clips move their root bone (animated in place), so the character keeps its set speeds.
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Parameters */}
+      <div className="mb-3">
+        <div className="flex items-center justify-between mb-1">
+          <span className="text-xs font-semibold text-gray-300">Parameters</span>
+          <button onClick={addParameter} disabled={isPlaying} className={smallButtonClass}>➕ Parameter</button>
+        </div>
+        <div className="space-y-1">
+          {parameters.map((parameter, index) => (
+            <div key={index} className="grid grid-cols-[1fr_70px_60px_20px] gap-1 items-center">
+              <input
+                value={parameter.name}
+                disabled={isPlaying}
+                onChange={(e) => updateParameter(index, { name: e.target.value })}
+                className={inputClass}
+              />
+              <select
+                value={parameter.type}
+                disabled={isPlaying}
+                onChange={(e) => updateParameter(index, { type: e.target.value })}
+                className={inputClass}
+              >
+                {ANIMATOR_PARAMETER_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+              </select>
+              {parameter.type === 'float' ? (
+                numberField(parameter.default, value => updateParameter(index, { default: value }), 0.1, 'Starting value')
+              ) : parameter.type === 'bool' ? (
+                <input
+                  type="checkbox"
+                  checked={!!parameter.default}
+                  title="Starting value"
+                  disabled={isPlaying}
+                  onChange={(e) => updateParameter(index, { default: e.target.checked })}
+                />
+              ) : <span />}
+              <button
+                onClick={() => update({ parameters: parameters.filter((_, i) => i !== index) })}
+                disabled={isPlaying}
+                className="text-red-400 hover:text-red-300 disabled:opacity-50 text-xs"
+                title="Delete parameter"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Selected state */}
+      {selectedState && (
+        <div className="bg-gray-800 rounded p-2 mb-3 space-y-2">
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="text-xs text-gray-400 block mb-1">Name</label>
+              <input
+                value={selectedState.name}
+                disabled={isPlaying}
+                onChange={(e) => updateState(selectedState.id, { name: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="text-xs text-gray-400 block mb-1">Type</label>
+              <select
+                value={selectedState.type}
+                disabled={isPlaying}
+                onChange={(e) => updateState(selectedState.id, { type: e.target.value })}
+                className={inputClass}
+              >
+                {ANIMATOR_STATE_TYPES.map(type => <option key={type} value={type}>{STATE_TYPE_LABELS[type]}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="text-xs text-gray-400 block mb-1">Speed</label>
+              {numberField(selectedState.speed, speed => updateState(selectedState.id, { speed }), 0.1, 'Playback speed of the state')}
+            </div>
+            <label className="flex items-center gap-2 text-xs text-gray-300 mt-4">
+              <input
+                type="checkbox"
+                checked={selectedState.loop !== false}
+                disabled={isPlaying}
+                onChange={(e) => updateState(selectedState.id, { loop: e.target.checked })}
+              />
+              Loop
+            </label>
+          </div>
+
+          {selectedState.type === 'clip' ? (
+            <div>
+              <label className="text-xs text-gray-400 block mb-1">Clip</label>
+              {clipSelect(selectedState.clip, clip => updateState(selectedState.id, { clip }))}
+            </div>
+          ) : (
+            <div>
+              <div className={`grid ${selectedState.type === 'blend2d' ? 'grid-cols-2' : 'grid-cols-1'} gap-2 mb-1`}>
+                <div>
+                  <label className="text-xs text-gray-400 block mb-1">{selectedState.type === 'blend2d' ? 'Parameter X' : 'Parameter'}</label>
+                  {parameterSelect(selectedState.parameter, parameter => updateState(selectedState.id, { parameter }), ['float'], '(None)')}
+                </div>
+                {selectedState.type === 'blend2d' && (
+                  <div>
+                    <label className="text-xs text-gray-400 block mb-1">Parameter Y</label>
+                    {parameterSelect(selectedState.parameterY, parameterY => updateState(selectedState.id, { parameterY }), ['float'], '(None)')}
+                  </div>
+                )}
+              </div>
+              <div className="text-xs text-gray-400 mb-1">
+                Motions {selectedState.type === 'blend2d' ? '(clip at x, y)' : '(clip at threshold)'}
+              </div>
+              {(selectedState.motions || []).map((motion, index) => {
+                const updateMotion = changes => updateState(selectedState.id, {
+                  motions: selectedState.motions.map((m, i) => (i === index ? { ...m, ...changes } : m))
+                });
+                return (
+                  <div key={index} className={`grid ${selectedState.type === 'blend2d' ? 'grid-cols-[1fr_50px_50px_20px]' : 'grid-cols-[1fr_60px_20px]'} gap-1 mb-1 items-center`}>
+                    {clipSelect(motion.clip, clip => updateMotion({ clip }))}
+                    {selectedState.type === 'blend2d' ? (
+                      <>
+                        {numberField(motion.x, x => updateMotion({ x }), 0.1, 'Parameter X value of this motion')}
+                        {numberField(motion.y, y => updateMotion({ y }), 0.1, 'Parameter Y value of this motion')}
+                      </>
+                    ) : (
+                      numberField(motion.threshold, threshold => updateMotion({ threshold }), 0.1, 'Parameter value where only this motion plays')
+                    )}
+                    <button
+                      onClick={() => updateState(selectedState.id, { motions: selectedState.motions.filter((_, i) => i !== index) })}
+                      disabled={isPlaying}
+                      className="text-red-400 hover:text-red-300 disabled:opacity-50 text-xs"
+                      title="Delete motion"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                );
+              })}
+              <button
+                onClick={() => updateState(selectedState.id, {
+                  motions: [...(selectedState.motions || []), { clip: clipNames[0], threshold: 0, x: 0, y: 0 }]
+                })}
+                disabled={isPlaying}
+                className={smallButtonClass}
+              >
+                ➕ Motion
+              </button>
+            </div>
+          )}
+
+          <div>
+            <label className="text-xs text-gray-400 block mb-1">Transitions from here</label>
+            <select
+              value=""
+              disabled={isPlaying}
+              onChange={(e) => { if (e.target.value) addTransition(selectedState.id, e.target.value); }}
+              className={inputClass}
+            >
+              <option value="">➕ Add transition to...</option>
+              {states.filter(state => state.id !== selectedState.id).map(state => (
+                <option key={state.id} value={state.id}>{state.name}</option>
+              ))}
+            </select>
+            <button onClick={() => addTransition(ANY_STATE, selectedState.id)} disabled={isPlaying} className={`${smallButtonClass} mt-1`}>
+              ➕ Transition from Any State
+            </button>
+          </div>
+
+          <div className="flex gap-1">
+            <button
+              onClick={() => update({ entry: selectedState.id })}
+              disabled={isPlaying || animator.entry === selectedState.id}
+              className={smallButtonClass}
+            >
+              🚩 Set as Entry
+            </button>
+            <button
+              onClick={() => deleteState(selectedState.id)}
+              disabled={isPlaying}
+              className="px-2 py-0.5 bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white rounded text-xs"
+            >
+              🗑️ Delete State
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Selected transition */}
+      {selectedTransition && (
+        <div className="bg-gray-800 rounded p-2 mb-3 space-y-2">
+          <div className="text-xs text-gray-300">
+            {stateLabel(selectedTransition.from)} → {stateLabel(selectedTransition.to)}
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="text-xs text-gray-400 block mb-1">Cross-fade (s)</label>
+              {numberField(selectedTransition.duration, duration => updateTransition(selectedTransition.id, { duration: Math.max(0, duration) }), 0.05, 'Time the two states are blended over', 0)}
+            </div>
+            <div>
+              <label className="flex items-center gap-1 text-xs text-gray-400 mb-1">
+                <input
+                  type="checkbox"
+                  checked={selectedTransition.exitTime !== null && selectedTransition.exitTime !== undefined}
+                  disabled={isPlaying}
+                  onChange={(e) => updateTransition(selectedTransition.id, { exitTime: e.target.checked ? 1 : null })}
+                />
+                Exit time
+              </label>
+              {selectedTransition.exitTime !== null && selectedTransition.exitTime !== undefined && numberField(
+                selectedTransition.exitTime,
+                exitTime => updateTransition(selectedTransition.id, { exitTime: Math.max(0, exitTime) }),
+                0.05,
+                'Share of the state that has to play first (1 = once through)',
+                0
+              )}
+            </div>
+          </div>
+
+          <div>
+            <div className="text-xs text-gray-400 mb-1">Conditions (all must hold)</div>
+            {(selectedTransition.conditions || []).map((condition, index) => {
+              const type = parameters.find(parameter => parameter.name === condition.parameter)?.type || 'float';
+              const updateCondition = changes => updateTransition(selectedTransition.id, {
+                conditions: selectedTransition.conditions.map((c, i) => (i === index ? { ...c, ...changes } : c))
+              });
+              return (
+                <div key={index} className="grid grid-cols-[1fr_80px_50px_20px] gap-1 mb-1 items-center">
+                  <select
+                    value={condition.parameter || ''}
+                    disabled={isPlaying}
+                    onChange={(e) => {
+                      const nextType = parameters.find(parameter => parameter.name === e.target.value)?.type || 'float';
+                      updateCondition({ parameter: e.target.value, op: ANIMATOR_CONDITION_OPS[nextType][0] });
+                    }}
+                    className={inputClass}
+                  >
+                    {condition.parameter && !parameters.some(parameter => parameter.name === condition.parameter) && (
+                      <option value={condition.parameter}>{condition.parameter} (missing)</option>
+                    )}
+                    {parameters.map(parameter => <option key={parameter.name} value={parameter.name}>{parameter.name}</option>)}
+                  </select>
+                  <select
+                    value={condition.op}
+                    disabled={isPlaying}
+                    onChange={(e) => updateCondition({ op: e.target.value })}
+                    className={inputClass}
+                  >
+                    {ANIMATOR_CONDITION_OPS[type].map(op => <option key={op} value={op}>{OP_LABELS[op]}</option>)}
+                  </select>
+                  {type === 'float' ? numberField(condition.value, value => updateCondition({ value }), 0.1) : <span />}
+                  <button
+                    onClick={() => updateTransition(selectedTransition.id, { conditions: selectedTransition.conditions.filter((_, i) => i !== index) })}
+                    disabled={isPlaying}
+                    className="text-red-400 hover:text-red-300 disabled:opacity-50 text-xs"
+                    title="Delete condition"
+                  >
+                    ✕
+                  </button>
+                </div>
+              );
+            })}
+            <button
+              onClick={() => {
+                const parameter = parameters[0];
+                if (!parameter) {
+                  console.warn('⚠️ Add a parameter before adding conditions');
+                  return;
+                }
+                updateTransition(selectedTransition.id, {
+                  conditions: [...(selectedTransition.conditions || []), { parameter: parameter.name, op: ANIMATOR_CONDITION_OPS[parameter.type][0], value: 0 }]
+                });
+              }}
+              disabled={isPlaying}
+              className={smallButtonClass}
+            >
+              ➕ Condition
+            </button>
+            {(selectedTransition.conditions || []).length === 0 && (selectedTransition.exitTime === null || selectedTransition.exitTime === undefined) && (
+              <div className="text-xs text-yellow-300 mt-1">⚠️ Without conditions the transition needs an exit time.</div>
+            )}
+          </div>
+
+          <button
+            onClick={() => deleteTransition(selectedTransition.id)}
+            disabled={isPlaying}
+            className="px-2 py-0.5 bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white rounded text-xs"
+          >
+            🗑️ Delete Transition
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
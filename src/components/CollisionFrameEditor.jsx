@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useSceneStore } from '../store/sceneStore';
 import * as THREE from 'three';
+import { capsuleFrameSize } from '../physics/shapes';
 
 const CollisionFrameEditor = () => {
   const { selectedObject, updateObjectData, getObjectData, scene } = useSceneStore();
@@ -98,7 +99,8 @@ const CollisionFrameEditor = () => {
       position: { x: 0, y: 0, z: 0 },
       size: { x: 1, y: 1, z: 1 },
       rotation: { x: 0, y: 0, z: 0 },
-      radius: 0.5 // for sphere/capsule
+      radius: 0.5, // for sphere/capsule
+      ...(type === 'capsule' ? { height: 2 } : {}) // capsule tip to tip
     };
 
     const newFrames = [...collisionFrames, frame];
@@ -138,6 +140,19 @@ const CollisionFrameEditor = () => {
     updateObjectData(selectedObject.uuid, { collisionFrames: newFrames });
   };
 
+  // Update capsule height (tip to tip)
+  const updateFrameHeight = (frameId, value) => {
+    const newFrames = collisionFrames.map(frame => {
+      if (frame.id === frameId) {
+        return { ...frame, height: parseFloat(value) };
+      }
+      return frame;
+    });
+
+    setCollisionFrames(newFrames);
+    updateObjectData(selectedObject.uuid, { collisionFrames: newFrames });
+  };
+
   // Delete frame
   const deleteFrame = (frameId) => {
     const newFrames = collisionFrames.filter(f => f.id !== frameId);
@@ -300,12 +315,13 @@ const CollisionFrameEditor = () => {
 
                 {frame.type === 'capsule' && (
                   <div className="space-y-2 mt-2">
-                    <label className="text-xs text-gray-400">Height</label>
+                    <label className="text-xs text-gray-400">Height (tip to tip)</label>
                     <input
                       type="number"
                       step="0.1"
-                      value={frame.size?.y || 1}
-                      onChange={(e) => updateFrame(frame.id, 'size', 'y', e.target.value)}
+                      min={(frame.radius ?? 0.5) * 2}
+                      value={capsuleFrameSize(frame).height}
+                      onChange={(e) => updateFrameHeight(frame.id, e.target.value)}
                       className="w-full px-2 py-1 bg-gray-900 border border-gray-700 rounded text-white text-xs"
                     />
                   </div>
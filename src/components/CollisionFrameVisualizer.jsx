@@ -1,6 +1,7 @@
 import React, { useEffect, useRef } from 'react';
 import * as THREE from 'three';
 import { useSceneStore } from '../store/sceneStore';
+import { capsuleFrameSize } from '../physics/shapes';
 
 const CollisionFrameVisualizer = ({ scene, enabled }) => {
   const visualizersRef = useRef(new Map());
@@ -108,38 +109,23 @@ const CollisionFrameVisualizer = ({ scene, enabled }) => {
           16
         );
         break;
-      case 'capsule':
-        // Create capsule as cylinder + spheres
-        const capsuleGroup = new THREE.Group();
-        
-        const cylinder = new THREE.Mesh(
-          new THREE.CylinderGeometry(frame.radius, frame.radius, frame.size?.y || 1, 16),
-          material
-        );
-        capsuleGroup.add(cylinder);
-        
-        const topSphere = new THREE.Mesh(
-          new THREE.SphereGeometry(frame.radius, 16, 16),
-          material
-        );
-        topSphere.position.y = (frame.size?.y || 1) / 2;
-        capsuleGroup.add(topSphere);
-        
-        const bottomSphere = new THREE.Mesh(
-          new THREE.SphereGeometry(frame.radius, 16, 16),
-          material
-        );
-        bottomSphere.position.y = -(frame.size?.y || 1) / 2;
-        capsuleGroup.add(bottomSphere);
-        
-        capsuleGroup.position.set(frame.position.x, frame.position.y, frame.position.z);
-        capsuleGroup.rotation.set(
-          THREE.MathUtils.degToRad(frame.rotation.x),
-          THREE.MathUtils.degToRad(frame.rotation.y),
-          THREE.MathUtils.degToRad(frame.rotation.z)
-        );
-        
-        return capsuleGroup;
+      case 'capsule': {
+        // Same proportions as the physics capsule (height is tip to tip)
+        const { radius, height } = capsuleFrameSize(frame);
+        geometry = new THREE.CapsuleGeometry(radius, height - radius * 2, 8, 16);
+        break;
+      }
+      case 'convex': {
+        // Hull faces as triangle fans
+        geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute((frame.vertices || []).flat(), 3));
+        const indices = [];
+        (frame.faces || []).forEach((face) => {
+          for (let i = 1; i < face.length - 1; i++) indices.push(face[0], face[i], face[i + 1]);
+        });
+        geometry.setIndex(indices);
+        break;
+      }
       default:
         geometry = new THREE.BoxGeometry(
           frame.size.x,
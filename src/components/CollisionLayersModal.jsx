@@ -0,0 +1,141 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useProjectStore } from '../store/projectStore';
+import { useSceneStore } from '../store/sceneStore';
+import { MAX_COLLISION_LAYERS, DEFAULT_COLLISION_LAYERS } from '../physics/layers';
+
+// Project collision layers and the matrix of which layers collide (physics.layers / physics.collisionMatrix)
+export default function CollisionLayersModal({ onClose }) {
+  const { physicsSettings, setPhysicsSettings } = useProjectStore();
+  const [newLayer, setNewLayer] = useState('');
+  const layers = physicsSettings.layers || DEFAULT_COLLISION_LAYERS;
+  const matrix = physicsSettings.collisionMatrix || {};
+
+  // A layer missing from the matrix collides with everything
+  const collidesWith = (layer) => matrix[layer] || layers;
+  const collides = (a, b) => collidesWith(a).includes(b) && collidesWith(b).includes(a);
+
+  const toggle = (a, b) => {
+    const on = !collides(a, b);
+    const update = (layer, other) => {
+      const list = collidesWith(layer).filter(name => name !== other);
+      return on ? [...list, other] : list;
+    };
+    const next = { ...matrix, [a]: update(a, b) };
+    next[b] = a === b ? next[a] : update(b, a);
+    setPhysicsSettings({ collisionMatrix: next });
+  };
+
+  const addLayer = () => {
+    const name = newLayer.trim();
+    if (!name || layers.includes(name) || layers.length >= MAX_COLLISION_LAYERS) return;
+    // New layers collide with everything
+    const next = Object.fromEntries(layers.map(layer => [layer, [...collidesWith(layer), name]]));
+    next[name] = [...layers, name];
+    setPhysicsSettings({ layers: [...layers, name], collisionMatrix: next });
+    setNewLayer('');
+  };
+
+  const renameLayer = (oldName, rawName) => {
+    const name = rawName.trim();
+    if (!name || name === oldName || layers.includes(name)) return;
+    const rename = layer => (layer === oldName ? name : layer);
+    const next = Object.fromEntries(layers.map(layer => [rename(layer), collidesWith(layer).map(rename)]));
+    setPhysicsSettings({ layers: layers.map(rename), collisionMatrix: next });
+
+    // Keep objects on the renamed layer
+    const { objects, updateObjectData } = useSceneStore.getState();
+    objects.forEach((data, id) => {
+      if (data.physics?.layer === oldName) updateObjectData(id, { physics: { ...data.physics, layer: name } });
+    });
+  };
+
+  const removeLayer = (name) => {
+    const remaining = layers.filter(layer => layer !== name);
+    const next = Object.fromEntries(remaining.map(layer => [layer, collidesWith(layer).filter(other => other !== name)]));
+    setPhysicsSettings({ layers: remaining, collisionMatrix: next });
+    console.log(`🗑️ Removed collision layer ${name} (objects on it move to ${remaining[0]})`);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black bg-opacity-50" onClick={onClose} />
+      <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 max-w-3xl max-h-[80vh] overflow-auto z-10 text-xs">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-white font-semibold">Collision Layers</h3>
+          <button className="text-gray-300 hover:text-white" onClick={onClose}>Close ✖</button>
+        </div>
+        <p className="text-gray-400 mb-3">
+          Tick a box to let two layers collide. Objects pick their layer in the Physics inspector; raycasts can be limited to some layers.
+        </p>
+
+        <table className="border-collapse mb-4">
+          <thead>
+            <tr>
+              <th />
+              {layers.map(layer => (
+                <th key={layer} className="px-1 pb-1 text-gray-400 font-normal align-bottom">
+                  <span className="inline-block whitespace-nowrap" style={{ writingMode: 'vertical-rl', transform: 'rotate(180deg)' }}>{layer}</span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {layers.map((row, rowIndex) => (
+              <tr key={row}>
+                <td className="pr-2 py-0.5 flex items-center gap-1">
+                  <input
+                    type="text"
+                    defaultValue={row}
+                    onBlur={(e) => renameLayer(row, e.target.value)}
+                    onKeyDown={(e) => { if (e.key === 'Enter') e.target.blur(); }}
+                    className="w-24 bg-gray-700 border border-gray-600 rounded px-1 py-0.5 text-white"
+                  />
+                  <button
+                    className="text-red-400 hover:text-red-300 disabled:opacity-30"
+                    title={rowIndex === 0 ? 'The first layer is the fallback and cannot be deleted' : 'Delete layer'}
+                    disabled={rowIndex === 0}
+                    onClick={() => removeLayer(row)}
+                  >
+                    ✕
+                  </button>
+                </td>
+                {layers.map((column, columnIndex) => (
+                  <td key={column} className="text-center px-1">
+                    {/* The matrix is symmetric, so only the lower triangle is editable */}
+                    {columnIndex <= rowIndex && (
+                      <input type="checkbox" checked={collides(row, column)} onChange={() => toggle(row, column)} />
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="flex gap-2">
+          <input
+            type="text"
+            placeholder="New layer name"
+            value={newLayer}
+            onChange={(e) => setNewLayer(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter') addLayer(); }}
+            className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white"
+          />
+          <button
+            className="px-2 py-1 bg-blue-600 hover:bg-blue-700 rounded text-white disabled:opacity-50"
+            disabled={layers.length >= MAX_COLLISION_LAYERS}
+            onClick={addLayer}
+          >
+            Add Layer
+          </button>
+          <span className="text-gray-500 self-center">{layers.length}/{MAX_COLLISION_LAYERS}</span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+CollisionLayersModal.propTypes = {
+  onClose: PropTypes.func.isRequired
+};
@@ -0,0 +1,194 @@
+import { useState } from 'react';
+import * as THREE from 'three';
+import { useSceneStore } from '../store/sceneStore';
+import { usePlayStore } from '../store/playStore';
+import { CONSTRAINT_TYPES, createConstraintData } from '../physics/constraints';
+
+const TYPE_LABELS = {
+  hinge: '🚪 Hinge',
+  point: '⛓️ Point',
+  distance: '📏 Distance',
+  spring: '🌀 Spring',
+  lock: '🔒 Lock'
+};
+
+const toLocal = (object, worldPoint) => {
+  const inverse = object.getWorldQuaternion(new THREE.Quaternion()).invert();
+  return worldPoint.clone().sub(object.getWorldPosition(new THREE.Vector3())).applyQuaternion(inverse);
+};
+const round = v => ({ x: +v.x.toFixed(3), y: +v.y.toFixed(3), z: +v.z.toFixed(3) });
+
+// Pivots halfway between the two objects, so a new joint holds them where they are.
+// Joints to the world hang from a point one unit above the object.
+function defaultAnchors(objectA, objectB) {
+  if (!objectB) return { pivotA: { x: 0, y: 1, z: 0 }, distance: 1, restLength: 1 };
+  const a = objectA.getWorldPosition(new THREE.Vector3());
+  const b = objectB.getWorldPosition(new THREE.Vector3());
+  const mid = a.clone().add(b).multiplyScalar(0.5);
+  const distance = +a.distanceTo(b).toFixed(3);
+  return {
+    pivotA: round(toLocal(objectA, mid)),
+    pivotB: round(toLocal(objectB, mid)),
+    distance,
+    restLength: distance
+  };
+}
+
+// Authoring of the selected object's joints (saved as its `constraints` list)
+export default function ConstraintEditor() {
+  const { selectedObject, objects, scene, getObjectData, updateObjectData } = useSceneStore();
+  const { isPlaying } = usePlayStore();
+  const [newType, setNewType] = useState('hinge');
+  const [newTarget, setNewTarget] = useState('');
+
+  if (!selectedObject) return null;
+  const constraints = getObjectData(selectedObject.uuid)?.constraints || [];
+
+  // Other objects with a physics body can be the second body
+  const targets = Array.from(objects.entries())
+    .filter(([id, data]) => id !== selectedObject.uuid && data.physics?.enabled)
+    .map(([id, data]) => ({ id, name: data.name || id.substr(0, 8) }));
+
+  const save = (next) => {
+    if (isPlaying) {
+      console.warn('⚠️ Cannot modify constraints during Play mode');
+      return;
+    }
+    updateObjectData(selectedObject.uuid, { constraints: next });
+  };
+
+  const addConstraint = () => {
+    const target = newTarget || null;
+    const objectB = target ? scene?.getObjectByProperty('uuid', target) : null;
+    save([...constraints, createConstraintData(newType, target, defaultAnchors(selectedObject, objectB))]);
+  };
+
+  const updateConstraint = (id, changes) => {
+    save(constraints.map(c => (c.id === id ? { ...c, ...changes } : c)));
+  };
+
+  const updateVector = (id, property, axis, value) => {
+    const constraint = constraints.find(c => c.id === id);
+    updateConstraint(id, { [property]: { ...constraint[property], [axis]: parseFloat(value) || 0 } });
+  };
+
+  const removeConstraint = (id) => save(constraints.filter(c => c.id !== id));
+
+  const vectorField = (constraint, property, label) => (
+    <div className="mb-2">
+      <label className="text-xs text-gray-400 block mb-1">{label}</label>
+      <div className="grid grid-cols-3 gap-1">
+        {['x', 'y', 'z'].map(axis => (
+          <input
+            key={axis}
+            type="number"
+            step="0.1"
+            title={axis.toUpperCase()}
+            value={constraint[property]?.[axis] ?? 0}
+            onChange={(e) => updateVector(constraint.id, property, axis, e.target.value)}
+            className="w-full px-1 py-0.5 bg-gray-900 border border-gray-700 rounded text-white text-xs"
+          />
+        ))}
+      </div>
+    </div>
+  );
+
+  const numberField = (constraint, property, label, step = 0.1) => (
+    <div className="mb-2">
+      <label className="text-xs text-gray-400 block mb-1">{label}</label>
+      <input
+        type="number"
+        step={step}
+        value={constraint[property] ?? 0}
+        onChange={(e) => updateConstraint(constraint.id, { [property]: parseFloat(e.target.value) || 0 })}
+        className="w-full px-1 py-0.5 bg-gray-900 border border-gray-700 rounded text-white text-xs"
+      />
+    </div>
+  );
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-600">
+      <h6 className="text-xs font-semibold mb-2 text-gray-300">Constraints</h6>
+      <p className="text-xs text-gray-400 mb-3">Join this body to another object or pin it to the world. Pivots are relative to each object&apos;s origin.</p>
+
+      <div className="grid grid-cols-2 gap-2 mb-2">
+        <select
+          value={newType}
+          onChange={(e) => setNewType(e.target.value)}
+          className="px-1 py-1 bg-gray-900 border border-gray-700 rounded text-white text-xs"
+        >
+          {CONSTRAINT_TYPES.map(type => <option key={type} value={type}>{TYPE_LABELS[type]}</option>)}
+        </select>
+        <select
+          value={newTarget}
+          onChange={(e) => setNewTarget(e.target.value)}
+          className="px-1 py-1 bg-gray-900 border border-gray-700 rounded text-white text-xs"
+        >
+          <option value="">🌍 World</option>
+          {targets.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+        </select>
+      </div>
+      <button
+        onClick={addConstraint}
+        disabled={isPlaying}
+        className="w-full px-3 py-1 bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white rounded text-xs mb-3"
+      >
+        ➕ Add Constraint
+      </button>
+
+      <div className="space-y-2">
+        {constraints.map(constraint => {
+          const targetName = constraint.target
+            ? (objects.get(constraint.target)?.name || '⚠️ missing object')
+            : 'World';
+          return (
+            <div key={constraint.id} className="p-2 rounded border border-gray-600 bg-gray-800">
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-xs text-white">{TYPE_LABELS[constraint.type]} → {targetName}</span>
+                <button
+                  onClick={() => removeConstraint(constraint.id)}
+                  className="px-2 py-0.5 bg-red-600 hover:bg-red-700 text-white rounded text-xs"
+                >
+                  🗑️
+                </button>
+              </div>
+
+              {constraint.type !== 'lock' && (constraint.type !== 'distance' || !constraint.target) && vectorField(constraint, 'pivotA', constraint.target ? 'Pivot (this object)' : 'World anchor (from this object)')}
+              {constraint.type !== 'lock' && constraint.type !== 'distance' && constraint.target && vectorField(constraint, 'pivotB', `Pivot (${targetName})`)}
+
+              {constraint.type === 'hinge' && (
+                <>
+                  {vectorField(constraint, 'axisA', 'Axis (this object)')}
+                  {constraint.target && vectorField(constraint, 'axisB', `Axis (${targetName})`)}
+                  {numberField(constraint, 'motorSpeed', 'Motor speed (rad/s, 0 = off)')}
+                </>
+              )}
+
+              {constraint.type === 'distance' && numberField(constraint, 'distance', 'Distance')}
+
+              {constraint.type === 'spring' && (
+                <>
+                  {numberField(constraint, 'restLength', 'Rest length')}
+                  {numberField(constraint, 'stiffness', 'Stiffness', 1)}
+                  {numberField(constraint, 'damping', 'Damping')}
+                </>
+              )}
+
+              {constraint.type !== 'spring' && numberField(constraint, 'maxForce', 'Max force', 100)}
+              {constraint.type !== 'spring' && constraint.target && (
+                <label className="flex items-center gap-2 text-xs text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={!!constraint.collideConnected}
+                    onChange={(e) => updateConstraint(constraint.id, { collideConnected: e.target.checked })}
+                  />
+                  Bodies collide with each other
+                </label>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import { useEffect } from 'react';
+import PropTypes from 'prop-types';
+import * as THREE from 'three';
+import { useSceneStore } from '../store/sceneStore';
+
+const TYPE_COLORS = {
+  hinge: 0xffaa00,
+  point: 0x00ccff,
+  distance: 0xffffff,
+  spring: 0x66ff66,
+  lock: 0xff4444
+};
+
+const MAX_SEGMENTS = 2048;
+
+// Draws the joints authored in PhysicsInspector: lines from each object to its pivot, between the
+// pivots, and the hinge axis. Rebuilt every frame so it follows gizmo drags.
+const ConstraintVisualizer = ({ scene, enabled }) => {
+  const { objects } = useSceneStore();
+
+  useEffect(() => {
+    if (!scene || !enabled) return;
+
+    const positions = new Float32Array(MAX_SEGMENTS * 6);
+    const colors = new Float32Array(MAX_SEGMENTS * 6);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3).setUsage(THREE.DynamicDrawUsage));
+    const material = new THREE.LineBasicMaterial({ vertexColors: true, depthTest: false, transparent: true });
+    const lines = new THREE.LineSegments(geometry, material);
+    lines.name = '__constraintHelper';
+    lines.renderOrder = 1000;
+    lines.frustumCulled = false;
+    scene.add(lines);
+
+    const color = new THREE.Color();
+    const posA = new THREE.Vector3();
+    const posB = new THREE.Vector3();
+    const quatA = new THREE.Quaternion();
+    const quatB = new THREE.Quaternion();
+    const pivotA = new THREE.Vector3();
+    const pivotB = new THREE.Vector3();
+    const axis = new THREE.Vector3();
+    let count = 0;
+
+    const segment = (from, to) => {
+      if (count >= MAX_SEGMENTS) return;
+      from.toArray(positions, count * 6);
+      to.toArray(positions, count * 6 + 3);
+      color.toArray(colors, count * 6);
+      color.toArray(colors, count * 6 + 3);
+      count++;
+    };
+    // Pivots and axes are in body space: the object's position and rotation, not its scale
+    const toWorld = (v, position, quaternion, out) => out.set(v?.x ?? 0, v?.y ?? 0, v?.z ?? 0).applyQuaternion(quaternion).add(position);
+
+    let frameId = null;
+    const update = () => {
+      count = 0;
+      objects.forEach((data, uuid) => {
+        if (!data.constraints?.length) return;
+        const objectA = scene.getObjectByProperty('uuid', uuid);
+        if (!objectA) return;
+        objectA.getWorldPosition(posA);
+        objectA.getWorldQuaternion(quatA);
+
+        data.constraints.forEach((constraint) => {
+          color.setHex(TYPE_COLORS[constraint.type] ?? 0xffffff);
+          const objectB = constraint.target ? scene.getObjectByProperty('uuid', constraint.target) : null;
+          if (constraint.target && !objectB) return;
+
+          toWorld(constraint.pivotA, posA, quatA, pivotA);
+          if (objectB) {
+            objectB.getWorldPosition(posB);
+            objectB.getWorldQuaternion(quatB);
+            toWorld(constraint.pivotB, posB, quatB, pivotB);
+          }
+
+          if (constraint.type === 'distance' || constraint.type === 'lock') {
+            // Centre to centre (world joints: centre to the anchor)
+            segment(posA, objectB ? posB : pivotA);
+            return;
+          }
+
+          segment(posA, pivotA);
+          if (objectB) {
+            segment(pivotB, posB);
+            segment(pivotA, pivotB);
+          }
+          if (constraint.type === 'hinge') {
+            toWorld(constraint.axisA, new THREE.Vector3(), quatA, axis).normalize().multiplyScalar(0.5);
+            segment(pivotA.clone().sub(axis), pivotA.clone().add(axis));
+          }
+        });
+      });
+
+      geometry.setDrawRange(0, count * 2);
+      geometry.attributes.position.needsUpdate = true;
+      geometry.attributes.color.needsUpdate = true;
+      frameId = requestAnimationFrame(update);
+    };
+    update();
+
+    return () => {
+      cancelAnimationFrame(frameId);
+      scene.remove(lines);
+      geometry.dispose();
+      material.dispose();
+    };
+  }, [scene, enabled, objects]);
+
+  // This component doesn't render anything to React DOM
+  return null;
+};
+
+ConstraintVisualizer.propTypes = {
+  scene: PropTypes.instanceOf(THREE.Scene),
+  enabled: PropTypes.bool
+};
+
+export default ConstraintVisualizer;
@@ -1,22 +1,53 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import SceneViewport from "./SceneViewport";
 import HierarchyPanel from "./HierarchyPanel";
 import Inspector from "./Inspector";
 import PhysicsInspector from "./PhysicsInspector";
 import PhysicsControls from "./PhysicsControls";
 import PhysicsDebugger from "./PhysicsDebugger";
-import AdvancedCharacterController from "./AdvancedCharacterController";
 import WireframeDebugger from "./WireframeDebugger";
 import PhysicsWireframeDebugger from "./PhysicsWireframeDebugger";
 import { AudioControls } from "./AudioControls";
 import { SettingsPanel } from "./SettingsPanel";
+import HistoryPanel from "./HistoryPanel";
+import ScenesPanel from "./ScenesPanel";
+import EventSheetEditor from "./EventSheetEditor";
+import AnimatorEditor from "./AnimatorEditor";
+import AnimationEventEditor from "./AnimationEventEditor";
+import TimelineEditor from "./TimelineEditor";
 import { usePlayStore } from "../store/playStore";
+import { useHistoryStore } from "../store/historyStore";
 
 export default function EditorShell() {
   const { isPlaying, isPaused, play, pause, stop, resume } = usePlayStore();
   const [leftTab, setLeftTab] = useState('hierarchy');
   const [rightTab, setRightTab] = useState('inspector');
 
+  // Undo/redo shortcuts: Ctrl+Z, Ctrl+Shift+Z / Ctrl+Y (Cmd on macOS)
+  useEffect(() => {
+    function onHistoryKey(e) {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (usePlayStore.getState().isPlaying) return;
+
+      // Leave native text undo alone while typing in a field
+      const tag = e.target?.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || e.target?.isContentEditable) return;
+
+      const key = (e.key || '').toLowerCase();
+      const history = useHistoryStore.getState();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        history.undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        history.redo();
+      }
+    }
+
+    window.addEventListener('keydown', onHistoryKey);
+    return () => window.removeEventListener('keydown', onHistoryKey);
+  }, []);
+
   const handlePlay = () => {
     if (isPaused) {
       resume();
@@ -51,13 +82,19 @@ export default function EditorShell() {
       {/* Left Panel - Tabbed Interface */}
       <div className="w-80 border-r border-gray-700 bg-gray-800 flex flex-col">
         {/* Tab Headers */}
-        <div className="flex bg-gray-900 border-b border-gray-700">
+        <div className="flex bg-gray-900 border-b border-gray-700 overflow-x-auto">
           <TabButton 
             isActive={leftTab === 'hierarchy'} 
             onClick={() => setLeftTab('hierarchy')}
           >
             Hierarchy
           </TabButton>
+          <TabButton 
+            isActive={leftTab === 'scenes'} 
+            onClick={() => setLeftTab('scenes')}
+          >
+            Scenes
+          </TabButton>
           <TabButton 
             isActive={leftTab === 'audio'} 
             onClick={() => setLeftTab('audio')}
@@ -70,6 +107,12 @@ export default function EditorShell() {
           >
             Physics
           </TabButton>
+          <TabButton 
+            isActive={leftTab === 'history'} 
+            onClick={() => setLeftTab('history')}
+          >
+            History
+          </TabButton>
         </div>
         
         {/* Tab Content */}
@@ -80,6 +123,12 @@ export default function EditorShell() {
               <HierarchyPanel />
             </div>
           )}
+          {leftTab === 'scenes' && (
+            <div>
+              <h3 className="font-bold text-white mb-2">Project Scenes</h3>
+              <ScenesPanel />
+            </div>
+          )}
           {leftTab === 'audio' && (
             <div>
               <h3 className="font-bold text-white mb-2">Audio Controls</h3>
@@ -96,6 +145,12 @@ export default function EditorShell() {
               </div>
             </div>
           )}
+          {leftTab === 'history' && (
+            <div>
+              <h3 className="font-bold text-white mb-2">Edit History</h3>
+              <HistoryPanel />
+            </div>
+          )}
         </div>
       </div>
 
@@ -170,6 +225,24 @@ export default function EditorShell() {
           >
             Inspector
           </TabButton>
+          <TabButton 
+            isActive={rightTab === 'events'} 
+            onClick={() => setRightTab('events')}
+          >
+            Events
+          </TabButton>
+          <TabButton 
+            isActive={rightTab === 'animator'} 
+            onClick={() => setRightTab('animator')}
+          >
+            Animator
+          </TabButton>
+          <TabButton 
+            isActive={rightTab === 'timeline'} 
+            onClick={() => setRightTab('timeline')}
+          >
+            Timeline
+          </TabButton>
           <TabButton 
             isActive={rightTab === 'settings'} 
             onClick={() => setRightTab('settings')}
@@ -196,6 +269,25 @@ export default function EditorShell() {
               )}
             </div>
           )}
+          {rightTab === 'events' && (
+            <div>
+              <h3 className="font-bold text-white mb-2">Event Sheet</h3>
+              <EventSheetEditor />
+            </div>
+          )}
+          {rightTab === 'animator' && (
+            <div>
+              <h3 className="font-bold text-white mb-2">Animator</h3>
+              <AnimatorEditor />
+              <AnimationEventEditor />
+            </div>
+          )}
+          {rightTab === 'timeline' && (
+            <div>
+              <h3 className="font-bold text-white mb-2">Timeline</h3>
+              <TimelineEditor />
+            </div>
+          )}
           {rightTab === 'settings' && (
             <div className="p-4">
               <SettingsPanel />
@@ -204,8 +296,6 @@ export default function EditorShell() {
         </div>
       </div>
       
-      {/* Advanced Character Controller - Hybrid physics + manual control */}
-  <AdvancedCharacterController />
   <WireframeDebugger />
   <PhysicsWireframeDebugger />
     </div>
@@ -1,78 +1,562 @@
-import React, { useState } from "react";
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { Plus, Trash, ChevronUp, ChevronDown, X } from "lucide-react";
+import { useSceneStore } from "../store/sceneStore";
+import { useAudioStore } from "../store/audioStore";
+import { useProjectStore } from "../store/projectStore";
+import { useEventSheetStore, createEvent } from "../store/eventSheetStore";
+import { CONDITION_TYPES, ACTION_TYPES, createCondition, defaultParameters } from "../engine/eventCatalog";
+import { DEFAULT_COLLISION_LAYERS } from "../physics/layers";
 
-export default function EventSheetEditor() {
-  const [events, setEvents] = useState([
-    {
-      id: 1,
-      condition: "On Start",
-      action: "Set Player Position",
-      parameters: { x: 0, y: 1, z: 0 }
-    },
-    {
-      id: 2,
-      condition: "On Key Pressed (Space)",
-      action: "Apply Force",
-      parameters: { force: { x: 0, y: 10, z: 0 } }
+const inputClass = "w-full bg-gray-800 border border-gray-600 rounded px-2 py-1 text-xs";
+const smallButtonClass = "flex items-center gap-1 px-2 py-0.5 bg-gray-600 hover:bg-gray-500 rounded text-xs";
+
+// Variable values typed as text: numeric strings become numbers
+const parseValue = (text) => (text.trim() !== '' && !isNaN(text) ? Number(text) : text);
+
+// Choices offered by the parameter fields (objects, loaded sounds, scenes and collision layers)
+const optionsShape = PropTypes.shape({
+  objects: PropTypes.arrayOf(PropTypes.shape({ id: PropTypes.string, name: PropTypes.string })).isRequired,
+  sounds: PropTypes.arrayOf(PropTypes.string).isRequired,
+  scenes: PropTypes.arrayOf(PropTypes.shape({ id: PropTypes.string, name: PropTypes.string })).isRequired,
+  layers: PropTypes.arrayOf(PropTypes.string).isRequired
+});
+
+const conditionShape = PropTypes.shape({
+  type: PropTypes.string,
+  parameters: PropTypes.object,
+  conditions: PropTypes.array,
+  condition: PropTypes.object
+});
+
+const actionShape = PropTypes.shape({
+  type: PropTypes.string.isRequired,
+  parameters: PropTypes.object
+});
+
+// Editor for a single parameter, picked by the parameter kind from the event catalog
+function ParameterField({ param, value, onChange, options }) {
+  switch (param.kind) {
+    case 'object':
+      return (
+        <select className={inputClass} value={value || ''} onChange={(e) => onChange(e.target.value)}>
+          <option value="">{param.emptyLabel || '(This object)'}</option>
+          {options.objects.map(({ id, name }) => (
+            <option key={id} value={id}>{name}</option>
+          ))}
+          {value && !options.objects.some(o => o.id === value) && (
+            <option value={value}>⚠️ Missing object</option>
+          )}
+        </select>
+      );
+    case 'sound':
+      return (
+        <select className={inputClass} value={value || ''} onChange={(e) => onChange(e.target.value)}>
+          <option value="">Select a sound...</option>
+          {options.sounds.map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+          {value && !options.sounds.includes(value) && (
+            <option value={value}>{value} (not loaded)</option>
+          )}
+        </select>
+      );
+    case 'scene':
+      return (
+        <select className={inputClass} value={value || ''} onChange={(e) => onChange(e.target.value)}>
+          <option value="">Select a scene...</option>
+          {options.scenes.map(({ id, name }) => (
+            <option key={id} value={id}>{name}</option>
+          ))}
+          {value && !options.scenes.some(s => s.id === value) && (
+            <option value={value}>⚠️ Missing scene</option>
+          )}
+        </select>
+      );
+    case 'key':
+      // Press a key inside the field to bind it
+      return (
+        <input
+          className={inputClass}
+          value={value || ''}
+          readOnly
+          placeholder="Press a key..."
+          onKeyDown={(e) => {
+            e.preventDefault();
+            onChange(e.code);
+          }}
+        />
+      );
+    case 'layer':
+      return (
+        <select className={inputClass} value={value || ''} onChange={(e) => onChange(e.target.value)}>
+          <option value="">{param.emptyLabel || '(All layers)'}</option>
+          {options.layers.map(layer => (
+            <option key={layer} value={layer}>{layer}</option>
+          ))}
+          {value && !options.layers.includes(value) && (
+            <option value={value}>⚠️ Missing layer</option>
+          )}
+        </select>
+      );
+    case 'vector3':
+      return (
+        <div className="grid grid-cols-3 gap-1">
+          {['x', 'y', 'z'].map(axis => (
+            <input
+              key={axis}
+              type="number"
+              step="0.1"
+              className={inputClass}
+              value={value?.[axis] ?? 0}
+              title={axis.toUpperCase()}
+              onChange={(e) => onChange({ ...value, [axis]: parseFloat(e.target.value) || 0 })}
+            />
+          ))}
+        </div>
+      );
+    case 'number':
+      return (
+        <input
+          type="number"
+          step="0.1"
+          className={inputClass}
+          value={value ?? 0}
+          onChange={(e) => onChange(parseFloat(e.target.value) || 0)}
+        />
+      );
+    case 'value':
+      return (
+        <input className={inputClass} value={value ?? ''} onChange={(e) => onChange(parseValue(e.target.value))} />
+      );
+    case 'boolean':
+      return (
+        <input type="checkbox" checked={!!value} onChange={(e) => onChange(e.target.checked)} />
+      );
+    case 'choice':
+      return (
+        <select className={inputClass} value={value ?? param.default} onChange={(e) => onChange(e.target.value)}>
+          {param.options.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      );
+    default:
+      return (
+        <input className={inputClass} value={value || ''} onChange={(e) => onChange(e.target.value)} />
+      );
+  }
+}
+
+ParameterField.propTypes = {
+  param: PropTypes.shape({
+    kind: PropTypes.string,
+    emptyLabel: PropTypes.string,
+    options: PropTypes.arrayOf(PropTypes.string),
+    default: PropTypes.any
+  }).isRequired,
+  value: PropTypes.any,
+  onChange: PropTypes.func.isRequired,
+  options: optionsShape.isRequired
+};
+
+// Parameter fields of a condition or action, hiding params whose `when` doesn't match
+function ParameterList({ definition, parameters = {}, onChange, options }) {
+  return (definition?.params || [])
+    .filter(param => !param.when || Object.entries(param.when).every(([key, value]) => (parameters[key] ?? '') === value))
+    .map(param => (
+      <div key={param.name} className="mt-2">
+        <label className="block text-gray-500 mb-1">{param.label}</label>
+        <ParameterField
+          param={param}
+          value={parameters[param.name]}
+          onChange={(value) => onChange({ ...parameters, [param.name]: value })}
+          options={options}
+        />
+      </div>
+    ));
+}
+
+ParameterList.propTypes = {
+  definition: PropTypes.shape({ params: PropTypes.array }),
+  parameters: PropTypes.object,
+  onChange: PropTypes.func.isRequired,
+  options: optionsShape.isRequired
+};
+
+// Condition editor - recursive for AND / OR / NOT
+function ConditionEditor({ condition, onChange, onRemove, options }) {
+  const current = condition || createCondition('OnStart');
+  const definition = CONDITION_TYPES[current.type];
+  const isGroup = current.type === 'And' || current.type === 'Or';
+
+  const changeType = (type) => {
+    // Keep the children when switching between AND and OR
+    if (isGroup && (type === 'And' || type === 'Or')) {
+      onChange({ ...current, type });
+    } else {
+      onChange(createCondition(type));
     }
-  ]);
+  };
+
+  const children = current.conditions || [];
+
+  return (
+    <div>
+      <div className="flex gap-1">
+        <select className={inputClass} value={current.type} onChange={(e) => changeType(e.target.value)}>
+          {!definition && <option value={current.type}>{current.type || 'Select...'}</option>}
+          {Object.entries(CONDITION_TYPES).map(([type, def]) => (
+            <option key={type} value={type}>{def.label}</option>
+          ))}
+        </select>
+        {onRemove && (
+          <button onClick={onRemove} className="px-1 text-gray-400 hover:text-red-400" title="Remove condition">
+            <X size={12} />
+          </button>
+        )}
+      </div>
+
+      {isGroup && (
+        <div className="mt-2 pl-2 border-l-2 border-blue-500 space-y-2">
+          {children.map((child, index) => (
+            <ConditionEditor
+              key={index}
+              condition={child}
+              options={options}
+              onChange={(next) => onChange({ ...current, conditions: children.map((c, i) => (i === index ? next : c)) })}
+              onRemove={() => onChange({ ...current, conditions: children.filter((_, i) => i !== index) })}
+            />
+          ))}
+          <button
+            onClick={() => onChange({ ...current, conditions: [...children, createCondition('OnStart')] })}
+            className={smallButtonClass}
+          >
+            <Plus size={10} /> Condition
+          </button>
+        </div>
+      )}
+
+      {current.type === 'Not' && (
+        <div className="mt-2 pl-2 border-l-2 border-red-500">
+          {current.condition ? (
+            <ConditionEditor
+              condition={current.condition}
+              options={options}
+              onChange={(next) => onChange({ ...current, condition: next })}
+              onRemove={() => onChange({ ...current, condition: null })}
+            />
+          ) : (
+            <button
+              onClick={() => onChange({ ...current, condition: createCondition('OnStart') })}
+              className={smallButtonClass}
+            >
+              <Plus size={10} /> Condition
+            </button>
+          )}
+        </div>
+      )}
+
+      {definition?.category !== 'combinator' && (
+        <ParameterList
+          definition={definition}
+          parameters={current.parameters}
+          options={options}
+          onChange={(parameters) => onChange({ ...current, parameters })}
+        />
+      )}
+    </div>
+  );
+}
+
+ConditionEditor.propTypes = {
+  condition: conditionShape,
+  onChange: PropTypes.func.isRequired,
+  onRemove: PropTypes.func,
+  options: optionsShape.isRequired
+};
+
+function ActionEditor({ action, onChange, options }) {
+  const definition = action ? ACTION_TYPES[action.type] : null;
+
+  return (
+    <div>
+      <select
+        className={inputClass}
+        value={action?.type || ''}
+        onChange={(e) => {
+          const type = e.target.value;
+          onChange(type ? { type, parameters: defaultParameters(ACTION_TYPES[type]) } : null);
+        }}
+      >
+        <option value="">(No action)</option>
+        {action && !definition && <option value={action.type}>{action.type}</option>}
+        {Object.entries(ACTION_TYPES).map(([type, def]) => (
+          <option key={type} value={type}>{def.label}</option>
+        ))}
+      </select>
+      {action && (
+        <ParameterList
+          definition={definition}
+          parameters={action.parameters}
+          options={options}
+          onChange={(parameters) => onChange({ ...action, parameters })}
+        />
+      )}
+    </div>
+  );
+}
+
+ActionEditor.propTypes = {
+  action: actionShape,
+  onChange: PropTypes.func.isRequired,
+  options: optionsShape.isRequired
+};
+
+// One condition→action row with its sub-events
+function EventRow({ event, onChange, controls, options, depth = 0 }) {
+  const subEvents = event.subEvents || [];
+
+  return (
+    <div className={`${depth === 0 ? 'bg-gray-700' : 'bg-gray-600'} rounded p-3`}>
+      <div className="grid grid-cols-2 gap-4 text-xs">
+        <div>
+          <label className="block text-gray-400 mb-1">Condition</label>
+          <ConditionEditor
+            condition={event.condition}
+            options={options}
+            onChange={(condition) => onChange({ ...event, condition })}
+          />
+        </div>
+        <div>
+          <label className="block text-gray-400 mb-1">Action</label>
+          <ActionEditor
+            action={event.action}
+            options={options}
+            onChange={(action) => onChange({ ...event, action })}
+          />
+        </div>
+      </div>
+
+      {subEvents.length > 0 && (
+        <div className="mt-2 pl-3 border-l-2 border-gray-500 space-y-2">
+          {subEvents.map((subEvent, index) => (
+            <EventRow
+              key={subEvent.id}
+              event={subEvent}
+              depth={depth + 1}
+              options={options}
+              onChange={(next) => onChange({ ...event, subEvents: subEvents.map((e, i) => (i === index ? next : e)) })}
+              controls={(
+                <button
+                  onClick={() => onChange({ ...event, subEvents: subEvents.filter((_, i) => i !== index) })}
+                  className="flex items-center gap-1 px-2 py-1 bg-red-600 hover:bg-red-700 rounded text-xs"
+                >
+                  <Trash size={12} />
+                  Delete
+                </button>
+              )}
+            />
+          ))}
+        </div>
+      )}
+
+      <div className="flex justify-end gap-1 mt-2">
+        <button
+          onClick={() => onChange({ ...event, subEvents: [...subEvents, createEvent()] })}
+          className={smallButtonClass}
+          title="Sub-events run only when this event's condition is true"
+        >
+          <Plus size={12} /> Sub-event
+        </button>
+        {controls}
+      </div>
+    </div>
+  );
+}
+
+EventRow.propTypes = {
+  event: PropTypes.shape({
+    id: PropTypes.string,
+    condition: conditionShape,
+    action: actionShape,
+    subEvents: PropTypes.array
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  controls: PropTypes.node,
+  options: optionsShape.isRequired,
+  depth: PropTypes.number
+};
+
+// Name/value list for global or object variables
+function VariableList({ title, variables, onSet }) {
+  const [newName, setNewName] = useState('');
+
+  return (
+    <div className="mb-3">
+      <label className="block text-gray-400 mb-1 text-xs">{title}</label>
+      {Object.entries(variables || {}).map(([name, value]) => (
+        <div key={name} className="flex items-center gap-1 mb-1">
+          <span className="w-1/2 text-xs truncate">{name}</span>
+          <input
+            className={inputClass}
+            value={value}
+            onChange={(e) => onSet(name, parseValue(e.target.value))}
+          />
+          <button onClick={() => onSet(name, undefined)} className="px-1 text-gray-400 hover:text-red-400">
+            <X size={12} />
+          </button>
+        </div>
+      ))}
+      <div className="flex gap-1">
+        <input
+          className={inputClass}
+          value={newName}
+          placeholder="New variable name"
+          onChange={(e) => setNewName(e.target.value.trim())}
+        />
+        <button
+          onClick={() => {
+            if (!newName) return;
+            onSet(newName, 0);
+            setNewName('');
+          }}
+          disabled={!newName}
+          className={`${smallButtonClass} disabled:opacity-40`}
+        >
+          <Plus size={12} />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+VariableList.propTypes = {
+  title: PropTypes.string.isRequired,
+  variables: PropTypes.object,
+  onSet: PropTypes.func.isRequired
+};
+
+export default function EventSheetEditor() {
+  const { objects, selectedObject } = useSceneStore();
+  const { audioLibrary } = useAudioStore();
+  const { scenes, physicsSettings } = useProjectStore();
+  const {
+    eventSheets,
+    globalVariables,
+    addEvent,
+    updateEvent,
+    removeEvent,
+    moveEvent,
+    setGlobalVariable,
+    setObjectVariable
+  } = useEventSheetStore();
+  const [pickedObjectId, setPickedObjectId] = useState(null);
+
+  const options = {
+    objects: Array.from(objects.entries())
+      .filter(([, data]) => !(data.type || '').toLowerCase().includes('light'))
+      .map(([id, data]) => ({ id, name: data.name || 'Unnamed Object' })),
+    sounds: Array.from(audioLibrary.keys()),
+    scenes: scenes.map(({ id, name }) => ({ id, name })),
+    layers: physicsSettings.layers || DEFAULT_COLLISION_LAYERS
+  };
+
+  // Follow the viewport selection unless an object was picked in this panel
+  const objectId = pickedObjectId && objects.has(pickedObjectId)
+    ? pickedObjectId
+    : selectedObject?.uuid || null;
+  const objectName = objectId ? objects.get(objectId)?.name : null;
+  const sheet = eventSheets.find(s => s.objectId === objectId);
+  const events = sheet?.events || [];
 
   return (
     <div className="text-white">
-      <div className="flex items-center justify-between mb-4">
-        <h4 className="text-sm font-semibold text-gray-300">Event Sheet</h4>
-        <button className="px-2 py-1 bg-green-600 hover:bg-green-700 rounded text-xs">
+      <div className="flex items-center gap-2 mb-4">
+        <select
+          className={inputClass}
+          value={objectId || ''}
+          onChange={(e) => setPickedObjectId(e.target.value || null)}
+        >
+          <option value="">Select an object...</option>
+          {options.objects.map(({ id, name }) => {
+            const count = eventSheets.find(s => s.objectId === id)?.events.length || 0;
+            return (
+              <option key={id} value={id}>{name}{count ? ` (${count})` : ''}</option>
+            );
+          })}
+        </select>
+        <button
+          onClick={() => addEvent(objectId, objectName)}
+          disabled={!objectId}
+          className="flex items-center gap-1 px-2 py-1 bg-green-600 hover:bg-green-700 rounded text-xs whitespace-nowrap disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          <Plus size={12} />
           Add Event
         </button>
       </div>
-      
+
       <div className="space-y-2">
-        {events.map((event) => (
-          <div key={event.id} className="bg-gray-700 rounded p-3">
-            <div className="grid grid-cols-2 gap-4 text-xs">
-              <div>
-                <label className="block text-gray-400 mb-1">Condition</label>
-                <select className="w-full bg-gray-800 border border-gray-600 rounded px-2 py-1">
-                  <option>On Start</option>
-                  <option>On Update</option>
-                  <option>On Key Pressed</option>
-                  <option>On Collision Enter</option>
-                  <option>On Timer</option>
-                </select>
-              </div>
-              <div>
-                <label className="block text-gray-400 mb-1">Action</label>
-                <select className="w-full bg-gray-800 border border-gray-600 rounded px-2 py-1">
-                  <option>Set Position</option>
-                  <option>Apply Force</option>
-                  <option>Set Velocity</option>
-                  <option>Play Animation</option>
-                  <option>Play Sound</option>
-                  <option>Load Scene</option>
-                </select>
-              </div>
-            </div>
-            <div className="mt-2">
-              <label className="block text-gray-400 mb-1 text-xs">Parameters</label>
-              <textarea 
-                className="w-full bg-gray-800 border border-gray-600 rounded px-2 py-1 text-xs h-16"
-                placeholder="Enter parameters as JSON..."
-                defaultValue={JSON.stringify(event.parameters, null, 2)}
-              />
-            </div>
-            <div className="flex justify-end mt-2">
-              <button className="px-2 py-1 bg-red-600 hover:bg-red-700 rounded text-xs">
-                Delete
-              </button>
-            </div>
-          </div>
+        {events.map((event, index) => (
+          <EventRow
+            key={event.id}
+            event={event}
+            options={options}
+            onChange={(next) => updateEvent(sheet.id, event.id, next)}
+            controls={(
+              <>
+                <button
+                  onClick={() => moveEvent(sheet.id, event.id, -1)}
+                  disabled={index === 0}
+                  className="px-1 py-1 bg-gray-600 hover:bg-gray-500 rounded text-xs disabled:opacity-40"
+                  title="Move up"
+                >
+                  <ChevronUp size={12} />
+                </button>
+                <button
+                  onClick={() => moveEvent(sheet.id, event.id, 1)}
+                  disabled={index === events.length - 1}
+                  className="px-1 py-1 bg-gray-600 hover:bg-gray-500 rounded text-xs disabled:opacity-40"
+                  title="Move down"
+                >
+                  <ChevronDown size={12} />
+                </button>
+                <button
+                  onClick={() => removeEvent(sheet.id, event.id)}
+                  className="flex items-center gap-1 px-2 py-1 bg-red-600 hover:bg-red-700 rounded text-xs"
+                >
+                  <Trash size={12} />
+                  Delete
+                </button>
+              </>
+            )}
+          />
         ))}
       </div>
-      
+
       {events.length === 0 && (
         <div className="text-center py-8 text-gray-400 text-sm">
-          No events yet. Click "Add Event" to create your first event.
+          {objectId
+            ? 'No events yet. Click "Add Event" to create your first event.'
+            : 'Select an object to edit its events.'}
         </div>
       )}
+
+      <div className="mt-4 pt-4 border-t border-gray-700">
+        <h4 className="text-sm font-semibold text-gray-300 mb-2">Variables</h4>
+        <VariableList title="Global" variables={globalVariables} onSet={setGlobalVariable} />
+        {objectId && (
+          <VariableList
+            title={`${objectName || 'Object'} (object)`}
+            variables={sheet?.variables}
+            onSet={(name, value) => setObjectVariable(objectId, objectName, name, value)}
+          />
+        )}
+      </div>
+
+      <p className="text-xs text-gray-400 mt-4">
+        Events run in play mode and in the RuntimePlayer, and are saved with the project file.
+      </p>
     </div>
   );
-}
\ No newline at end of file
+}
@@ -1,84 +1,50 @@
 import React from 'react';
 import { Download } from 'lucide-react';
-import { useSceneStore } from '../store/sceneStore';
+import { useProjectStore } from '../store/projectStore';
 import { usePostProcessingStore } from '../store/postProcessingStore';
+import { useEventSheetStore } from '../store/eventSheetStore';
+import { useAudioStore } from '../store/audioStore';
+import { serializeAudioAssets, createProjectFile } from '../engine/sceneFormat';
 
 export function ExportGameButton() {
-  const { objects } = useSceneStore();
+  const { getProjectScenes, startSceneId, physicsSettings } = useProjectStore();
   const { exportSettings } = usePostProcessingStore();
+  const { globalVariables, exportEventSheets } = useEventSheetStore();
+  const { audioLibrary } = useAudioStore();
 
   const exportScene = () => {
     const postProcessing = exportSettings();
-    
-    const sceneData = {
-      metadata: {
-        version: '1.0.0',
-        generator: 'GD3D Editor',
-        exportDate: new Date().toISOString().split('T')[0]
-      },
-      scene: {
-        background: '#87ceeb',
-        fog: {
-          enabled: true,
-          color: '#87ceeb',
-          near: 50,
-          far: 200
-        }
-      },
-      postProcessing: postProcessing,
-      objects: objects.filter(obj => !obj.isPlayer).map(obj => {
-        const exportObj = {
-          id: obj.id,
-          name: obj.name,
-          type: obj.type,
-          position: [obj.position.x, obj.position.y, obj.position.z],
-          rotation: [obj.rotation.x, obj.rotation.y, obj.rotation.z],
-          scale: [obj.scale.x, obj.scale.y, obj.scale.z]
-        };
-
-        // Add GLTF model path
-        if (obj.type === 'gltf' && obj.modelPath) {
-          exportObj.modelPath = obj.modelPath.replace('../src/assets/', './assets/');
-        }
 
-        // Add mesh geometry data
-        if ((obj.type === 'mesh' || obj.type === 'primitive') && obj.geometry) {
-          exportObj.geometry = obj.geometry.type;
-          exportObj.geometryParams = obj.geometry.parameters;
-          exportObj.color = obj.material?.color?.getHex() || 0xcccccc;
-        }
-
-        // Add physics data
-        if (obj.physics && obj.physics.enabled) {
-          exportObj.physics = {
-            enabled: true,
-            mass: obj.physics.mass || 1,
-            isStatic: obj.physics.isStatic || false,
-            shape: obj.physics.shape || 'auto'
-          };
-        }
-
-        // Add collision frames data
-        if (obj.collisionFrames && obj.collisionFrames.length > 0) {
-          exportObj.collisionFrames = obj.collisionFrames.map(frame => ({
-            id: frame.id,
-            type: frame.type,
-            position: frame.position,
-            size: frame.size,
-            rotation: frame.rotation,
-            radius: frame.radius,
-            autoGenerated: frame.autoGenerated || false
-          }));
-        }
+    const environment = {
+      background: '#87ceeb',
+      fog: {
+        enabled: true,
+        color: '#87ceeb',
+        near: 50,
+        far: 200
+      }
+    };
+    const scenes = getProjectScenes().map(sceneEntry => ({ environment, ...sceneEntry }));
 
-        // Mark player character
-        if (obj.isPlayer) {
-          exportObj.isPlayer = true;
+    // The game player loads models from its own assets/models folder
+    scenes.forEach((sceneEntry) => {
+      sceneEntry.objects.forEach((obj) => {
+        if (obj.type === 'gltf' && obj.asset) {
+          obj.asset = `./assets/models/${obj.asset.split('/').pop()}`;
         }
-
-        return exportObj;
-      })
-    };
+      });
+    });
+
+    const sceneData = createProjectFile({
+      name: 'scene',
+      scenes,
+      startScene: startSceneId,
+      eventSheets: exportEventSheets(),
+      variables: globalVariables,
+      assets: serializeAudioAssets(audioLibrary, './assets/audio/'),
+      physics: physicsSettings,
+      postProcessing
+    });
 
     // Create JSON file
     const jsonString = JSON.stringify(sceneData, null, 2);
@@ -103,6 +69,7 @@ export function ExportGameButton() {
 Next steps:
 1. Save the downloaded scene.json to: gd3d-editor/gameplayer/
 2. Copy your 3D models (.glb files) to: gd3d-editor/gameplayer/assets/models/
+   and your sounds to: gd3d-editor/gameplayer/assets/audio/
 3. Open gd3d-editor/gameplayer/index.html in your browser
 4. Click "Start Game" and play!
 
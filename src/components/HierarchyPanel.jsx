@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from "react";
 import { useSceneStore } from "../store/sceneStore";
 import * as THREE from "three";
-import { createPrefabObject } from "../engine/builtInPrefabs";
+import { createPrefabObject, terrainMetadata } from "../engine/builtInPrefabs";
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
 
 export default function HierarchyPanel() {
@@ -68,9 +68,11 @@ export default function HierarchyPanel() {
       return;
     }
 
-    // place at provided position or random nearby
+    // place at provided position or random nearby (terrains start centred on the grid)
     if (position && obj.position) {
       obj.position.set(position.x, position.y, position.z);
+    } else if (prefab === 'terrain') {
+      obj.position.set(0, 0, 0);
     } else if (obj.position) {
       const randPos = () => ({ x: (Math.random() - 0.5) * 6, y: Math.random() * 3 + 1, z: (Math.random() - 0.5) * 6 });
       const pos = randPos();
@@ -92,7 +94,7 @@ export default function HierarchyPanel() {
       placeholder.userData = placeholder.userData || {};
       placeholder.userData._isPlaceholder = true;
       sceneRef.add(placeholder);
-      addObject(placeholder, { type: 'gltf', primitive: prefab, filename: obj.userData._prefabGLTF, loading: true });
+      addObject(placeholder, { type: 'gltf', primitive: prefab, filename: obj.userData._prefabGLTF, loading: true }, { recordHistory: false });
       selectObject(placeholder);
 
       const loader = new GLTFLoader();
@@ -175,6 +177,7 @@ export default function HierarchyPanel() {
         size: obj.geometry ? (() => { const b = new THREE.Box3().setFromObject(obj); const s = new THREE.Vector3(); b.getSize(s); return { x: s.x, y: s.y, z: s.z }; })() : { x: 1, y: 0.2, z: 1 }
       };
     }
+    if (prefab === 'terrain') Object.assign(metadata, terrainMetadata(obj));
 
     addObject(obj, metadata);
     selectObject(obj);
@@ -226,6 +229,7 @@ export default function HierarchyPanel() {
       case 'plane': return 'Plane';
       case 'platform': return 'Platform (Trigger)';
       case 'solidPlatform': return 'Solid Platform';
+      case 'terrain': return 'Terrain';
       case 'directionalLight': return 'Directional Light';
       case 'empty': return 'Empty Group';
       case 'droide': return 'Droide (Character)';
@@ -243,6 +247,7 @@ export default function HierarchyPanel() {
       plane: `<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 64 64'><rect x='8' y='28' width='48' height='8' fill='%23444444' /></svg>`,
       platform: `<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 64 64'><rect x='14' y='30' width='36' height='6' rx='2' fill='%238b5cf6'/></svg>`,
       solidPlatform: `<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 64 64'><rect x='10' y='28' width='44' height='10' rx='2' fill='%2310b981'/></svg>`,
+      terrain: `<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 64 64'><path d='M6 48 L20 28 L30 38 L42 20 L58 48 Z' fill='%235d8a3c'/></svg>`,
       directionalLight: `<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 64 64'><circle cx='32' cy='20' r='6' fill='%23ffff66'/></svg>`,
       empty: `<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 64 64'><rect x='14' y='18' width='36' height='28' rx='3' fill='%23bbbbbb'/></svg>`
     ,
@@ -408,7 +413,7 @@ export default function HierarchyPanel() {
             )}
 
               <div className="grid grid-cols-3 gap-3">
-                {['cube','sphere','cylinder','plane','platform','solidPlatform','directionalLight','droide','armour','empty'].filter(pf => {
+                {['cube','sphere','cylinder','plane','platform','solidPlatform','terrain','directionalLight','droide','armour','empty'].filter(pf => {
                   if (showOnlyFavorites && !favorites.includes(pf)) return false;
                   if (!searchQuery) return true;
                   return pf.toLowerCase().includes(searchQuery.toLowerCase()) || prefabLabel(pf).toLowerCase().includes(searchQuery.toLowerCase());
@@ -0,0 +1,80 @@
+import { Undo2, Redo2 } from 'lucide-react';
+import { useHistoryStore } from '../store/historyStore';
+import { usePlayStore } from '../store/playStore';
+
+export default function HistoryPanel() {
+  const { undoStack, redoStack, undo, redo, jumpTo, clear } = useHistoryStore();
+  const { isPlaying } = usePlayStore();
+
+  const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString();
+
+  return (
+    <div className="text-white text-sm space-y-3">
+      <div className="flex items-center gap-2">
+        <button
+          onClick={undo}
+          disabled={isPlaying || undoStack.length === 0}
+          className="flex items-center gap-1 px-2 py-1 rounded text-xs bg-gray-700 hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed"
+          title="Undo (Ctrl+Z)"
+        >
+          <Undo2 size={14} />
+          Undo
+        </button>
+        <button
+          onClick={redo}
+          disabled={isPlaying || redoStack.length === 0}
+          className="flex items-center gap-1 px-2 py-1 rounded text-xs bg-gray-700 hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed"
+          title="Redo (Ctrl+Shift+Z)"
+        >
+          <Redo2 size={14} />
+          Redo
+        </button>
+        <button
+          onClick={clear}
+          disabled={undoStack.length === 0 && redoStack.length === 0}
+          className="ml-auto px-2 py-1 rounded text-xs bg-red-600 hover:bg-red-700 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          Clear
+        </button>
+      </div>
+
+      {undoStack.length === 0 && redoStack.length === 0 ? (
+        <div className="text-center py-8 text-gray-400 text-sm">
+          No edits yet. Changes made in the viewport or Inspector show up here.
+        </div>
+      ) : (
+        <div className="space-y-1">
+          {undoStack.map((entry, index) => (
+            <button
+              key={entry.id}
+              onClick={() => jumpTo(entry.id)}
+              disabled={isPlaying}
+              className={`w-full flex justify-between px-2 py-1 rounded text-left text-xs ${
+                index === undoStack.length - 1
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-700 hover:bg-gray-600 text-gray-200'
+              }`}
+            >
+              <span className="truncate">{entry.label}</span>
+              <span className="text-gray-300 ml-2">{formatTime(entry.timestamp)}</span>
+            </button>
+          ))}
+          {/* Redo stack is stored newest-undone last, show it in chronological order */}
+          {[...redoStack].reverse().map((entry) => (
+            <button
+              key={entry.id}
+              onClick={() => jumpTo(entry.id)}
+              disabled={isPlaying}
+              className="w-full flex justify-between px-2 py-1 rounded text-left text-xs bg-gray-800 hover:bg-gray-700 text-gray-500 italic"
+            >
+              <span className="truncate">{entry.label}</span>
+              <span className="ml-2">{formatTime(entry.timestamp)}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      <p className="text-xs text-gray-400">Ctrl+Z to undo, Ctrl+Shift+Z (or Ctrl+Y) to redo.</p>
+    </div>
+  );
+}
@@ -3,6 +3,8 @@ import { useSceneStore } from "../store/sceneStore";
 import { usePlayStore } from "../store/playStore";
 import { AudioComponent } from "./AudioComponent";
 import { PostProcessingInspector } from "./PostProcessingInspector";
+import TerrainInspector from "./TerrainInspector";
+import { normalizeCameraMode } from "../engine/characterController";
 import * as THREE from 'three';
 
 export default function Inspector() {
@@ -347,6 +349,130 @@ export default function Inspector() {
                 </div>
               </div>
               
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">Run Speed</label>
+                  <input 
+                    type="number" 
+                    step="0.5"
+                    min="0"
+                    title="Speed while Shift is held"
+                    className="w-full bg-gray-600 border border-gray-500 rounded px-2 py-1 text-xs" 
+                    value={objectData?.characterSettings?.runSpeed ?? 8.0}
+                    onChange={(e) => {
+                      const value = parseFloat(e.target.value);
+                      const newData = { 
+                        ...objectData, 
+                        characterSettings: { 
+                          ...objectData?.characterSettings, 
+                          runSpeed: Number.isFinite(value) ? Math.max(0, value) : 8.0 
+                        } 
+                      };
+                      updateObjectData(selectedObject.uuid, newData);
+                      setObjectData(newData);
+                    }}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">Push Force</label>
+                  <input 
+                    type="number" 
+                    step="1"
+                    min="0"
+                    title="Force on dynamic bodies the character walks into"
+                    className="w-full bg-gray-600 border border-gray-500 rounded px-2 py-1 text-xs" 
+                    value={objectData?.characterSettings?.pushForce ?? 20}
+                    onChange={(e) => {
+                      const value = parseFloat(e.target.value);
+                      const newData = { 
+                        ...objectData, 
+                        characterSettings: { 
+                          ...objectData?.characterSettings, 
+                          pushForce: Number.isFinite(value) ? Math.max(0, value) : 20 
+                        } 
+                      };
+                      updateObjectData(selectedObject.uuid, newData);
+                      setObjectData(newData);
+                    }}
+                  />
+                </div>
+              </div>
+              
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">Max Slope (°)</label>
+                  <input 
+                    type="number" 
+                    step="5"
+                    min="0"
+                    title="Steepest ground the character can walk up"
+                    className="w-full bg-gray-600 border border-gray-500 rounded px-2 py-1 text-xs" 
+                    value={objectData?.characterSettings?.maxSlope ?? 45}
+                    onChange={(e) => {
+                      const value = parseFloat(e.target.value);
+                      const newData = { 
+                        ...objectData, 
+                        characterSettings: { 
+                          ...objectData?.characterSettings, 
+                          maxSlope: Number.isFinite(value) ? Math.max(0, value) : 45 
+                        } 
+                      };
+                      updateObjectData(selectedObject.uuid, newData);
+                      setObjectData(newData);
+                    }}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">Step Height</label>
+                  <input 
+                    type="number" 
+                    step="0.05"
+                    min="0"
+                    title="Tallest ledge walked up without jumping"
+                    className="w-full bg-gray-600 border border-gray-500 rounded px-2 py-1 text-xs" 
+                    value={objectData?.characterSettings?.stepHeight ?? 0.3}
+                    onChange={(e) => {
+                      const value = parseFloat(e.target.value);
+                      const newData = { 
+                        ...objectData, 
+                        characterSettings: { 
+                          ...objectData?.characterSettings, 
+                          stepHeight: Number.isFinite(value) ? Math.max(0, value) : 0.3 
+                        } 
+                      };
+                      updateObjectData(selectedObject.uuid, newData);
+                      setObjectData(newData);
+                    }}
+                  />
+                </div>
+              </div>
+              
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">Snap Distance</label>
+                  <input 
+                    type="number" 
+                    step="0.05"
+                    min="0"
+                    title="How far the character is pulled down to stay on slopes and stairs"
+                    className="w-full bg-gray-600 border border-gray-500 rounded px-2 py-1 text-xs" 
+                    value={objectData?.characterSettings?.snapDistance ?? 0.3}
+                    onChange={(e) => {
+                      const value = parseFloat(e.target.value);
+                      const newData = { 
+                        ...objectData, 
+                        characterSettings: { 
+                          ...objectData?.characterSettings, 
+                          snapDistance: Number.isFinite(value) ? Math.max(0, value) : 0.3 
+                        } 
+                      };
+                      updateObjectData(selectedObject.uuid, newData);
+                      setObjectData(newData);
+                    }}
+                  />
+                </div>
+              </div>
+              
               <div className="grid grid-cols-2 gap-2">
                 <div>
                   <label className="block text-xs text-gray-400 mb-1">Coyote Time</label>
@@ -394,7 +520,7 @@ export default function Inspector() {
                 <label className="block text-xs text-gray-400 mb-1">Camera Mode</label>
                 <select 
                   className="w-full bg-gray-600 border border-gray-500 rounded px-2 py-1 text-xs"
-                  value={objectData?.characterSettings?.cameraMode || 'third-person'}
+                  value={normalizeCameraMode(objectData?.characterSettings?.cameraMode)}
                   onChange={(e) => {
                     const newData = { 
                       ...objectData, 
@@ -409,23 +535,25 @@ export default function Inspector() {
                 >
                   <option value="third-person">Third Person</option>
                   <option value="first-person">First Person</option>
+                  <option value="top-down">Top Down</option>
+                  <option value="side-scroller">Side Scroller</option>
                 </select>
               </div>
 
-              {objectData?.characterSettings?.cameraMode === 'third-person' && (
+              {normalizeCameraMode(objectData?.characterSettings?.cameraMode) !== 'first-person' && (
                 <div>
                   <label className="block text-xs text-gray-400 mb-1">Camera Distance</label>
                   <input 
                     type="number" 
                     step="0.5"
                     className="w-full bg-gray-600 border border-gray-500 rounded px-2 py-1 text-xs" 
-                    value={objectData?.characterSettings?.cameraDistance || 8.0}
+                    value={objectData?.characterSettings?.cameraDistance || 5.0}
                     onChange={(e) => {
                       const newData = { 
                         ...objectData, 
                         characterSettings: { 
                           ...objectData?.characterSettings, 
-                          cameraDistance: parseFloat(e.target.value) || 8.0 
+                          cameraDistance: parseFloat(e.target.value) || 5.0 
                         } 
                       };
                       updateObjectData(selectedObject.uuid, newData);
@@ -532,8 +660,11 @@ export default function Inspector() {
           </div>
         </div>
 
+        {/* Terrain (its paint layers replace the material) */}
+        {objectData?.type === 'terrain' && <TerrainInspector />}
+
         {/* Material */}
-        {selectedObject.material && (
+        {selectedObject.material && objectData?.type !== 'terrain' && (
           <div className="mb-4">
             <h5 className="text-xs font-semibold mb-2 text-gray-300">Material</h5>
             <div className="space-y-2">
@@ -0,0 +1,168 @@
+import React from 'react';
+import { useSceneStore } from '../store/sceneStore';
+import { usePlayStore } from '../store/playStore';
+import { PLATFORM_PATH_MODES, PLATFORM_EASINGS, createMovingPlatformData } from '../physics/platforms';
+
+const MODE_LABELS = {
+  pingPong: '↔️ Ping-pong',
+  loop: '🔁 Loop'
+};
+
+const EASING_LABELS = {
+  linear: 'Linear',
+  easeIn: 'Ease in',
+  easeOut: 'Ease out',
+  easeInOut: 'Ease in-out'
+};
+
+const inputClass = 'w-full px-1 py-0.5 bg-gray-900 border border-gray-700 rounded text-white text-xs';
+
+// Authoring of the selected object's waypoint path (saved as its `movingPlatform` data).
+// Waypoints can also be dragged in the viewport, see PlatformPathEditor.
+export default function MovingPlatformEditor() {
+  const { selectedObject, getObjectData, updateObjectData } = useSceneStore();
+  const { isPlaying } = usePlayStore();
+
+  if (!selectedObject) return null;
+  const data = getObjectData(selectedObject.uuid);
+  const platform = data?.movingPlatform;
+
+  const save = (next) => {
+    if (isPlaying) {
+      console.warn('⚠️ Cannot modify moving platforms during Play mode');
+      return;
+    }
+    updateObjectData(selectedObject.uuid, { movingPlatform: next });
+  };
+
+  const update = changes => save({ ...platform, ...changes });
+
+  const updateWaypoint = (index, property, value) => {
+    const waypoints = platform.waypoints.map((point, i) => (
+      i === index ? { ...point, [property]: property === 'wait' ? Math.max(0, parseFloat(value) || 0) : parseFloat(value) || 0 } : point
+    ));
+    update({ waypoints });
+  };
+
+  // New waypoints continue the path two units past the last one
+  const addWaypoint = () => {
+    const last = platform.waypoints[platform.waypoints.length - 1] || { x: 0, y: 0, z: 0, wait: 0 };
+    update({ waypoints: [...platform.waypoints, { ...last, x: (last.x || 0) + 2 }] });
+  };
+
+  const removeWaypoint = index => update({ waypoints: platform.waypoints.filter((_, i) => i !== index) });
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-600">
+      <div className="flex items-center justify-between mb-2">
+        <h6 className="text-xs font-semibold text-gray-300">Moving Platform</h6>
+        {platform ? (
+          <button
+            onClick={() => save(undefined)}
+            disabled={isPlaying}
+            className="px-2 py-0.5 bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white rounded text-xs"
+          >
+            🗑️ Remove
+          </button>
+        ) : (
+          <button
+            onClick={() => save(createMovingPlatformData())}
+            disabled={isPlaying}
+            className="px-2 py-0.5 bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white rounded text-xs"
+          >
+            ➕ Add Path
+          </button>
+        )}
+      </div>
+
+      {platform && (
+        <>
+          <p className="text-xs text-gray-400 mb-3">
+            Follows the waypoints as a kinematic body; characters standing on it ride along. Waypoints are offsets from the object and can be dragged in the viewport.
+          </p>
+          {!data.physics?.enabled && (
+            <div className="text-xs text-yellow-300 bg-yellow-900/30 border border-yellow-700 rounded p-2 mb-2">
+              ⚠️ Enable physics on this object for it to move in play mode.
+            </div>
+          )}
+
+          <label className="flex items-center gap-2 text-xs text-gray-300 mb-2">
+            <input
+              type="checkbox"
+              checked={!!platform.enabled}
+              disabled={isPlaying}
+              onChange={(e) => update({ enabled: e.target.checked })}
+            />
+            Enabled
+          </label>
+
+          <div className="grid grid-cols-3 gap-2 mb-2">
+            <div>
+              <label className="text-xs text-gray-400 block mb-1">Mode</label>
+              <select value={platform.mode} onChange={(e) => update({ mode: e.target.value })} className={inputClass}>
+                {PLATFORM_PATH_MODES.map(mode => <option key={mode} value={mode}>{MODE_LABELS[mode]}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="text-xs text-gray-400 block mb-1">Easing</label>
+              <select value={platform.easing} onChange={(e) => update({ easing: e.target.value })} className={inputClass}>
+                {Object.keys(PLATFORM_EASINGS).map(easing => <option key={easing} value={easing}>{EASING_LABELS[easing]}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="text-xs text-gray-400 block mb-1">Speed (u/s)</label>
+              <input
+                type="number"
+                step="0.1"
+                min="0"
+                value={platform.speed}
+                onChange={(e) => update({ speed: Math.max(0, parseFloat(e.target.value) || 0) })}
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-[1rem_1fr_1fr_1fr_1fr_auto] gap-1 items-center text-xs">
+            <span />
+            <span className="text-gray-500">X</span>
+            <span className="text-gray-500">Y</span>
+            <span className="text-gray-500">Z</span>
+            <span className="text-gray-500">Wait (s)</span>
+            <span />
+            {platform.waypoints.map((point, index) => (
+              <React.Fragment key={index}>
+                <span className="text-gray-400">{index + 1}</span>
+                {['x', 'y', 'z', 'wait'].map(property => (
+                  <input
+                    key={property}
+                    type="number"
+                    step={property === 'wait' ? 0.25 : 0.1}
+                    min={property === 'wait' ? 0 : undefined}
+                    value={point[property] ?? 0}
+                    onChange={(e) => updateWaypoint(index, property, e.target.value)}
+                    className={inputClass}
+                  />
+                ))}
+                <button
+                  onClick={() => removeWaypoint(index)}
+                  disabled={isPlaying || platform.waypoints.length <= 2}
+                  title={platform.waypoints.length <= 2 ? 'A path needs at least two waypoints' : 'Delete waypoint'}
+                  className="px-1 text-red-400 hover:text-red-300 disabled:opacity-30"
+                >
+                  ✕
+                </button>
+              </React.Fragment>
+            ))}
+          </div>
+          <button
+            onClick={addWaypoint}
+            disabled={isPlaying}
+            className="w-full mt-2 px-3 py-1 bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white rounded text-xs"
+          >
+            ➕ Add Waypoint
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,10 +1,18 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useSceneStore } from '../store/sceneStore';
 import { usePlayStore } from '../store/playStore';
+import { useProjectStore } from '../store/projectStore';
+import { BROADPHASE_TYPES } from '../physics/broadphase';
+import CollisionLayersModal from './CollisionLayersModal';
+
+const BROADPHASE_LABELS = { naive: 'Naive (all pairs)', sap: 'Sweep & Prune', grid: 'Uniform Grid' };
+const STEP_RATES = [30, 60, 120, 240];
 
 export default function PhysicsControls() {
   const { enablePhysics, disablePhysics, setGravity, addGroundPlane } = useSceneStore();
   const { isPlaying } = usePlayStore();
+  const { physicsSettings, setPhysicsSettings } = useProjectStore();
+  const [showLayers, setShowLayers] = useState(false);
 
   const handleGravityChange = (axis, value) => {
     const gravity = { x: 0, y: -9.82, z: 0 };
@@ -45,6 +53,52 @@ export default function PhysicsControls() {
           />
         </div>
 
+        <div className="flex items-center gap-1">
+          <span className="text-gray-400">Broadphase:</span>
+          <select
+            value={physicsSettings.broadphase}
+            onChange={(e) => setPhysicsSettings({ broadphase: e.target.value })}
+            className="bg-gray-700 border border-gray-600 rounded px-1 py-0.5 text-xs"
+            title="Collision pair search used by the editor, RuntimePlayer and exported game"
+          >
+            {BROADPHASE_TYPES.map(type => (
+              <option key={type} value={type}>{BROADPHASE_LABELS[type]}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex items-center gap-1">
+          <span className="text-gray-400">Step:</span>
+          <select
+            value={Math.round(1 / physicsSettings.fixedTimeStep)}
+            onChange={(e) => setPhysicsSettings({ fixedTimeStep: 1 / parseInt(e.target.value, 10) })}
+            className="bg-gray-700 border border-gray-600 rounded px-1 py-0.5 text-xs"
+            title="Fixed physics rate; rendering is interpolated between steps"
+          >
+            {STEP_RATES.map(rate => (
+              <option key={rate} value={rate}>{rate} Hz</option>
+            ))}
+          </select>
+          <span className="text-gray-400">Max/frame:</span>
+          <input
+            type="number"
+            min="1"
+            max="20"
+            value={physicsSettings.maxSubSteps}
+            onChange={(e) => setPhysicsSettings({ maxSubSteps: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+            className="w-10 bg-gray-700 border border-gray-600 rounded px-1 py-0.5 text-xs"
+            title="Most physics steps run in one frame; slower frames drop the extra time"
+          />
+        </div>
+
+        <button
+          className="px-2 py-1 bg-gray-600 hover:bg-gray-500 rounded text-xs"
+          onClick={() => setShowLayers(true)}
+          title="Named collision layers and which of them collide"
+        >
+          Layers…
+        </button>
+
         <button 
           className="px-2 py-1 bg-blue-600 hover:bg-blue-700 rounded text-xs"
           onClick={handleAddGroundPlane}
@@ -56,6 +110,8 @@ export default function PhysicsControls() {
           Enable physics on objects in Inspector panel
         </div>
       </div>
+
+      {showLayers && <CollisionLayersModal onClose={() => setShowLayers(false)} />}
     </div>
   );
 }
\ No newline at end of file
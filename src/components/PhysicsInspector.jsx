@@ -2,10 +2,19 @@ import React, { useEffect, useState } from "react";
 import * as THREE from "three";
 import { useSceneStore } from "../store/sceneStore";
 import { usePlayStore } from "../store/playStore";
+import { capsuleFrameSize } from "../physics/shapes";
+import { createConvexFrame, decomposeConvex, DEFAULT_DECOMPOSITION } from "../utils/physicsShapeDetection";
+import ConstraintEditor from "./ConstraintEditor";
+import MovingPlatformEditor from "./MovingPlatformEditor";
+import RagdollEditor from "./RagdollEditor";
+import { useProjectStore } from "../store/projectStore";
+import { DEFAULT_COLLISION_LAYERS, objectLayer } from "../physics/layers";
+import PhysicsMaterialPicker from "./PhysicsMaterialPicker";
 
 export default function PhysicsInspector() {
   const { selectedObject, getObjectData, updatePhysicsProperties, updateObjectData } = useSceneStore();
   const { isPlaying } = usePlayStore();
+  const { physicsSettings } = useProjectStore();
   const [physics, setPhysics] = useState({
     enabled: false,
     bodyType: 'box',
@@ -16,6 +25,7 @@ export default function PhysicsInspector() {
   });
   const [useCollisionMesh, setUseCollisionMesh] = useState(false);
   const [autoCreateMode, setAutoCreateMode] = useState('convex');
+  const [decomposition, setDecomposition] = useState({ resolution: DEFAULT_DECOMPOSITION.resolution, maxHulls: DEFAULT_DECOMPOSITION.maxHulls });
   const [lastManualSizeChange, setLastManualSizeChange] = useState(0);
   const [collisionFrames, setCollisionFrames] = useState([]);
   const [selectedFrame, setSelectedFrame] = useState(null);
@@ -44,7 +54,11 @@ export default function PhysicsInspector() {
           isStatic: latest.physics.isStatic ?? false,
           isTrigger: latest.physics.isTrigger ?? false,
           mass: latest.physics.mass ?? 1,
-          size: latest.physics.size || { x: 1, y: 1, z: 1 }
+          size: latest.physics.size || { x: 1, y: 1, z: 1 },
+          material: latest.physics.material || '',
+          layer: latest.physics.layer || '',
+          ccd: latest.physics.ccd ?? false,
+          ccdRadius: latest.physics.ccdRadius ?? 0
         });
         setUseCollisionMesh(!!latest.useCollisionMesh || !!latest.collisionMesh);
         // Load collision frames with default values
@@ -66,7 +80,10 @@ export default function PhysicsInspector() {
             y: frame.rotation?.y ?? 0, 
             z: frame.rotation?.z ?? 0 
           },
-          radius: frame.radius ?? 0.5
+          radius: frame.radius ?? 0.5,
+          height: frame.height,
+          ...(frame.type === 'convex' ? { vertices: frame.vertices || [], faces: frame.faces || [] } : {}),
+          ...(frame.autoGenerated ? { autoGenerated: true } : {})
         }));
         setCollisionFrames(loadedFrames);
         
@@ -137,6 +154,14 @@ export default function PhysicsInspector() {
       }
     } else if (property === 'isTrigger') {
       newPhysics.isTrigger = !!value;
+    } else if (property === 'material') {
+      newPhysics.material = value;
+    } else if (property === 'layer') {
+      newPhysics.layer = value;
+    } else if (property === 'ccd') {
+      newPhysics.ccd = !!value;
+    } else if (property === 'ccdRadius') {
+      newPhysics.ccdRadius = Math.max(0, parseFloat(value) || 0);
     } else if (property === 'mass') {
       const parsedMass = parseFloat(value);
       newPhysics.mass = isNaN(parsedMass) ? 1 : parsedMass;
@@ -162,10 +187,32 @@ export default function PhysicsInspector() {
 
   const handleAutoCreate = () => {
     if (!selectedObject) return;
+    if (autoCreateMode === 'decompose') {
+      handleDecompose();
+      return;
+    }
     // Request the store to create a physics body using an auto-generated collision shape
     updatePhysicsProperties(selectedObject.uuid, { ...physics, useCollisionMesh: false, autoCreate: autoCreateMode, enabled: true });
   };
 
+  // Split the object into convex pieces and use them as its collision frames. Decompositions are
+  // cached per model file, so other instances of the same asset reuse them.
+  const handleDecompose = () => {
+    if (isPlaying) {
+      console.warn('⚠️ Cannot modify collision frames during Play mode');
+      return;
+    }
+    const data = getObjectData(selectedObject.uuid) || {};
+    const frames = decomposeConvex(selectedObject, { ...decomposition, cacheKey: data.modelPath || data.filename });
+    if (frames.length === 0) {
+      console.warn(`⚠️ ${selectedObject.name} has no geometry to decompose`);
+      return;
+    }
+    setCollisionFrames(frames);
+    updateObjectData(selectedObject.uuid, { collisionFrames: frames });
+    updatePhysicsProperties(selectedObject.uuid, { ...physics, useCollisionMesh: false, autoCreate: null, enabled: true });
+  };
+
   // Poll selected object's bounding box periodically to sync size when user hasn't manually edited
   useEffect(() => {
     let interval;
@@ -312,13 +359,19 @@ export default function PhysicsInspector() {
       console.warn('⚠️ Cannot modify collision frames during Play mode');
       return;
     }
+    if (type === 'convex') {
+      addConvexFrame();
+      return;
+    }
     const frame = {
       id: Date.now(),
       type: type,
       position: { x: 0, y: 1, z: 0 },
       size: { x: 0.5, y: 1, z: 0.5 },
       rotation: { x: 0, y: 0, z: 0 },
-      radius: 0.3
+      radius: 0.3,
+      ...(type === 'capsule' ? { height: 1.6 } : {}), // tip to tip
+      ...(type === 'cylinder' ? { height: 1 } : {})
     };
     const newFrames = [...collisionFrames, frame];
     console.log(`➕ Adding manual collision frame (${type}). Total frames: ${newFrames.length}`, newFrames);
@@ -326,6 +379,19 @@ export default function PhysicsInspector() {
     updateObjectData(selectedObject.uuid, { collisionFrames: newFrames });
   };
 
+  // Convex hull around the object's meshes, in object space
+  const addConvexFrame = () => {
+    const frame = createConvexFrame(selectedObject);
+    if (!frame) {
+      console.warn(`⚠️ ${selectedObject.name} has no geometry to build a convex frame from`);
+      return;
+    }
+    const newFrames = [...collisionFrames, frame];
+    console.log(`➕ Adding convex collision frame. Total frames: ${newFrames.length}`);
+    setCollisionFrames(newFrames);
+    updateObjectData(selectedObject.uuid, { collisionFrames: newFrames });
+  };
+
   const updateFrame = (frameId, property, axis, value) => {
     if (isPlaying) {
       console.warn('⚠️ Cannot modify collision frames during Play mode');
@@ -356,6 +422,22 @@ export default function PhysicsInspector() {
     updateObjectData(selectedObject.uuid, { collisionFrames: newFrames });
   };
 
+  // Capsule height, tip to tip
+  const updateFrameHeight = (frameId, value) => {
+    if (isPlaying) {
+      console.warn('⚠️ Cannot modify collision frames during Play mode');
+      return;
+    }
+    const newFrames = collisionFrames.map(frame => {
+      if (frame.id === frameId) {
+        return { ...frame, height: parseFloat(value) };
+      }
+      return frame;
+    });
+    setCollisionFrames(newFrames);
+    updateObjectData(selectedObject.uuid, { collisionFrames: newFrames });
+  };
+
   const deleteFrame = (frameId) => {
     if (isPlaying) {
       console.warn('⚠️ Cannot modify collision frames during Play mode');
@@ -497,6 +579,7 @@ export default function PhysicsInspector() {
                 >
                   <option value="convex">Convex Hull (best for dynamic objects)</option>
                   <option value="trimesh">Trimesh (exact, best for static)</option>
+                  <option value="decompose">Convex Decomposition (concave props)</option>
                 </select>
                 <button
                   className="bg-blue-600 hover:bg-blue-500 text-white text-xs px-2 py-1 rounded"
@@ -505,7 +588,38 @@ export default function PhysicsInspector() {
                   Auto-create collision
                 </button>
               </div>
-              <div className="text-xs text-gray-500 mt-1">Generates a collision shape from the object's geometry and enables physics.</div>
+              {autoCreateMode === 'decompose' && (
+                <div className="grid grid-cols-2 gap-2 mt-2">
+                  <div>
+                    <label className="block text-xs text-gray-400 mb-1">Resolution</label>
+                    <input
+                      type="number"
+                      min="8"
+                      max="64"
+                      step="4"
+                      value={decomposition.resolution}
+                      onChange={(e) => setDecomposition({ ...decomposition, resolution: parseInt(e.target.value) || DEFAULT_DECOMPOSITION.resolution })}
+                      className="w-full px-2 py-1 bg-gray-700 border border-gray-600 rounded text-xs"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-400 mb-1">Max hulls</label>
+                    <input
+                      type="number"
+                      min="1"
+                      max="32"
+                      value={decomposition.maxHulls}
+                      onChange={(e) => setDecomposition({ ...decomposition, maxHulls: parseInt(e.target.value) || DEFAULT_DECOMPOSITION.maxHulls })}
+                      className="w-full px-2 py-1 bg-gray-700 border border-gray-600 rounded text-xs"
+                    />
+                  </div>
+                </div>
+              )}
+              <div className="text-xs text-gray-500 mt-1">
+                {autoCreateMode === 'decompose'
+                  ? 'Splits arches, L-shaped walls and other concave models into convex collision frames. Higher resolution follows the model more closely but takes longer.'
+                  : 'Generates a collision shape from the object\'s geometry and enables physics.'}
+              </div>
             </div>
 
             <div className="flex items-center">
@@ -519,6 +633,57 @@ export default function PhysicsInspector() {
               <label htmlFor="isTrigger_left" className="text-xs text-gray-400">Trigger (no physical response; invisible in play)</label>
             </div>
 
+            <PhysicsMaterialPicker
+              value={physics.material}
+              onChange={(value) => handlePhysicsChange('material', value)}
+              disabled={isPlaying}
+            />
+
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">Collision Layer</label>
+              <select
+                className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 text-xs"
+                value={physics.layer || ''}
+                disabled={isPlaying}
+                onChange={(e) => handlePhysicsChange('layer', e.target.value)}
+              >
+                <option value="">Auto ({objectLayer(physics, selectedData?.isPlayer)})</option>
+                {(physicsSettings.layers || DEFAULT_COLLISION_LAYERS).map(layer => (
+                  <option key={layer} value={layer}>{layer}</option>
+                ))}
+              </select>
+              <div className="text-xs text-gray-500 mt-1">Which layers collide is set under Layers… in the physics bar.</div>
+            </div>
+
+            <div>
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="ccd_left"
+                  className="mr-2"
+                  checked={!!physics.ccd}
+                  disabled={isPlaying}
+                  onChange={(e) => handlePhysicsChange('ccd', e.target.checked)}
+                />
+                <label htmlFor="ccd_left" className="text-xs text-gray-400">Continuous collision (fast bodies)</label>
+              </div>
+              {physics.ccd && (
+                <div className="mt-1">
+                  <label className="block text-xs text-gray-400 mb-1">Sweep Radius (0 = from shape)</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 text-xs"
+                    value={physics.ccdRadius || 0}
+                    disabled={isPlaying}
+                    onChange={(e) => handlePhysicsChange('ccdRadius', e.target.value)}
+                  />
+                  <div className="text-xs text-gray-500 mt-1">Stops small, fast objects like bullets from passing through thin walls.</div>
+                </div>
+              )}
+            </div>
+
             {/* Collision Frame Editor Section - Hidden for ground objects */}
             {!isGround && (
               <div className="mt-4 pt-4 border-t border-gray-600">
@@ -539,32 +704,43 @@ export default function PhysicsInspector() {
                 </button>
               )}
 
-              {/* Manual frame creation for characters */}
-              {isCharacter && (
-                <div className="mb-3">
-                  <label className="text-xs text-gray-400 mb-1 block">Add Frame Node:</label>
-                  <div className="grid grid-cols-3 gap-2">
-                    <button
-                      onClick={() => addManualFrame('box')}
-                      className="px-2 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded text-xs transition-colors"
-                    >
-                      📦 Box
-                    </button>
-                    <button
-                      onClick={() => addManualFrame('sphere')}
-                      className="px-2 py-1 bg-purple-600 hover:bg-purple-700 text-white rounded text-xs transition-colors"
-                    >
-                      ⚪ Sphere
-                    </button>
-                    <button
-                      onClick={() => addManualFrame('capsule')}
-                      className="px-2 py-1 bg-indigo-600 hover:bg-indigo-700 text-white rounded text-xs transition-colors"
-                    >
-                      💊 Capsule
-                    </button>
-                  </div>
+              {/* Manual frame creation */}
+              <div className="mb-3">
+                <label className="text-xs text-gray-400 mb-1 block">Add Frame Node:</label>
+                <div className="grid grid-cols-3 gap-2">
+                  <button
+                    onClick={() => addManualFrame('box')}
+                    className="px-2 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded text-xs transition-colors"
+                  >
+                    📦 Box
+                  </button>
+                  <button
+                    onClick={() => addManualFrame('sphere')}
+                    className="px-2 py-1 bg-purple-600 hover:bg-purple-700 text-white rounded text-xs transition-colors"
+                  >
+                    ⚪ Sphere
+                  </button>
+                  <button
+                    onClick={() => addManualFrame('capsule')}
+                    className="px-2 py-1 bg-indigo-600 hover:bg-indigo-700 text-white rounded text-xs transition-colors"
+                  >
+                    💊 Capsule
+                  </button>
+                  <button
+                    onClick={() => addManualFrame('cylinder')}
+                    className="px-2 py-1 bg-teal-600 hover:bg-teal-700 text-white rounded text-xs transition-colors"
+                  >
+                    🛢️ Cylinder
+                  </button>
+                  <button
+                    onClick={() => addManualFrame('convex')}
+                    title="Convex hull around the object's meshes"
+                    className="px-2 py-1 bg-amber-600 hover:bg-amber-700 text-white rounded text-xs transition-colors"
+                  >
+                    🔷 Convex
+                  </button>
                 </div>
-              )}
+              </div>
 
               {/* Frame List */}
               <div className="space-y-2">
@@ -633,7 +809,7 @@ export default function PhysicsInspector() {
                         </div>
                       )}
 
-                      {(frame.type === 'sphere' || frame.type === 'capsule') && (
+                      {(frame.type === 'sphere' || frame.type === 'capsule' || frame.type === 'cylinder') && (
                         <div className="mb-2">
                           <label className="text-xs text-gray-400 block mb-1">Radius</label>
                           <input
@@ -647,18 +823,39 @@ export default function PhysicsInspector() {
                       )}
 
                       {frame.type === 'capsule' && (
+                        <div className="mb-2">
+                          <label className="text-xs text-gray-400 block mb-1">Height (tip to tip)</label>
+                          <input
+                            type="number"
+                            step="0.1"
+                            min={(frame.radius ?? 0.5) * 2}
+                            value={capsuleFrameSize(frame).height}
+                            onChange={(e) => updateFrameHeight(frame.id, e.target.value)}
+                            className="w-full px-1 py-0.5 bg-gray-900 border border-gray-700 rounded text-white text-xs"
+                          />
+                        </div>
+                      )}
+
+                      {frame.type === 'cylinder' && (
                         <div className="mb-2">
                           <label className="text-xs text-gray-400 block mb-1">Height</label>
                           <input
                             type="number"
                             step="0.1"
-                            value={frame.size?.y || 1}
-                            onChange={(e) => updateFrame(frame.id, 'size', 'y', e.target.value)}
+                            min="0.01"
+                            value={frame.height ?? 1}
+                            onChange={(e) => updateFrameHeight(frame.id, e.target.value)}
                             className="w-full px-1 py-0.5 bg-gray-900 border border-gray-700 rounded text-white text-xs"
                           />
                         </div>
                       )}
 
+                      {frame.type === 'convex' && (
+                        <div className="mb-2 text-xs text-gray-500">
+                          Hull: {frame.vertices?.length || 0} vertices, {frame.faces?.length || 0} faces
+                        </div>
+                      )}
+
                       {/* Rotation */}
                       <div>
                         <label className="text-xs text-gray-400 block mb-1">Rotation (deg)</label>
@@ -684,6 +881,15 @@ export default function PhysicsInspector() {
             </div>
             )}
 
+            {/* Joints to other objects or the world */}
+            {!isGround && <ConstraintEditor />}
+
+            {/* Waypoint path for platforms and other kinematic movers */}
+            {!isGround && <MovingPlatformEditor />}
+
+            {/* Capsule parts and joints for skinned characters */}
+            {!isGround && <RagdollEditor />}
+
             {/* Ground objects get a special message instead of collision frames */}
             {isGround && (
               <div className="mt-4 pt-4 border-t border-gray-600">
@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useProjectStore } from '../store/projectStore';
+
+const inputClass = 'w-full bg-gray-900 border border-gray-700 rounded px-1 py-0.5 text-xs text-white';
+
+// Picks the selected object's physics material and edits the project's material library
+// (saved in the `physics` settings; contact materials for every pair are generated from it)
+export default function PhysicsMaterialPicker({ value, onChange, disabled }) {
+  const { physicsSettings, setPhysicsSettings } = useProjectStore();
+  const [newName, setNewName] = useState('');
+  const materials = physicsSettings.materials || {};
+
+  const updateMaterial = (id, property, rawValue) => {
+    const parsed = parseFloat(rawValue);
+    const material = { ...materials[id], [property]: Math.max(0, isNaN(parsed) ? 0 : parsed) };
+    setPhysicsSettings({ materials: { ...materials, [id]: material } });
+  };
+
+  const addMaterial = () => {
+    const name = newName.trim();
+    if (!name) return;
+    const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || `material-${Date.now()}`;
+    if (materials[id]) {
+      console.warn(`⚠️ Physics material "${id}" already exists`);
+      return;
+    }
+    setPhysicsSettings({ materials: { ...materials, [id]: { name, friction: 0.5, restitution: 0.1 } } });
+    setNewName('');
+  };
+
+  const removeMaterial = (id) => {
+    const { [id]: removed, ...rest } = materials;
+    setPhysicsSettings({ materials: rest });
+    console.log(`🗑️ Removed physics material ${removed?.name || id} (objects using it fall back to Default)`);
+  };
+
+  return (
+    <div>
+      <label className="block text-xs text-gray-400 mb-1">Surface Material</label>
+      <select
+        className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 text-xs"
+        value={materials[value] ? value : ''}
+        disabled={disabled}
+        onChange={(e) => onChange(e.target.value)}
+      >
+        <option value="">Default</option>
+        {Object.entries(materials).map(([id, material]) => (
+          <option key={id} value={id}>
+            {material.name || id} (friction {material.friction}, bounce {material.restitution})
+          </option>
+        ))}
+      </select>
+
+      <details className="mt-2 text-xs">
+        <summary className="text-gray-400 cursor-pointer hover:text-gray-300">📚 Material library</summary>
+        <p className="text-gray-500 mt-1 mb-2">
+          Shared by the whole project. Two surfaces slide like the slipperier one and bounce like the bouncier one.
+        </p>
+        <div className="grid grid-cols-[1fr_4rem_4rem_auto] gap-1 items-center">
+          <span className="text-gray-500">Name</span>
+          <span className="text-gray-500">Friction</span>
+          <span className="text-gray-500">Bounce</span>
+          <span />
+          {Object.entries(materials).map(([id, material]) => (
+            <React.Fragment key={id}>
+              <span className="text-gray-300 truncate" title={id}>{material.name || id}</span>
+              <input
+                type="number"
+                step="0.05"
+                min="0"
+                className={inputClass}
+                value={material.friction}
+                onChange={(e) => updateMaterial(id, 'friction', e.target.value)}
+              />
+              <input
+                type="number"
+                step="0.05"
+                min="0"
+                className={inputClass}
+                value={material.restitution}
+                onChange={(e) => updateMaterial(id, 'restitution', e.target.value)}
+              />
+              <button
+                className="px-1 text-red-400 hover:text-red-300"
+                title="Delete material"
+                onClick={() => removeMaterial(id)}
+              >
+                ✕
+              </button>
+            </React.Fragment>
+          ))}
+        </div>
+        <div className="flex gap-1 mt-2">
+          <input
+            type="text"
+            placeholder="New material name"
+            className={inputClass}
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter') addMaterial(); }}
+          />
+          <button
+            className="bg-blue-600 hover:bg-blue-500 text-white text-xs px-2 py-1 rounded"
+            onClick={addMaterial}
+          >
+            Add
+          </button>
+        </div>
+      </details>
+    </div>
+  );
+}
+
+PhysicsMaterialPicker.propTypes = {
+  value: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
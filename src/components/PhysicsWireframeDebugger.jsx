@@ -18,21 +18,17 @@ export default function PhysicsWireframeDebugger() {
   const visibleRef = useRef(true);
   const rafRef = useRef(null);
 
-  // Create wireframe mesh for a physics body
-  const createHelper = (body) => {
-    const shape = body.shapes[0];
-    if (!shape) return null;
-
+  // Wireframe geometry for one shape of a body
+  const createShapeGeometry = (shape) => {
     let geometry = null;
-    const material = new THREE.LineBasicMaterial({ 
-      color: 0x00ff00, 
-      linewidth: 2,
-      transparent: true,
-      opacity: 0.6
-    });
 
     // Handle different shape types
-    if (shape instanceof CANNON.Box) {
+    if (shape.capsule) {
+      // Cylinder + sphere capsules are drawn as one capsule (see physics/shapes.js)
+      const { radius, height } = shape.capsule;
+      geometry = new THREE.CapsuleGeometry(radius, height - radius * 2, 4, 12);
+    }
+    else if (shape instanceof CANNON.Box) {
       const size = shape.halfExtents;
       geometry = new THREE.BoxGeometry(size.x * 2, size.y * 2, size.z * 2);
     } 
@@ -50,20 +46,64 @@ export default function PhysicsWireframeDebugger() {
     else if (shape instanceof CANNON.Plane) {
       geometry = new THREE.PlaneGeometry(100, 100, 10, 10);
     }
+    else if (shape instanceof CANNON.Heightfield) {
+      // Terrain samples in the shape's own x/y plane, heights along z (see engine/terrain.js)
+      const { data, elementSize } = shape;
+      const rows = data[0]?.length || 0;
+      const positions = [];
+      const indices = [];
+      data.forEach((column, i) => column.forEach((h, j) => positions.push(i * elementSize, j * elementSize, h)));
+      for (let i = 0; i < data.length - 1; i++) {
+        for (let j = 0; j < rows - 1; j++) {
+          const a = i * rows + j;
+          indices.push(a, a + rows, a + 1, a + rows, a + rows + 1, a + 1);
+        }
+      }
+      geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+      geometry.setIndex(indices);
+    }
     else {
       // For complex shapes, use a simple sphere as placeholder
       geometry = new THREE.SphereGeometry(0.5, 8, 6);
     }
 
     const edges = new THREE.EdgesGeometry(geometry);
-    const helper = new THREE.LineSegments(edges, material);
-    helper.name = '__physicsHelper';
-    helper.renderOrder = 1000;
-    
     geometry.dispose();
+    return edges;
+  };
+
+  // Create wireframe group for a physics body, one child per shape at its body-space offset
+  const createHelper = (body) => {
+    if (body.shapes.length === 0) return null;
+
+    const material = new THREE.LineBasicMaterial({ 
+      color: 0x00ff00, 
+      linewidth: 2,
+      transparent: true,
+      opacity: 0.6
+    });
+
+    const helper = new THREE.Group();
+    body.shapes.forEach((shape, i) => {
+      if (shape.capsulePart) return;
+      const lines = new THREE.LineSegments(createShapeGeometry(shape), material);
+      lines.position.copy(body.shapeOffsets[i]);
+      lines.quaternion.copy(body.shapeOrientations[i]);
+      lines.renderOrder = 1000;
+      helper.add(lines);
+    });
+    helper.name = '__physicsHelper';
+    // Shared by the children; kept here so it is freed even when no shape got a child
+    helper.userData.material = material;
     return helper;
   };
 
+  const disposeHelper = (helper) => {
+    helper.children.forEach(lines => lines.geometry.dispose());
+    helper.userData.material.dispose();
+  };
+
   // Update helper positions to match physics bodies
   const updateHelpers = () => {
     if (!scene || !physicsWorld || !isPlaying) return;
@@ -93,8 +133,7 @@ export default function PhysicsWireframeDebugger() {
     helpersRef.current.forEach((helper, body) => {
       if (!physicsWorld.world.bodies.includes(body)) {
         scene.remove(helper);
-        helper.geometry.dispose();
-        helper.material.dispose();
+        disposeHelper(helper);
         bodiesToRemove.push(body);
       }
     });
@@ -138,8 +177,7 @@ export default function PhysicsWireframeDebugger() {
       // Cleanup all helpers
       helpersRef.current.forEach((helper) => {
         if (scene) scene.remove(helper);
-        helper.geometry.dispose();
-        helper.material.dispose();
+        disposeHelper(helper);
       });
       helpersRef.current.clear();
     };
@@ -0,0 +1,202 @@
+import { useEffect } from 'react';
+import PropTypes from 'prop-types';
+import * as THREE from 'three';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls';
+import { useSceneStore } from '../store/sceneStore';
+import { useHistoryStore } from '../store/historyStore';
+
+const MAX_SEGMENTS = 1024;
+const PATH_COLOR = 0xffcc00;
+const HANDLE_COLOR = 0xffcc00;
+const FIRST_HANDLE_COLOR = 0x33dd66;
+const ACTIVE_HANDLE_COLOR = 0xffffff;
+
+const round = v => +v.toFixed(3);
+
+// Draws every moving platform's waypoint path and lets the selected object's waypoints be dragged:
+// click a handle to put a move gizmo on it. Waypoints are saved as offsets from the object
+// (see MovingPlatformEditor for the numeric fields).
+const PlatformPathEditor = ({ scene, camera, domElement, orbit }) => {
+  useEffect(() => {
+    if (!scene || !camera || !domElement) return;
+
+    // Unnamed group, so the viewport's click selection never picks the handles as scene objects
+    const group = new THREE.Group();
+    scene.add(group);
+
+    const positions = new Float32Array(MAX_SEGMENTS * 6);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+    const lineMaterial = new THREE.LineBasicMaterial({ color: PATH_COLOR, depthTest: false, transparent: true });
+    const lines = new THREE.LineSegments(geometry, lineMaterial);
+    lines.name = '__platformPathHelper';
+    lines.renderOrder = 1000;
+    lines.frustumCulled = false;
+    group.add(lines);
+
+    const handleGeometry = new THREE.SphereGeometry(0.15, 12, 8);
+    const handles = [];
+    const handle = (index) => {
+      if (!handles[index]) {
+        const mesh = new THREE.Mesh(handleGeometry, new THREE.MeshBasicMaterial({ depthTest: false, transparent: true }));
+        mesh.name = '__platformWaypointHandle';
+        mesh.renderOrder = 1001;
+        mesh.userData.waypointIndex = index;
+        group.add(mesh);
+        handles[index] = mesh;
+      }
+      return handles[index];
+    };
+
+    // Gizmo for the picked waypoint: { objectId, index } while one is picked
+    const gizmo = new TransformControls(camera, domElement);
+    gizmo.setMode('translate');
+    gizmo.setSize(0.6);
+    scene.add(gizmo);
+    let active = null;
+
+    const origin = new THREE.Vector3();
+    const commitWaypoint = () => {
+      if (!active) return;
+      const { getObjectData, updateObjectData } = useSceneStore.getState();
+      const platform = getObjectData(active.objectId)?.movingPlatform;
+      if (!platform?.waypoints[active.index]) return;
+      const offset = gizmo.object.position.clone().sub(origin);
+      const waypoints = platform.waypoints.map((point, i) => (
+        i === active.index ? { ...point, x: round(offset.x), y: round(offset.y), z: round(offset.z) } : point
+      ));
+      updateObjectData(active.objectId, { movingPlatform: { ...platform, waypoints } });
+    };
+
+    gizmo.addEventListener('dragging-changed', (event) => {
+      if (orbit) orbit.enabled = !event.value;
+      if (!active) return;
+      // Fold the whole drag into a single undo entry
+      const history = useHistoryStore.getState();
+      if (event.value) {
+        history.beginGroup(`waypoint:${active.objectId}:${active.index}`, `Move waypoint ${active.index + 1}`);
+      } else {
+        commitWaypoint();
+        history.endGroup();
+      }
+    });
+    gizmo.addEventListener('objectChange', () => {
+      if (gizmo.dragging) commitWaypoint();
+    });
+
+    const detach = () => {
+      gizmo.detach();
+      active = null;
+    };
+
+    // Runs before the viewport's own click handling; a handled click is marked with preventDefault
+    // so the viewport keeps the platform selected
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    const onPointerDown = (e) => {
+      if (gizmo.dragging || (gizmo.object && gizmo.axis)) {
+        e.preventDefault();
+        return;
+      }
+      const visible = handles.filter(mesh => mesh.visible);
+      if (visible.length === 0) return;
+
+      const rect = domElement.getBoundingClientRect();
+      pointer.set(((e.clientX - rect.left) / rect.width) * 2 - 1, -((e.clientY - rect.top) / rect.height) * 2 + 1);
+      raycaster.setFromCamera(pointer, camera);
+      const hit = raycaster.intersectObjects(visible, false)[0];
+      if (!hit) {
+        detach();
+        return;
+      }
+      e.preventDefault();
+      active = { objectId: useSceneStore.getState().selectedObject?.uuid, index: hit.object.userData.waypointIndex };
+      gizmo.attach(hit.object);
+    };
+    domElement.addEventListener('pointerdown', onPointerDown, true);
+
+    const from = new THREE.Vector3();
+    const to = new THREE.Vector3();
+    let frameId = null;
+    const update = () => {
+      const { objects, selectedObject } = useSceneStore.getState();
+      let count = 0;
+      const segment = (a, b) => {
+        if (count >= MAX_SEGMENTS) return;
+        a.toArray(positions, count * 6);
+        b.toArray(positions, count * 6 + 3);
+        count++;
+      };
+
+      let selectedPath = null;
+      objects.forEach((data, uuid) => {
+        const points = data.movingPlatform?.waypoints;
+        if (!points?.length) return;
+        const object = scene.getObjectByProperty('uuid', uuid);
+        if (!object) return;
+        object.getWorldPosition(from);
+        const base = from.clone();
+        if (selectedObject?.uuid === uuid) selectedPath = { uuid, base, points };
+
+        const point = (p, out) => out.set(p.x || 0, p.y || 0, p.z || 0).add(base);
+        for (let i = 0; i < points.length - 1; i++) segment(point(points[i], from), point(points[i + 1], to));
+        if (data.movingPlatform.mode === 'loop' && points.length > 2) {
+          segment(point(points[points.length - 1], from), point(points[0], to));
+        }
+      });
+      geometry.setDrawRange(0, count * 2);
+      geometry.attributes.position.needsUpdate = true;
+
+      // Handles for the selected object's waypoints only
+      if (active && (active.objectId !== selectedPath?.uuid || active.index >= selectedPath.points.length)) detach();
+      const handleCount = selectedPath ? selectedPath.points.length : 0;
+      if (selectedPath) origin.copy(selectedPath.base);
+      for (let i = 0; i < Math.max(handleCount, handles.length); i++) {
+        if (i >= handleCount) {
+          if (handles[i]) handles[i].visible = false;
+          continue;
+        }
+        const mesh = handle(i);
+        mesh.visible = true;
+        const isActive = active?.index === i;
+        mesh.material.color.setHex(isActive ? ACTIVE_HANDLE_COLOR : i === 0 ? FIRST_HANDLE_COLOR : HANDLE_COLOR);
+        // The dragged handle is where the gizmo puts it
+        if (!(isActive && gizmo.dragging)) {
+          const p = selectedPath.points[i];
+          mesh.position.set(p.x || 0, p.y || 0, p.z || 0).add(selectedPath.base);
+        }
+      }
+
+      frameId = requestAnimationFrame(update);
+    };
+    update();
+
+    return () => {
+      cancelAnimationFrame(frameId);
+      domElement.removeEventListener('pointerdown', onPointerDown, true);
+      if (gizmo.dragging && orbit) orbit.enabled = true;
+      gizmo.detach();
+      gizmo.dispose();
+      scene.remove(gizmo);
+      scene.remove(group);
+      geometry.dispose();
+      lineMaterial.dispose();
+      handleGeometry.dispose();
+      handles.forEach(mesh => mesh.material.dispose());
+    };
+  }, [scene, camera, domElement, orbit]);
+
+  // This component doesn't render anything to React DOM
+  return null;
+};
+
+PlatformPathEditor.propTypes = {
+  scene: PropTypes.instanceOf(THREE.Scene),
+  camera: PropTypes.instanceOf(THREE.Camera),
+  // The renderer's canvas, for picking and the waypoint gizmo
+  domElement: PropTypes.object,
+  // OrbitControls, turned off while a waypoint is dragged
+  orbit: PropTypes.object
+};
+
+export default PlatformPathEditor;
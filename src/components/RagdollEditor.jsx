@@ -0,0 +1,153 @@
+import { useSceneStore } from '../store/sceneStore';
+import { usePlayStore } from '../store/playStore';
+import { createRagdollData, ragdollBoneNames } from '../physics/ragdoll';
+
+const inputClass = 'w-full px-1 py-0.5 bg-gray-900 border border-gray-700 rounded text-white text-xs';
+
+// Ragdoll of the selected skinned character (saved as its `ragdoll` data). Parts are mapped to
+// bones by name when added; a SetRagdoll action switches between the animation and the ragdoll.
+export default function RagdollEditor() {
+  const { selectedObject, getObjectData, updateObjectData } = useSceneStore();
+  const { isPlaying } = usePlayStore();
+
+  if (!selectedObject) return null;
+  const boneNames = ragdollBoneNames(selectedObject);
+  if (boneNames.length === 0) return null;
+  const data = getObjectData(selectedObject.uuid);
+  const ragdoll = data?.ragdoll;
+
+  const save = (next) => {
+    if (isPlaying) {
+      console.warn('⚠️ Cannot modify ragdolls during Play mode');
+      return;
+    }
+    updateObjectData(selectedObject.uuid, { ragdoll: next });
+  };
+
+  const update = changes => save({ ...ragdoll, ...changes });
+
+  const updatePart = (index, changes) => {
+    update({ parts: ragdoll.parts.map((part, i) => (i === index ? { ...part, ...changes } : part)) });
+  };
+
+  // Map the bones again, keeping the ragdoll's own settings
+  const detect = (keep) => {
+    const next = createRagdollData(selectedObject, keep ? { enabled: ragdoll.enabled, mass: ragdoll.mass, blendTime: ragdoll.blendTime } : {});
+    if (next.parts.length === 0) {
+      console.warn(`⚠️ No humanoid bones found in ${selectedObject.name} (looked for hips, spine, arms and legs)`);
+      return;
+    }
+    console.log(`🪆 Mapped ${next.parts.length} ragdoll parts for ${selectedObject.name}`);
+    save(next);
+  };
+
+  const numberField = (value, onChange, step, title) => (
+    <input
+      type="number"
+      step={step}
+      min="0"
+      value={value ?? 0}
+      title={title}
+      disabled={isPlaying}
+      onChange={(e) => onChange(Math.max(0, parseFloat(e.target.value) || 0))}
+      className={inputClass}
+    />
+  );
+
+  const boneSelect = (value, onChange, emptyLabel) => (
+    <select value={value || ''} disabled={isPlaying} onChange={(e) => onChange(e.target.value || null)} className={inputClass}>
+      {emptyLabel && <option value="">{emptyLabel}</option>}
+      {value && !boneNames.includes(value) && <option value={value}>{value} (missing)</option>}
+      {boneNames.map(name => <option key={name} value={name}>{name}</option>)}
+    </select>
+  );
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-600">
+      <div className="flex items-center justify-between mb-2">
+        <h6 className="text-xs font-semibold text-gray-300">Ragdoll</h6>
+        {ragdoll ? (
+          <button
+            onClick={() => save(undefined)}
+            disabled={isPlaying}
+            className="px-2 py-0.5 bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white rounded text-xs"
+          >
+            🗑️ Remove
+          </button>
+        ) : (
+          <button
+            onClick={() => detect(false)}
+            disabled={isPlaying}
+            className="px-2 py-0.5 bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white rounded text-xs"
+          >
+            ➕ Add Ragdoll
+          </button>
+        )}
+      </div>
+
+      {ragdoll && (
+        <>
+          <p className="text-xs text-gray-400 mb-3">
+            Capsules on the mapped bones, joined with cone-twist joints. Use a Set Ragdoll action to switch the character between its animation and the ragdoll. Angles are in degrees from the bind pose.
+          </p>
+          {!data.physics?.enabled && (
+            <div className="text-xs text-yellow-300 bg-yellow-900/30 border border-yellow-700 rounded p-2 mb-2">
+              ⚠️ Without a physics body the ragdoll collides with everything and the character doesn&apos;t get up where it fell.
+            </div>
+          )}
+
+          <label className="flex items-center gap-2 text-xs text-gray-300 mb-2">
+            <input
+              type="checkbox"
+              checked={!!ragdoll.enabled}
+              disabled={isPlaying}
+              onChange={(e) => update({ enabled: e.target.checked })}
+            />
+            Enabled
+          </label>
+
+          <div className="grid grid-cols-2 gap-2 mb-2">
+            <div>
+              <label className="text-xs text-gray-400 block mb-1">Mass (kg)</label>
+              {numberField(ragdoll.mass, mass => update({ mass }), 1, 'Mass of the whole ragdoll, shared out between the parts')}
+            </div>
+            <div>
+              <label className="text-xs text-gray-400 block mb-1">Blend time (s)</label>
+              {numberField(ragdoll.blendTime, blendTime => update({ blendTime }), 0.05, 'Default blend between the animation and the ragdoll')}
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            {ragdoll.parts.map((part, index) => (
+              <div key={part.name} className="bg-gray-800 rounded p-1">
+                <div className="text-xs text-gray-300 mb-1">
+                  {part.name}
+                  {part.parent && <span className="text-gray-500"> → {part.parent}</span>}
+                </div>
+                <div className="grid grid-cols-2 gap-1 mb-1">
+                  {boneSelect(part.bone, bone => updatePart(index, { bone }))}
+                  {boneSelect(part.endBone, endBone => updatePart(index, { endBone }), '(No end bone)')}
+                </div>
+                <div className="grid grid-cols-3 gap-1 text-xs text-gray-500">
+                  <span>Radius</span>
+                  <span>Cone°</span>
+                  <span>Twist°</span>
+                  {numberField(part.radius, radius => updatePart(index, { radius }), 0.005)}
+                  {numberField(part.coneAngle, coneAngle => updatePart(index, { coneAngle: Math.min(coneAngle, 180) }), 5)}
+                  {numberField(part.twistAngle, twistAngle => updatePart(index, { twistAngle: Math.min(twistAngle, 180) }), 5)}
+                </div>
+              </div>
+            ))}
+          </div>
+          <button
+            onClick={() => detect(true)}
+            disabled={isPlaying}
+            className="w-full mt-2 px-3 py-1 bg-gray-600 hover:bg-gray-500 disabled:opacity-50 text-white rounded text-xs"
+          >
+            🔍 Re-detect Bones
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -11,10 +11,15 @@ import { SSAOPass } from "three/examples/jsm/postprocessing/SSAOPass";
 import { OutputPass } from "three/examples/jsm/postprocessing/OutputPass";
 import { useSceneStore } from "../store/sceneStore";
 import { usePostProcessingStore } from "../store/postProcessingStore";
-import { createPrefabObject } from "../engine/builtInPrefabs";
+import { createPrefabObject, terrainMetadata } from "../engine/builtInPrefabs";
 import { usePlayStore, setSceneStoreRef } from "../store/playStore";
 import { useAudioStore } from "../store/audioStore";
+import { useHistoryStore } from "../store/historyStore";
 import CollisionFrameVisualizer from "./CollisionFrameVisualizer";
+import ConstraintVisualizer from "./ConstraintVisualizer";
+import PlatformPathEditor from "./PlatformPathEditor";
+import TerrainBrushEditor from "./TerrainBrushEditor";
+import CharacterController from "./CharacterController";
 
 export default function SceneViewport() {
   const mountRef = useRef();
@@ -139,7 +144,31 @@ export default function SceneViewport() {
     transform.addEventListener("change", () => {});
     transform.addEventListener("dragging-changed", (event) => {
       orbit.enabled = !event.value;
+
+      // Fold the whole gizmo drag into a single undo entry
+      const target = transform.object;
+      if (!target) return;
+      const history = useHistoryStore.getState();
+      if (event.value) {
+        const verb = { translate: 'Move', rotate: 'Rotate', scale: 'Scale' }[transform.getMode()] || 'Transform';
+        history.beginGroup(`transform:${target.uuid}`, `${verb} ${target.name || 'object'}`);
+      } else {
+        commitGizmoTransform(target);
+        history.endGroup();
+      }
     });
+    // Keep the store in sync while dragging so the drag is recorded in the undo history
+    transform.addEventListener("objectChange", () => {
+      if (transform.object && transform.dragging) commitGizmoTransform(transform.object);
+    });
+
+    function commitGizmoTransform(target) {
+      useSceneStore.getState().updateObjectTransform(target.uuid, {
+        position: { x: target.position.x, y: target.position.y, z: target.position.z },
+        rotation: { x: target.rotation.x, y: target.rotation.y, z: target.rotation.z },
+        scale: { x: target.scale.x, y: target.scale.y, z: target.scale.z }
+      });
+    }
     scene.add(transform);
 
     // small demo cube
@@ -163,7 +192,8 @@ export default function SceneViewport() {
 
     // Load Soldier character with animations
     const soldierLoader = new GLTFLoader();
-    soldierLoader.load('/src/assets/threejs-character-controls-example-main/threejs-character-controls-example-main/src/models/Soldier.glb', (gltf) => {
+    const soldierPath = '/src/assets/threejs-character-controls-example-main/threejs-character-controls-example-main/src/models/Soldier.glb';
+    soldierLoader.load(soldierPath, (gltf) => {
       const soldier = gltf.scene;
       soldier.name = 'Soldier';
       soldier.position.set(3, 0, 0);
@@ -206,6 +236,7 @@ export default function SceneViewport() {
       addObject(soldier, { 
         type: 'gltf', 
         filename: 'Soldier.glb',
+        modelPath: soldierPath,
         isPlayer: true,
         physics: {
           enabled: true,
@@ -214,12 +245,16 @@ export default function SceneViewport() {
         },
         characterSettings: {
           moveSpeed: 5,
+          runSpeed: 8,
           jumpForce: 8,
+          maxSlope: 45,
+          stepHeight: 0.3,
+          snapDistance: 0.3,
           coyoteTime: 0.15,
-          jumpBuffer: 0.1,
-          cameraMode: 'Third Person'
+          jumpBufferTime: 0.1,
+          cameraMode: 'third-person'
         }
-      });
+      }, { recordHistory: false });
       
       console.log('✅ Soldier model loaded with animations:', Object.keys(soldier.userData.actions || {}));
       console.log('✅ Soldier physics auto-enabled');
@@ -236,6 +271,8 @@ export default function SceneViewport() {
       if (isPlaying) return;
       
       if (transform.dragging) return;
+      // Already handled by an overlay editor (e.g. a platform waypoint handle)
+      if (e.defaultPrevented) return;
       
       const rect = renderer.domElement.getBoundingClientRect();
       mouse.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
@@ -363,6 +400,7 @@ export default function SceneViewport() {
                   size: newObj.geometry ? (() => { const b = new THREE.Box3().setFromObject(newObj); const s = new THREE.Vector3(); b.getSize(s); return { x: s.x, y: s.y, z: s.z }; })() : { x: 1, y: 0.2, z: 1 }
                 };
               }
+              if (prefab === 'terrain') Object.assign(metadata, terrainMetadata(newObj));
               addObject(newObj, metadata);
               selectObject(newObj);
             }
@@ -471,16 +509,34 @@ export default function SceneViewport() {
       try {
         delta = clockRef.current.getDelta();
 
+        // Animator state machines (play mode) weigh their clips before the mixers advance
+        try {
+          scene.traverse((obj) => {
+            if (obj.userData?.animator) {
+              try { obj.userData.animator.update(delta); } catch (err) { /* ignore per-animator errors */ }
+            }
+          });
+        } catch (err) { /* ignore scene traversal errors */ }
+
         // Update mixers we explicitly track
         mixersRef.current.forEach((m) => {
           try { m.update(delta); } catch (err) { /* ignore per-mixer errors */ }
         });
-        // Also update any mixer attached to objects in the scene (created by Inspector or other code)
+        // Also update any mixer attached to objects in the scene (created by Inspector or other code),
+        // once: the loaded models' mixers are tracked above too
         try {
           scene.traverse((obj) => {
-            if (obj.userData && obj.userData.mixer) {
+            if (obj.userData && obj.userData.mixer && !mixersRef.current.includes(obj.userData.mixer)) {
               try { obj.userData.mixer.update(delta); } catch (err) { /* ignore per-object mixer errors */ }
             }
+            // Markers the clips passed in this update (play mode)
+            if (obj.userData?.animationEvents) {
+              try { obj.userData.animationEvents.update(); } catch (err) { /* ignore per-object event errors */ }
+            }
+            // Timeline clips take the object's physics body along (play mode)
+            if (obj.userData?.keyframes) {
+              try { obj.userData.keyframes.syncBody(useSceneStore.getState().physicsWorld); } catch (err) { /* ignore per-object body errors */ }
+            }
           });
         } catch (err) { /* ignore scene traversal errors */ }
       } catch (err) { /* ignore */ }
@@ -493,8 +549,8 @@ export default function SceneViewport() {
   // Use the same delta computed above for physics stepping
   const deltaTime = delta || 1/60;
 
-  // Clamp deltaTime to prevent physics explosions (max 30 FPS step)
-  const clampedDeltaTime = Math.min(deltaTime, 1/30);
+  // Physics runs in fixed steps (capped per frame), so only very long frames need clamping
+  const clampedDeltaTime = Math.min(deltaTime, 0.1);
 
         // Add debug every 60 frames (1 second)
         if (frameCount % 60 === 0) {
@@ -508,6 +564,9 @@ export default function SceneViewport() {
         if (physicsWorld && physicsWorld.enabled) {
           physicsWorld.step(clampedDeltaTime);
 
+          // Event sheets: timers and per-frame events
+          usePlayStore.getState().eventInterpreter?.update(clampedDeltaTime);
+
           // Log physics activity every 60 frames
           if (frameCount % 60 === 0) {
             console.log('🔄 Physics step executed, bodies:', physicsWorld.bodies.size);
@@ -519,7 +578,8 @@ export default function SceneViewport() {
         console.log('⏸️ Animation loop - Not playing, physics disabled');
       }
 
-      orbit.update();
+      // Off while the character controller drives the camera in play mode
+      if (orbit.enabled) orbit.update();
       composer.render();
     }
     animate();
@@ -560,9 +620,9 @@ export default function SceneViewport() {
         mass: 1,
         size: { x: 1, y: 1, z: 1 }
       }
-    });
-    addObject(hemi, { type: 'light', lightType: 'hemisphere' });
-    addObject(dir, { type: 'light', lightType: 'directional' });
+    }, { recordHistory: false });
+    addObject(hemi, { type: 'light', lightType: 'hemisphere' }, { recordHistory: false });
+    addObject(dir, { type: 'light', lightType: 'directional' }, { recordHistory: false });
 
     return () => {
       cancelAnimationFrame(raf);
@@ -717,7 +777,7 @@ export default function SceneViewport() {
       if (e.key === 'Delete' || e.key === 'Backspace') {
         e.preventDefault();
         const name = selectedObject.name || 'Unnamed object';
-        if (!window.confirm(`Delete "${name}"? This cannot be undone.`)) return;
+        if (!window.confirm(`Delete "${name}"? You can undo this with Ctrl+Z.`)) return;
         try {
           removeObject(selectedObject.uuid);
           console.log(`Deleted object via keyboard: ${name}`);
@@ -767,6 +827,43 @@ export default function SceneViewport() {
           enabled={showCollisionFrames} 
         />
       )}
+
+      {/* Constraint Visualizer - joints between objects, editor mode only */}
+      {sceneState.scene && !isPlaying && (
+        <ConstraintVisualizer
+          scene={sceneState.scene}
+          enabled={showCollisionFrames}
+        />
+      )}
+
+      {/* Moving platform paths with draggable waypoints, editor mode only */}
+      {sceneState.scene && !isPlaying && (
+        <PlatformPathEditor
+          scene={sceneState.scene}
+          camera={sceneState.camera}
+          domElement={sceneState.renderer?.domElement}
+          orbit={sceneState.controls?.orbit}
+        />
+      )}
+
+      {/* Player character and its camera in play mode */}
+      {sceneState.scene && (
+        <CharacterController
+          scene={sceneState.scene}
+          camera={sceneState.camera}
+          orbit={sceneState.controls?.orbit}
+        />
+      )}
+
+      {/* Terrain sculpting and painting brushes (picked in TerrainInspector), editor mode only */}
+      {sceneState.scene && !isPlaying && (
+        <TerrainBrushEditor
+          scene={sceneState.scene}
+          camera={sceneState.camera}
+          domElement={sceneState.renderer?.domElement}
+          orbit={sceneState.controls?.orbit}
+        />
+      )}
       
       {/* Drop zone overlay */}
       <div className="absolute top-4 left-4 bg-black bg-opacity-50 text-white p-2 rounded text-sm z-10">
@@ -796,7 +893,7 @@ export default function SceneViewport() {
             onClick={() => {
               if (!selectedObject) return;
               const name = selectedObject.name || 'Unnamed object';
-              if (!window.confirm(`Delete "${name}"? This cannot be undone.`)) return;
+              if (!window.confirm(`Delete "${name}"? You can undo this with Ctrl+Z.`)) return;
               removeObject(selectedObject.uuid);
               console.log(`Deleted object: ${name}`);
             }}
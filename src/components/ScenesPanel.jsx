@@ -0,0 +1,120 @@
+import { useState } from 'react';
+import { Plus, Copy, Flag, Pencil, Trash, ChevronUp, ChevronDown } from 'lucide-react';
+import { useProjectStore } from '../store/projectStore';
+import { usePlayStore } from '../store/playStore';
+
+const iconButtonClass = "p-1 rounded text-gray-300 hover:bg-gray-600 disabled:opacity-30 disabled:cursor-not-allowed";
+
+export default function ScenesPanel() {
+  const {
+    scenes,
+    activeSceneId,
+    startSceneId,
+    isSwitching,
+    createScene,
+    duplicateScene,
+    renameScene,
+    moveScene,
+    setStartScene,
+    removeScene,
+    switchScene
+  } = useProjectStore();
+  const { isPlaying } = usePlayStore();
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState('');
+
+  const startRename = (scene) => {
+    setEditingId(scene.id);
+    setEditName(scene.name);
+  };
+
+  const finishRename = () => {
+    if (editingId) renameScene(editingId, editName);
+    setEditingId(null);
+  };
+
+  const locked = isPlaying || isSwitching;
+
+  return (
+    <div className="text-white text-sm space-y-3">
+      <button
+        onClick={() => createScene()}
+        disabled={locked}
+        className="w-full flex items-center justify-center gap-1 px-2 py-1 rounded text-xs bg-blue-600 hover:bg-blue-700 disabled:opacity-40 disabled:cursor-not-allowed"
+      >
+        <Plus size={14} />
+        New Scene
+      </button>
+
+      <div className="space-y-1">
+        {scenes.map((scene, index) => {
+          const isActive = scene.id === activeSceneId;
+          const isStart = scene.id === startSceneId;
+          return (
+            <div
+              key={scene.id}
+              className={`flex items-center gap-1 px-2 py-1 rounded ${isActive ? 'bg-blue-900/50 border border-blue-600' : 'bg-gray-700'}`}
+            >
+              {editingId === scene.id ? (
+                <input
+                  autoFocus
+                  value={editName}
+                  onChange={(e) => setEditName(e.target.value)}
+                  onBlur={finishRename}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') finishRename();
+                    if (e.key === 'Escape') setEditingId(null);
+                  }}
+                  className="flex-1 min-w-0 bg-gray-800 border border-gray-600 rounded px-1 text-xs"
+                />
+              ) : (
+                <button
+                  onClick={() => switchScene(scene.id)}
+                  onDoubleClick={() => startRename(scene)}
+                  disabled={locked && !isActive}
+                  className="flex-1 min-w-0 text-left truncate disabled:cursor-not-allowed"
+                  title={isActive ? 'Open in the viewport' : 'Open this scene'}
+                >
+                  {isStart && <span className="mr-1" title="Start scene">🚩</span>}
+                  {scene.name}
+                </button>
+              )}
+
+              <button onClick={() => setStartScene(scene.id)} disabled={isStart} className={iconButtonClass} title="Set as start scene">
+                <Flag size={12} />
+              </button>
+              <button onClick={() => startRename(scene)} className={iconButtonClass} title="Rename">
+                <Pencil size={12} />
+              </button>
+              <button onClick={() => duplicateScene(scene.id)} disabled={locked} className={iconButtonClass} title="Duplicate">
+                <Copy size={12} />
+              </button>
+              <button onClick={() => moveScene(scene.id, -1)} disabled={index === 0} className={iconButtonClass} title="Move up">
+                <ChevronUp size={12} />
+              </button>
+              <button onClick={() => moveScene(scene.id, 1)} disabled={index === scenes.length - 1} className={iconButtonClass} title="Move down">
+                <ChevronDown size={12} />
+              </button>
+              <button
+                onClick={() => {
+                  if (confirm(`Delete scene "${scene.name}"?`)) removeScene(scene.id);
+                }}
+                disabled={isActive || scenes.length <= 1}
+                className={`${iconButtonClass} text-red-400`}
+                title={isActive ? 'Open another scene to delete this one' : 'Delete scene'}
+              >
+                <Trash size={12} />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="text-xs text-gray-400 p-2 bg-gray-800 rounded space-y-1">
+        <p>Click a scene to open it, double-click to rename.</p>
+        <p>🚩 The start scene is the one the game player opens first. Load Scene actions can switch to any other.</p>
+        {isSwitching && <p className="text-yellow-400">Loading scene...</p>}
+      </div>
+    </div>
+  );
+}
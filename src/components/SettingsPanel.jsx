@@ -1,30 +1,36 @@
 import React, { useState } from 'react';
 import { Save, FolderOpen, Download, Upload, Trash } from 'lucide-react';
-import { useSceneStore } from '../store/sceneStore';
 import { usePostProcessingStore } from '../store/postProcessingStore';
+import { useEventSheetStore } from '../store/eventSheetStore';
+import { useAudioStore } from '../store/audioStore';
+import { useProjectStore } from '../store/projectStore';
+import { DEFAULT_PHYSICS_SETTINGS } from '../physics/broadphase';
+import { serializeAudioAssets, createProjectFile, parseSceneFile } from '../engine/sceneFormat';
 
 export function SettingsPanel() {
-  const { objects, scene } = useSceneStore();
+  const { getProjectScenes, startSceneId, importScenes, physicsSettings, setPhysicsSettings } = useProjectStore();
   const { exportSettings, importSettings } = usePostProcessingStore();
+  const { globalVariables, exportEventSheets, importEventSheets } = useEventSheetStore();
+  const { audioLibrary } = useAudioStore();
   const [projectName, setProjectName] = useState('MyProject');
   const [saveStatus, setSaveStatus] = useState('');
 
+  // Serialize the editor state using the shared scene file format
+  const buildProjectFile = () => createProjectFile({
+    name: projectName,
+    scenes: getProjectScenes(),
+    startScene: startSceneId,
+    eventSheets: exportEventSheets(),
+    variables: globalVariables,
+    assets: serializeAudioAssets(audioLibrary),
+    physics: physicsSettings,
+    postProcessing: exportSettings()
+  });
+
   // Save entire editor state to localStorage
   const saveProject = () => {
     try {
-      const projectData = {
-        name: projectName,
-        timestamp: new Date().toISOString(),
-        objects: Array.from(objects.entries()).map(([id, data]) => ({
-          id,
-          ...data,
-          // Convert Three.js objects to serializable format
-          position: data.position ? [data.position.x, data.position.y, data.position.z] : [0, 0, 0],
-          rotation: data.rotation ? [data.rotation.x, data.rotation.y, data.rotation.z] : [0, 0, 0],
-          scale: data.scale ? [data.scale.x, data.scale.y, data.scale.z] : [1, 1, 1],
-        })),
-        postProcessing: exportSettings(),
-      };
+      const projectData = buildProjectFile();
 
       localStorage.setItem(`gd3d_project_${projectName}`, JSON.stringify(projectData));
       setSaveStatus('✅ Project saved successfully!');
@@ -46,18 +52,20 @@ export function SettingsPanel() {
         return;
       }
 
-      const projectData = JSON.parse(savedData);
+      // Older saves are upgraded to the current format on load
+      const projectData = parseSceneFile(JSON.parse(savedData));
       
       // Import post-processing settings
       if (projectData.postProcessing) {
         importSettings(projectData.postProcessing);
       }
+      importEventSheets(projectData.eventSheets, projectData.variables);
+      importScenes(projectData.scenes, projectData.startScene);
+      setPhysicsSettings({ ...DEFAULT_PHYSICS_SETTINGS, ...projectData.physics });
 
       setSaveStatus('✅ Project loaded successfully!');
       setTimeout(() => setSaveStatus(''), 3000);
       console.log('📂 Project loaded:', projectName);
-      
-      alert('Project loaded! Note: Objects will be fully restored on next scene refresh.');
     } catch (error) {
       setSaveStatus('❌ Failed to load project');
       console.error('Load error:', error);
@@ -67,23 +75,7 @@ export function SettingsPanel() {
   // Export project as JSON file
   const exportProjectFile = () => {
     try {
-      const projectData = {
-        name: projectName,
-        timestamp: new Date().toISOString(),
-        version: '1.0.0',
-        objects: Array.from(objects.entries()).map(([id, data]) => ({
-          id,
-          name: data.name,
-          type: data.type,
-          position: data.position ? [data.position.x, data.position.y, data.position.z] : [0, 0, 0],
-          rotation: data.rotation ? [data.rotation.x, data.rotation.y, data.rotation.z] : [0, 0, 0],
-          scale: data.scale ? [data.scale.x, data.scale.y, data.scale.z] : [1, 1, 1],
-          physics: data.physics,
-          isPlayer: data.isPlayer,
-          modelPath: data.modelPath,
-        })),
-        postProcessing: exportSettings(),
-      };
+      const projectData = buildProjectFile();
 
       const blob = new Blob([JSON.stringify(projectData, null, 2)], { type: 'application/json' });
       const url = URL.createObjectURL(blob);
@@ -109,22 +101,23 @@ export function SettingsPanel() {
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
-        const projectData = JSON.parse(e.target.result);
+        const projectData = parseSceneFile(JSON.parse(e.target.result));
         
         if (projectData.postProcessing) {
           importSettings(projectData.postProcessing);
         }
+        importEventSheets(projectData.eventSheets, projectData.variables);
+        importScenes(projectData.scenes, projectData.startScene);
+        setPhysicsSettings({ ...DEFAULT_PHYSICS_SETTINGS, ...projectData.physics });
         
-        if (projectData.name) {
-          setProjectName(projectData.name);
+        if (projectData.project?.name) {
+          setProjectName(projectData.project.name);
         }
 
         setSaveStatus('✅ Project imported!');
         setTimeout(() => setSaveStatus(''), 3000);
-        
-        alert('Project settings imported! Objects will need to be manually re-added.');
       } catch (error) {
-        setSaveStatus('❌ Import failed');
+        setSaveStatus(`❌ Import failed: ${error.message.split('\n')[0]}`);
         console.error('Import error:', error);
       }
     };
@@ -139,7 +132,7 @@ export function SettingsPanel() {
       if (key.startsWith('gd3d_project_')) {
         const name = key.replace('gd3d_project_', '');
         const data = JSON.parse(localStorage.getItem(key));
-        projects.push({ name, timestamp: data.timestamp });
+        projects.push({ name, timestamp: data.project?.savedAt || data.timestamp });
       }
     }
     return projects;
@@ -0,0 +1,157 @@
+import { useEffect } from 'react';
+import PropTypes from 'prop-types';
+import * as THREE from 'three';
+import { useSceneStore } from '../store/sceneStore';
+import { usePlayStore } from '../store/playStore';
+import { useTerrainStore } from '../store/terrainStore';
+import { encodeTerrain, terrainHeightAt, updateTerrainMesh } from '../engine/terrain';
+import { sculptTerrain, paintTerrain } from '../utils/terrainBrushes';
+
+const CURSOR_SEGMENTS = 48;
+const CURSOR_COLORS = {
+  raise: 0x66ff66,
+  lower: 0xff6666,
+  smooth: 0x66ccff,
+  flatten: 0xffcc00,
+  paint: 0xffffff
+};
+
+// Sculpts and paints the selected terrain with the brush picked in TerrainInspector: hold the
+// mouse button to apply the brush every frame. A stroke is committed to the scene store (one undo
+// entry) when the button is released. Clicks on the terrain don't select or orbit while a brush is on.
+const TerrainBrushEditor = ({ scene, camera, domElement, orbit }) => {
+  useEffect(() => {
+    if (!scene || !camera || !domElement) return;
+
+    // Ring following the terrain surface under the pointer
+    const positions = new Float32Array(CURSOR_SEGMENTS * 3);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+    const material = new THREE.LineBasicMaterial({ depthTest: false, transparent: true });
+    const cursor = new THREE.LineLoop(geometry, material);
+    cursor.name = '__terrainBrushCursor';
+    cursor.renderOrder = 1000;
+    cursor.frustumCulled = false;
+    cursor.visible = false;
+    scene.add(cursor);
+
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    const local = new THREE.Vector3();
+    let hover = null; // { mesh, x, z } in terrain space while the pointer is over the brushed terrain
+    let stroke = null; // { mesh, pointerId, target } while the button is held
+
+    // The selected terrain mesh when a brush is on and the editor isn't playing
+    const brushTarget = () => {
+      const { tool } = useTerrainStore.getState();
+      const mesh = useSceneStore.getState().selectedObject;
+      if (!tool || usePlayStore.getState().isPlaying || !mesh?.isMesh || !mesh.userData.terrain) return null;
+      return mesh;
+    };
+
+    const pick = (e) => {
+      const mesh = brushTarget();
+      if (!mesh) return null;
+      const rect = domElement.getBoundingClientRect();
+      pointer.set(((e.clientX - rect.left) / rect.width) * 2 - 1, -((e.clientY - rect.top) / rect.height) * 2 + 1);
+      raycaster.setFromCamera(pointer, camera);
+      const hit = raycaster.intersectObject(mesh, false)[0];
+      if (!hit) return null;
+      mesh.worldToLocal(local.copy(hit.point));
+      return { mesh, x: local.x, z: local.z };
+    };
+
+    const applyDab = () => {
+      if (!stroke || !hover || hover.mesh !== stroke.mesh) return;
+      const { tool, radius, strength, paintLayer } = useTerrainStore.getState();
+      const terrain = stroke.mesh.userData.terrain;
+      // Dabs run every frame, so keep the strength per second roughly frame rate independent
+      const options = { x: hover.x, z: hover.z, radius, strength: strength * 0.25, target: stroke.target };
+      const changed = tool === 'paint' ? paintTerrain(terrain, paintLayer, options) : sculptTerrain(terrain, tool, options);
+      if (changed) updateTerrainMesh(stroke.mesh);
+    };
+
+    const endStroke = () => {
+      if (!stroke) return;
+      const { mesh, pointerId } = stroke;
+      stroke = null;
+      if (orbit) orbit.enabled = true;
+      try { domElement.releasePointerCapture(pointerId); } catch (err) { /* ignore */ }
+      useSceneStore.getState().updateTerrain(mesh.uuid, encodeTerrain(mesh.userData.terrain));
+      console.log(`⛰️ Terrain stroke committed for ${mesh.name}`);
+    };
+
+    // Runs before the viewport's click selection, the gizmo and the orbit controls
+    const onPointerDown = (e) => {
+      if (e.button !== 0) return;
+      hover = pick(e);
+      if (!hover) return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      const terrain = hover.mesh.userData.terrain;
+      stroke = { mesh: hover.mesh, pointerId: e.pointerId, target: terrainHeightAt(terrain, hover.x, hover.z) ?? 0 };
+      if (orbit) orbit.enabled = false;
+      try { domElement.setPointerCapture(e.pointerId); } catch (err) { /* ignore */ }
+      applyDab();
+    };
+    const onPointerMove = (e) => {
+      hover = pick(e);
+    };
+    const onPointerUp = () => endStroke();
+    domElement.addEventListener('pointerdown', onPointerDown, true);
+    domElement.addEventListener('pointermove', onPointerMove);
+    domElement.addEventListener('pointerup', onPointerUp);
+    domElement.addEventListener('pointercancel', onPointerUp);
+
+    let frameId = null;
+    const update = () => {
+      if (stroke && !brushTarget()) endStroke();
+      if (stroke) applyDab();
+
+      const mesh = brushTarget();
+      cursor.visible = !!(mesh && hover && hover.mesh === mesh);
+      if (cursor.visible) {
+        const { tool, radius } = useTerrainStore.getState();
+        const terrain = mesh.userData.terrain;
+        for (let i = 0; i < CURSOR_SEGMENTS; i++) {
+          const angle = (i / CURSOR_SEGMENTS) * Math.PI * 2;
+          const x = hover.x + Math.cos(angle) * radius;
+          const z = hover.z + Math.sin(angle) * radius;
+          local.set(x, (terrainHeightAt(terrain, x, z) ?? terrainHeightAt(terrain, hover.x, hover.z) ?? 0) + 0.05, z);
+          mesh.localToWorld(local).toArray(positions, i * 3);
+        }
+        geometry.attributes.position.needsUpdate = true;
+        material.color.setHex(CURSOR_COLORS[tool] || 0xffffff);
+      }
+
+      frameId = requestAnimationFrame(update);
+    };
+    update();
+
+    return () => {
+      cancelAnimationFrame(frameId);
+      endStroke();
+      domElement.removeEventListener('pointerdown', onPointerDown, true);
+      domElement.removeEventListener('pointermove', onPointerMove);
+      domElement.removeEventListener('pointerup', onPointerUp);
+      domElement.removeEventListener('pointercancel', onPointerUp);
+      scene.remove(cursor);
+      geometry.dispose();
+      material.dispose();
+    };
+  }, [scene, camera, domElement, orbit]);
+
+  // This component doesn't render anything to React DOM
+  return null;
+};
+
+TerrainBrushEditor.propTypes = {
+  scene: PropTypes.instanceOf(THREE.Scene),
+  camera: PropTypes.instanceOf(THREE.Camera),
+  // The renderer's canvas, for the brush's pointer events
+  domElement: PropTypes.object,
+  // OrbitControls, turned off while a stroke is painted
+  orbit: PropTypes.object
+};
+
+export default TerrainBrushEditor;
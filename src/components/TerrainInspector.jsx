@@ -0,0 +1,205 @@
+import { useEffect, useState } from 'react';
+import { useSceneStore } from '../store/sceneStore';
+import { usePlayStore } from '../store/playStore';
+import { useTerrainStore } from '../store/terrainStore';
+import { DEFAULT_SPLAT_LAYERS, TERRAIN_RESOLUTION_LIMITS, encodeTerrain, resizeTerrain } from '../engine/terrain';
+import { encodeHeightmapPng, decodeHeightmapPng, applyHeightmap } from '../utils/heightmapPng';
+
+const TOOLS = [
+  { id: null, label: '✋ Off' },
+  { id: 'raise', label: '⬆️ Raise' },
+  { id: 'lower', label: '⬇️ Lower' },
+  { id: 'smooth', label: '〰️ Smooth' },
+  { id: 'flatten', label: '▁ Flatten' },
+  { id: 'paint', label: '🖌️ Paint' }
+];
+
+const inputClass = 'w-full px-1 py-0.5 bg-gray-900 border border-gray-700 rounded text-white text-xs';
+
+// Settings, brushes, paint layers and PNG heightmaps of the selected terrain object.
+// The brushes are applied in the viewport, see TerrainBrushEditor.
+export default function TerrainInspector() {
+  const { selectedObject, getObjectData, updateTerrain } = useSceneStore();
+  const { isPlaying } = usePlayStore();
+  const { tool, radius, strength, paintLayer, setTool, setBrush } = useTerrainStore();
+  const data = selectedObject ? getObjectData(selectedObject.uuid)?.terrain : null;
+  const [dimensions, setDimensions] = useState(null);
+  const [status, setStatus] = useState('');
+
+  const isTerrain = !!data;
+  const size = data?.size;
+  const resolution = data?.resolution;
+  const maxHeight = data?.maxHeight;
+
+  // Size, resolution and height limit are applied together, since each change resamples the heightmap
+  useEffect(() => {
+    setDimensions(isTerrain ? { size, resolution, maxHeight } : null);
+  }, [selectedObject, isTerrain, size, resolution, maxHeight]);
+
+  // Switch the brush off when leaving the terrain or entering play mode
+  useEffect(() => {
+    if (!isTerrain || isPlaying) setTool(null);
+  }, [selectedObject, isPlaying, isTerrain, setTool]);
+
+  if (!selectedObject || !data || !dimensions) return null;
+  const terrain = selectedObject.userData.terrain;
+  const layers = data.layers?.length ? data.layers : DEFAULT_SPLAT_LAYERS;
+
+  const dimensionsChanged = ['size', 'resolution', 'maxHeight'].some(key => dimensions[key] !== data[key]);
+  const applyDimensions = () => {
+    const samples = Math.round(Math.min(Math.max(dimensions.resolution, TERRAIN_RESOLUTION_LIMITS.min), TERRAIN_RESOLUTION_LIMITS.max));
+    updateTerrain(selectedObject.uuid, encodeTerrain(resizeTerrain(terrain, { ...dimensions, resolution: samples })));
+  };
+
+  const updateLayer = (index, changes) => {
+    const next = layers.map((layer, i) => (i === index ? { ...layer, ...changes } : layer));
+    updateTerrain(selectedObject.uuid, { ...data, layers: next });
+  };
+
+  const exportHeightmap = () => {
+    const blob = new Blob([encodeHeightmapPng(terrain)], { type: 'image/png' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${selectedObject.name || 'terrain'}_heightmap.png`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const importHeightmap = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const image = decodeHeightmapPng(new Uint8Array(await file.arrayBuffer()));
+      const next = resizeTerrain(terrain, {});
+      applyHeightmap(next, image);
+      updateTerrain(selectedObject.uuid, encodeTerrain(next));
+      setStatus(`✅ Imported ${image.width}x${image.height} heightmap`);
+      console.log(`⛰️ Imported heightmap ${file.name} (${image.width}x${image.height}) into ${selectedObject.name}`);
+    } catch (err) {
+      console.error('Failed to import heightmap', err);
+      setStatus(`❌ ${err.message}`);
+    }
+  };
+
+  const numberField = (key, label, step) => (
+    <div>
+      <label className="text-xs text-gray-400 block mb-1">{label}</label>
+      <input
+        type="number"
+        step={step}
+        min="0"
+        value={dimensions[key]}
+        disabled={isPlaying}
+        onChange={(e) => setDimensions({ ...dimensions, [key]: parseFloat(e.target.value) || 0 })}
+        className={inputClass}
+      />
+    </div>
+  );
+
+  return (
+    <div className="mb-4">
+      <h5 className="text-xs font-semibold mb-2 text-gray-300">Terrain</h5>
+
+      <div className="grid grid-cols-3 gap-2 mb-2">
+        {numberField('size', 'Size', 1)}
+        {numberField('resolution', 'Resolution', 1)}
+        {numberField('maxHeight', 'Max height', 0.5)}
+      </div>
+      {dimensionsChanged && (
+        <button
+          onClick={applyDimensions}
+          disabled={isPlaying || !(dimensions.size > 0 && dimensions.maxHeight > 0)}
+          className="w-full mb-2 px-3 py-1 bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white rounded text-xs"
+        >
+          Apply (resamples the heightmap)
+        </button>
+      )}
+
+      <label className="text-xs text-gray-400 block mb-1">Brush</label>
+      <div className="grid grid-cols-3 gap-1 mb-2">
+        {TOOLS.map(({ id, label }) => (
+          <button
+            key={label}
+            onClick={() => setTool(id)}
+            disabled={isPlaying}
+            className={`px-1 py-1 rounded text-xs disabled:opacity-50 ${tool === id ? 'bg-green-600 text-white' : 'bg-gray-600 hover:bg-gray-500 text-gray-200'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <div className="grid grid-cols-2 gap-2 mb-2">
+        <div>
+          <label className="text-xs text-gray-400 block mb-1">Radius: {radius.toFixed(1)}</label>
+          <input type="range" min="0.5" max="20" step="0.5" value={radius} onChange={(e) => setBrush({ radius: parseFloat(e.target.value) })} className="w-full" />
+        </div>
+        <div>
+          <label className="text-xs text-gray-400 block mb-1">Strength: {strength.toFixed(2)}</label>
+          <input type="range" min="0.05" max="1" step="0.05" value={strength} onChange={(e) => setBrush({ strength: parseFloat(e.target.value) })} className="w-full" />
+        </div>
+      </div>
+      {tool && (
+        <p className="text-xs text-gray-400 mb-2">
+          Hold the left mouse button on the terrain to {tool === 'paint' ? `paint ${layers[paintLayer]?.name || 'the layer'}` : tool}. Flatten levels to the height where the stroke starts.
+        </p>
+      )}
+
+      <label className="text-xs text-gray-400 block mb-1">Paint layers</label>
+      <div className="space-y-1 mb-2">
+        {layers.map((layer, index) => (
+          <div key={index} className="grid grid-cols-[1rem_2rem_1fr_3rem] gap-1 items-center">
+            <input
+              type="radio"
+              name="terrainPaintLayer"
+              checked={paintLayer === index}
+              onChange={() => setBrush({ paintLayer: index })}
+              title={`Paint with ${layer.name}`}
+            />
+            <input
+              type="color"
+              value={layer.color || '#ffffff'}
+              disabled={isPlaying}
+              onChange={(e) => updateLayer(index, { color: e.target.value })}
+              className="w-8 h-6 bg-gray-700 border border-gray-600 rounded"
+            />
+            <input
+              key={layer.texture || ''}
+              type="text"
+              placeholder={`${layer.name} texture URL`}
+              defaultValue={layer.texture || ''}
+              disabled={isPlaying}
+              onBlur={(e) => {
+                if ((e.target.value || null) !== (layer.texture || null)) updateLayer(index, { texture: e.target.value || null });
+              }}
+              className={inputClass}
+            />
+            <input
+              type="number"
+              step="1"
+              min="0.1"
+              value={layer.tiling ?? 8}
+              disabled={isPlaying}
+              onChange={(e) => updateLayer(index, { tiling: Math.max(0.1, parseFloat(e.target.value) || 8) })}
+              title="Texture tiling (units per repeat)"
+              className={inputClass}
+            />
+          </div>
+        ))}
+      </div>
+
+      <label className="text-xs text-gray-400 block mb-1">Heightmap (16-bit PNG)</label>
+      <div className="grid grid-cols-2 gap-2">
+        <label className={`px-3 py-1 bg-gray-600 hover:bg-gray-500 text-white rounded text-xs text-center cursor-pointer ${isPlaying ? 'opacity-50 pointer-events-none' : ''}`}>
+          📥 Import PNG
+          <input type="file" accept=".png,image/png" onChange={importHeightmap} className="hidden" />
+        </label>
+        <button onClick={exportHeightmap} className="px-3 py-1 bg-gray-600 hover:bg-gray-500 text-white rounded text-xs">
+          📤 Export PNG
+        </button>
+      </div>
+      {status && <p className="text-xs text-gray-400 mt-1">{status}</p>}
+    </div>
+  );
+}
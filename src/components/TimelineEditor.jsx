@@ -0,0 +1,443 @@
+import React, { useEffect, useRef, useState } from 'react';
+import * as THREE from 'three';
+import { useSceneStore } from '../store/sceneStore';
+import { usePlayStore } from '../store/playStore';
+import {
+  KEYFRAME_EASINGS,
+  KEYFRAME_LOOP_MODES,
+  keyframeProperties,
+  keyframeAt,
+  createKeyframeClipData,
+  createKeyframeClip,
+  setKeyframe,
+  removeKeyframe,
+  updateKeyframe,
+  setKeyframeLoop
+} from '../engine/keyframeAnimation';
+
+const inputClass = 'w-full px-1 py-0.5 bg-gray-900 border border-gray-700 rounded text-white text-xs';
+const smallButtonClass = 'px-2 py-0.5 bg-gray-600 hover:bg-gray-500 disabled:opacity-50 text-white rounded text-xs';
+
+const EASING_LABELS = { linear: 'Linear', easeIn: 'Ease in', easeOut: 'Ease out', easeInOut: 'Ease in-out', step: 'Step (hold)' };
+const LOOP_LABELS = { once: 'Once (hold last key)', repeat: 'Repeat', pingPong: 'Ping-pong' };
+
+// Keys snap to hundredths of a second
+const snapTime = t => Math.round(t * 100) / 100;
+
+// Seconds between ruler ticks for a clip length
+const tickStep = duration => (duration <= 2 ? 0.25 : duration <= 5 ? 0.5 : duration <= 20 ? 1 : 5);
+
+// Playhead time for preview playback `elapsed` seconds in, by loop mode
+function loopTime(elapsed, duration, loop) {
+  if (duration <= 0) return 0;
+  if (loop === 'repeat') return elapsed % duration;
+  if (loop === 'pingPong') return duration - Math.abs((elapsed % (2 * duration)) - duration);
+  return Math.min(elapsed, duration);
+}
+
+// Put back the values the scene store has for an object after a preview
+function restoreSavedValues(object, data) {
+  const transform = data?.transform;
+  if (transform?.position) object.position.set(transform.position.x, transform.position.y, transform.position.z);
+  if (transform?.rotation) object.rotation.set(transform.rotation.x, transform.rotation.y, transform.rotation.z);
+  if (transform?.scale) object.scale.set(transform.scale.x, transform.scale.y, transform.scale.z);
+  if (data?.material?.color !== undefined && object.material?.color) object.material.color.setHex(data.material.color);
+  if (data?.lightProps?.intensity !== undefined && object.isLight) object.intensity = data.lightProps.intensity;
+}
+
+// Keyframe clips of the selected object (saved as its `keyframeClips`): position, rotation, scale,
+// material colours and light intensity keyed on a timeline with eased curves. Scrubbing or playing
+// the timeline previews the clip on the object; autoplay clips start with play mode, the others
+// with a Play Animation action.
+export default function TimelineEditor() {
+  const { selectedObject, getObjectData, updateObjectData } = useSceneStore();
+  const { isPlaying } = usePlayStore();
+  const [clipName, setClipName] = useState(null);
+  const [time, setTime] = useState(0);
+  const [previewObject, setPreviewObject] = useState(null); // uuid of the object the playhead poses
+  const [playback, setPlayback] = useState(false);
+  const [selectedKey, setSelectedKey] = useState(null); // { track, time }
+  const [keyDrag, setKeyDrag] = useState(null); // { track, index, time }
+  const previewRef = useRef(null);
+  const timeRef = useRef(0);
+  timeRef.current = time;
+
+  const previewing = !!selectedObject && previewObject === selectedObject.uuid;
+  const setPreviewing = flag => setPreviewObject(flag ? selectedObject.uuid : null);
+
+  const data = selectedObject ? getObjectData(selectedObject.uuid) : null;
+  const clips = data?.keyframeClips || [];
+  const clipData = clips.find(clip => clip.name === clipName) || clips[0] || null;
+  const clipJSON = clipData ? JSON.stringify(clipData) : '';
+  const duration = clipData?.duration || 0;
+  const loop = clipData?.loop || 'once';
+
+  // Pose the object at the playhead while previewing; it gets its saved values back afterwards
+  useEffect(() => {
+    if (!previewing || isPlaying || !selectedObject || !clipJSON) return undefined;
+    const object = selectedObject;
+    const mixer = new THREE.AnimationMixer(object);
+    const action = mixer.clipAction(createKeyframeClip(JSON.parse(clipJSON)));
+    setKeyframeLoop(action, 'once');
+    action.play();
+    previewRef.current = { mixer, action };
+    return () => {
+      previewRef.current = null;
+      mixer.stopAllAction();
+      mixer.uncacheRoot(object);
+      restoreSavedValues(object, useSceneStore.getState().getObjectData(object.uuid));
+    };
+  }, [previewing, isPlaying, selectedObject, clipJSON]);
+
+  useEffect(() => {
+    const preview = previewRef.current;
+    if (!preview) return;
+    preview.action.time = time;
+    preview.mixer.update(0);
+  }, [time, previewing, clipJSON]);
+
+  // Preview playback moves the playhead in real time
+  useEffect(() => {
+    if (!playback || duration <= 0) return undefined;
+    let frame;
+    let last = performance.now();
+    let elapsed = timeRef.current >= duration ? 0 : timeRef.current;
+    const tick = (now) => {
+      elapsed += (now - last) / 1000;
+      last = now;
+      setTime(loopTime(elapsed, duration, loop));
+      if (loop === 'once' && elapsed >= duration) {
+        setPlayback(false);
+        return;
+      }
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [playback, duration, loop]);
+
+  // A different object or play mode starts over
+  useEffect(() => {
+    setPreviewObject(null);
+    setPlayback(false);
+    setSelectedKey(null);
+    setTime(0);
+  }, [selectedObject, isPlaying]);
+
+  if (!selectedObject) {
+    return <p className="text-xs text-gray-400">Select an object to animate it on the timeline.</p>;
+  }
+  if (isPlaying) {
+    return <p className="text-xs text-gray-400">Stop play mode to edit the timeline clips of {selectedObject.name}.</p>;
+  }
+
+  const properties = keyframeProperties(selectedObject);
+
+  const saveClips = (next) => {
+    updateObjectData(selectedObject.uuid, { keyframeClips: next.length > 0 ? next : undefined });
+  };
+  const saveClip = (next) => {
+    saveClips(clips.map(clip => (clip === clipData ? next : clip)));
+    if (next.name !== clipData.name) setClipName(next.name);
+  };
+
+  const addClip = () => {
+    let name = 'Clip';
+    for (let i = 2; clips.some(clip => clip.name === name); i++) name = `Clip ${i}`;
+    saveClips([...clips, createKeyframeClipData({ name })]);
+    setClipName(name);
+    setSelectedKey(null);
+    setTime(0);
+  };
+
+  const deleteClip = () => {
+    saveClips(clips.filter(clip => clip !== clipData));
+    setClipName(null);
+    setSelectedKey(null);
+    setPreviewing(false);
+    setPlayback(false);
+  };
+
+  if (!clipData) {
+    return (
+      <div>
+        <p className="text-xs text-gray-400 mb-2">
+          {selectedObject.name} has no timeline clips. Key its {properties.map(property => property.label.toLowerCase()).join(', ')} over time,
+          e.g. a door swinging open or a light flickering.
+        </p>
+        <button
+          onClick={addClip}
+          className="w-full px-3 py-1 bg-indigo-600 hover:bg-indigo-700 text-white rounded text-xs"
+        >
+          ➕ Create Clip
+        </button>
+      </div>
+    );
+  }
+
+  // Move the playhead to where the pointer is on the ruler or a lane, previewing the pose there
+  const timeAt = (e, element) => {
+    const rect = element.getBoundingClientRect();
+    return snapTime(Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)) * duration);
+  };
+  const scrub = (e) => {
+    if (e.type === 'pointerdown') e.currentTarget.setPointerCapture(e.pointerId);
+    else if (e.buttons !== 1) return;
+    setTime(timeAt(e, e.currentTarget));
+    setPreviewing(true);
+    setPlayback(false);
+  };
+
+  // Keys
+  const trackOf = name => clipData.tracks.find(track => track.name === name);
+  const addKey = (property) => {
+    const value = property.read(selectedObject);
+    const existing = trackOf(property.track);
+    const index = existing ? existing.times.findIndex(t => Math.abs(t - time) < 1e-4) : -1;
+    const easing = index >= 0 ? keyframeAt(existing, index).easing : 'linear';
+    saveClip(setKeyframe(clipData, property, time, value, easing));
+    setSelectedKey({ track: property.track, time });
+  };
+  const selected = (() => {
+    const track = selectedKey && trackOf(selectedKey.track);
+    const index = track ? track.times.indexOf(selectedKey.time) : -1;
+    if (index < 0) return null;
+    return { track, index, property: properties.find(property => property.track === track.name), ...keyframeAt(track, index) };
+  })();
+  const changeKey = (changes) => {
+    saveClip(updateKeyframe(clipData, selected.track.name, selected.index, changes));
+    if (changes.time !== undefined) setSelectedKey({ track: selected.track.name, time: changes.time });
+  };
+  const setValue = (i, value) => changeKey({ value: selected.value.map((v, j) => (j === i ? value : v)) });
+
+  const dragKey = (e, track, index) => {
+    e.stopPropagation();
+    if (e.type === 'pointerdown') {
+      e.currentTarget.setPointerCapture(e.pointerId);
+      setSelectedKey({ track: track.name, time: track.times[index] });
+      setKeyDrag({ track: track.name, index, time: track.times[index] });
+    } else if (keyDrag && e.type === 'pointermove') {
+      setKeyDrag({ ...keyDrag, time: timeAt(e, e.currentTarget.parentElement) });
+    } else if (keyDrag && e.type === 'pointerup') {
+      if (keyDrag.time !== track.times[index]) {
+        saveClip(updateKeyframe(clipData, track.name, index, { time: keyDrag.time }));
+        setSelectedKey({ track: track.name, time: keyDrag.time });
+      }
+      setKeyDrag(null);
+    }
+  };
+
+  const lastKey = Math.max(0, ...clipData.tracks.flatMap(track => track.times));
+  const percent = t => `${duration > 0 ? Math.min(100, (t / duration) * 100) : 0}%`;
+  const step = tickStep(duration);
+  const ticks = [];
+  for (let t = 0; t <= duration + 1e-6; t += step) ticks.push(snapTime(t));
+
+  return (
+    <div>
+      <p className="text-xs text-gray-400 mb-2">
+        Scrub the ruler to preview the clip on the object. ◆ keys the current value of the object at the playhead; pick a key to set its value and the curve to the next key.
+      </p>
+
+      {/* Clip */}
+      <div className="flex gap-1 mb-1">
+        <select
+          value={clipData.name}
+          onChange={(e) => { setClipName(e.target.value); setSelectedKey(null); setTime(0); }}
+          className={inputClass}
+        >
+          {clips.map(clip => <option key={clip.name} value={clip.name}>{clip.name}</option>)}
+        </select>
+        <button onClick={addClip} className={smallButtonClass} title="New clip">➕</button>
+        <button onClick={deleteClip} className="px-2 py-0.5 bg-red-700 hover:bg-red-600 text-white rounded text-xs" title="Delete clip">✕</button>
+      </div>
+      <div className="grid grid-cols-[1fr_60px_1fr] gap-1 mb-1">
+        <input
+          value={clipData.name}
+          title="Clip name, used by Play Animation"
+          onChange={(e) => {
+            const name = e.target.value;
+            if (name && !clips.some(clip => clip !== clipData && clip.name === name)) saveClip({ ...clipData, name });
+          }}
+          className={inputClass}
+        />
+        <input
+          type="number"
+          step="0.1"
+          min={Math.max(0.1, lastKey)}
+          value={duration}
+          title="Length in seconds"
+          onChange={(e) => saveClip({ ...clipData, duration: Math.max(0.1, lastKey, parseFloat(e.target.value) || 0) })}
+          className={inputClass}
+        />
+        <select value={loop} onChange={(e) => saveClip({ ...clipData, loop: e.target.value })} className={inputClass}>
+          {KEYFRAME_LOOP_MODES.map(mode => <option key={mode} value={mode}>{LOOP_LABELS[mode]}</option>)}
+        </select>
+      </div>
+      <label className="flex items-center gap-2 text-xs text-gray-300 mb-2">
+        <input
+          type="checkbox"
+          checked={!!clipData.autoplay}
+          onChange={(e) => saveClip({ ...clipData, autoplay: e.target.checked })}
+        />
+        Play when the scene starts
+      </label>
+
+      {/* Transport */}
+      <div className="flex items-center gap-1 mb-1">
+        <button
+          onClick={() => { setPreviewing(true); setPlayback(!playback); }}
+          className={smallButtonClass}
+          title={playback ? 'Pause preview' : 'Play preview'}
+        >
+          {playback ? '⏸' : '▶'}
+        </button>
+        <button onClick={() => { setPlayback(false); setTime(0); }} className={smallButtonClass} title="Back to the start">⏮</button>
+        <span className="text-xs text-gray-300 flex-1 text-center">{time.toFixed(2)} / {duration.toFixed(2)} s</span>
+        <button
+          onClick={() => { setPreviewing(false); setPlayback(false); }}
+          disabled={!previewing}
+          className={smallButtonClass}
+          title="Show the object's saved pose again"
+        >
+          Saved pose
+        </button>
+      </div>
+
+      {/* Ruler and lanes */}
+      <div className="grid grid-cols-[64px_20px_1fr] gap-x-1 gap-y-0.5 items-center mb-2">
+        <div />
+        <div />
+        <div
+          className="relative h-5 bg-gray-900 border border-gray-700 rounded cursor-ew-resize select-none"
+          onPointerDown={scrub}
+          onPointerMove={scrub}
+        >
+          {ticks.map(t => (
+            <div key={t} className="absolute top-0 bottom-0 border-l border-gray-600" style={{ left: percent(t) }}>
+              {Math.abs(t / (step * 2) - Math.round(t / (step * 2))) < 1e-6 && (
+                <span className="absolute text-[9px] text-gray-500 pl-0.5">{t}</span>
+              )}
+            </div>
+          ))}
+          <div className="absolute top-0 bottom-0 w-0.5 -ml-px bg-red-500" style={{ left: percent(time) }} />
+        </div>
+
+        {properties.map((property) => {
+          const track = trackOf(property.track);
+          return (
+            <React.Fragment key={property.track}>
+              <span className="text-xs text-gray-300 truncate">{property.label}</span>
+              <button
+                onClick={() => addKey(property)}
+                className="text-yellow-400 hover:text-yellow-300 text-xs"
+                title={`Key ${property.label.toLowerCase()} at ${time.toFixed(2)} s`}
+              >
+                ◆
+              </button>
+              <div
+                className="relative h-5 bg-gray-900 border border-gray-700 rounded select-none"
+                onPointerDown={scrub}
+                onPointerMove={scrub}
+              >
+                <div className="absolute top-0 bottom-0 w-0.5 -ml-px bg-red-500 opacity-50" style={{ left: percent(time) }} />
+                {track?.times.map((t, index) => {
+                  const dragging = keyDrag && keyDrag.track === track.name && keyDrag.index === index;
+                  const isSelected = selectedKey?.track === track.name && selectedKey.time === t;
+                  return (
+                    <div
+                      key={`${index}:${t}`}
+                      onPointerDown={e => dragKey(e, track, index)}
+                      onPointerMove={e => dragKey(e, track, index)}
+                      onPointerUp={e => dragKey(e, track, index)}
+                      title={`${t} s, ${EASING_LABELS[keyframeAt(track, index).easing]} to the next key`}
+                      className={`absolute top-1 w-2.5 h-2.5 -ml-1 rotate-45 cursor-pointer ${isSelected ? 'bg-blue-400' : 'bg-yellow-400'}`}
+                      style={{ left: percent(dragging ? keyDrag.time : t) }}
+                    />
+                  );
+                })}
+              </div>
+            </React.Fragment>
+          );
+        })}
+      </div>
+
+      {/* Selected key */}
+      {selected ? (
+        <div className="border border-gray-600 rounded p-2 space-y-1">
+          <div className="flex items-center justify-between">
+            <span className="text-xs font-semibold text-gray-300">{selected.property?.label || selected.track.name} key</span>
+            <button
+              onClick={() => { saveClip(removeKeyframe(clipData, selected.track.name, selected.index)); setSelectedKey(null); }}
+              className="text-red-400 hover:text-red-300 text-xs"
+              title="Delete key"
+            >
+              ✕
+            </button>
+          </div>
+          <div className="grid grid-cols-2 gap-1">
+            <label className="text-xs text-gray-400">
+              Time (s)
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                value={selected.time}
+                onChange={(e) => changeKey({ time: snapTime(Math.max(0, parseFloat(e.target.value) || 0)) })}
+                className={inputClass}
+              />
+            </label>
+            <label className="text-xs text-gray-400">
+              Curve to next key
+              <select value={selected.easing} onChange={(e) => changeKey({ easing: e.target.value })} className={inputClass}>
+                {KEYFRAME_EASINGS.map(easing => <option key={easing} value={easing}>{EASING_LABELS[easing]}</option>)}
+              </select>
+            </label>
+          </div>
+          {selected.track.type === 'color' && (
+            <input
+              type="color"
+              value={`#${new THREE.Color().fromArray(selected.value).getHexString()}`}
+              onChange={(e) => changeKey({ value: new THREE.Color(e.target.value).toArray() })}
+              className="w-full h-6 bg-gray-900 border border-gray-700 rounded"
+            />
+          )}
+          {selected.track.type === 'number' && (
+            <label className="text-xs text-gray-400">
+              {selected.property?.angle ? 'Angle (°)' : 'Value'}
+              <input
+                type="number"
+                step={selected.property?.angle ? 5 : 0.1}
+                value={Math.round((selected.property?.angle ? THREE.MathUtils.radToDeg(selected.value[0]) : selected.value[0]) * 1000) / 1000}
+                onChange={(e) => {
+                  // Angles are edited in degrees
+                  const input = parseFloat(e.target.value) || 0;
+                  setValue(0, selected.property?.angle ? THREE.MathUtils.degToRad(input) : input);
+                }}
+                className={inputClass}
+              />
+            </label>
+          )}
+          {selected.track.type === 'vector' && (
+            <div className="grid grid-cols-3 gap-1">
+              {['x', 'y', 'z'].map((axis, i) => (
+                <label key={axis} className="text-xs text-gray-400">
+                  {axis}
+                  <input
+                    type="number"
+                    step="0.1"
+                    value={Math.round(selected.value[i] * 1000) / 1000}
+                    onChange={(e) => setValue(i, parseFloat(e.target.value) || 0)}
+                    className={inputClass}
+                  />
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+      ) : (
+        <p className="text-xs text-gray-500">Click a key to edit it; drag it along its lane to retime it.</p>
+      )}
+    </div>
+  );
+}
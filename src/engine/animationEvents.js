@@ -0,0 +1,85 @@
+// Named markers on animation clips (a footstep, the frame an attack hits) for editor play mode and
+// the RuntimePlayer. A model's markers are saved in the scene file (`animationEvents`):
+//   [{ id, clip, time, name, sound, volume }]
+// `time` is in seconds from the start of the clip as authored, `sound` an optional sound name from
+// the audio library. AnimationEvents watches the model's mixer and calls back whenever a playing
+// clip passes one of its markers, also when it loops round; the hosts hand them to the
+// EventInterpreter, which plays the sound at the model and fires OnAnimationEvent conditions.
+//
+// Only the clip with the most weight fires its markers (every clip sharing the most weight, when
+// several do), so a walk and a run blended together don't both put a foot down. The exported game
+// player has no event sheets or audio library and doesn't use them.
+
+let nextId = 0;
+
+export function createAnimationEvent(overrides = {}) {
+  return {
+    id: `animevent_${Date.now().toString(36)}_${(nextId++).toString(36)}`,
+    clip: null,
+    time: 0,
+    name: 'footstep',
+    sound: '',
+    volume: 1,
+    ...overrides
+  };
+}
+
+export class AnimationEvents {
+  // mixer: the model's AnimationMixer; clips: the AnimationClips it plays (the Animator's, when
+  // the model has one); events: its `animationEvents`; onEvent(event) is called for each marker passed
+  constructor(mixer, clips, events, onEvent) {
+    this.mixer = mixer;
+    this.onEvent = onEvent;
+
+    // Markers by clip, for the clips that are there
+    this.events = new Map();
+    this.clips = new Map();
+    clips.forEach((clip) => {
+      const marked = (events || []).filter(event => event.clip === clip.name);
+      if (marked.length === 0) return;
+      this.events.set(clip.name, marked.sort((a, b) => a.time - b.time));
+      this.clips.set(clip.name, clip);
+    });
+
+    // Clip time of every action after the last update, and the actions that looped since
+    this.times = new Map();
+    this.looped = new Set();
+    this.onLoop = event => this.looped.add(event.action);
+    mixer.addEventListener('loop', this.onLoop);
+  }
+
+  // Fire the markers passed by the last mixer update; call it right after the mixer's
+  update() {
+    const playing = [];
+    let heaviest = 0;
+    this.clips.forEach((clip, name) => {
+      const action = this.mixer.existingAction(clip);
+      if (!action?.isRunning()) return;
+      const weight = action.getEffectiveWeight();
+      heaviest = Math.max(heaviest, weight);
+      playing.push({ name, action, weight });
+    });
+
+    playing.forEach(({ name, action, weight }) => {
+      const last = this.times.get(action);
+      const time = action.time;
+      this.times.set(action, time);
+      if (last === undefined || heaviest <= 0 || weight < heaviest - 1e-3) return;
+
+      const looped = this.looped.has(action);
+      this.events.get(name).forEach((event) => {
+        let passed;
+        if (looped) passed = event.time > last || event.time <= time;
+        else if (time >= last) passed = event.time > last && event.time <= time;
+        else passed = event.time <= time; // restarted from the beginning
+        if (passed) this.onEvent(event);
+      });
+    });
+    this.looped.clear();
+  }
+
+  dispose() {
+    this.mixer.removeEventListener('loop', this.onLoop);
+    this.times.clear();
+  }
+}
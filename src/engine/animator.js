@@ -0,0 +1,12 @@
+export {
+  ANIMATOR_PARAMETER_TYPES,
+  ANIMATOR_STATE_TYPES,
+  ANIMATOR_CONDITION_OPS,
+  ANY_STATE,
+  createAnimatorState,
+  createAnimatorTransition,
+  createAnimatorData,
+  blend1DWeights,
+  blend2DWeights,
+  Animator
+} from '../../gameplayer/animator.js';
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { createTerrain, createTerrainMesh, encodeTerrain } from './terrain.js';
 
 // Small factory that returns a THREE.Object3D for a named built-in prefab
 export function createPrefabObject(prefab) {
@@ -47,6 +48,11 @@ export function createPrefabObject(prefab) {
       obj.name = `SolidPlatform_${Date.now()}`;
       break;
     }
+    case 'terrain': {
+      obj = createTerrainMesh(createTerrain());
+      obj.name = `Terrain_${Date.now()}`;
+      break;
+    }
     case 'directionalLight': {
       const light = new THREE.DirectionalLight(0xffffff, 1);
       light.position.set(5, 10, 5);
@@ -87,3 +93,12 @@ export function createPrefabObject(prefab) {
 
   return obj;
 }
+
+// Scene metadata for a terrain prefab: its heightmap and a static heightfield body on the World layer
+export function terrainMetadata(obj) {
+  return {
+    type: 'terrain',
+    terrain: encodeTerrain(obj.userData.terrain),
+    physics: { enabled: true, bodyType: 'heightfield', mass: 0, isStatic: true, layer: 'World' }
+  };
+}
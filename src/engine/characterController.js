@@ -0,0 +1 @@
+export { CAMERA_MODES, CONTROLLER_DEFAULTS, normalizeCameraMode, findPlayer, CharacterController } from '../../gameplayer/characterController.js';
@@ -0,0 +1,261 @@
+// Conditions and actions understood by the EventInterpreter.
+// The event-sheet editor builds its pickers from these lists, so a new condition or
+// action only needs an entry here and a case in the interpreter.
+//
+// Parameter kinds:
+//   object  - a scene object id (the owning object when left empty, unless the param has an `emptyLabel`)
+//   sound   - a sound name from the audio library
+//   scene   - a scene id from the project
+//   key     - a KeyboardEvent.code, e.g. 'Space' or 'KeyW'
+//   vector3 - { x, y, z }
+//   number  - plain number
+//   text    - plain string (variable names)
+//   value   - number or string (variable values)
+//   boolean - checkbox
+//   choice  - one of `options`
+//   layer   - a collision layer name from the project (every layer when empty)
+// A param with `when: { otherParam: value }` only applies (and is only shown) when the other param matches.
+//
+// Condition categories:
+//   trigger    - true only while the interpreter handles the matching `event`
+//                (defaults to the type name, e.g. trigger('OnKeyPressed'))
+//   state      - checked against the current game state; sheets whose condition has no
+//                trigger at all are evaluated every frame
+//   combinator - And / Or hold `conditions: []`, Not holds `condition`
+
+const scopeParam = { name: 'scope', label: 'Scope', kind: 'choice', options: ['global', 'object'], default: 'global' };
+
+// Shared by the raycast condition and action: a ray from the object's position
+const rayParams = [
+  { name: 'target', label: 'From object', kind: 'object' },
+  { name: 'direction', label: 'Direction', kind: 'vector3', default: { x: 0, y: -1, z: 0 } },
+  { name: 'distance', label: 'Distance', kind: 'number', default: 1.5 },
+  { name: 'layer', label: 'Hits layer', kind: 'layer', default: '', emptyLabel: '(All layers)' }
+];
+
+export const COMPARE_OPERATORS = ['==', '!=', '<', '<=', '>', '>='];
+
+export const CONDITION_TYPES = {
+  OnStart: {
+    label: 'On Start',
+    category: 'trigger',
+    params: []
+  },
+  OnUpdate: {
+    label: 'On Update (every frame)',
+    category: 'trigger',
+    params: []
+  },
+  OnKeyPressed: {
+    label: 'On Key Pressed',
+    category: 'trigger',
+    params: [{ name: 'key', label: 'Key', kind: 'key', default: 'Space' }]
+  },
+  OnKeyReleased: {
+    label: 'On Key Released',
+    category: 'trigger',
+    params: [{ name: 'key', label: 'Key', kind: 'key', default: 'Space' }]
+  },
+  OnCollisionEnter: {
+    label: 'On Collision Enter',
+    category: 'trigger',
+    params: [{ name: 'other', label: 'With (any when empty)', kind: 'object', default: '', emptyLabel: '(Any)' }]
+  },
+  OnCollisionExit: {
+    label: 'On Collision Exit',
+    category: 'trigger',
+    params: [{ name: 'other', label: 'With (any when empty)', kind: 'object', default: '', emptyLabel: '(Any)' }]
+  },
+  OnTriggerEnter: {
+    label: 'On Trigger Enter',
+    category: 'trigger',
+    params: [{ name: 'other', label: 'Trigger / object (any when empty)', kind: 'object', default: '', emptyLabel: '(Any)' }]
+  },
+  OnTriggerExit: {
+    label: 'On Trigger Exit',
+    category: 'trigger',
+    params: [{ name: 'other', label: 'Trigger / object (any when empty)', kind: 'object', default: '', emptyLabel: '(Any)' }]
+  },
+  OnAnimationEvent: {
+    label: 'On Animation Event',
+    category: 'trigger',
+    params: [
+      { name: 'target', label: 'Object', kind: 'object' },
+      { name: 'name', label: 'Event name (any when empty)', kind: 'text', default: 'footstep' }
+    ]
+  },
+  OnTimer: {
+    label: 'After N Seconds',
+    category: 'trigger',
+    event: 'OnTimer',
+    params: [{ name: 'seconds', label: 'Seconds', kind: 'number', default: 1 }]
+  },
+  OnEvery: {
+    label: 'Every N Seconds',
+    category: 'trigger',
+    event: 'OnTimer',
+    params: [{ name: 'seconds', label: 'Seconds', kind: 'number', default: 1 }]
+  },
+  OnVariableChanged: {
+    label: 'On Variable Changed',
+    category: 'trigger',
+    params: [
+      scopeParam,
+      { name: 'target', label: 'Object', kind: 'object', when: { scope: 'object' } },
+      { name: 'name', label: 'Variable', kind: 'text', default: 'score' }
+    ]
+  },
+  CompareVariable: {
+    label: 'Compare Variable',
+    category: 'state',
+    params: [
+      scopeParam,
+      { name: 'target', label: 'Object', kind: 'object', when: { scope: 'object' } },
+      { name: 'name', label: 'Variable', kind: 'text', default: 'score' },
+      { name: 'operator', label: 'Operator', kind: 'choice', options: COMPARE_OPERATORS, default: '==' },
+      { name: 'value', label: 'Value', kind: 'value', default: 0 }
+    ]
+  },
+  RaycastHit: {
+    label: 'Raycast Hits',
+    category: 'state',
+    params: [
+      ...rayParams,
+      { name: 'other', label: 'Hit object (anything when empty)', kind: 'object', default: '', emptyLabel: '(Anything)' }
+    ]
+  },
+  ObjectsInRadius: {
+    label: 'Objects Within Radius',
+    category: 'state',
+    params: [
+      { name: 'target', label: 'Around object', kind: 'object' },
+      { name: 'radius', label: 'Radius', kind: 'number', default: 2 },
+      { name: 'layer', label: 'On layer', kind: 'layer', default: '', emptyLabel: '(All layers)' },
+      { name: 'other', label: 'Object (any when empty)', kind: 'object', default: '', emptyLabel: '(Any)' }
+    ]
+  },
+  And: {
+    label: 'AND (all of)',
+    category: 'combinator',
+    params: []
+  },
+  Or: {
+    label: 'OR (any of)',
+    category: 'combinator',
+    params: []
+  },
+  Not: {
+    label: 'NOT',
+    category: 'combinator',
+    params: []
+  }
+};
+
+export const ACTION_TYPES = {
+  ApplyForce: {
+    label: 'Apply Force',
+    params: [
+      { name: 'target', label: 'Object', kind: 'object' },
+      { name: 'force', label: 'Force', kind: 'vector3', default: { x: 0, y: 5, z: 0 } }
+    ]
+  },
+  SetPosition: {
+    label: 'Set Position',
+    params: [
+      { name: 'target', label: 'Object', kind: 'object' },
+      { name: 'position', label: 'Position', kind: 'vector3', default: { x: 0, y: 1, z: 0 } }
+    ]
+  },
+  SetVelocity: {
+    label: 'Set Velocity',
+    params: [
+      { name: 'target', label: 'Object', kind: 'object' },
+      { name: 'velocity', label: 'Velocity', kind: 'vector3', default: { x: 0, y: 0, z: 0 } }
+    ]
+  },
+  SetVariable: {
+    label: 'Set Variable',
+    params: [
+      scopeParam,
+      { name: 'target', label: 'Object', kind: 'object', when: { scope: 'object' } },
+      { name: 'name', label: 'Variable', kind: 'text', default: 'score' },
+      { name: 'operation', label: 'Operation', kind: 'choice', options: ['set', 'add', 'subtract'], default: 'set' },
+      { name: 'value', label: 'Value', kind: 'value', default: 0 }
+    ]
+  },
+  PlaySound: {
+    label: 'Play Sound',
+    params: [
+      { name: 'soundId', label: 'Sound', kind: 'sound', default: '' },
+      { name: 'target', label: 'Play at', kind: 'object', default: '', emptyLabel: '(No position)' },
+      { name: 'volume', label: 'Volume', kind: 'number', default: 1 }
+    ]
+  },
+  Raycast: {
+    label: 'Raycast (store hit)',
+    params: [
+      ...rayParams,
+      { name: 'distanceVariable', label: 'Distance variable (-1 on miss)', kind: 'text', default: 'hitDistance' },
+      { name: 'objectVariable', label: 'Hit object variable (name)', kind: 'text', default: 'hitObject' }
+    ]
+  },
+  LoadScene: {
+    label: 'Load Scene',
+    params: [
+      { name: 'sceneId', label: 'Scene', kind: 'scene', default: '' },
+      { name: 'fade', label: 'Fade (seconds)', kind: 'number', default: 0.5 },
+      { name: 'persistentObject', label: 'Keep object', kind: 'object', default: '', emptyLabel: '(None)' }
+    ]
+  },
+  PlayAnimation: {
+    label: 'Play Animation',
+    params: [
+      { name: 'target', label: 'Object', kind: 'object' },
+      { name: 'clip', label: 'Timeline clip', kind: 'text', default: 'Clip' },
+      { name: 'loop', label: 'Loop', kind: 'choice', options: ['clip', 'once', 'repeat', 'pingPong'], default: 'clip' }
+    ]
+  },
+  StopAnimation: {
+    label: 'Stop Animation',
+    params: [
+      { name: 'target', label: 'Object', kind: 'object' },
+      { name: 'clip', label: 'Timeline clip (all when empty)', kind: 'text', default: '' }
+    ]
+  },
+  SetRagdoll: {
+    label: 'Set Ragdoll',
+    params: [
+      { name: 'target', label: 'Character', kind: 'object' },
+      { name: 'enabled', label: 'Ragdoll (off: back to the animation)', kind: 'boolean', default: true },
+      { name: 'blendTime', label: 'Blend (seconds)', kind: 'number', default: 0.3 },
+      { name: 'impulse', label: 'Impulse', kind: 'vector3', default: { x: 0, y: 0, z: 0 }, when: { enabled: true } }
+    ]
+  }
+};
+
+// Default parameter values for a condition or action type
+export function defaultParameters(definition) {
+  const parameters = {};
+  (definition?.params || []).forEach((param) => {
+    if (param.default !== undefined) {
+      parameters[param.name] = typeof param.default === 'object' ? { ...param.default } : param.default;
+    } else if (param.kind === 'object') {
+      parameters[param.name] = '';
+    }
+  });
+  return parameters;
+}
+
+// New condition of the given type, with child slots for combinators
+export function createCondition(type) {
+  if (type === 'And' || type === 'Or') return { type, conditions: [] };
+  if (type === 'Not') return { type, condition: null };
+  return { type, parameters: defaultParameters(CONDITION_TYPES[type]) };
+}
+
+// Trigger name a leaf condition listens for, or null for state conditions
+export function conditionEvent(type) {
+  const definition = CONDITION_TYPES[type];
+  if (!definition || definition.category !== 'trigger') return null;
+  return definition.event || type;
+}
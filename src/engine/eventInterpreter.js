@@ -0,0 +1,511 @@
+import * as THREE from 'three';
+import { CONDITION_TYPES, conditionEvent } from './eventCatalog.js';
+import { snapBody } from '../physics/timestep.js';
+
+// Guards against handlers that keep re-triggering each other (e.g. OnVariableChanged setting the same variable)
+const MAX_TRIGGER_DEPTH = 8;
+
+// Runs event sheets: { id, objectId, variables, events: [{ condition, action, subEvents }] }.
+// `runtime` needs `scene` and `physics` (PhysicsEngine in the RuntimePlayer, PhysicsWorld in
+// editor play mode); both are read on every use because the runtime swaps them out on stop.
+// Optional: `audioManager` for PlaySound and animation event sounds, and `changeScene(sceneId,
+// options)` for LoadScene.
+export class EventInterpreter {
+  constructor(runtime) {
+    this.runtime = runtime;
+    this.eventSheets = [];
+    this.listeners = new Map();
+    this.physics = null;
+    this.paused = false;
+    this.triggerDepth = 0;
+
+    // Game variables: project-wide and per scene object id
+    this.globals = {};
+    this.objectVariables = new Map();
+
+    // Seconds since initialize, and per-condition state for OnTimer/OnEvery
+    this.elapsed = 0;
+    this.timers = new WeakMap();
+
+    this.onCollision = (eventType, objectA, objectB) => {
+      this.trigger(eventType === 'enter' ? 'OnCollisionEnter' : 'OnCollisionExit', { objectA, objectB });
+    };
+    this.onPlatform = (eventType, platform, object) => {
+      // Solid platforms 'land' events already arrive as collisions
+      if (eventType === 'enter') this.trigger('OnTriggerEnter', { objectA: platform, objectB: object });
+      if (eventType === 'exit') this.trigger('OnTriggerExit', { objectA: platform, objectB: object });
+    };
+  }
+
+  initialize(eventSheets, variables = {}) {
+    // Work on a copy so timer state can be keyed by condition objects
+    this.eventSheets = JSON.parse(JSON.stringify(eventSheets || []));
+    this.globals = { ...variables };
+    this.objectVariables = new Map();
+    this.eventSheets.forEach((sheet) => {
+      if (sheet.objectId && sheet.variables) {
+        this.objectVariables.set(sheet.objectId, { ...sheet.variables });
+      }
+    });
+    this.elapsed = 0;
+    this.timers = new WeakMap();
+    this.paused = false;
+
+    this.setupEventListeners();
+    this.attachPhysics(this.runtime.physics);
+  }
+
+  setupEventListeners() {
+    this.removeEventListeners();
+
+    // Set up keyboard listeners (ignore auto-repeat so OnKeyPressed fires once per press)
+    this.listeners.set('keydown', (e) => {
+      if (!e.repeat) this.trigger('OnKeyPressed', { key: e.code });
+    });
+    this.listeners.set('keyup', (e) => {
+      this.trigger('OnKeyReleased', { key: e.code });
+    });
+
+    this.listeners.forEach((listener, type) => document.addEventListener(type, listener));
+  }
+
+  removeEventListeners() {
+    this.listeners.forEach((listener, type) => document.removeEventListener(type, listener));
+    this.listeners.clear();
+  }
+
+  // Subscribe to contact and trigger-platform events of a physics world
+  attachPhysics(physics) {
+    this.detachPhysics();
+    if (!physics) return;
+    physics.addCollisionCallback?.(this.onCollision);
+    physics.addPlatformCallback?.(this.onPlatform);
+    this.physics = physics;
+  }
+
+  detachPhysics() {
+    if (!this.physics) return;
+    this.physics.removeCollisionCallback?.(this.onCollision);
+    this.physics.removePlatformCallback?.(this.onPlatform);
+    this.physics = null;
+  }
+
+  setPaused(paused) {
+    this.paused = paused;
+  }
+
+  // Advance timers and run per-frame events
+  update(deltaTime) {
+    if (this.paused) return;
+    this.elapsed += deltaTime;
+    this.trigger('OnTimer', { elapsed: this.elapsed });
+    this.trigger('OnUpdate', { deltaTime });
+  }
+
+  // An animation clip of object passed one of its markers (see animationEvents.js): its sound plays
+  // at the object and OnAnimationEvent conditions run
+  animationEvent(object, event) {
+    if (this.paused) return;
+    const audioManager = this.runtime.audioManager;
+    if (audioManager && event.sound) {
+      audioManager.playSoundEffect(object, event.sound, { volume: event.volume ?? 1 });
+    }
+    this.trigger('OnAnimationEvent', { object, name: event.name, clip: event.clip });
+  }
+
+  trigger(eventType, data = {}) {
+    if (this.paused) return;
+    if (this.triggerDepth >= MAX_TRIGGER_DEPTH) {
+      console.warn(`⚠️ Event loop detected while handling ${eventType} - skipping`);
+      return;
+    }
+
+    this.triggerDepth++;
+    try {
+      this.eventSheets.forEach(sheet => {
+        sheet.events?.forEach(event => {
+          if (this.listensTo(event.condition, eventType)) {
+            this.runEvent(event, sheet, eventType, data);
+          }
+        });
+      });
+    } finally {
+      this.triggerDepth--;
+    }
+  }
+
+  // A top-level event is evaluated for the triggers its condition mentions;
+  // conditions without any trigger (variable compares) are checked every frame
+  listensTo(condition, eventType) {
+    const triggers = new Set();
+    this.collectTriggers(condition, triggers);
+    return triggers.size === 0 ? eventType === 'OnUpdate' : triggers.has(eventType);
+  }
+
+  collectTriggers(condition, triggers) {
+    if (!condition) return;
+    (condition.conditions || []).forEach(child => this.collectTriggers(child, triggers));
+    if (condition.condition) this.collectTriggers(condition.condition, triggers);
+    const event = conditionEvent(condition.type);
+    if (event) triggers.add(event);
+  }
+
+  runEvent(event, sheet, eventType, data) {
+    if (!this.evaluate(event.condition, sheet, eventType, data)) return;
+
+    this.executeAction(event.action, sheet, data);
+
+    // Sub-events are checked only when their parent's condition passed, in the same trigger
+    event.subEvents?.forEach(subEvent => this.runEvent(subEvent, sheet, eventType, data));
+  }
+
+  evaluate(condition, sheet, eventType, data) {
+    if (!condition) return true;
+
+    switch (condition.type) {
+      case 'And':
+        return (condition.conditions || []).every(c => this.evaluate(c, sheet, eventType, data));
+      case 'Or':
+        return (condition.conditions || []).some(c => this.evaluate(c, sheet, eventType, data));
+      case 'Not':
+        return !this.evaluate(condition.condition, sheet, eventType, data);
+      case 'CompareVariable':
+        return this.compareVariable(condition.parameters || {}, sheet);
+      case 'RaycastHit': {
+        const params = condition.parameters || {};
+        const hit = this.raycast(params, sheet);
+        return !!hit && (!params.other || this.isObject(hit.object, params.other));
+      }
+      case 'ObjectsInRadius':
+        return this.objectsInRadius(condition.parameters || {}, sheet);
+      default: {
+        const event = conditionEvent(condition.type);
+        if (!event) {
+          if (!CONDITION_TYPES[condition.type]) console.warn(`Unknown condition type: ${condition.type}`);
+          return false;
+        }
+        return event === eventType && this.matchesCondition(condition, sheet, data);
+      }
+    }
+  }
+
+  // Parameter checks for trigger conditions, once the trigger type matched
+  matchesCondition(condition, sheet, data) {
+    const params = condition.parameters || {};
+
+    switch (condition.type) {
+      case 'OnKeyPressed':
+      case 'OnKeyReleased':
+        return !params.key || params.key === data.key;
+      case 'OnCollisionEnter':
+      case 'OnCollisionExit':
+      case 'OnTriggerEnter':
+      case 'OnTriggerExit': {
+        // Older files name both sides explicitly with objectA/objectB
+        const self = params.objectA || sheet.objectId;
+        const other = params.other || params.objectB;
+        return [[data.objectA, data.objectB], [data.objectB, data.objectA]].some(([a, b]) => (
+          (!self || this.isObject(a, self)) && (!other || this.isObject(b, other))
+        ));
+      }
+      case 'OnAnimationEvent': {
+        const self = params.target || sheet.objectId;
+        return (!params.name || params.name === data.name) && (!self || this.isObject(data.object, self));
+      }
+      case 'OnTimer':
+      case 'OnEvery':
+        return this.timerElapsed(condition, params, data.elapsed);
+      case 'OnVariableChanged': {
+        const scope = params.scope || 'global';
+        if (scope !== data.scope || params.name !== data.name) return false;
+        return scope === 'global' || (params.target || sheet.objectId) === data.objectId;
+      }
+      default:
+        return true;
+    }
+  }
+
+  timerElapsed(condition, params, elapsed) {
+    const seconds = Math.max(Number(params.seconds) || 0, 0.01);
+    const timer = this.timers.get(condition) || { due: seconds, done: false };
+    this.timers.set(condition, timer);
+
+    if (timer.done || elapsed < timer.due) return false;
+    if (condition.type === 'OnEvery') {
+      timer.due += seconds;
+    } else {
+      timer.done = true;
+    }
+    return true;
+  }
+
+  compareVariable(params, sheet) {
+    const current = this.toValue(this.getVariable(params.scope, params.name, params.target || sheet.objectId));
+    const value = this.toValue(params.value);
+
+    switch (params.operator || '==') {
+      case '==': return current === value;
+      case '!=': return current !== value;
+      case '<': return current < value;
+      case '<=': return current <= value;
+      case '>': return current > value;
+      case '>=': return current >= value;
+      default: return false;
+    }
+  }
+
+  // Numeric strings compare as numbers
+  toValue(value) {
+    if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) return Number(value);
+    return value;
+  }
+
+  variablesFor(scope, objectId) {
+    if (scope !== 'object') return this.globals;
+    if (!this.objectVariables.has(objectId)) this.objectVariables.set(objectId, {});
+    return this.objectVariables.get(objectId);
+  }
+
+  getVariable(scope = 'global', name, objectId) {
+    return this.variablesFor(scope, objectId)[name];
+  }
+
+  setVariable(scope = 'global', name, value, objectId) {
+    if (!name) return;
+    const variables = this.variablesFor(scope, objectId);
+    const previous = variables[name];
+    variables[name] = value;
+
+    if (previous !== value) {
+      this.trigger('OnVariableChanged', {
+        scope,
+        name,
+        objectId: scope === 'object' ? objectId : null,
+        value,
+        previous
+      });
+    }
+  }
+
+  executeAction(action, sheet, eventData) {
+    if (!action) return;
+    const parameters = action.parameters || {};
+
+    switch (action.type) {
+      case 'ApplyForce':
+        this.applyForce(parameters, sheet);
+        break;
+      case 'SetPosition':
+        this.setPosition(parameters, sheet);
+        break;
+      case 'SetVelocity':
+        this.setVelocity(parameters, sheet);
+        break;
+      case 'SetVariable':
+        this.applyVariable(parameters, sheet);
+        break;
+      case 'PlaySound':
+        this.playSound(parameters, sheet, eventData);
+        break;
+      case 'Raycast':
+        this.storeRaycast(parameters, sheet);
+        break;
+      case 'LoadScene':
+        this.loadScene(parameters, sheet);
+        break;
+      case 'SetRagdoll':
+        this.setRagdoll(parameters, sheet);
+        break;
+      case 'PlayAnimation':
+        this.playAnimation(parameters, sheet);
+        break;
+      case 'StopAnimation':
+        this.stopAnimation(parameters, sheet);
+        break;
+
+      default:
+        console.warn(`Unknown action type: ${action.type}`);
+    }
+  }
+
+  // Match a Three.js object against a scene object id or name
+  isObject(object, key) {
+    return !!object && (object.userData?.sceneObjectId === key || object.uuid === key || object.name === key);
+  }
+
+  // Resolve an action target: scene object id, object name, or the sheet's own object when empty
+  findObject(target, sheet) {
+    const key = target || sheet?.objectId;
+    const scene = this.runtime.scene;
+    if (!key || !scene) return null;
+
+    let found = null;
+    scene.traverse((child) => {
+      if (!found && (child.userData.sceneObjectId === key || child.uuid === key)) found = child;
+    });
+    return found || scene.getObjectByName(key) || null;
+  }
+
+  // Vector parameter as { x, y, z }, also accepting the flat x/y/z layout of older files
+  readVector(params, name) {
+    const v = params[name] || params;
+    return { x: v.x || 0, y: v.y || 0, z: v.z || 0 };
+  }
+
+  applyForce(params, sheet) {
+    const object = this.findObject(params.target, sheet);
+    if (object) {
+      // A bare number is an upward force (older jump events)
+      const force = typeof params.force === 'number'
+        ? { x: 0, y: params.force, z: 0 }
+        : this.readVector(params, 'force');
+      // Actions fire once, so the push is applied as an impulse rather than a per-step force
+      this.runtime.physics.applyImpulse(object, force);
+      this.runtime.physics.bodies.get(object)?.wakeUp();
+    }
+  }
+
+  setPosition(params, sheet) {
+    const object = this.findObject(params.target, sheet);
+    if (object) {
+      const { x, y, z } = this.readVector(params, 'position');
+      object.position.set(x, y, z);
+
+      // Move the physics body too, otherwise the next step snaps the mesh back
+      const body = this.runtime.physics.bodies.get(object);
+      if (body) {
+        body.position.set(x, y, z);
+        body.velocity.set(0, 0, 0);
+        snapBody(body);
+      }
+    }
+  }
+
+  setVelocity(params, sheet) {
+    const object = this.findObject(params.target, sheet);
+    if (object) {
+      const body = this.runtime.physics.bodies.get(object);
+      if (body) {
+        const { x, y, z } = this.readVector(params, 'velocity');
+        body.velocity.set(x, y, z);
+        body.wakeUp();
+      }
+    }
+  }
+
+  // Switch a character with a `ragdoll` between its animation and its ragdoll
+  setRagdoll(params, sheet) {
+    const object = this.findObject(params.target, sheet);
+    const physics = this.runtime.physics;
+    if (!object) return;
+    if (!physics?.setRagdoll) {
+      console.warn('⚠️ SetRagdoll: ragdolls are not supported by this runtime');
+      return;
+    }
+    const enabled = params.enabled !== false;
+    const options = {
+      blendTime: params.blendTime,
+      impulse: enabled && params.impulse ? this.readVector(params, 'impulse') : undefined
+    };
+    if (!physics.setRagdoll(object, enabled, options)) {
+      console.warn(`⚠️ SetRagdoll: ${object.name} has no ragdoll`);
+    }
+  }
+
+  // Start one of the object's timeline clips (keyframeAnimation.js), from the beginning
+  playAnimation(params, sheet) {
+    const object = this.findObject(params.target, sheet);
+    if (!object) return;
+    const loop = params.loop && params.loop !== 'clip' ? params.loop : null;
+    if (!object.userData.keyframes?.play(params.clip, loop)) {
+      console.warn(`⚠️ PlayAnimation: ${object.name} has no timeline clip "${params.clip}"`);
+    }
+  }
+
+  stopAnimation(params, sheet) {
+    this.findObject(params.target, sheet)?.userData.keyframes?.stop(params.clip || null);
+  }
+
+  // Closest hit of a ray from the target's position, ignoring the target itself
+  raycast(params, sheet) {
+    const object = this.findObject(params.target, sheet);
+    const physics = this.runtime.physics;
+    if (!object || !physics?.raycastClosest) return null;
+
+    const from = object.getWorldPosition(new THREE.Vector3());
+    const direction = new THREE.Vector3().copy(this.readVector(params, 'direction'));
+    if (direction.lengthSq() === 0) direction.set(0, -1, 0);
+    const to = direction.normalize().multiplyScalar(params.distance ?? 1.5).add(from);
+    return physics.raycastClosest(from, to, {
+      layers: params.layer ? [params.layer] : undefined,
+      exclude: [object]
+    });
+  }
+
+  storeRaycast(params, sheet) {
+    const hit = this.raycast(params, sheet);
+    if (params.distanceVariable) this.setVariable('global', params.distanceVariable, hit ? hit.distance : -1);
+    if (params.objectVariable) this.setVariable('global', params.objectVariable, hit?.object?.name || '');
+  }
+
+  objectsInRadius(params, sheet) {
+    const object = this.findObject(params.target, sheet);
+    const physics = this.runtime.physics;
+    if (!object || !physics?.overlapSphere) return false;
+
+    const hits = physics.overlapSphere(object.getWorldPosition(new THREE.Vector3()), params.radius ?? 2, {
+      layers: params.layer ? [params.layer] : undefined,
+      exclude: [object],
+      includeTriggers: true
+    });
+    return params.other ? hits.some(hit => this.isObject(hit.object, params.other)) : hits.length > 0;
+  }
+
+  applyVariable(params, sheet) {
+    const scope = params.scope || 'global';
+    const objectId = params.target || sheet.objectId;
+    const value = this.toValue(params.value);
+
+    switch (params.operation || 'set') {
+      case 'add':
+        this.setVariable(scope, params.name, (Number(this.getVariable(scope, params.name, objectId)) || 0) + (Number(value) || 0), objectId);
+        break;
+      case 'subtract':
+        this.setVariable(scope, params.name, (Number(this.getVariable(scope, params.name, objectId)) || 0) - (Number(value) || 0), objectId);
+        break;
+      default:
+        this.setVariable(scope, params.name, value, objectId);
+    }
+  }
+
+  // Positional when a target object is given, otherwise a plain (2D) sound
+  playSound(params) {
+    const audioManager = this.runtime.audioManager;
+    if (!audioManager || !params.soundId) return;
+
+    const options = { volume: params.volume ?? 1 };
+    const object = params.target ? this.findObject(params.target) : null;
+    if (object) {
+      audioManager.playSoundEffect(object, params.soundId, options);
+    } else {
+      audioManager.createAudio(params.soundId, { ...options, autoplay: true });
+    }
+  }
+
+  loadScene(params) {
+    if (!params.sceneId) return;
+    if (typeof this.runtime.changeScene !== 'function') {
+      console.warn(`⚠️ LoadScene "${params.sceneId}" is not supported here`);
+      return;
+    }
+    this.runtime.changeScene(params.sceneId, {
+      fade: params.fade ?? 0,
+      persistentObject: params.persistentObject || null
+    });
+  }
+
+  dispose() {
+    this.removeEventListeners();
+    this.detachPhysics();
+  }
+}
@@ -0,0 +1,220 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { PLATFORM_EASINGS } from '../physics/platforms.js';
+import { snapBody } from '../physics/timestep.js';
+
+// Keyframe animation of scene objects (a door swinging open, a light flickering) for editor play
+// mode and the RuntimePlayer. An object's clips are saved in the scene file (`keyframeClips`) as
+// THREE.AnimationClip JSON with a few extra fields:
+//   [{ name, duration, tracks: [{ name, type, times, values, easing }], uuid, blendMode, autoplay, loop }]
+// Tracks animate one of KEYFRAME_PROPERTIES of the object itself. `easing` has an entry per key for
+// the curve from that key to the next (KEYFRAME_EASINGS); AnimationClip.parse ignores it, so plain
+// three.js plays the clips with linear curves. `loop` is one of KEYFRAME_LOOP_MODES and `autoplay`
+// starts the clip with the scene; the others are started by the Play Animation action.
+//
+// The clips run on the object's AnimationMixer, next to its model's own clips. Objects with a
+// physics body that have their position or rotation keyed take the body along as a kinematic body,
+// so animated doors and platforms push and block other bodies. The exported game player doesn't
+// play them.
+
+export const KEYFRAME_EASINGS = ['linear', 'easeIn', 'easeOut', 'easeInOut', 'step'];
+export const KEYFRAME_LOOP_MODES = ['once', 'repeat', 'pingPong'];
+
+// What can be keyed. Rotation is keyed per axis in radians (three.js can't bind a whole Euler), so
+// it can turn past a full circle; colours are linear RGB.
+export const KEYFRAME_PROPERTIES = [
+  { track: '.position', label: 'Position', type: 'vector', read: object => object.position.toArray() },
+  ...['x', 'y', 'z'].map(axis => ({
+    track: `.rotation[${axis}]`,
+    label: `Rotation ${axis.toUpperCase()}`,
+    type: 'number',
+    angle: true,
+    read: object => [object.rotation[axis]]
+  })),
+  { track: '.scale', label: 'Scale', type: 'vector', read: object => object.scale.toArray() },
+  { track: '.material.color', label: 'Colour', type: 'color', read: object => object.material?.color?.toArray() },
+  { track: '.material.emissive', label: 'Emissive', type: 'color', read: object => object.material?.emissive?.toArray() },
+  { track: '.intensity', label: 'Intensity', type: 'number', read: object => (object.isLight ? [object.intensity] : undefined) }
+];
+
+// The keyable properties of an object (colours need a material, intensity a light)
+export function keyframeProperties(object) {
+  return KEYFRAME_PROPERTIES.filter(property => object && property.read(object) !== undefined);
+}
+
+export function createKeyframeClipData(overrides = {}) {
+  return {
+    name: 'Clip',
+    duration: 1,
+    tracks: [],
+    uuid: THREE.MathUtils.generateUUID(),
+    blendMode: THREE.NormalAnimationBlendMode,
+    autoplay: false,
+    loop: 'once',
+    ...overrides
+  };
+}
+
+// Put a key on the clip's track for property at time (replacing a key at that time); returns a new clip
+export function setKeyframe(clipData, property, time, value, easing = 'linear') {
+  const existing = clipData.tracks.find(track => track.name === property.track);
+  const track = existing
+    ? { ...existing, easing: existing.easing || existing.times.map(() => 'linear') }
+    : { name: property.track, type: property.type, times: [], values: [], easing: [] };
+  const size = value.length;
+  const keys = track.times.map((t, i) => ({ time: t, value: track.values.slice(i * size, (i + 1) * size), easing: track.easing[i] }))
+    .filter(key => Math.abs(key.time - time) > 1e-4);
+  keys.push({ time, value, easing });
+  keys.sort((a, b) => a.time - b.time);
+  const next = {
+    ...track,
+    times: keys.map(key => key.time),
+    values: keys.flatMap(key => key.value),
+    easing: keys.map(key => key.easing)
+  };
+  const tracks = existing ? clipData.tracks.map(other => (other === existing ? next : other)) : [...clipData.tracks, next];
+  return { ...clipData, tracks, duration: Math.max(clipData.duration, time) };
+}
+
+// Remove the key at index from a track; a track without keys is dropped. Returns a new clip.
+export function removeKeyframe(clipData, trackName, index) {
+  const tracks = clipData.tracks.map((track) => {
+    if (track.name !== trackName) return track;
+    const size = track.values.length / track.times.length;
+    return {
+      ...track,
+      times: track.times.filter((_, i) => i !== index),
+      values: track.values.filter((_, i) => Math.floor(i / size) !== index),
+      easing: track.easing?.filter((_, i) => i !== index)
+    };
+  }).filter(track => track.times.length > 0);
+  return { ...clipData, tracks };
+}
+
+// Key index of a track as { time, value, easing }
+export function keyframeAt(track, index) {
+  const size = track.values.length / track.times.length;
+  return {
+    time: track.times[index],
+    value: track.values.slice(index * size, (index + 1) * size),
+    easing: track.easing?.[index] || 'linear'
+  };
+}
+
+// Change a key's time, value and/or easing; returns a new clip
+export function updateKeyframe(clipData, trackName, index, changes) {
+  const track = clipData.tracks.find(other => other.name === trackName);
+  if (!track) return clipData;
+  const key = { ...keyframeAt(track, index), ...changes };
+  return setKeyframe(removeKeyframe(clipData, trackName, index), { track: trackName, type: track.type }, key.time, key.value, key.easing);
+}
+
+// Like LinearInterpolant, with each key's easing applied to the curve to the next key
+class EasedInterpolant extends THREE.Interpolant {
+  constructor(times, values, size, result, easing) {
+    super(times, values, size, result);
+    this.easing = easing;
+  }
+
+  interpolate_(i1, t0, t, t1) {
+    const result = this.resultBuffer;
+    const values = this.sampleValues;
+    const stride = this.valueSize;
+    const offset1 = i1 * stride;
+    const offset0 = offset1 - stride;
+    const easing = this.easing[i1 - 1];
+    const alpha = easing === 'step' ? 0 : (PLATFORM_EASINGS[easing] || PLATFORM_EASINGS.linear)((t - t0) / (t1 - t0));
+    for (let i = 0; i !== stride; i++) {
+      result[i] = values[offset0 + i] * (1 - alpha) + values[offset1 + i] * alpha;
+    }
+    return result;
+  }
+}
+
+// A THREE.AnimationClip from saved clip JSON, its tracks following their keys' easing
+export function createKeyframeClip(clipData) {
+  const clip = THREE.AnimationClip.parse(clipData);
+  clip.tracks.forEach((track, i) => {
+    const easing = clipData.tracks[i].easing;
+    if (!easing?.some(curve => curve && curve !== 'linear')) return;
+    track.createInterpolant = function createEasedInterpolant(result) {
+      return new EasedInterpolant(this.times, this.values, this.getValueSize(), result, easing);
+    };
+  });
+  return clip;
+}
+
+// Play an action once (holding its last frame), on repeat or back and forth
+export function setKeyframeLoop(action, loop) {
+  if (loop === 'repeat') action.setLoop(THREE.LoopRepeat, Infinity);
+  else if (loop === 'pingPong') action.setLoop(THREE.LoopPingPong, Infinity);
+  else action.setLoop(THREE.LoopOnce, 1);
+  action.clampWhenFinished = loop !== 'repeat' && loop !== 'pingPong';
+}
+
+const tmpOffset = new CANNON.Vec3();
+
+export class KeyframeAnimations {
+  // mixer: the object's AnimationMixer; clips: its `keyframeClips`
+  constructor(mixer, clips) {
+    this.mixer = mixer;
+    this.object = mixer.getRoot();
+    this.clips = new Map();
+    this.actions = new Map();
+    (clips || []).forEach((clipData) => {
+      const clip = createKeyframeClip(clipData);
+      const action = mixer.clipAction(clip);
+      setKeyframeLoop(action, clipData.loop);
+      this.clips.set(clip.name, clip);
+      this.actions.set(clip.name, action);
+      if (clipData.autoplay) action.play();
+    });
+    this.movesBody = (clips || []).some(clipData => clipData.tracks.some(track => track.name === '.position' || track.name.startsWith('.rotation')));
+  }
+
+  // Start a clip from its beginning; loop overrides its saved loop mode. Returns false without such a clip.
+  play(name, loop = null) {
+    const action = this.actions.get(name);
+    if (!action) return false;
+    if (loop) setKeyframeLoop(action, loop);
+    action.reset().play();
+    return true;
+  }
+
+  // Stop a clip, or all of them without a name; the object keeps the pose they left it in
+  stop(name = null) {
+    this.actions.forEach((action, clipName) => {
+      if (!name || clipName === name) action.paused = true;
+    });
+  }
+
+  // Move the object's physics body to the animated pose (call after the mixer's update, before the
+  // physics step). physics is the PhysicsWorld or PhysicsEngine; both keep bodies by object.
+  syncBody(physics) {
+    if (!this.movesBody) return;
+    const body = physics?.bodies?.get(this.object);
+    if (!body) return;
+    if (body.type !== CANNON.Body.KINEMATIC) {
+      body.type = CANNON.Body.KINEMATIC;
+      body.mass = 0;
+      body.updateMassProperties();
+      body.velocity.set(0, 0, 0);
+      body.angularVelocity.set(0, 0, 0);
+    }
+    const { position, quaternion } = this.object;
+    body.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+    body.position.set(position.x, position.y, position.z);
+    // Compound bodies sit at their centre of mass (see physicsCompound.js)
+    if (body.centerOfMassOffset) body.position.vadd(body.quaternion.vmult(body.centerOfMassOffset, tmpOffset), body.position);
+    snapBody(body);
+  }
+
+  // Stop every clip and give the object back the values it had before they played
+  dispose() {
+    this.actions.forEach((action) => {
+      action.stop();
+      this.mixer.uncacheAction(action.getClip());
+    });
+    this.actions.clear();
+  }
+}
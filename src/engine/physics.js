@@ -1,11 +1,42 @@
 import * as CANNON from 'cannon-es';
 import * as THREE from 'three';
+import { applyBroadphase, refreshBroadphase } from '../physics/broadphase.js';
+import { FixedTimestep, snapBody } from '../physics/timestep.js';
+import { addCapsuleShapes } from '../physics/shapes.js';
+import { createSceneConstraints, removeConstraint } from '../physics/constraints.js';
+import { PhysicsMaterialLibrary } from '../physics/materials.js';
+import { applyCollisionLayer, objectLayer } from '../physics/layers.js';
+import { PhysicsQueries } from '../physics/queries.js';
+import { MovingPlatforms } from '../physics/platforms.js';
+import { ContinuousCollision } from '../physics/ccd.js';
+import { Ragdolls } from '../physics/ragdoll.js';
+import { addTerrainShape } from './terrain.js';
+
+// Translate a scene file `physics` block into PhysicsEngine.addBody options
+export function bodyOptionsFromSceneData(physics = {}, isPlayer = false) {
+  const shape = ['sphere', 'plane', 'capsule', 'heightfield'].includes(physics.bodyType) ? physics.bodyType : 'box';
+  // 'platform' bodies are trigger zones, like in the editor's PhysicsWorld
+  const isTrigger = !!physics.isTrigger || physics.bodyType === 'platform';
+  return {
+    // Terrain heightfields never move
+    bodyType: physics.isStatic || isTrigger || shape === 'heightfield' ? 'static' : 'dynamic',
+    mass: physics.mass ?? 1,
+    shape,
+    isTrigger,
+    physicsMaterial: physics.material,
+    collisionLayer: objectLayer({ ...physics, isTrigger }, isPlayer),
+    ccd: !!physics.ccd,
+    ccdRadius: physics.ccdRadius
+  };
+}
 
 export class PhysicsEngine {
-  constructor() {
+  // settings is the project's `physics` block (broadphase selection, fixed timestep)
+  constructor(settings = {}) {
     this.world = new CANNON.World();
     this.world.gravity.set(0, -9.82, 0);
-    this.world.broadphase = new CANNON.NaiveBroadphase();
+    applyBroadphase(this.world, settings);
+    this.timestep = new FixedTimestep(settings);
     this.world.solver.iterations = 10;
     
     // Contact material for platformer-friendly physics
@@ -19,8 +50,24 @@ export class PhysicsEngine {
     );
     this.world.addContactMaterial(contactMaterial);
 
+    // Named materials from the project settings; bodies without one share the default material
+    this.materials = new PhysicsMaterialLibrary(this.world);
+    this.materials.configure(settings.materials);
+    // Collision layer names and matrix, applied to every body in addBody
+    this.layerSettings = { layers: settings.layers, collisionMatrix: settings.collisionMatrix };
+    this.queries = new PhysicsQueries(this);
+
     this.bodies = new Map(); // Map Three.js objects to Cannon bodies
     this.meshes = new Map(); // Map Cannon bodies to Three.js objects
+    this.constraints = []; // Joint handles from constraints.js
+    this.platforms = new MovingPlatforms(this.world); // Kinematic bodies on waypoint paths
+    this.ccd = new ContinuousCollision(this.world); // Swept-sphere checks for fast bodies
+    this.ragdolls = new Ragdolls(this.world, this.timestep); // Skinned characters that can go limp
+
+    // Contact listeners, same callback API as PhysicsWorld
+    this.collisionCallbacks = new Set();
+    this.platformCallbacks = new Set();
+    this.setupCollisionDetection();
   }
 
   addBody(mesh, options = {}) {
@@ -28,10 +75,17 @@ export class PhysicsEngine {
       bodyType = 'dynamic',
       mass = 1,
       shape = 'box',
-      material = new CANNON.Material()
+      physicsMaterial,
+      material = this.materials.get(physicsMaterial),
+      isTrigger = false,
+      collisionLayer = isTrigger ? 'Trigger' : 'Default',
+      ccd = false,
+      ccdRadius = 0
     } = options;
 
     let cannonShape;
+    let capsule = null;
+    let terrain = null;
     
     // Create collision shape based on mesh geometry
     if (shape === 'box') {
@@ -44,6 +98,13 @@ export class PhysicsEngine {
       cannonShape = new CANNON.Sphere(sphere.radius);
     } else if (shape === 'plane') {
       cannonShape = new CANNON.Plane();
+    } else if (shape === 'capsule') {
+      // Upright capsule filling the mesh bounds, added as cylinder + spheres below
+      const size = new THREE.Box3().setFromObject(mesh).getSize(new THREE.Vector3());
+      capsule = { radius: Math.min(size.x, size.z) / 2, height: size.y };
+    } else if (shape === 'heightfield' && mesh.userData.terrain) {
+      // Terrain objects (see terrain.js), added once the body exists
+      terrain = mesh.userData.terrain;
     }
 
     const body = new CANNON.Body({
@@ -51,6 +112,8 @@ export class PhysicsEngine {
       material: material,
       shape: cannonShape
     });
+    if (capsule) addCapsuleShapes(body, capsule.radius, capsule.height);
+    if (terrain) addTerrainShape(body, terrain);
 
     // Set initial position and rotation
     body.position.copy(mesh.position);
@@ -60,30 +123,71 @@ export class PhysicsEngine {
       body.type = CANNON.Body.KINEMATIC;
     }
 
+    // Trigger zones report contacts but let objects pass through
+    if (isTrigger) {
+      body.collisionResponse = false;
+      body.userData = { isPlatform: true };
+    }
+
+    applyCollisionLayer(body, this.layerSettings, collisionLayer);
+    snapBody(body);
     this.world.addBody(body);
+    refreshBroadphase(this.world);
     this.bodies.set(mesh, body);
     this.meshes.set(body, mesh);
+    if (ccd) this.ccd.add(body, ccdRadius);
 
     return body;
   }
 
+  // Create the joints authored on scene file objects; getObject(id) returns the loaded object
+  addSceneConstraints(objects, getObject) {
+    this.constraints.push(...createSceneConstraints(this.world, objects, id => this.bodies.get(getObject(id))));
+  }
+
+  // Start the moving platforms authored on scene file objects; getObject(id) returns the loaded object
+  addSceneMovingPlatforms(objects, getObject) {
+    this.platforms.addSceneObjects(objects, id => this.bodies.get(getObject(id)));
+  }
+
+  // Prepare the ragdolls authored on scene file objects; getObject(id) returns the loaded object
+  addSceneRagdolls(objects, getObject) {
+    this.ragdolls.addSceneObjects(objects, getObject, mesh => this.bodies.get(mesh));
+  }
+
+  // Switch a character between its animation (false) and its ragdoll (true).
+  // options: { blendTime, impulse: { x, y, z } }. Returns false for characters without a ragdoll.
+  setRagdoll(mesh, active, options = {}) {
+    return this.ragdolls.setActive(mesh, active, options);
+  }
+
   removeBody(mesh) {
     const body = this.bodies.get(mesh);
     if (body) {
+      this.ragdolls.remove(mesh);
+      this.platforms.remove(body);
+      this.ccd.remove(body);
+      this.constraints = this.constraints.filter((handle) => {
+        if (handle.bodyA !== body && handle.bodyB !== body) return true;
+        removeConstraint(this.world, handle);
+        return false;
+      });
       this.world.removeBody(body);
       this.bodies.delete(mesh);
       this.meshes.delete(body);
     }
   }
 
+  // Advance by a frame's time in fixed steps, then place meshes between the last two physics states
   step(deltaTime) {
-    this.world.step(deltaTime);
+    const substeps = this.timestep.step(this.world, deltaTime);
     
     // Update Three.js meshes from Cannon bodies
     for (const [mesh, body] of this.bodies) {
-      mesh.position.copy(body.position);
-      mesh.quaternion.copy(body.quaternion);
+      if (!this.ragdolls.controls(body)) this.timestep.interpolate(body, mesh.position, mesh.quaternion);
     }
+    this.ragdolls.update(deltaTime);
+    return substeps;
   }
 
   // Platformer-specific helper methods
@@ -94,6 +198,13 @@ export class PhysicsEngine {
     }
   }
 
+  applyImpulse(mesh, impulse) {
+    const body = this.bodies.get(mesh);
+    if (body) {
+      body.applyImpulse(new CANNON.Vec3(impulse.x, impulse.y, impulse.z));
+    }
+  }
+
   applyMovementForce(mesh, direction, force = 5) {
     const body = this.bodies.get(mesh);
     if (body) {
@@ -107,19 +218,87 @@ export class PhysicsEngine {
     return Math.abs(body.velocity.y) < threshold && body.position.y <= 1;
   }
 
+  // Spatial queries. Points are { x, y, z }; options are { layers, exclude, includeTriggers } and
+  // every hit is { object, body, point, normal, distance } (see src/physics/queries.js)
+  raycastClosest(from, to, options) {
+    return this.queries.raycastClosest(from, to, options);
+  }
+
+  raycastAll(from, to, options) {
+    return this.queries.raycastAll(from, to, options);
+  }
+
+  sphereCast(from, to, radius, options) {
+    return this.queries.sphereCast(from, to, radius, options);
+  }
+
+  capsuleCast(from, to, radius, height, options) {
+    return this.queries.capsuleCast(from, to, radius, height, options);
+  }
+
+  overlapSphere(center, radius, options) {
+    return this.queries.overlapSphere(center, radius, options);
+  }
+
+  overlapBox(center, halfExtents, options) {
+    return this.queries.overlapBox(center, halfExtents, options);
+  }
+
+  overlapCapsule(center, radius, height, options) {
+    return this.queries.overlapCapsule(center, radius, height, options);
+  }
+
   // Ray casting for ground detection
   raycastDown(fromPosition, distance = 2) {
-    const from = new CANNON.Vec3(fromPosition.x, fromPosition.y, fromPosition.z);
-    const to = new CANNON.Vec3(fromPosition.x, fromPosition.y - distance, fromPosition.z);
-    
-    const result = new CANNON.RaycastResult();
-    this.world.raycastClosest(from, to, {}, result);
-    
-    return result.hasHit;
+    const to = { x: fromPosition.x, y: fromPosition.y - distance, z: fromPosition.z };
+    return !!this.raycastClosest(fromPosition, to);
+  }
+
+  // Forward contact begin/end to the registered callbacks.
+  // Trigger zones (isPlatform bodies) go to platform callbacks, everything else to collision callbacks.
+  setupCollisionDetection() {
+    const handleContact = (eventType) => (event) => {
+      const { bodyA, bodyB } = event;
+      const objectA = this.meshes.get(bodyA);
+      const objectB = this.meshes.get(bodyB);
+      if (!objectA || !objectB) return;
+
+      if (bodyA.userData?.isPlatform || bodyB.userData?.isPlatform) {
+        const platform = bodyA.userData?.isPlatform ? objectA : objectB;
+        const otherObject = platform === objectA ? objectB : objectA;
+        this.platformCallbacks.forEach(callback => callback(eventType, platform, otherObject));
+      } else {
+        this.collisionCallbacks.forEach(callback => callback(eventType, objectA, objectB));
+      }
+    };
+
+    this.world.addEventListener('beginContact', handleContact('enter'));
+    this.world.addEventListener('endContact', handleContact('exit'));
+  }
+
+  addCollisionCallback(callback) {
+    this.collisionCallbacks.add(callback);
+  }
+
+  removeCollisionCallback(callback) {
+    this.collisionCallbacks.delete(callback);
+  }
+
+  addPlatformCallback(callback) {
+    this.platformCallbacks.add(callback);
+  }
+
+  removePlatformCallback(callback) {
+    this.platformCallbacks.delete(callback);
   }
 
   // Clean up
   dispose() {
+    this.ragdolls.dispose();
+    this.constraints.forEach(handle => removeConstraint(this.world, handle));
+    this.constraints = [];
+    this.platforms.dispose();
+    this.ccd.dispose();
     // Remove all bodies
     while (this.world.bodies.length > 0) {
       this.world.removeBody(this.world.bodies[0]);
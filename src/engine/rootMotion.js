@@ -0,0 +1 @@
+export { rootMotionBones, extractRootMotion } from '../../gameplayer/rootMotion.js';
@@ -1,22 +1,35 @@
 import * as THREE from 'three';
-import { PhysicsEngine } from './physics.js';
+import { PhysicsEngine, bodyOptionsFromSceneData } from './physics.js';
 import { SceneLoader } from './sceneLoader.js';
+import { parseSceneFile, getStartScene } from './sceneFormat.js';
+import { EventInterpreter } from './eventInterpreter.js';
+import { Animator } from './animator.js';
+import { AnimationEvents } from './animationEvents.js';
+import { KeyframeAnimations } from './keyframeAnimation.js';
+import { AudioManager } from '../audio/AudioManager.js';
 
 export class RuntimePlayer {
   constructor(canvas, projectData) {
     this.canvas = canvas;
-    this.projectData = projectData;
+    // Accept any known file version - older layouts are migrated here
+    this.projectData = parseSceneFile(projectData);
     this.isPlaying = false;
     this.isPaused = false;
     
     this.scene = null;
     this.camera = null;
     this.renderer = null;
-    this.physics = new PhysicsEngine();
+    this.physics = new PhysicsEngine(this.projectData.physics);
     this.sceneLoader = new SceneLoader();
   this.mixers = [];
+    this.audioManager = new AudioManager();
     this.eventInterpreter = new EventInterpreter(this);
     this.inputManager = new InputManager();
+
+    // Scene switching (LoadScene action)
+    this.currentSceneId = null;
+    this.isLoadingScene = false;
+    this.fadeOverlay = null;
     
     this.clock = new THREE.Clock();
     this.animationId = null;
@@ -43,64 +56,200 @@ export class RuntimePlayer {
     this.renderer.setSize(this.canvas.clientWidth, this.canvas.clientHeight);
     this.renderer.shadowMap.enabled = true;
 
-    // Load scene from project data
-    if (this.projectData.scenes && this.projectData.scenes.length > 0) {
-      const sceneData = this.projectData.scenes[0]; // Load first scene
+    // Audio listener follows the camera; preload the project's sounds
+    this.audioManager.attachToCamera(this.camera);
+    await this.loadAudioAssets();
+
+    // Load the start scene from project data
+    const sceneData = getStartScene(this.projectData);
+    if (sceneData) {
       await this.loadScene(sceneData);
     }
 
     // Initialize event system
-    this.eventInterpreter.initialize(this.projectData.eventSheets || []);
+    this.eventInterpreter.initialize(this.projectData.eventSheets || [], this.projectData.variables);
+  }
+
+  async loadAudioAssets() {
+    const sounds = (this.projectData.assets || []).filter(asset => asset.type === 'audio' && asset.url);
+    await Promise.all(sounds.map(asset => (
+      this.audioManager.loadSound(asset.name, asset.url).catch(() => { /* reported by AudioManager */ })
+    )));
   }
 
   async loadScene(sceneData) {
+    this.currentSceneId = sceneData.id;
+
     // Clear existing scene
     while (this.scene.children.length > 0) {
       this.scene.remove(this.scene.children[0]);
     }
 
-    // Set up lighting
-    const hemi = new THREE.HemisphereLight(0xffffff, 0x444444, 0.8);
-    this.scene.add(hemi);
-    
-    const dir = new THREE.DirectionalLight(0xffffff, 0.6);
-    dir.position.set(5, 10, 7);
-    dir.castShadow = true;
-    this.scene.add(dir);
-
-    // Load entities
-    if (sceneData.entities) {
-      for (const entityData of sceneData.entities) {
-        const entity = await this.sceneLoader.createEntity(entityData);
-        if (entity) {
-          this.scene.add(entity);
-          
-          // Add physics body if specified
-          if (entityData.physics) {
-            this.physics.addBody(entity, entityData.physics);
-          }
-          // If SceneLoader attached GLTF animations, create an AnimationMixer for runtime playback
-          try {
-            if (entity.userData && entity.userData._gltfAnimations && entity.userData._gltfAnimations.length > 0) {
-              const mixer = new THREE.AnimationMixer(entity);
-              entity.userData._gltfAnimations.forEach((clip) => {
+    const objects = sceneData.objects || [];
+
+    // Set up default lighting when the scene doesn't define its own
+    if (!objects.some(obj => obj.type === 'light')) {
+      const hemi = new THREE.HemisphereLight(0xffffff, 0x444444, 0.8);
+      this.scene.add(hemi);
+      
+      const dir = new THREE.DirectionalLight(0xffffff, 0.6);
+      dir.position.set(5, 10, 7);
+      dir.castShadow = true;
+      this.scene.add(dir);
+    }
+
+    // Load objects
+    for (const objectData of objects) {
+      const entity = await this.sceneLoader.createEntity(objectData);
+      if (entity) {
+        this.scene.add(entity);
+        
+        // Add physics body if specified (the player flag is kept for changeScene to rebuild it)
+        entity.userData.isPlayer = !!objectData.isPlayer;
+        if (objectData.physics?.enabled) {
+          this.physics.addBody(entity, bodyOptionsFromSceneData(objectData.physics, objectData.isPlayer));
+        }
+        // If SceneLoader attached GLTF animations, create an AnimationMixer for runtime playback
+        try {
+          if (entity.userData && entity.userData._gltfAnimations && entity.userData._gltfAnimations.length > 0) {
+            const mixer = new THREE.AnimationMixer(entity);
+            let clips = entity.userData._gltfAnimations;
+            if (objectData.animator) {
+              // The object's state machine picks and blends the clips (updated with the mixer)
+              entity.userData.animator = new Animator(mixer, clips, objectData.animator);
+              clips = [...entity.userData.animator.clips.values()];
+            } else {
+              clips.forEach((clip) => {
                 try { const action = mixer.clipAction(clip); action.play(); } catch (e) { /* ignore */ }
               });
+            }
+            // Footsteps and other clip markers go to the event sheets and their sounds
+            if (objectData.animationEvents?.length > 0) {
+              entity.userData.animationEvents = new AnimationEvents(mixer, clips, objectData.animationEvents, (event) => {
+                this.eventInterpreter.animationEvent(entity, event);
+              });
+            }
+            this.mixers.push(mixer);
+            console.log(`🎞️ Runtime: created mixer for ${entity.name} with ${entity.userData._gltfAnimations.length} clips`);
+          }
+          // Timeline clips, on the model's mixer when it has one (Play Animation action)
+          if (objectData.keyframeClips?.length > 0) {
+            let mixer = this.mixers.find(m => m.getRoot() === entity);
+            if (!mixer) {
+              mixer = new THREE.AnimationMixer(entity);
               this.mixers.push(mixer);
-              console.log(`🎞️ Runtime: created mixer for ${entity.name} with ${entity.userData._gltfAnimations.length} clips`);
             }
-          } catch (err) { /* ignore animation setup errors */ }
-        }
+            entity.userData.keyframes = new KeyframeAnimations(mixer, objectData.keyframeClips);
+          }
+        } catch (err) { /* ignore animation setup errors */ }
       }
     }
 
+    // Joints between the bodies just created
+    const findObject = id => this.scene.children.find(child => child.userData.sceneObjectId === id);
+    this.physics.addSceneConstraints(objects, findObject);
+    // Platforms on waypoint paths
+    this.physics.addSceneMovingPlatforms(objects, findObject);
+    // Skinned characters that can go limp (SetRagdoll action)
+    this.physics.addSceneRagdolls(objects, findObject);
+
     // Set up camera
     if (sceneData.camera) {
-      this.camera.position.set(...sceneData.camera.pos);
-      this.camera.lookAt(...sceneData.camera.target);
+      if (sceneData.camera.position) this.camera.position.set(...sceneData.camera.position);
+      if (sceneData.camera.target) this.camera.lookAt(...sceneData.camera.target);
+    }
+  }
+
+  // Switch to another scene of the project (LoadScene action).
+  // Physics, mixers and input are torn down and rebuilt; event sheets and their variables carry on.
+  // options.fade - seconds for the fade out and fade in
+  // options.persistentObject - id or name of an object (e.g. the player) moved into the new scene
+  async changeScene(sceneId, options = {}) {
+    const { fade = 0, persistentObject = null } = options;
+    const sceneData = (this.projectData.scenes || []).find(scene => scene.id === sceneId);
+    if (!sceneData) {
+      console.warn(`⚠️ LoadScene: no scene with id "${sceneId}"`);
+      return;
+    }
+    if (this.isLoadingScene) return;
+    this.isLoadingScene = true;
+
+    try {
+      // Also gets us out of the physics step / event handler that requested the change
+      await this.fadeTo(1, fade);
+
+      // Detach the persistent object so clearing the scene doesn't drop it
+      const carried = persistentObject ? this.eventInterpreter.findObject(persistentObject) : null;
+      const carriedMixers = carried ? this.mixers.filter(m => m.getRoot() === carried) : [];
+      if (carried) carried.removeFromParent();
+
+      // Tear down the old scene's runtime state
+      this.physics.dispose();
+      this.physics = new PhysicsEngine(this.projectData.physics);
+      this.mixers.forEach((m) => {
+        if (!carriedMixers.includes(m)) {
+          try { m.stopAllAction(); } catch (e) { /* ignore */ }
+        }
+      });
+      this.mixers = [...carriedMixers];
+      this.inputManager.dispose();
+      this.inputManager = new InputManager();
+
+      await this.loadScene(sceneData);
+
+      if (carried) {
+        // If the new scene has its own copy of the object, the carried one takes its place
+        const id = carried.userData.sceneObjectId;
+        const placeholder = id ? this.scene.children.find(child => child.userData.sceneObjectId === id) : null;
+        if (placeholder) {
+          carried.position.copy(placeholder.position);
+          carried.quaternion.copy(placeholder.quaternion);
+          this.physics.removeBody(placeholder);
+          this.mixers = this.mixers.filter(m => m.getRoot() !== placeholder);
+          this.scene.remove(placeholder);
+        }
+        this.scene.add(carried);
+        if (carried.userData.physics?.enabled) {
+          this.physics.addBody(carried, bodyOptionsFromSceneData(carried.userData.physics, carried.userData.isPlayer));
+        }
+      }
+
+      this.eventInterpreter.attachPhysics(this.physics);
+      this.clock.getDelta(); // don't count loading time as a frame
+      console.log(`🎬 Loaded scene: ${sceneData.name}`);
+      this.eventInterpreter.trigger('OnStart');
+    } finally {
+      this.isLoadingScene = false;
+      await this.fadeTo(0, fade);
     }
   }
 
+  // Fade a black overlay over the canvas to the given opacity
+  fadeTo(opacity, seconds) {
+    if (!this.fadeOverlay && this.canvas.parentElement) {
+      const overlay = document.createElement('div');
+      Object.assign(overlay.style, {
+        position: 'absolute',
+        inset: '0',
+        background: '#000',
+        opacity: '0',
+        pointerEvents: 'none'
+      });
+      const parent = this.canvas.parentElement;
+      if (getComputedStyle(parent).position === 'static') parent.style.position = 'relative';
+      parent.appendChild(overlay);
+      this.fadeOverlay = overlay;
+    }
+
+    return new Promise((resolve) => {
+      if (this.fadeOverlay) {
+        this.fadeOverlay.style.transition = `opacity ${seconds}s linear`;
+        this.fadeOverlay.style.opacity = String(opacity);
+      }
+      setTimeout(resolve, seconds * 1000);
+    });
+  }
+
   play() {
     if (this.isPlaying) return;
     
@@ -113,6 +262,7 @@ export class RuntimePlayer {
 
   pause() {
     this.isPaused = !this.isPaused;
+    this.eventInterpreter.setPaused(this.isPaused);
     if (this.isPaused) {
       this.clock.stop();
     } else {
@@ -120,7 +270,8 @@ export class RuntimePlayer {
     }
   }
 
-  stop() {
+  // Resets to the start scene; resolves once it has loaded and the events are wired to it
+  async stop() {
     this.isPlaying = false;
     this.isPaused = false;
     this.clock.stop();
@@ -132,7 +283,7 @@ export class RuntimePlayer {
     
     // Reset physics
     this.physics.dispose();
-    this.physics = new PhysicsEngine();
+    this.physics = new PhysicsEngine(this.projectData.physics);
     // Stop and clear runtime mixers
     try {
       this.mixers.forEach(m => { try { m.stopAllAction && m.stopAllAction(); } catch (e) {} });
@@ -140,9 +291,13 @@ export class RuntimePlayer {
     this.mixers = [];
     
     // Reload scene to reset positions
-    if (this.projectData.scenes && this.projectData.scenes.length > 0) {
-      this.loadScene(this.projectData.scenes[0]);
+    const startScene = getStartScene(this.projectData);
+    if (startScene) {
+      await this.loadScene(startScene);
     }
+
+    // Fresh variables and timers, bound to the new physics world
+    this.eventInterpreter.initialize(this.projectData.eventSheets || [], this.projectData.variables);
   }
 
   animate() {
@@ -150,140 +305,47 @@ export class RuntimePlayer {
 
     this.animationId = requestAnimationFrame(() => this.animate());
 
-    if (this.isPaused) return;
+    if (this.isPaused || this.isLoadingScene) return;
 
     const deltaTime = this.clock.getDelta();
 
-    // Update physics
-    this.physics.step(deltaTime);
-
-    // Update runtime animation mixers
+    // Update runtime animation mixers (before physics, so ragdolls blend over the animated pose)
     try {
-      this.mixers.forEach((m) => { try { m.update(deltaTime); } catch (e) { /* ignore */ } });
+      this.mixers.forEach((m) => {
+        try {
+          const { animator, animationEvents, keyframes } = m.getRoot().userData;
+          animator?.update(deltaTime);
+          m.update(deltaTime);
+          animationEvents?.update();
+          keyframes?.syncBody(this.physics);
+        } catch (e) { /* ignore */ }
+      });
     } catch (err) { /* ignore */ }
 
+    // Update physics
+    this.physics.step(deltaTime);
+
     // Process input
     this.inputManager.update();
 
-    // Trigger update events
-    this.eventInterpreter.trigger('OnUpdate', { deltaTime });
+    // Run timer and update events
+    this.eventInterpreter.update(deltaTime);
 
     // Render
     this.renderer.render(this.scene, this.camera);
   }
 
-  dispose() {
-    this.stop();
+  async dispose() {
+    await this.stop();
     this.physics.dispose();
+    this.eventInterpreter.dispose();
     this.inputManager.dispose();
+    this.audioManager.dispose();
+    this.fadeOverlay?.remove();
     this.renderer.dispose();
   }
 }
 
-class EventInterpreter {
-  constructor(runtime) {
-    this.runtime = runtime;
-    this.eventSheets = [];
-    this.listeners = new Map();
-  }
-
-  initialize(eventSheets) {
-    this.eventSheets = eventSheets;
-    this.setupEventListeners();
-  }
-
-  setupEventListeners() {
-    // Set up keyboard listeners
-    document.addEventListener('keydown', (e) => {
-      this.trigger('OnKeyPressed', { key: e.code });
-    });
-
-    document.addEventListener('keyup', (e) => {
-      this.trigger('OnKeyReleased', { key: e.code });
-    });
-  }
-
-  trigger(eventType, data = {}) {
-    this.eventSheets.forEach(sheet => {
-      sheet.events?.forEach(event => {
-        if (this.matchesCondition(event.condition, eventType, data)) {
-          this.executeAction(event.action, event.parameters, data);
-        }
-      });
-    });
-  }
-
-  matchesCondition(condition, eventType, data) {
-    if (condition.type === eventType) {
-      // Check additional parameters
-      if (condition.parameters) {
-        for (const [key, value] of Object.entries(condition.parameters)) {
-          if (data[key] !== value) return false;
-        }
-      }
-      return true;
-    }
-    return false;
-  }
-
-  executeAction(action, parameters, eventData) {
-    switch (action.type) {
-      case 'ApplyForce':
-        this.applyForce(parameters);
-        break;
-      case 'SetPosition':
-        this.setPosition(parameters);
-        break;
-      case 'SetVelocity':
-        this.setVelocity(parameters);
-        break;
-      case 'PlaySound':
-        this.playSound(parameters);
-        break;
-      case 'LoadScene':
-        this.loadScene(parameters);
-        break;
-      
-      default:
-        console.warn(`Unknown action type: ${action.type}`);
-    }
-  }
-
-  applyForce(params) {
-    const object = this.runtime.scene.getObjectByName(params.target);
-    if (object) {
-      this.runtime.physics.applyJumpForce(object, params.force);
-    }
-  }
-
-  setPosition(params) {
-    const object = this.runtime.scene.getObjectByName(params.target);
-    if (object) {
-      object.position.set(params.x, params.y, params.z);
-    }
-  }
-
-  setVelocity(params) {
-    const object = this.runtime.scene.getObjectByName(params.target);
-    if (object) {
-      const body = this.runtime.physics.bodies.get(object);
-      if (body) {
-        body.velocity.set(params.x, params.y, params.z);
-      }
-    }
-  }
-
-  playSound(params) {
-    // Implement sound playing
-    console.log('Playing sound:', params.soundId);
-  }
-
-  loadScene(params) {
-    // Implement scene loading
-    console.log('Loading scene:', params.sceneId);
-  }
-}
-
 class InputManager {
   constructor() {
     this.keys = new Set();
@@ -0,0 +1,85 @@
+import * as THREE from 'three';
+import { Animator, createAnimatorData } from './animator.js';
+import { AnimationEvents } from './animationEvents.js';
+import { KeyframeAnimations } from './keyframeAnimation.js';
+import { createCharacterSettings } from '../physics/character.js';
+
+// The AnimationClips of an object loaded by the viewport (its userData.actions, by clip name)
+export function objectClips(object) {
+  return Object.values(object?.userData?.actions || {}).map(action => action.getClip());
+}
+
+// Start an Animator for every animated object in play mode: from its `animator` data, or for the
+// player a locomotion animator made from its clips. Each one is kept in userData.animator, where
+// the viewport updates it and the character controller sets its parameters. Objects with
+// `animationEvents` get an AnimationEvents in userData.animationEvents that calls
+// onAnimationEvent(object, event) for every marker their clips pass.
+export function startSceneAnimators(scene, objects, onAnimationEvent = () => {}) {
+  let started = 0;
+  objects.forEach((objectData, uuid) => {
+    const hasEvents = objectData.animationEvents?.length > 0;
+    if (!objectData.animator && !objectData.isPlayer && !hasEvents) return;
+    const object = scene.getObjectByProperty('uuid', uuid);
+    const mixer = object?.userData.mixer;
+    const clips = objectClips(object);
+    if (!mixer || clips.length === 0) return;
+
+    if (objectData.animator || objectData.isPlayer) {
+      const settings = createCharacterSettings(objectData.characterSettings);
+      const data = objectData.animator || createAnimatorData(clips.map(clip => clip.name), {
+        walkSpeed: settings.moveSpeed,
+        runSpeed: settings.runSpeed
+      });
+      object.userData.animator = new Animator(mixer, clips, data);
+      console.log(`🎞️ Animator: ${object.name} (${data.states.length} states, starts in ${object.userData.animator.stateName})`);
+      started++;
+    }
+    if (hasEvents) {
+      // The animator plays in-place copies of the clips with root motion on
+      const played = object.userData.animator ? [...object.userData.animator.clips.values()] : clips;
+      object.userData.animationEvents = new AnimationEvents(mixer, played, objectData.animationEvents, event => onAnimationEvent(object, event));
+    }
+  });
+  return started;
+}
+
+// Start the timeline clips (`keyframeClips`) of every object that has them in play mode, kept in
+// userData.keyframes for the Play Animation action. Objects without a model mixer get one in
+// userData.mixer, where the viewport updates it.
+export function startSceneKeyframes(scene, objects) {
+  let started = 0;
+  objects.forEach((objectData, uuid) => {
+    if (!objectData.keyframeClips?.length) return;
+    const object = scene.getObjectByProperty('uuid', uuid);
+    if (!object) return;
+    if (!object.userData.mixer) {
+      object.userData.mixer = new THREE.AnimationMixer(object);
+      object.userData.keyframeMixer = true;
+    }
+    object.userData.keyframes = new KeyframeAnimations(object.userData.mixer, objectData.keyframeClips);
+    started++;
+  });
+  return started;
+}
+
+// Stop the play mode animators, animation events and timeline clips; the objects go back to the
+// clips they played before and the poses they had
+export function stopSceneAnimators(scene) {
+  scene.traverse((object) => {
+    if (object.userData.keyframes) {
+      object.userData.keyframes.dispose();
+      delete object.userData.keyframes;
+      if (object.userData.keyframeMixer) {
+        delete object.userData.mixer;
+        delete object.userData.keyframeMixer;
+      }
+    }
+    if (object.userData.animationEvents) {
+      object.userData.animationEvents.dispose();
+      delete object.userData.animationEvents;
+    }
+    if (!object.userData.animator) return;
+    object.userData.animator.dispose();
+    delete object.userData.animator;
+  });
+}
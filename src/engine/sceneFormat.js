@@ -0,0 +1,169 @@
+// Editor side of the scene file format: the format itself (schema, validator, migrations) from
+// gameplayer/sceneFormat.js, and the helpers that turn sceneStore data into scene file objects.
+export {
+  SCENE_FORMAT_VERSION,
+  SCENE_SCHEMA,
+  validateScene,
+  detectFormatVersion,
+  migrateScene,
+  parseSceneFile,
+  getStartScene
+} from '../../gameplayer/sceneFormat.js';
+import { SCENE_FORMAT_VERSION } from '../../gameplayer/sceneFormat.js';
+
+const toArray = (v, fallback) => (v ? [v.x, v.y, v.z] : fallback);
+
+// Map sceneStore metadata types ('primitive', 'gltf', 'light', 'group', 'terrain', 'directionallight', ...) to format types
+function formatObjectType(data) {
+  const type = (data.type || '').toLowerCase();
+  if (type.includes('light')) return 'light';
+  if (type === 'gltf' || type === 'primitive' || type === 'terrain') return type;
+  if (type === 'mesh') return 'primitive';
+  return 'group';
+}
+
+// Convert one sceneStore objects-map entry to a scene file object.
+// threeObject is optional; when given, the live transform and geometry parameters are used.
+export function serializeEditorObject(id, data, threeObject = null) {
+  const type = formatObjectType(data);
+  const t = data.transform || {};
+
+  const out = {
+    id,
+    name: data.name || threeObject?.name || 'Unnamed Object',
+    type,
+    transform: threeObject ? {
+      position: threeObject.position.toArray(),
+      rotation: [threeObject.rotation.x, threeObject.rotation.y, threeObject.rotation.z],
+      scale: threeObject.scale.toArray()
+    } : {
+      position: toArray(t.position, [0, 0, 0]),
+      rotation: toArray(t.rotation, [0, 0, 0]),
+      scale: toArray(t.scale, [1, 1, 1])
+    }
+  };
+
+  if (type === 'primitive') {
+    out.primitive = typeof data.primitive === 'string' ? data.primitive : 'box';
+    if (threeObject?.geometry?.parameters) out.geometry = { ...threeObject.geometry.parameters };
+  }
+  if (type === 'gltf' && (data.modelPath || data.filename)) {
+    out.asset = data.modelPath || data.filename;
+  }
+  if (data.material) {
+    out.material = { ...data.material };
+  }
+  if (type === 'light') {
+    const lightType = data.lightType || (threeObject?.type || data.type || '').replace(/Light$/i, '').toLowerCase() || 'directional';
+    out.light = { lightType, ...(data.lightProps || {}) };
+  }
+  if (type === 'terrain' && data.terrain) {
+    out.terrain = { ...data.terrain };
+  }
+  if (data.physics) {
+    out.physics = { ...data.physics, enabled: !!data.physics.enabled };
+  }
+  if (data.collisionFrames && data.collisionFrames.length > 0) {
+    out.collisionFrames = data.collisionFrames.map(frame => ({ ...frame }));
+  }
+  if (data.constraints && data.constraints.length > 0) {
+    out.constraints = data.constraints.map(constraint => ({ ...constraint }));
+  }
+  if (data.movingPlatform) {
+    out.movingPlatform = { ...data.movingPlatform, waypoints: data.movingPlatform.waypoints.map(point => ({ ...point })) };
+  }
+  if (data.ragdoll) {
+    out.ragdoll = { ...data.ragdoll, parts: (data.ragdoll.parts || []).map(part => ({ ...part })) };
+  }
+  ['isPlayer', 'characterSettings', 'animator', 'animationEvents', 'keyframeClips', 'audio', 'events'].forEach((key) => {
+    if (data[key] !== undefined) out[key] = data[key];
+  });
+
+  return JSON.parse(JSON.stringify(out));
+}
+
+// Inverse of serializeEditorObject: sceneStore metadata for an object created from a scene file
+// object (pass the result to addObject together with the Three.js object).
+export function deserializeEditorObject(objectData) {
+  const [px, py, pz] = objectData.transform?.position || [0, 0, 0];
+  const metadata = {
+    name: objectData.name,
+    type: objectData.type,
+    originalPosition: { x: px, y: py, z: pz }
+  };
+
+  if (objectData.type === 'primitive') metadata.primitive = objectData.primitive || 'box';
+  if (objectData.type === 'gltf' && objectData.asset) {
+    metadata.filename = objectData.asset.split('/').pop();
+    metadata.modelPath = objectData.asset;
+  }
+  if (objectData.type === 'light') {
+    const { lightType, ...lightProps } = objectData.light || {};
+    metadata.lightType = lightType || 'directional';
+    metadata.lightProps = lightProps;
+  }
+  if (objectData.type === 'terrain' && objectData.terrain) metadata.terrain = { ...objectData.terrain };
+  if (objectData.material) metadata.material = { ...objectData.material };
+  if (objectData.physics) metadata.physics = { ...objectData.physics };
+  if (objectData.collisionFrames) metadata.collisionFrames = objectData.collisionFrames.map(frame => ({ ...frame }));
+  if (objectData.constraints) metadata.constraints = objectData.constraints.map(constraint => ({ ...constraint }));
+  if (objectData.movingPlatform) {
+    metadata.movingPlatform = { ...objectData.movingPlatform, waypoints: objectData.movingPlatform.waypoints.map(point => ({ ...point })) };
+  }
+  if (objectData.ragdoll) {
+    metadata.ragdoll = { ...objectData.ragdoll, parts: (objectData.ragdoll.parts || []).map(part => ({ ...part })) };
+  }
+  ['isPlayer', 'characterSettings', 'animator', 'animationEvents', 'keyframeClips', 'audio', 'events'].forEach((key) => {
+    if (objectData[key] !== undefined) metadata[key] = objectData[key];
+  });
+
+  return JSON.parse(JSON.stringify(metadata));
+}
+
+// Build a scene entry from the sceneStore objects map
+export function serializeEditorScene({ objects, scene = null, id = 'main', name = 'Main', camera, environment }) {
+  const sceneEntry = {
+    id,
+    name,
+    objects: Array.from(objects.entries()).map(([objectId, data]) => (
+      serializeEditorObject(objectId, data, scene?.getObjectByProperty('uuid', objectId) || null)
+    ))
+  };
+  if (camera) sceneEntry.camera = camera;
+  if (environment) sceneEntry.environment = environment;
+  return sceneEntry;
+}
+
+// List the audio library as project assets so PlaySound actions can load them.
+// Blob URLs (uploads) and generated sounds don't survive a reload and are skipped.
+// basePath rewrites the URL to a folder next to the exported scene, e.g. './assets/audio/'.
+export function serializeAudioAssets(audioLibrary, basePath = null) {
+  return Array.from(audioLibrary.entries())
+    .filter(([, entry]) => entry.url && entry.url !== 'generated' && !entry.url.startsWith('blob:'))
+    .map(([name, entry]) => ({
+      type: 'audio',
+      name,
+      url: basePath ? `${basePath}${entry.url.split('/').pop()}` : entry.url
+    }));
+}
+
+// Wrap scenes into a complete project file
+export function createProjectFile({ name, scenes, startScene, eventSheets = [], variables = {}, assets = [], physics, postProcessing }) {
+  return {
+    formatVersion: SCENE_FORMAT_VERSION,
+    generator: 'GD3D Editor',
+    project: {
+      id: (name || 'project').toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+      name: name || 'Untitled Project',
+      version: '0.1.0',
+      savedAt: new Date().toISOString()
+    },
+    startScene: startScene || scenes[0]?.id,
+    scenes,
+    eventSheets,
+    variables,
+    assets,
+    ...(physics ? { physics } : {}),
+    ...(postProcessing ? { postProcessing } : {})
+  };
+}
@@ -1,24 +1,20 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { createTerrainMesh, decodeTerrain } from './terrain.js';
 
 export class SceneLoader {
   constructor() {
     this.gltfLoader = new GLTFLoader();
   }
 
+  // sceneData is a scene entry from a (migrated) scene file - see SCENE_FORMAT.md
   async loadScene(sceneData) {
     const scene = new THREE.Scene();
-    
-    // Set up camera from scene data
-    if (sceneData.camera) {
-      const { pos, target } = sceneData.camera;
-      // Camera setup would be handled by the viewport
-    }
 
-    // Load entities
-    if (sceneData.entities) {
-      for (const entityData of sceneData.entities) {
-        const entity = await this.createEntity(entityData);
+    // Load objects
+    if (sceneData.objects) {
+      for (const objectData of sceneData.objects) {
+        const entity = await this.createEntity(objectData);
         if (entity) {
           scene.add(entity);
         }
@@ -28,8 +24,8 @@ export class SceneLoader {
     return scene;
   }
 
-  async createEntity(entityData) {
-    const { type, asset, transform, physics, name } = entityData;
+  async createEntity(objectData) {
+    const { type, asset, transform, physics, name } = objectData;
 
     let entity;
 
@@ -38,20 +34,30 @@ export class SceneLoader {
         entity = await this.loadGLTF(asset);
         break;
       case 'primitive':
-        entity = this.createPrimitive(entityData);
+        entity = this.createPrimitive(objectData);
+        break;
+      case 'light':
+        entity = this.createLight(objectData);
+        break;
+      case 'terrain':
+        entity = createTerrainMesh(decodeTerrain(objectData.terrain));
+        break;
+      case 'group':
+        entity = new THREE.Group();
         break;
       default:
-        console.warn(`Unknown entity type: ${type}`);
+        console.warn(`Unknown object type: ${type}`);
         return null;
     }
 
     if (entity) {
       entity.name = name || 'Unnamed Entity';
+      entity.userData.sceneObjectId = objectData.id;
       
       // Apply transform
       if (transform) {
-        if (transform.pos) entity.position.set(...transform.pos);
-        if (transform.rot) entity.rotation.set(...transform.rot);
+        if (transform.position) entity.position.set(...transform.position);
+        if (transform.rotation) entity.rotation.set(...transform.rotation);
         if (transform.scale) entity.scale.set(...transform.scale);
       }
 
@@ -83,62 +89,103 @@ export class SceneLoader {
     });
   }
 
-  createPrimitive(entityData) {
-    const { primitive } = entityData;
+  createPrimitive(objectData) {
+    const { primitive = 'box', geometry: params = {}, material: materialData = {} } = objectData;
     
-    let geometry, material;
+    let geometry;
 
-    switch (primitive.type) {
-      case 'box':
-        geometry = new THREE.BoxGeometry(
-          primitive.width || 1,
-          primitive.height || 1,
-          primitive.depth || 1
-        );
-        break;
+    switch (primitive) {
       case 'sphere':
-        geometry = new THREE.SphereGeometry(primitive.radius || 0.5);
+        geometry = new THREE.SphereGeometry(params.radius || 0.5, params.widthSegments || 32, params.heightSegments || 16);
+        break;
+      case 'cylinder':
+        geometry = new THREE.CylinderGeometry(
+          params.radiusTop ?? 0.5,
+          params.radiusBottom ?? 0.5,
+          params.height || 1,
+          params.radialSegments || 16
+        );
         break;
       case 'plane':
         geometry = new THREE.PlaneGeometry(
-          primitive.width || 1,
-          primitive.height || 1
+          params.width || 1,
+          params.height || 1
         );
         break;
       default:
-        geometry = new THREE.BoxGeometry(1, 1, 1);
+        // box, cube, platform and solidPlatform are all boxes
+        geometry = new THREE.BoxGeometry(
+          params.width || 1,
+          params.height || 1,
+          params.depth || 1
+        );
     }
 
-    material = new THREE.MeshStandardMaterial({
-      color: primitive.color || 0x666666
+    const material = new THREE.MeshStandardMaterial({
+      color: materialData.color ?? 0x666666,
+      metalness: materialData.metalness ?? 0,
+      roughness: materialData.roughness ?? 0.5
     });
 
-    return new THREE.Mesh(geometry, material);
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    return mesh;
+  }
+
+  createLight(objectData) {
+    const props = objectData.light || {};
+    let light;
+
+    switch (props.lightType) {
+      case 'hemisphere':
+        light = new THREE.HemisphereLight(props.skyColor ?? 0xffffff, props.groundColor ?? 0x444444, props.intensity ?? 0.8);
+        break;
+      case 'point':
+        light = new THREE.PointLight(props.color ?? 0xffffff, props.intensity ?? 1);
+        break;
+      case 'spot':
+        light = new THREE.SpotLight(props.color ?? 0xffffff, props.intensity ?? 1);
+        break;
+      case 'ambient':
+        light = new THREE.AmbientLight(props.color ?? 0xffffff, props.intensity ?? 0.4);
+        break;
+      default:
+        light = new THREE.DirectionalLight(props.color ?? 0xffffff, props.intensity ?? 0.6);
+    }
+
+    if (props.castShadow !== undefined && 'castShadow' in light) {
+      light.castShadow = props.castShadow;
+    }
+    return light;
   }
 
-  exportScene(scene) {
+  // Export a Three.js scene as a scene entry in the shared file format
+  exportScene(scene, id = 'main', name = 'Main') {
     const sceneData = {
-      entities: []
+      id,
+      name,
+      objects: []
     };
 
     scene.traverse((object) => {
       if (object.isMesh || (object.isGroup && object.name)) {
-        const entityData = {
-          id: object.uuid,
+        const objectData = {
+          id: object.userData.sceneObjectId || object.uuid,
           name: object.name,
-          type: object.userData.type || 'unknown',
+          type: object.isMesh ? 'primitive' : 'group',
           transform: {
-            pos: [object.position.x, object.position.y, object.position.z],
-            rot: [object.rotation.x, object.rotation.y, object.rotation.z],
+            position: [object.position.x, object.position.y, object.position.z],
+            rotation: [object.rotation.x, object.rotation.y, object.rotation.z],
             scale: [object.scale.x, object.scale.y, object.scale.z]
           }
         };
 
         if (object.userData.physics) {
-          entityData.physics = object.userData.physics;
+          objectData.physics = object.userData.physics;
         }
 
-        sceneData.entities.push(entityData);
+        sceneData.objects.push(objectData);
       }
     });
 
@@ -0,0 +1,15 @@
+export {
+  DEFAULT_TERRAIN,
+  TERRAIN_RESOLUTION_LIMITS,
+  DEFAULT_SPLAT_LAYERS,
+  terrainSpacing,
+  createTerrain,
+  resizeTerrain,
+  terrainHeightAt,
+  encodeTerrain,
+  decodeTerrain,
+  updateTerrainLayers,
+  updateTerrainMesh,
+  createTerrainMesh,
+  addTerrainShape
+} from '../../gameplayer/terrain.js';
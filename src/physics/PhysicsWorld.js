@@ -1,17 +1,37 @@
 import * as CANNON from 'cannon-es';
 import * as THREE from 'three';
 import { ConvexGeometry } from 'three/examples/jsm/geometries/ConvexGeometry.js';
+import { applyBroadphase, refreshBroadphase, attachTrimeshBVH } from './broadphase.js';
+import { FixedTimestep, snapBody } from './timestep.js';
+import { addCapsuleShapes } from './shapes.js';
+import { addCompoundFrames, bodyPositionForObject } from './compound.js';
+import { createConstraint, removeConstraint } from './constraints.js';
+import { PhysicsMaterialLibrary } from './materials.js';
+import { applyCollisionLayer, objectLayer } from './layers.js';
+import { PhysicsQueries } from './queries.js';
+import { MovingPlatforms } from './platforms.js';
+import { ContinuousCollision } from './ccd.js';
+import { Ragdolls } from './ragdoll.js';
+import { CharacterMotors } from './character.js';
+import { addTerrainShape } from '../engine/terrain.js';
 
 export class PhysicsWorld {
-  constructor() {
+  // options: { logger } - where body and setting messages go (console by default; pass an object
+  // with a no-op `log` to run without them, e.g. in headless tests). Warnings always use console.
+  constructor({ logger = console } = {}) {
+    this.logger = logger;
+
     // Create physics world
     this.world = new CANNON.World();
     
     // Set gravity (default: Earth gravity)
     this.world.gravity.set(0, -9.82, 0);
     
-    // Set broadphase algorithm for collision detection
-    this.world.broadphase = new CANNON.NaiveBroadphase();
+    // Set broadphase algorithm for collision detection (project setting, see setBroadphase)
+    applyBroadphase(this.world);
+    
+    // Fixed-step accumulator; rendered transforms are interpolated between physics steps
+    this.timestep = new FixedTimestep();
     
     // Allow bodies to sleep when they're not moving (optimization)
     this.world.allowSleep = true;
@@ -40,9 +60,34 @@ export class PhysicsWorld {
     );
     this.world.addContactMaterial(this.defaultContactMaterial);
     
+    // Named materials (project setting, see setMaterials) with a contact material per pair
+    this.materials = new PhysicsMaterialLibrary(this.world, this.defaultMaterial, this.defaultContactMaterial);
+    this.materials.configure();
+    
+    // Collision layer names and matrix (project setting, see setCollisionLayers)
+    this.layerSettings = undefined;
+    
+    // Raycasts, shape casts and overlaps
+    this.queries = new PhysicsQueries(this);
+    
     // Store physics bodies mapped to Three.js objects
     this.bodies = new Map();
     
+    // Joint handles from constraints.js (created for play mode)
+    this.constraints = new Set();
+    
+    // Kinematic platforms on waypoint paths (created for play mode)
+    this.platforms = new MovingPlatforms(this.world);
+    
+    // Swept-sphere checks for fast bodies that opted in with `physics.ccd`
+    this.ccd = new ContinuousCollision(this.world);
+    
+    // Skinned characters that can switch to a ragdoll (created for play mode)
+    this.ragdolls = new Ragdolls(this.world, this.timestep);
+    
+    // Kinematic character motors for player bodies (created for play mode)
+    this.motors = new CharacterMotors(this.world);
+    
     // Physics enabled flag
     this.enabled = false;
     
@@ -52,6 +97,9 @@ export class PhysicsWorld {
     // Platform event callbacks
     this.platformCallbacks = new Set();
     
+    // Collision enter/exit callbacks (event sheets)
+    this.collisionCallbacks = new Set();
+    
     // Setup collision detection for audio triggers
     this.setupCollisionDetection();
   }
@@ -59,32 +107,110 @@ export class PhysicsWorld {
   // Enable/disable physics simulation
   setEnabled(enabled) {
     this.enabled = enabled;
+    this.timestep.reset();
+  }
+  
+  // Switch the broadphase ({ broadphase: 'naive' | 'sap' | 'grid', sapAxis, gridDivisions })
+  setBroadphase(settings) {
+    applyBroadphase(this.world, settings);
+    this.logger.log(`🧮 Physics broadphase: ${this.world.broadphaseSettings.broadphase}`);
+  }
+  
+  // Change the fixed step length and per-frame step cap ({ fixedTimeStep, maxSubSteps })
+  setTimestep(settings) {
+    this.timestep.configure(settings);
+    this.logger.log(`⏱️ Physics step: ${(1 / this.timestep.fixedTimeStep).toFixed(0)} Hz, max ${this.timestep.maxSubSteps} per frame`);
+  }
+  
+  // Replace the named physics materials ({ id: { name, friction, restitution } })
+  setMaterials(definitions) {
+    this.materials.configure(definitions);
+    this.logger.log(`🧊 Physics materials: ${Object.keys(this.materials.definitions).join(', ') || 'none'}`);
+  }
+  
+  // Give an object's body a named material (unknown ids fall back to the default material)
+  setBodyMaterial(threeObject, materialId) {
+    const body = this.bodies.get(threeObject);
+    if (body) body.material = this.materials.get(materialId);
+  }
+  
+  // Replace the collision layers and matrix ({ layers, collisionMatrix }) and re-filter every body
+  setCollisionLayers(settings) {
+    this.layerSettings = { layers: settings.layers, collisionMatrix: settings.collisionMatrix };
+    this.bodies.forEach(body => applyCollisionLayer(body, this.layerSettings, body.collisionLayer));
+    this.logger.log(`🧱 Collision layers: ${(settings.layers || []).join(', ')}`);
+  }
+  
+  // Move an object's body to a named collision layer
+  setBodyLayer(threeObject, layer) {
+    const body = this.bodies.get(threeObject);
+    if (body) applyCollisionLayer(body, this.layerSettings, layer);
+  }
+  
+  // Turn continuous collision detection on or off for an object's body (radius 0: from its shape)
+  setBodyCCD(threeObject, enabled, radius = 0) {
+    const body = this.bodies.get(threeObject);
+    if (!body) return;
+    if (enabled) this.ccd.add(body, radius);
+    else this.ccd.remove(body);
+  }
+  
+  clearCCD() {
+    this.ccd.clear();
   }
   
-  // Update physics simulation
+  // Spatial queries. Points are { x, y, z }; options are { layers, exclude, includeTriggers } and
+  // every hit is { object, body, point, normal, distance } (see src/physics/queries.js)
+  raycastClosest(from, to, options) {
+    return this.queries.raycastClosest(from, to, options);
+  }
+  
+  raycastAll(from, to, options) {
+    return this.queries.raycastAll(from, to, options);
+  }
+  
+  sphereCast(from, to, radius, options) {
+    return this.queries.sphereCast(from, to, radius, options);
+  }
+  
+  capsuleCast(from, to, radius, height, options) {
+    return this.queries.capsuleCast(from, to, radius, height, options);
+  }
+  
+  overlapSphere(center, radius, options) {
+    return this.queries.overlapSphere(center, radius, options);
+  }
+  
+  overlapBox(center, halfExtents, options) {
+    return this.queries.overlapBox(center, halfExtents, options);
+  }
+  
+  overlapCapsule(center, radius, height, options) {
+    return this.queries.overlapCapsule(center, radius, height, options);
+  }
+  
+  // Update physics simulation. deltaTime is the frame time; the world advances in fixed steps.
   step(deltaTime) {
-    if (!this.enabled) return;
+    if (!this.enabled) return 0;
     
-    // Step the physics world
-    this.world.step(deltaTime);
+    const substeps = this.timestep.step(this.world, deltaTime);
     
-    // Update Three.js objects from physics bodies
+    // Update Three.js objects from physics bodies (static ones never move)
     this.bodies.forEach((body, threeObject) => {
-      if (body && threeObject && body.type !== CANNON.Body.STATIC) {
-        // Only update dynamic bodies (skip static ones)
-        // Only update if the physics body has moved significantly
-        const positionDiff = threeObject.position.distanceTo(body.position);
-        if (positionDiff > 0.001) {
-          console.log(`📍 Updating ${threeObject.name} position from Three.js(${threeObject.position.y.toFixed(2)}) to Physics(${body.position.y.toFixed(2)}) - diff: ${positionDiff.toFixed(3)}`);
-          
-          // Update position
-          threeObject.position.copy(body.position);
-          
-          // Update rotation
-          threeObject.quaternion.copy(body.quaternion);
+      if (body && threeObject && body.type !== CANNON.Body.STATIC && !this.ragdolls.controls(body)) {
+        if (this.motors.has(body)) {
+          // Characters turn themselves; their origin is at the feet, below the body's centre
+          this.timestep.interpolate(body, threeObject.position, null);
+          const offset = body.userData?.offset;
+          if (offset) threeObject.position.set(threeObject.position.x - offset.x, threeObject.position.y - offset.y, threeObject.position.z - offset.z);
+        } else {
+          this.timestep.interpolate(body, threeObject.position, threeObject.quaternion);
         }
       }
     });
+    // Ragdolled bones, after the animation mixers have posed the rest of the skeleton
+    this.ragdolls.update(deltaTime);
+    return substeps;
   }
   
   // Add physics body to an object
@@ -92,7 +218,9 @@ export class PhysicsWorld {
     const {
       type = 'box',
       mass = 1,
-      material = this.defaultMaterial,
+      physicsMaterial, // Id of a named material (setMaterials)
+      material = this.materials.get(physicsMaterial),
+      collisionLayer, // Layer name; defaults to Trigger for sensors and Player for characters
       size = { x: 1, y: 1, z: 1 },
       radius,
       height,
@@ -107,8 +235,10 @@ export class PhysicsWorld {
     
     // Create physics shape based on type
     let shape;
+    let capsule = null; // { radius, height } - capsules are several shapes, added once the body exists
     let isPlatform = false;
     let isSolidPlatform = false;
+    let terrain = null; // Heightfields are always static and added once the body exists
     
     switch (type) {
       case 'box':
@@ -131,11 +261,10 @@ export class PhysicsWorld {
         break;
       }
       case 'capsule': {
-        // Create a capsule using a combination of cylinder + spheres
+        // Cylinder + two spheres (see shapes.js); height is the full height from tip to tip
         // Use radius and height if provided, otherwise derive from size
         const capRadius = radius || Math.min(size.x, size.z) / 2;
-        const capHeight = height || size.y;
-        shape = new CANNON.Cylinder(capRadius, capRadius, capHeight, 8);
+        capsule = { radius: capRadius, height: Math.max(height || size.y, capRadius * 2) };
         break;
       }
       case 'trimesh': {
@@ -220,72 +349,58 @@ export class PhysicsWorld {
         shape = new CANNON.Box(new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2));
         isSolidPlatform = true;
         break;
-      case 'compound': {
-        // Create compound shape from multiple collision frames
-        console.log(`🔗 Creating compound shape with ${frames?.length || 0} frames`);
-        
+      case 'compound':
+        // Made of the collision frames alone, added once the body exists (see compound.js)
         if (!frames || frames.length === 0) {
           console.warn('No frames provided for compound shape, falling back to box');
           shape = new CANNON.Box(new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2));
-          break;
         }
-        
-        // Create the compound shape - we'll add child shapes after body creation
-        // Use a box that encompasses all child shapes for the main body
-        const totalBounds = frames.reduce((bounds, frame) => {
-          const frameSize = frame.size || { x: 1, y: 1, z: 1 };
-          const framePos = frame.position || { x: 0, y: 0, z: 0 };
-          return {
-            minX: Math.min(bounds.minX, framePos.x - frameSize.x/2),
-            maxX: Math.max(bounds.maxX, framePos.x + frameSize.x/2),
-            minY: Math.min(bounds.minY, framePos.y - frameSize.y/2),
-            maxY: Math.max(bounds.maxY, framePos.y + frameSize.y/2),
-            minZ: Math.min(bounds.minZ, framePos.z - frameSize.z/2),
-            maxZ: Math.max(bounds.maxZ, framePos.z + frameSize.z/2)
-          };
-        }, { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity, minZ: Infinity, maxZ: -Infinity });
-        
-        const compoundSize = {
-          x: totalBounds.maxX - totalBounds.minX,
-          y: totalBounds.maxY - totalBounds.minY,
-          z: totalBounds.maxZ - totalBounds.minZ
-        };
-        
-        shape = new CANNON.Box(new CANNON.Vec3(
-          Math.max(compoundSize.x / 2, 0.1), 
-          Math.max(compoundSize.y / 2, 0.1), 
-          Math.max(compoundSize.z / 2, 0.1)
-        ));
-        
-        console.log(`📦 Compound shape main body size: ${compoundSize.x.toFixed(2)} x ${compoundSize.y.toFixed(2)} x ${compoundSize.z.toFixed(2)}`);
-        
-        // We'll add child shapes after body creation
         break;
-      }
+      case 'heightfield':
+        // Terrain objects (see terrain.js); the heightmap comes with the options or the mesh
+        terrain = bodyOptions.terrain || threeObject.userData.terrain || null;
+        if (!terrain) {
+          console.warn('No terrain data for heightfield body, falling back to box');
+          shape = new CANNON.Box(new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2));
+        }
+        break;
       default:
         shape = new CANNON.Box(new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2));
     }
     
     // Create physics body
     const body = new CANNON.Body({
-      mass: isStatic ? 0 : (isPlatform ? 0 : isSolidPlatform ? 0 : mass), // Static or platforms have mass = 0
+      mass: isStatic || terrain ? 0 : (isPlatform ? 0 : isSolidPlatform ? 0 : mass), // Static or platforms have mass = 0
       material: material,
       shape: shape,
-      type: isStatic ? CANNON.Body.STATIC : CANNON.Body.DYNAMIC,
+      type: isStatic || terrain ? CANNON.Body.STATIC : CANNON.Body.DYNAMIC,
       isTrigger: isPlatform // Only trigger platforms are sensors
     });
+    if (capsule) addCapsuleShapes(body, capsule.radius, capsule.height);
+    if (terrain) {
+      addTerrainShape(body, terrain);
+      this.logger.log(`⛰️ Heightfield body for ${threeObject.name}: ${terrain.resolution}x${terrain.resolution} samples`);
+    }
+    
+    // Compound frames are scaled into world units. Dynamic bodies that can tip over are centred on
+    // the frames' centre of mass; characters keep their origin at the feet for the controllers.
+    if (type === 'compound' && frames?.length > 0) {
+      const worldScale = threeObject.getWorldScale(new THREE.Vector3());
+      const count = addCompoundFrames(body, frames, worldScale, { centerOfMass: body.type === CANNON.Body.DYNAMIC && !isCharacter });
+      this.logger.log(`🔗 Compound body for ${threeObject.name}: ${count} collision frame(s)`);
+    }
     
     // Debug logging for static objects
-    console.log(`🔧 Created physics body for ${threeObject.name}:`);
-    console.log(`   - isStatic: ${isStatic}`);
-    console.log(`   - mass: ${body.mass}`);
-    console.log(`   - type: ${body.type} (STATIC=${CANNON.Body.STATIC}, DYNAMIC=${CANNON.Body.DYNAMIC})`);
-    console.log(`   - Will be affected by gravity: ${body.type === CANNON.Body.DYNAMIC}`);
+    this.logger.log(`🔧 Created physics body for ${threeObject.name}:`);
+    this.logger.log(`   - isStatic: ${isStatic}`);
+    this.logger.log(`   - mass: ${body.mass}`);
+    this.logger.log(`   - type: ${body.type} (STATIC=${CANNON.Body.STATIC}, DYNAMIC=${CANNON.Body.DYNAMIC})`);
+    this.logger.log(`   - Will be affected by gravity: ${body.type === CANNON.Body.DYNAMIC}`);
     
     // Set initial position and rotation from Three.js object
-    console.log(`🔍 Setting physics body position for ${threeObject.name}:`);
-    console.log(`   - Three.js position: ${threeObject.position.x.toFixed(2)}, ${threeObject.position.y.toFixed(2)}, ${threeObject.position.z.toFixed(2)}`);
-    console.log(`   - Body type: ${type}, Size: ${JSON.stringify(size)}`);
+    this.logger.log(`🔍 Setting physics body position for ${threeObject.name}:`);
+    this.logger.log(`   - Three.js position: ${threeObject.position.x.toFixed(2)}, ${threeObject.position.y.toFixed(2)}, ${threeObject.position.z.toFixed(2)}`);
+    this.logger.log(`   - Body type: ${type}, Size: ${JSON.stringify(size)}`);
     
     body.position.copy(threeObject.position);
     
@@ -298,11 +413,12 @@ export class PhysicsWorld {
     if (isGroundObject && isStatic) {
       // Force ground planes to be perfectly horizontal (no rotation)
       body.quaternion.set(0, 0, 0, 1); // Identity quaternion = no rotation
-      console.log(`🏔️ Ground object detected - forcing horizontal orientation for ${threeObject.name}`);
+      this.logger.log(`🏔️ Ground object detected - forcing horizontal orientation for ${threeObject.name}`);
     } else {
       // Normal objects use their Three.js rotation
       body.quaternion.copy(threeObject.quaternion);
     }
+    if (body.centerOfMassOffset) bodyPositionForObject(body, threeObject.position, body.quaternion, body.position);
     
     // Apply offset for initial positioning (especially for character capsules)
     // The offset positions the physics body center relative to the object origin
@@ -314,7 +430,7 @@ export class PhysicsWorld {
       
       body.userData = body.userData || {};
       body.userData.offset = offset;
-      console.log(`   - Applied auto-detection offset: (${offset.x.toFixed(2)}, ${offset.y.toFixed(2)}, ${offset.z.toFixed(2)})`);
+      this.logger.log(`   - Applied auto-detection offset: (${offset.x.toFixed(2)}, ${offset.y.toFixed(2)}, ${offset.z.toFixed(2)})`);
     }
     
     // Apply manual frame offset if provided
@@ -322,7 +438,7 @@ export class PhysicsWorld {
       body.position.x += frameOffset.x;
       body.position.y += frameOffset.y;
       body.position.z += frameOffset.z;
-      console.log(`   - Applied manual frame offset: (${frameOffset.x.toFixed(2)}, ${frameOffset.y.toFixed(2)}, ${frameOffset.z.toFixed(2)})`);
+      this.logger.log(`   - Applied manual frame offset: (${frameOffset.x.toFixed(2)}, ${frameOffset.y.toFixed(2)}, ${frameOffset.z.toFixed(2)})`);
     }
     
     // Apply manual frame rotation if provided
@@ -335,13 +451,13 @@ export class PhysicsWorld {
       zQuat.setFromAxisAngle(new CANNON.Vec3(0, 0, 1), frameRotation.z * Math.PI / 180);
       
       body.quaternion = body.quaternion.mult(frameQuat).mult(yQuat).mult(zQuat);
-      console.log(`   - Applied manual frame rotation: (${frameRotation.x}°, ${frameRotation.y}°, ${frameRotation.z}°)`);
+      this.logger.log(`   - Applied manual frame rotation: (${frameRotation.x}°, ${frameRotation.y}°, ${frameRotation.z}°)`);
     }
     
-    console.log(`   - Body position after all offsets: (${body.position.x.toFixed(2)}, ${body.position.y.toFixed(2)}, ${body.position.z.toFixed(2)})`);
+    this.logger.log(`   - Body position after all offsets: (${body.position.x.toFixed(2)}, ${body.position.y.toFixed(2)}, ${body.position.z.toFixed(2)})`);
     
-    console.log(`   - Final physics body position: ${body.position.x.toFixed(2)}, ${body.position.y.toFixed(2)}, ${body.position.z.toFixed(2)}`);
-    console.log(`   - Body will ${body.type === CANNON.Body.STATIC ? 'NOT' : 'YES'} be affected by gravity`);
+    this.logger.log(`   - Final physics body position: ${body.position.x.toFixed(2)}, ${body.position.y.toFixed(2)}, ${body.position.z.toFixed(2)}`);
+    this.logger.log(`   - Body will ${body.type === CANNON.Body.STATIC ? 'NOT' : 'YES'} be affected by gravity`);
     
     // Add damping to regular dynamic bodies to prevent sliding
     if (!isPlatform && !isSolidPlatform && mass > 0 && !isStatic) {
@@ -350,15 +466,13 @@ export class PhysicsWorld {
       body.sleepSpeedLimit = 0.5; // Sleep when velocity is below this threshold
       body.sleepTimeLimit = 0.5;  // Time to wait before sleeping
       
-      console.log(`🎯 Added damping to dynamic body for ${threeObject.name}`);
+      this.logger.log(`🎯 Added damping to dynamic body for ${threeObject.name}`);
     }
     
     // Make platform bodies act as sensors (no collision response)
     if (isPlatform) {
       body.type = CANNON.Body.KINEMATIC; // Kinematic bodies don't respond to forces
       body.collisionResponse = false; // Disable collision response - objects pass through
-      body.material.friction = 0;
-      body.material.restitution = 0;
       
       // Store platform metadata
       body.userData = { 
@@ -367,7 +481,7 @@ export class PhysicsWorld {
         platformType: 'trigger'
       };
       
-      console.log(`🟫 Created platform body for ${threeObject.name} (trigger zone)`);
+      this.logger.log(`🟫 Created platform body for ${threeObject.name} (trigger zone)`);
     }
 
     // Respect explicit trigger option in bodyOptions
@@ -375,14 +489,12 @@ export class PhysicsWorld {
       body.type = CANNON.Body.KINEMATIC;
       body.collisionResponse = false;
       body.userData = { ...body.userData, isTrigger: true };
-      console.log(`🟡 Created trigger body for ${threeObject.name}`);
+      this.logger.log(`🟡 Created trigger body for ${threeObject.name}`);
     }
     
     // Configure solid platforms for stable platformer physics
     if (isSolidPlatform) {
       body.type = CANNON.Body.STATIC; // Static bodies never move
-      body.material.friction = 0.8; // Good grip for landing
-      body.material.restitution = 0; // No bouncing
       
       // Store solid platform metadata
       body.userData = { 
@@ -391,73 +503,29 @@ export class PhysicsWorld {
         platformType: 'solid'
       };
       
-      console.log(`🟩 Created solid platform body for ${threeObject.name} (collidable surface)`);
+      this.logger.log(`🟩 Created solid platform body for ${threeObject.name} (collidable surface)`);
     }
     
-    // Add body to world
-    this.world.addBody(body);
-    
-    // Add child shapes for compound bodies
-    if (type === 'compound' && frames && frames.length > 0) {
-      console.log(`🔗 Adding ${frames.length} child shapes to compound body`);
-      
-      frames.forEach((frame, index) => {
-        let childShape;
-        
-        // Determine world scale for the threeObject so stored local frame sizes/positions are scaled into world units
-        const worldScale = threeObject.getWorldScale ? threeObject.getWorldScale(new THREE.Vector3()) : new THREE.Vector3(1,1,1);
-
-        // Create child shape based on frame type (scale sizes into world space)
-        switch (frame.type) {
-          case 'box':
-            childShape = new CANNON.Box(new CANNON.Vec3(
-              ((frame.size?.x || 1) * worldScale.x) / 2,
-              ((frame.size?.y || 1) * worldScale.y) / 2,
-              ((frame.size?.z || 1) * worldScale.z) / 2
-            ));
-            break;
-          case 'sphere':
-            childShape = new CANNON.Sphere((frame.radius || 0.5) * Math.max(worldScale.x, worldScale.y, worldScale.z));
-            break;
-          case 'capsule':
-            // Approximate capsule with cylinder/sphere scaled by worldScale
-            childShape = new CANNON.Sphere((frame.radius || 0.5) * Math.max(worldScale.x, worldScale.z));
-            break;
-          default:
-            childShape = new CANNON.Box(new CANNON.Vec3(0.5, 0.5, 0.5));
-        }
-
-        // Child position relative to parent body (scale offset into world units)
-        const childPos = new CANNON.Vec3(
-          (frame.position?.x || 0) * worldScale.x,
-          (frame.position?.y || 0) * worldScale.y,
-          (frame.position?.z || 0) * worldScale.z
-        );
-        
-        // Child rotation
-        const childQuat = new CANNON.Quaternion();
-        if (frame.rotation) {
-          childQuat.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), (frame.rotation.x || 0) * Math.PI / 180);
-          const yQuat = new CANNON.Quaternion();
-          yQuat.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), (frame.rotation.y || 0) * Math.PI / 180);
-          const zQuat = new CANNON.Quaternion();
-          zQuat.setFromAxisAngle(new CANNON.Vec3(0, 0, 1), (frame.rotation.z || 0) * Math.PI / 180);
-          childQuat.mult(yQuat).mult(zQuat);
-        }
-        
-        // Add child shape to body
-        body.addShape(childShape, childPos, childQuat);
-        console.log(`   ✅ Added ${frame.type} child shape ${index + 1} at (${childPos.x.toFixed(2)}, ${childPos.y.toFixed(2)}, ${childPos.z.toFixed(2)})`);
-      });
+    // Static level geometry gets a BVH over its triangles for the narrowphase and raycasts
+    if (shape instanceof CANNON.Trimesh && body.mass === 0) {
+      attachTrimeshBVH(shape);
+      this.logger.log(`🌲 Built triangle BVH for ${threeObject.name} (${shape.indices.length / 3} triangles)`);
     }
     
+    applyCollisionLayer(body, this.layerSettings, collisionLayer || objectLayer({ isTrigger: isPlatform || bodyOptions.isTrigger }, isCharacter));
+    
+    // Add body to world (starting without a previous state to interpolate from)
+    snapBody(body);
+    this.world.addBody(body);
+    refreshBroadphase(this.world);
+    
     // Store mapping
     this.bodies.set(threeObject, body);
     
     // CRITICAL: Also attach the physics body to the Three.js object's userData
     // This is needed for the character controller to find it
     threeObject.userData.physicsBody = body;
-    console.log(`🔗 Attached physics body to ${threeObject.name}.userData.physicsBody`);
+    this.logger.log(`🔗 Attached physics body to ${threeObject.name}.userData.physicsBody`);
 
     // If a collisionMesh source was provided in options, mark the threeObject userData so UI can hide/show it
     // Note: bodyOptions.collisionMesh is optional and passed from the store when creating bodies
@@ -477,13 +545,21 @@ export class PhysicsWorld {
   removeBody(threeObject) {
     const body = this.bodies.get(threeObject);
     if (body) {
+      // Joints can't outlive their bodies
+      this.constraints.forEach((handle) => {
+        if (handle.bodyA === body || handle.bodyB === body) this.removeConstraint(handle);
+      });
+      this.ragdolls.remove(threeObject);
+      this.motors.remove(body);
+      this.platforms.remove(body);
+      this.ccd.remove(body);
       this.world.removeBody(body);
       this.bodies.delete(threeObject);
       // Clean up userData reference
       if (threeObject.userData) {
         delete threeObject.userData.physicsBody;
       }
-      console.log(`🗑️ Removed physics body from ${threeObject.name}`);
+      this.logger.log(`🗑️ Removed physics body from ${threeObject.name}`);
     }
   }
   
@@ -492,6 +568,88 @@ export class PhysicsWorld {
     return this.bodies.get(threeObject);
   }
   
+  // Join two objects' bodies with constraint data from the object's `constraints` list.
+  // objectB null pins objectA to the world. Returns the handle, or null if a body is missing.
+  addConstraint(data, objectA, objectB = null) {
+    const bodyA = this.bodies.get(objectA);
+    const bodyB = objectB ? this.bodies.get(objectB) : null;
+    if (!bodyA || (objectB && !bodyB)) {
+      console.warn(`⚠️ Cannot create ${data.type} constraint for ${objectA?.name}: missing physics body`);
+      return null;
+    }
+    const handle = createConstraint(this.world, data, bodyA, bodyB);
+    if (handle) {
+      this.constraints.add(handle);
+      this.logger.log(`🔗 Added ${data.type} constraint: ${objectA.name} → ${objectB ? objectB.name : 'world'}`);
+    }
+    return handle;
+  }
+  
+  removeConstraint(handle) {
+    removeConstraint(this.world, handle);
+    this.constraints.delete(handle);
+  }
+  
+  clearConstraints() {
+    this.constraints.forEach(handle => removeConstraint(this.world, handle));
+    this.constraints.clear();
+  }
+  
+  // Move an object's body along the waypoint path in its `movingPlatform` data
+  addMovingPlatform(threeObject, data) {
+    const body = this.bodies.get(threeObject);
+    if (!body) {
+      console.warn(`⚠️ Cannot move platform ${threeObject?.name}: missing physics body`);
+      return false;
+    }
+    const added = this.platforms.add(body, data);
+    if (added) this.logger.log(`🛗 Moving platform: ${threeObject.name} (${data.waypoints.length} waypoints, ${data.mode})`);
+    return added;
+  }
+  
+  clearMovingPlatforms() {
+    this.platforms.clear();
+  }
+  
+  // Make a skinned character ragdollable with the `ragdoll` data from its object
+  addRagdoll(threeObject, data) {
+    const added = this.ragdolls.add(threeObject, this.bodies.get(threeObject), data);
+    if (added) this.logger.log(`🪆 Ragdoll: ${threeObject.name} (${this.ragdolls.characters.get(threeObject).parts.length} parts)`);
+    else console.warn(`⚠️ Cannot build ragdoll for ${threeObject?.name}: none of its bones were found`);
+    return added;
+  }
+  
+  // Switch a character between its animation (false) and its ragdoll (true).
+  // options: { blendTime, impulse: { x, y, z } }. Returns false for characters without a ragdoll.
+  setRagdoll(threeObject, active, options = {}) {
+    return this.ragdolls.setActive(threeObject, active, options);
+  }
+  
+  clearRagdolls() {
+    this.ragdolls.clear();
+  }
+  
+  // Move a character's body with a kinematic motor using its `characterSettings`. Returns the motor.
+  addCharacterMotor(threeObject, settings = {}) {
+    const body = this.bodies.get(threeObject);
+    if (!body) {
+      console.warn(`⚠️ Cannot add character motor to ${threeObject?.name}: missing physics body`);
+      return null;
+    }
+    const motor = this.motors.add(body, settings);
+    this.logger.log(`🏃 Character motor: ${threeObject.name} (capsule r ${motor.capsule.radius.toFixed(2)}, h ${motor.capsule.height.toFixed(2)})`);
+    return motor;
+  }
+  
+  getCharacterMotor(threeObject) {
+    const body = this.bodies.get(threeObject);
+    return body ? this.motors.get(body) : null;
+  }
+  
+  clearCharacterMotors() {
+    this.motors.clear();
+  }
+  
   // Set gravity
   setGravity(x, y, z) {
     this.world.gravity.set(x, y, z);
@@ -517,8 +675,11 @@ export class PhysicsWorld {
     const body = this.bodies.get(threeObject);
     if (body) {
       const cannonForce = new CANNON.Vec3(force.x, force.y, force.z);
-      const cannonPoint = worldPoint ? new CANNON.Vec3(worldPoint.x, worldPoint.y, worldPoint.z) : body.position;
-      body.applyForce(cannonForce, cannonPoint);
+      // cannon-es expects the point relative to the body's center of mass
+      const relativePoint = worldPoint
+        ? new CANNON.Vec3(worldPoint.x, worldPoint.y, worldPoint.z).vsub(body.position)
+        : new CANNON.Vec3();
+      body.applyForce(cannonForce, relativePoint);
     }
   }
   
@@ -527,8 +688,10 @@ export class PhysicsWorld {
     const body = this.bodies.get(threeObject);
     if (body) {
       const cannonImpulse = new CANNON.Vec3(impulse.x, impulse.y, impulse.z);
-      const cannonPoint = worldPoint ? new CANNON.Vec3(worldPoint.x, worldPoint.y, worldPoint.z) : body.position;
-      body.applyImpulse(cannonImpulse, cannonPoint);
+      const relativePoint = worldPoint
+        ? new CANNON.Vec3(worldPoint.x, worldPoint.y, worldPoint.z).vsub(body.position)
+        : new CANNON.Vec3();
+      body.applyImpulse(cannonImpulse, relativePoint);
     }
   }
   
@@ -565,10 +728,11 @@ export class PhysicsWorld {
   resetBodyPosition(threeObject) {
     const body = this.bodies.get(threeObject);
     if (body) {
-      body.position.copy(threeObject.position);
+      bodyPositionForObject(body, threeObject.position, threeObject.quaternion, body.position);
       body.quaternion.copy(threeObject.quaternion);
       body.velocity.set(0, 0, 0);
       body.angularVelocity.set(0, 0, 0);
+      snapBody(body);
     }
   }
 
@@ -576,10 +740,11 @@ export class PhysicsWorld {
   resetAllBodies() {
     this.bodies.forEach((body, threeObject) => {
       if (body && threeObject) {
-        body.position.copy(threeObject.position);
+        bodyPositionForObject(body, threeObject.position, threeObject.quaternion, body.position);
         body.quaternion.copy(threeObject.quaternion);
         body.velocity.set(0, 0, 0);
         body.angularVelocity.set(0, 0, 0);
+        snapBody(body);
       }
     });
   }
@@ -611,21 +776,23 @@ export class PhysicsWorld {
           const platform = platformBodyA ? objectA : objectB;
           const otherObject = platformBodyA ? objectB : objectA;
           
-          console.log(`🟫 Object ${otherObject.name} entered trigger platform ${platform.name}`);
+          this.logger.log(`🟫 Object ${otherObject.name} entered trigger platform ${platform.name}`);
           this.triggerPlatformEvent('enter', platform, otherObject);
         } else if (solidPlatformBodyA || solidPlatformBodyB) {
           // Solid platform collision - regular collision + platform event
           const platform = solidPlatformBodyA ? objectA : objectB;
           const otherObject = solidPlatformBodyA ? objectB : objectA;
           
-          console.log(`🟩 Object ${otherObject.name} landed on solid platform ${platform.name}`);
+          this.logger.log(`🟩 Object ${otherObject.name} landed on solid platform ${platform.name}`);
           this.triggerPlatformEvent('land', platform, otherObject);
           
           // Also trigger regular collision audio
           this.triggerCollisionAudio(objectA, objectB);
+          this.triggerCollisionEvent('enter', objectA, objectB);
         } else {
           // Regular collision - trigger audio
           this.triggerCollisionAudio(objectA, objectB);
+          this.triggerCollisionEvent('enter', objectA, objectB);
         }
       }
     });
@@ -653,11 +820,11 @@ export class PhysicsWorld {
           const platform = platformBodyA ? objectA : objectB;
           const otherObject = platformBodyA ? objectB : objectA;
           
-          console.log(`🟫 Object ${otherObject.name} exited trigger platform ${platform.name}`);
+          this.logger.log(`🟫 Object ${otherObject.name} exited trigger platform ${platform.name}`);
           this.triggerPlatformEvent('exit', platform, otherObject);
+        } else {
+          this.triggerCollisionEvent('exit', objectA, objectB);
         }
-        
-        // Note: Solid platforms don't need exit events since objects don't pass through them
       }
     });
   }
@@ -674,6 +841,17 @@ export class PhysicsWorld {
     });
   }
 
+  // Trigger collision enter/exit events
+  triggerCollisionEvent(eventType, objectA, objectB) {
+    this.collisionCallbacks.forEach(callback => {
+      try {
+        callback(eventType, objectA, objectB);
+      } catch (error) {
+        console.error('Error in collision callback:', error);
+      }
+    });
+  }
+
   // Trigger platform events (enter/exit)
   triggerPlatformEvent(eventType, platform, object) {
     // Notify platform callbacks
@@ -705,4 +883,14 @@ export class PhysicsWorld {
   removePlatformCallback(callback) {
     this.platformCallbacks.delete(callback);
   }
-}
\ No newline at end of file
+
+  // Register collision enter/exit callback
+  addCollisionCallback(callback) {
+    this.collisionCallbacks.add(callback);
+  }
+
+  // Remove collision enter/exit callback
+  removeCollisionCallback(callback) {
+    this.collisionCallbacks.delete(callback);
+  }
+}
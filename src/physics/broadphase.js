@@ -0,0 +1,8 @@
+export {
+  BROADPHASE_TYPES,
+  DEFAULT_PHYSICS_SETTINGS,
+  applyBroadphase,
+  refreshBroadphase,
+  TrimeshBVH,
+  attachTrimeshBVH
+} from '../../gameplayer/physicsBroadphase.js';
@@ -0,0 +1 @@
+export { defaultCCDRadius, ContinuousCollision } from '../../gameplayer/physicsCCD.js';
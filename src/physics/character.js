@@ -0,0 +1 @@
+export { CHARACTER_SETTINGS_DEFAULTS, createCharacterSettings, characterCapsule, CharacterMotor, CharacterMotors } from '../../gameplayer/physicsCharacter.js';
@@ -0,0 +1,8 @@
+export {
+  COLLISION_FRAME_TYPES,
+  frameOrientation,
+  framesCenterOfMass,
+  addFrameShapes,
+  addCompoundFrames,
+  bodyPositionForObject
+} from '../../gameplayer/physicsCompound.js';
@@ -0,0 +1,7 @@
+export {
+  CONSTRAINT_TYPES,
+  createConstraintData,
+  createConstraint,
+  removeConstraint,
+  createSceneConstraints
+} from '../../gameplayer/physicsConstraints.js';
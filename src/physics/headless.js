@@ -0,0 +1,186 @@
+// Headless physics simulation for regression tests. A scene file is built without a renderer, its
+// bodies are created the way editor play mode creates them (sceneBodies.js) and PhysicsWorld is
+// stepped a fixed number of frames. The result is a snapshot of every body's shapes and transforms
+// as plain JSON, so it can be saved and compared against a golden copy (see
+// tests/physics-snapshots.test.mjs). Runs in Node as well as the browser.
+//
+// Snapshot: { scene, frames, fixedTimeStep, skipped: [object ids],
+//             bodies: { objectId: { name, type, mass, shapes: [{ type, offset }] } },
+//             samples: [{ frame, transforms: { objectId: [px, py, pz, qx, qy, qz, qw] } }] }
+// Frame 0 is sampled right after the bodies are created, so offset and shape changes show up
+// before any stepping happens.
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { PhysicsWorld } from './PhysicsWorld.js';
+import { DEFAULT_PHYSICS_SETTINGS } from './broadphase.js';
+import { createPlayBodies, activateMeshBodies, applyPlayPhysics } from './sceneBodies.js';
+import { SceneLoader } from '../engine/sceneLoader.js';
+import { parseSceneFile, getStartScene, deserializeEditorObject } from '../engine/sceneFormat.js';
+
+export const DEFAULT_SNAPSHOT_FRAMES = 120;
+export const DEFAULT_SNAPSHOT_TOLERANCE = 1e-3;
+
+const SILENT_LOGGER = { log: () => {} };
+
+const BODY_TYPES = {
+  [CANNON.Body.DYNAMIC]: 'dynamic',
+  [CANNON.Body.STATIC]: 'static',
+  [CANNON.Body.KINEMATIC]: 'kinematic'
+};
+
+// Snapshots are rounded so they diff cleanly and don't churn on the last few bits
+const round = value => Math.round(value * 1e4) / 1e4 || 0;
+
+const shapeName = (shape) => {
+  const entry = Object.entries(CANNON.Shape.types).find(([, type]) => type === shape.type);
+  return entry ? entry[0].toLowerCase() : String(shape.type);
+};
+
+// Build a scene entry's objects like projectStore does when opening a scene. GLTF models need
+// their files and a loader, so they are left out and reported in `skipped`.
+async function buildScene(sceneEntry, physicsWorld) {
+  const scene = new THREE.Scene();
+  const objects = new Map();
+  const skipped = [];
+  const loader = new SceneLoader();
+
+  for (const objectData of sceneEntry.objects || []) {
+    if (objectData.type === 'gltf') {
+      skipped.push(objectData.id);
+      continue;
+    }
+    const entity = await loader.createEntity(objectData);
+    if (!entity) {
+      skipped.push(objectData.id);
+      continue;
+    }
+    entity.uuid = objectData.id;
+    entity.userData.originalPosition = entity.position.clone();
+    entity.userData.originalRotation = entity.rotation.clone();
+    scene.add(entity);
+
+    // Same physics defaults as sceneStore.addObject
+    const metadata = deserializeEditorObject(objectData);
+    if (entity.type === 'Mesh') {
+      metadata.physics = { enabled: false, bodyType: 'box', mass: 1, size: { x: 1, y: 1, z: 1 }, ...metadata.physics };
+    }
+    objects.set(entity.uuid, { id: entity.uuid, ...metadata });
+  }
+
+  scene.updateMatrixWorld(true);
+  // Same ground plane as the editor viewport
+  physicsWorld.addGroundPlane(0);
+  return { scene, objects, skipped };
+}
+
+function sampleTransforms(physicsWorld) {
+  const transforms = {};
+  physicsWorld.bodies.forEach((body, threeObject) => {
+    const { position: p, quaternion: q } = body;
+    transforms[threeObject.uuid] = [p.x, p.y, p.z, q.x, q.y, q.z, q.w].map(round);
+  });
+  return transforms;
+}
+
+function describeBodies(physicsWorld) {
+  const bodies = {};
+  physicsWorld.bodies.forEach((body, threeObject) => {
+    bodies[threeObject.uuid] = {
+      name: threeObject.name,
+      type: BODY_TYPES[body.type],
+      mass: round(body.mass),
+      shapes: body.shapes.map((shape, i) => {
+        const { x, y, z } = body.shapeOffsets[i];
+        return { type: shapeName(shape), offset: [x, y, z].map(round) };
+      })
+    };
+  });
+  return bodies;
+}
+
+// Load a scene file (any supported format version), simulate it and return its snapshot.
+// options: { sceneId (default: the start scene), frames, sampleEvery (default: every 30 frames),
+//            quiet (default true: runs PhysicsWorld without its body and setting messages) }
+export async function simulateScene(sceneFile, options = {}) {
+  const { sceneId, frames = DEFAULT_SNAPSHOT_FRAMES, sampleEvery = 30, quiet = true } = options;
+  const project = parseSceneFile(sceneFile);
+  const sceneEntry = sceneId ? project.scenes.find(s => s.id === sceneId) : getStartScene(project);
+  if (!sceneEntry) throw new Error(`Scene not found: ${sceneId || project.startScene}`);
+
+  const settings = { ...DEFAULT_PHYSICS_SETTINGS, ...project.physics };
+  const physicsWorld = new PhysicsWorld({ logger: quiet ? SILENT_LOGGER : console });
+  physicsWorld.setBroadphase(settings);
+  physicsWorld.setTimestep(settings);
+  physicsWorld.setMaterials(settings.materials);
+  physicsWorld.setCollisionLayers(settings);
+
+  const { scene, objects, skipped } = await buildScene(sceneEntry, physicsWorld);
+  createPlayBodies(physicsWorld, scene, objects);
+  activateMeshBodies(physicsWorld, scene, objects);
+  applyPlayPhysics(physicsWorld, scene, objects);
+  physicsWorld.setEnabled(true);
+
+  // One frame is exactly one fixed step, whatever the project's step rate
+  const h = physicsWorld.timestep.fixedTimeStep;
+  const samples = [{ frame: 0, transforms: sampleTransforms(physicsWorld) }];
+  for (let frame = 1; frame <= frames; frame++) {
+    physicsWorld.step(h);
+    if (frame % sampleEvery === 0 || frame === frames) samples.push({ frame, transforms: sampleTransforms(physicsWorld) });
+  }
+
+  return {
+    scene: sceneEntry.id,
+    frames,
+    fixedTimeStep: h,
+    skipped,
+    bodies: describeBodies(physicsWorld),
+    samples
+  };
+}
+
+// Differences between a golden snapshot and a new one, as readable lines (empty when they match).
+// Transforms may differ by up to `tolerance` per component.
+export function compareSnapshots(expected, actual, tolerance = DEFAULT_SNAPSHOT_TOLERANCE) {
+  const differences = [];
+  ['scene', 'frames', 'fixedTimeStep'].forEach((key) => {
+    if (expected[key] !== actual[key]) differences.push(`${key}: expected ${expected[key]}, got ${actual[key]}`);
+  });
+
+  const label = id => `${expected.bodies[id]?.name || actual.bodies[id]?.name || id} (${id})`;
+  Object.keys(expected.bodies).forEach((id) => {
+    const before = expected.bodies[id];
+    const after = actual.bodies[id];
+    if (!after) {
+      differences.push(`${label(id)}: body missing`);
+      return;
+    }
+    if (before.type !== after.type) differences.push(`${label(id)}: type ${before.type} → ${after.type}`);
+    if (before.mass !== after.mass) differences.push(`${label(id)}: mass ${before.mass} → ${after.mass}`);
+    if (JSON.stringify(before.shapes) !== JSON.stringify(after.shapes)) {
+      differences.push(`${label(id)}: shapes ${JSON.stringify(before.shapes)} → ${JSON.stringify(after.shapes)}`);
+    }
+  });
+  Object.keys(actual.bodies).forEach((id) => {
+    if (!expected.bodies[id]) differences.push(`${label(id)}: unexpected body`);
+  });
+
+  // Only the first frame a body drifts is reported, later ones follow from it
+  const drifted = new Set();
+  expected.samples.forEach(({ frame, transforms }) => {
+    const sample = actual.samples.find(s => s.frame === frame);
+    if (!sample) {
+      differences.push(`frame ${frame}: not sampled`);
+      return;
+    }
+    Object.entries(transforms).forEach(([id, before]) => {
+      const after = sample.transforms[id];
+      if (!after || drifted.has(id)) return;
+      const delta = Math.max(...before.map((value, i) => Math.abs(value - after[i])));
+      if (delta > tolerance) {
+        drifted.add(id);
+        differences.push(`${label(id)}: frame ${frame} transform [${before.join(', ')}] → [${after.join(', ')}]`);
+      }
+    });
+  });
+  return differences;
+}
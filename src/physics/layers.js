@@ -0,0 +1,10 @@
+export {
+  MAX_COLLISION_LAYERS,
+  DEFAULT_COLLISION_LAYERS,
+  DEFAULT_COLLISION_MATRIX,
+  layerBit,
+  layersMask,
+  layerMask,
+  objectLayer,
+  applyCollisionLayer
+} from '../../gameplayer/physicsLayers.js';
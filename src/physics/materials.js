@@ -0,0 +1,5 @@
+export {
+  DEFAULT_PHYSICS_MATERIALS,
+  combineMaterials,
+  PhysicsMaterialLibrary
+} from '../../gameplayer/physicsMaterials.js';
@@ -0,0 +1,8 @@
+export {
+  PLATFORM_PATH_MODES,
+  PLATFORM_EASINGS,
+  createMovingPlatformData,
+  platformOffsetAt,
+  takePlatformCarry,
+  MovingPlatforms
+} from '../../gameplayer/physicsPlatforms.js';
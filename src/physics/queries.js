@@ -0,0 +1,72 @@
+// Spatial queries (raycasts, sphere/capsule casts, overlaps) from gameplayer/physicsQueries.js.
+// PhysicsQueries wraps them for the editor's PhysicsWorld and the RuntimePlayer's PhysicsEngine:
+// layers are given by name, objects instead of bodies are excluded, and every hit also carries the
+// Three.js `object` it belongs to.
+import * as queries from '../../gameplayer/physicsQueries.js';
+import { layersMask } from './layers.js';
+
+export {
+  raycastClosest,
+  raycastAll,
+  sphereCast,
+  capsuleCast,
+  overlapSphere,
+  overlapBox,
+  overlapCapsule
+} from '../../gameplayer/physicsQueries.js';
+
+export class PhysicsQueries {
+  // physics is a PhysicsWorld or PhysicsEngine: { world, bodies: Map<object, body>, layerSettings }
+  constructor(physics) {
+    this.physics = physics;
+  }
+
+  // Query options: { layers: ['World', ...] (all when omitted), exclude: [objects or bodies], includeTriggers }
+  options({ layers, exclude = [], includeTriggers = false } = {}) {
+    return {
+      mask: layersMask(this.physics.layerSettings, layers),
+      exclude: exclude.map(item => this.physics.bodies.get(item) || item),
+      includeTriggers
+    };
+  }
+
+  withObject(hit) {
+    if (!hit) return null;
+    let object = null;
+    this.physics.bodies.forEach((body, threeObject) => {
+      if (body === hit.body) object = threeObject;
+    });
+    return { ...hit, object };
+  }
+
+  raycastClosest(from, to, options) {
+    return this.withObject(queries.raycastClosest(this.physics.world, from, to, this.options(options)));
+  }
+
+  raycastAll(from, to, options) {
+    return queries.raycastAll(this.physics.world, from, to, this.options(options)).map(hit => this.withObject(hit));
+  }
+
+  sphereCast(from, to, radius, options) {
+    return this.withObject(queries.sphereCast(this.physics.world, from, to, radius, this.options(options)));
+  }
+
+  // options.quaternion tilts the capsule (upright when omitted)
+  capsuleCast(from, to, radius, height, options = {}) {
+    return this.withObject(queries.capsuleCast(this.physics.world, from, to, radius, height, options.quaternion, this.options(options)));
+  }
+
+  overlapSphere(center, radius, options) {
+    return queries.overlapSphere(this.physics.world, center, radius, this.options(options)).map(hit => this.withObject(hit));
+  }
+
+  // options.quaternion rotates the box (axis-aligned when omitted)
+  overlapBox(center, halfExtents, options = {}) {
+    return queries.overlapBox(this.physics.world, center, halfExtents, options.quaternion, this.options(options)).map(hit => this.withObject(hit));
+  }
+
+  // options.quaternion tilts the capsule (upright when omitted)
+  overlapCapsule(center, radius, height, options = {}) {
+    return queries.overlapCapsule(this.physics.world, center, radius, height, options.quaternion, this.options(options)).map(hit => this.withObject(hit));
+  }
+}
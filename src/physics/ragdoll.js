@@ -0,0 +1,474 @@
+// Ragdolls for skinned characters, used by the editor's PhysicsWorld and the RuntimePlayer's
+// PhysicsEngine. Editor-only: the exported game player has no event sheets to switch them on.
+//
+// A ragdoll is authored per character in the scene file (`ragdoll`):
+//   { enabled, mass, blendTime, parts: [{ name, bone, endBone, parent, radius, coneAngle, twistAngle }] }
+// Every part is a capsule body from its bone to `endBone` (or a short stub along the parent part
+// when there is none), joined to its parent part with a cone-twist constraint at the bone.
+// coneAngle is how far the part may swing away from its parent and twistAngle how far it may
+// roll around itself, both in degrees and measured from the skeleton's bind pose. `mass` is the
+// whole ragdoll's mass, shared out between the parts like a human body's.
+//
+// While a character is ragdolled its own body leaves the world and the part bodies drive the
+// mapped bones; bones in between (fingers, extra spine bones) keep their animated rotation.
+// Switching on or off blends between the animated pose and the physical one over blendTime
+// seconds. The character object follows the pelvis across the ground, so it gets up where it
+// fell. Parts collide with what the character's body collided with, but not with each other.
+
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { addCapsuleShapes } from './shapes.js';
+import { snapBody } from './timestep.js';
+import { refreshBroadphase } from './broadphase.js';
+
+// Bone names per body part, compared without side, separators, case or the mixamo prefix
+const BONE_NAMES = {
+  hips: ['hips', 'pelvis', 'hip'],
+  spine: ['spine', 'spine0', 'spine1', 'spine01', 'chest'],
+  neck: ['neck', 'neck1', 'neck01'],
+  head: ['head'],
+  upperArm: ['arm', 'upperarm'],
+  foreArm: ['forearm', 'lowerarm'],
+  hand: ['hand', 'wrist'],
+  thigh: ['upleg', 'thigh', 'upperleg'],
+  shin: ['leg', 'calf', 'shin', 'lowerleg'],
+  foot: ['foot', 'ankle']
+};
+
+// The humanoid ragdoll. radius is a fraction of the character's height and mass a share of the
+// ragdoll's mass; angles are in degrees.
+export const RAGDOLL_PART_TEMPLATES = [
+  { name: 'pelvis', bone: 'hips', end: 'spine', parent: null, radius: 0.07, mass: 0.15, coneAngle: 0, twistAngle: 0 },
+  { name: 'torso', bone: 'spine', end: 'neck', parent: 'pelvis', radius: 0.075, mass: 0.3, coneAngle: 25, twistAngle: 20 },
+  { name: 'head', bone: 'head', end: null, parent: 'torso', radius: 0.055, mass: 0.08, coneAngle: 40, twistAngle: 45 },
+  { name: 'upperArmL', side: 'l', bone: 'upperArm', end: 'foreArm', parent: 'torso', radius: 0.025, mass: 0.03, coneAngle: 90, twistAngle: 45 },
+  { name: 'lowerArmL', side: 'l', bone: 'foreArm', end: 'hand', parent: 'upperArmL', radius: 0.022, mass: 0.02, coneAngle: 75, twistAngle: 10 },
+  { name: 'upperArmR', side: 'r', bone: 'upperArm', end: 'foreArm', parent: 'torso', radius: 0.025, mass: 0.03, coneAngle: 90, twistAngle: 45 },
+  { name: 'lowerArmR', side: 'r', bone: 'foreArm', end: 'hand', parent: 'upperArmR', radius: 0.022, mass: 0.02, coneAngle: 75, twistAngle: 10 },
+  { name: 'thighL', side: 'l', bone: 'thigh', end: 'shin', parent: 'pelvis', radius: 0.04, mass: 0.1, coneAngle: 60, twistAngle: 20 },
+  { name: 'shinL', side: 'l', bone: 'shin', end: 'foot', parent: 'thighL', radius: 0.032, mass: 0.05, coneAngle: 75, twistAngle: 5 },
+  { name: 'thighR', side: 'r', bone: 'thigh', end: 'shin', parent: 'pelvis', radius: 0.04, mass: 0.1, coneAngle: 60, twistAngle: 20 },
+  { name: 'shinR', side: 'r', bone: 'shin', end: 'foot', parent: 'thighR', radius: 0.032, mass: 0.05, coneAngle: 75, twistAngle: 5 }
+];
+
+const DEFAULT_MASS_SHARE = 0.05;
+const DEG = Math.PI / 180;
+const UP = new THREE.Vector3(0, 1, 0);
+
+// 'mixamorigLeftUpLeg' -> { side: 'l', key: 'upleg' }, 'thigh_R' -> { side: 'r', key: 'thigh' }
+function boneKey(name) {
+  const words = name
+    .replace(/^mixamorig:?/i, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+  let side = '';
+  const rest = words.filter((word) => {
+    if (side) return true;
+    if (word === 'left' || word === 'l') side = 'l';
+    else if (word === 'right' || word === 'r') side = 'r';
+    else return true;
+    return false;
+  });
+  return { side, key: rest.join('') };
+}
+
+// Names of the bones under root, in hierarchy order
+export function ragdollBoneNames(root) {
+  const names = [];
+  root?.traverse((object) => {
+    if (object.isBone && !names.includes(object.name)) names.push(object.name);
+  });
+  return names;
+}
+
+// Ragdoll data for a character with every field filled in, mapping its bones to the humanoid
+// template by name. Parts whose bones aren't found are left out; `parts` is empty when the
+// character has no recognisable hips.
+export function createRagdollData(root, overrides = {}) {
+  const bones = [];
+  root?.traverse((object) => {
+    if (object.isBone) bones.push({ bone: object, ...boneKey(object.name) });
+  });
+  const find = (part, side = '') => bones.find(entry => BONE_NAMES[part]?.includes(entry.key) && entry.side === side)?.bone || null;
+
+  // Radii scale with the character's height
+  root?.updateMatrixWorld(true);
+  const bounds = new THREE.Box3();
+  bones.forEach(({ bone }) => bounds.expandByPoint(bone.getWorldPosition(new THREE.Vector3())));
+  const height = bones.length > 1 ? Math.max(bounds.max.y - bounds.min.y, 0.1) : 1.8;
+
+  const parts = [];
+  RAGDOLL_PART_TEMPLATES.forEach((template) => {
+    const bone = find(template.bone, template.side);
+    // A part needs its parent part, so a missing arm drops the forearm too
+    if (!bone || (template.parent && !parts.some(part => part.name === template.parent))) return;
+    const end = template.end ? find(template.end, template.side) : null;
+    parts.push({
+      name: template.name,
+      bone: bone.name,
+      endBone: end ? end.name : null,
+      parent: template.parent,
+      radius: Math.round(template.radius * height * 1000) / 1000,
+      coneAngle: template.coneAngle,
+      twistAngle: template.twistAngle
+    });
+  });
+
+  return { enabled: true, mass: 10, blendTime: 0.3, parts, ...overrides };
+}
+
+// The parts of a ragdoll resolved against the character's bones, parents first
+function resolveParts(root, data) {
+  const bones = new Map();
+  root.traverse((object) => {
+    if (object.isBone && !bones.has(object.name)) bones.set(object.name, object);
+  });
+  // Bind pose rotations from the skins, so joint limits are measured from the same pose every time
+  const bind = new Map();
+  const matrix = new THREE.Matrix4();
+  const position = new THREE.Vector3();
+  const scale = new THREE.Vector3();
+  root.traverse((object) => {
+    if (!object.isSkinnedMesh || !object.skeleton) return;
+    object.skeleton.bones.forEach((bone, i) => {
+      if (bind.has(bone) || !object.skeleton.boneInverses[i]) return;
+      const quaternion = new THREE.Quaternion();
+      matrix.copy(object.skeleton.boneInverses[i]).invert().decompose(position, quaternion, scale);
+      bind.set(bone, quaternion);
+    });
+  });
+
+  const parts = [];
+  (data?.parts || []).forEach((def) => {
+    const bone = bones.get(def.bone);
+    if (!bone) {
+      console.warn(`⚠️ Ragdoll part ${def.name} of ${root.name}: no bone named ${def.bone}`);
+      return;
+    }
+    const template = RAGDOLL_PART_TEMPLATES.find(t => t.name === def.name);
+    parts.push({
+      def,
+      bone,
+      endBone: def.endBone ? bones.get(def.endBone) || null : null,
+      bindQuaternion: bind.get(bone) || null,
+      massShare: template ? template.mass : DEFAULT_MASS_SHARE,
+      parent: null,
+      body: null,
+      joint: null,
+      rest: new THREE.Quaternion(),
+      pose: { position: new THREE.Vector3(), quaternion: new THREE.Quaternion() }
+    });
+  });
+  parts.forEach((part) => {
+    part.parent = part.def.parent ? parts.find(other => other.def.name === part.def.parent && other !== part) || null : null;
+  });
+
+  // Parents before children (a part whose parent chain loops is treated as a root)
+  const depth = (part) => {
+    let d = 0;
+    for (let p = part.parent; p && d <= parts.length; p = p.parent) d++;
+    return d;
+  };
+  parts.forEach((part) => {
+    if (depth(part) > parts.length) part.parent = null;
+  });
+  return parts.sort((a, b) => depth(a) - depth(b));
+}
+
+const tmpMatrix = new THREE.Matrix4();
+const tmpPosition = new THREE.Vector3();
+const tmpQuaternion = new THREE.Quaternion();
+const tmpScale = new THREE.Vector3();
+const tmpLocal = new THREE.Quaternion();
+
+export class Ragdolls {
+  // timestep (optional) is the world's FixedTimestep, used to draw parts between physics steps
+  constructor(world, timestep = null) {
+    this.world = world;
+    this.timestep = timestep;
+    this.characters = new Map(); // root -> { root, body, data, parts, useBind, state }
+  }
+
+  // Make a character ragdollable. body is its own physics body (or null) and data its `ragdoll`
+  // settings. Returns false when none of the parts' bones exist.
+  add(root, body, data) {
+    if (!root || !data?.enabled) return false;
+    this.remove(root);
+    const parts = resolveParts(root, data);
+    if (parts.length === 0) return false;
+    this.characters.set(root, {
+      root,
+      body: body || null,
+      data,
+      parts,
+      useBind: parts.every(part => part.bindQuaternion),
+      state: null
+    });
+    return true;
+  }
+
+  // Put the character back together at once and forget it
+  remove(root) {
+    const character = this.characters.get(root);
+    if (!character) return;
+    if (character.state?.active) this.deactivate(character);
+    delete root.userData.ragdolled;
+    this.characters.delete(root);
+  }
+
+  clear() {
+    Array.from(this.characters.keys()).forEach(root => this.remove(root));
+  }
+
+  dispose() {
+    this.clear();
+  }
+
+  has(root) {
+    return this.characters.has(root);
+  }
+
+  isActive(root) {
+    return !!this.characters.get(root)?.state?.active;
+  }
+
+  // True while a character's own body is out of the world, replaced by its ragdoll
+  controls(body) {
+    for (const character of this.characters.values()) {
+      if (character.body === body && character.state?.active) return true;
+    }
+    return false;
+  }
+
+  // Switch a character between animated (false) and ragdoll (true).
+  // options: { blendTime (seconds, the data's blendTime when missing), impulse: { x, y, z } on the torso }
+  // Returns false for characters without a ragdoll.
+  setActive(root, active, options = {}) {
+    const character = this.characters.get(root);
+    if (!character) return false;
+    const blendTime = options.blendTime ?? character.data.blendTime ?? 0.3;
+    if (active) {
+      this.activate(character, blendTime, options.impulse);
+    } else if (character.state?.active) {
+      character.state.blendTime = Math.max(0, blendTime);
+      this.deactivate(character);
+    }
+    return true;
+  }
+
+  activate(character, blendTime, impulse) {
+    const { root, body, data, parts } = character;
+    const state = character.state || { weight: 0 };
+    character.state = state;
+    state.blendTime = Math.max(0, blendTime);
+    if (state.active) {
+      if (impulse) this.applyImpulse(character, impulse);
+      return;
+    }
+    state.active = true;
+    root.userData.ragdolled = true;
+    root.updateMatrixWorld(true);
+
+    // Parts collide with the character's layers, but not with each other
+    const group = body ? body.collisionFilterGroup : 1;
+    const mask = body ? body.collisionFilterMask & ~group : -1;
+    state.mask = mask;
+    const shareSum = parts.reduce((sum, part) => sum + part.massShare, 0) || 1;
+    const totalMass = Math.max(Number(data.mass) || 0, 0.01);
+
+    parts.forEach((part) => {
+      const { def, bone } = part;
+      bone.matrixWorld.decompose(tmpPosition, tmpQuaternion, tmpScale);
+      const start = tmpPosition.clone();
+      part.rest.copy(character.useBind ? part.bindQuaternion : tmpQuaternion);
+      // Body frames are the bones' frames turned back to the bind pose, so at rest every part
+      // has the same orientation and the joints' cone and twist axes line up
+      const bodyQuaternion = tmpQuaternion.clone().multiply(part.rest.clone().invert());
+      const radius = Math.max(Number(def.radius) || 0.05, 0.005);
+
+      const end = new THREE.Vector3();
+      if (part.endBone) {
+        part.endBone.getWorldPosition(end);
+      } else {
+        // No end bone (heads): a stub continuing the parent part, or along the bone
+        const direction = part.parent
+          ? start.clone().sub(part.parent.bone.getWorldPosition(new THREE.Vector3())).normalize()
+          : UP.clone().applyQuaternion(tmpQuaternion);
+        end.copy(start).addScaledVector(direction, radius * 2);
+      }
+      const segment = end.sub(start).applyQuaternion(bodyQuaternion.clone().invert());
+      const length = segment.length();
+      if (length < 1e-4) segment.set(0, radius, 0);
+      part.axis = new CANNON.Vec3(segment.x, segment.y, segment.z).unit();
+
+      const partBody = new CANNON.Body({
+        mass: (totalMass * part.massShare) / shareSum,
+        material: body?.material || undefined,
+        linearDamping: 0.05,
+        angularDamping: 0.4
+      });
+      const orientation = new THREE.Quaternion().setFromUnitVectors(UP, segment.clone().normalize());
+      addCapsuleShapes(
+        partBody,
+        radius,
+        Math.max(length + radius, radius * 2),
+        new CANNON.Vec3(segment.x / 2, segment.y / 2, segment.z / 2),
+        new CANNON.Quaternion(orientation.x, orientation.y, orientation.z, orientation.w)
+      );
+      partBody.position.set(start.x, start.y, start.z);
+      partBody.quaternion.set(bodyQuaternion.x, bodyQuaternion.y, bodyQuaternion.z, bodyQuaternion.w);
+      partBody.collisionFilterGroup = group;
+      partBody.collisionFilterMask = mask;
+      if (body) partBody.velocity.copy(body.velocity);
+      partBody.ragdollPart = def.name;
+      snapBody(partBody);
+      part.body = partBody;
+      part.pose.position.copy(start);
+      part.pose.quaternion.copy(bodyQuaternion);
+      this.world.addBody(partBody);
+    });
+
+    parts.forEach((part) => {
+      if (!part.parent) return;
+      const pivot = part.body.position;
+      part.joint = new CANNON.ConeTwistConstraint(part.parent.body, part.body, {
+        pivotA: part.parent.body.pointToLocalFrame(pivot),
+        pivotB: new CANNON.Vec3(),
+        axisA: part.axis,
+        axisB: part.axis,
+        angle: (Number(part.def.coneAngle) || 0) * DEG,
+        twistAngle: (Number(part.def.twistAngle) || 0) * DEG,
+        maxForce: 1e6,
+        collideConnected: false
+      });
+      this.world.addConstraint(part.joint);
+    });
+    refreshBroadphase(this.world);
+
+    // The character's own body waits outside the world, at the same offset from the object
+    const rootPosition = root.getWorldPosition(new THREE.Vector3());
+    if (body) {
+      state.bodyOffset = new THREE.Vector3(body.position.x, body.position.y, body.position.z).sub(rootPosition);
+      this.world.removeBody(body);
+    }
+
+    // The object follows the pelvis across the ground, keeping its height above it
+    const pelvis = parts[0].body.position;
+    state.followOffset = rootPosition.clone().sub(new THREE.Vector3(pelvis.x, pelvis.y, pelvis.z));
+    const ground = this.groundBelow(pelvis, mask);
+    state.groundOffset = ground === null ? null : rootPosition.y - ground;
+
+    if (impulse) this.applyImpulse(character, impulse);
+    console.log(`🪆 Ragdoll on: ${root.name} (${parts.length} parts)`);
+  }
+
+  // Back to animation: the parts leave the world and their last pose blends out
+  deactivate(character) {
+    const { root, body, parts, state } = character;
+    state.active = false;
+    parts.forEach((part) => {
+      if (part.joint) this.world.removeConstraint(part.joint);
+      if (part.body) this.world.removeBody(part.body);
+      part.joint = null;
+      part.body = null;
+    });
+
+    if (body) {
+      const position = root.getWorldPosition(new THREE.Vector3()).add(state.bodyOffset || new THREE.Vector3());
+      body.position.set(position.x, position.y, position.z);
+      body.velocity.setZero();
+      body.angularVelocity.setZero();
+      snapBody(body);
+      if (!this.world.bodies.includes(body)) this.world.addBody(body);
+      body.wakeUp();
+    }
+    console.log(`🪆 Ragdoll off: ${root.name}`);
+  }
+
+  applyImpulse(character, impulse) {
+    const target = character.parts.find(part => part.def.name === 'torso') || character.parts[0];
+    target?.body?.applyImpulse(new CANNON.Vec3(impulse.x || 0, impulse.y || 0, impulse.z || 0));
+  }
+
+  // Height of the first surface under a point the parts can collide with, or null
+  groundBelow(point, mask) {
+    const result = new CANNON.RaycastResult();
+    const to = new CANNON.Vec3(point.x, point.y - 50, point.z);
+    this.world.raycastClosest(point, to, { collisionFilterMask: mask, skipBackfaces: true }, result);
+    return result.hasHit ? result.hitPointWorld.y : null;
+  }
+
+  // Run after the physics step and after the animation mixers: pose the bones from the parts,
+  // blended with the animated pose, and move ragdolled characters along with their pelvis
+  update(deltaTime) {
+    this.characters.forEach((character) => {
+      const { state } = character;
+      if (!state) return;
+      const step = state.blendTime > 0 ? deltaTime / state.blendTime : 1;
+      state.weight = state.active ? Math.min(1, state.weight + step) : Math.max(0, state.weight - step);
+
+      if (state.active) {
+        character.parts.forEach((part) => {
+          if (this.timestep) this.timestep.interpolate(part.body, part.pose.position, part.pose.quaternion);
+          else {
+            part.pose.position.copy(part.body.position);
+            part.pose.quaternion.copy(part.body.quaternion);
+          }
+        });
+        this.follow(character);
+      }
+      this.pose(character, state.weight);
+
+      if (!state.active && state.weight <= 0) {
+        character.state = null;
+        delete character.root.userData.ragdolled;
+      }
+    });
+  }
+
+  follow(character) {
+    const { root, parts, state } = character;
+    const pelvis = parts[0].pose.position;
+    const position = pelvis.clone().add(state.followOffset);
+    const ground = state.groundOffset === null ? null : this.groundBelow(pelvis, state.mask);
+    position.y = ground === null ? root.getWorldPosition(tmpPosition).y : ground + state.groundOffset;
+    if (root.parent) root.parent.worldToLocal(position);
+    root.position.copy(position);
+  }
+
+  pose(character, weight) {
+    if (weight <= 0) return;
+    const { root, parts } = character;
+    root.updateMatrixWorld(true);
+    parts.forEach((part) => {
+      const { bone } = part;
+      if (!bone.parent) return;
+      bone.parent.matrixWorld.decompose(tmpPosition, tmpQuaternion, tmpScale);
+      // World rotation of the bone = body rotation turned forward from the bind pose
+      tmpLocal.copy(tmpQuaternion).invert().multiply(part.pose.quaternion).multiply(part.rest);
+      bone.quaternion.slerp(tmpLocal, weight);
+      if (!part.parent) {
+        tmpMatrix.copy(bone.parent.matrixWorld).invert();
+        const local = part.pose.position.clone().applyMatrix4(tmpMatrix);
+        bone.position.lerp(local, weight);
+      }
+      bone.updateMatrixWorld(true);
+    });
+  }
+
+  // Register the ragdolls of every scene file object. getObject(id) returns the loaded object
+  // and getBody(object) its physics body.
+  addSceneObjects(objects, getObject, getBody) {
+    let count = 0;
+    (objects || []).forEach((obj) => {
+      if (!obj.ragdoll?.enabled) return;
+      const root = getObject(obj.id);
+      if (!root) return;
+      if (this.add(root, getBody(root), obj.ragdoll)) count++;
+      else console.warn(`⚠️ Skipping ragdoll of ${obj.name || obj.id}: none of its bones were found`);
+    });
+    if (count > 0) console.log(`🪆 Prepared ${count} ragdoll(s)`);
+  }
+}
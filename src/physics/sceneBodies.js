@@ -0,0 +1,286 @@
+// Play-mode physics bodies for the objects in sceneStore, built the same way by playStore (editor
+// play mode) and the headless simulation in headless.js. objects is sceneStore's Map of
+// uuid -> object data and scene holds their Three.js objects. Messages go to the PhysicsWorld's logger.
+import { autoDetectCollisionShape, autoDetectCharacterCollision } from '../utils/physicsShapeDetection.js';
+
+// One compound body made of an object's collision frames (see compound.js)
+function addCompoundBody(physicsWorld, threeObject, objectData) {
+  physicsWorld.logger.log(`📋 Creating compound physics body from ${objectData.collisionFrames.length} manual collision frames for ${threeObject.name}`);
+
+  // Remove existing body if any
+  physicsWorld.removeBody(threeObject);
+
+  const mass = objectData.physics.isStatic ? 0 : (objectData.physics.mass || 1);
+
+  physicsWorld.logger.log(`🔍 Compound body physics settings for ${threeObject.name}:`);
+  physicsWorld.logger.log(`   - objectData.physics.isStatic: ${objectData.physics.isStatic}`);
+  physicsWorld.logger.log(`   - objectData.physics.mass: ${objectData.physics.mass}`);
+  physicsWorld.logger.log(`   - calculated mass: ${mass}`);
+  physicsWorld.logger.log(`   - isPlayer: ${objectData.isPlayer}`);
+
+  // Create compound body options
+  const bodyOptions = {
+    type: 'compound', // Special type for compound shapes
+    mass: mass,
+    isCharacter: objectData.isPlayer,
+    isStatic: objectData.physics.isStatic || false,
+    frames: objectData.collisionFrames // Pass all frames
+  };
+
+  physicsWorld.logger.log(`   🎯 Creating compound body with ${objectData.collisionFrames.length} frames:`, bodyOptions);
+  physicsWorld.addBody(threeObject, bodyOptions);
+}
+
+// Create the bodies of physics-enabled objects with collision frames (one compound body) or an
+// explicit `physics.autoCreate` request. Returns the number of bodies created.
+export function createPlayBodies(physicsWorld, scene, objects) {
+  let activatedCount = 0;
+
+  // Check each object in the store to see if it has physics enabled (objects is a Map)
+  objects.forEach((objectData, uuid) => {
+    if (objectData.physics && objectData.physics.enabled) {
+      physicsWorld.logger.log(`🎯 Processing object with physics enabled: ${objectData.name || 'unnamed'} (${uuid.substr(0,8)})`);
+
+      // Special logging for Soldier
+      if (objectData.name === 'Soldier' || objectData.isPlayer) {
+        physicsWorld.logger.log(`🎮 SOLDIER FOUND in store:`, {
+          name: objectData.name,
+          uuid: uuid.substr(0,8),
+          physicsEnabled: objectData.physics.enabled,
+          isPlayer: objectData.isPlayer,
+          hasCollisionFrames: !!(objectData.collisionFrames && objectData.collisionFrames.length > 0),
+          collisionFrameCount: objectData.collisionFrames?.length || 0
+        });
+      }
+      // Find the actual Three.js object in the scene
+      let threeObject = null;
+      scene.traverse((object) => {
+        if (object.uuid === uuid) {
+          threeObject = object;
+        }
+      });
+
+      if (!threeObject) {
+        console.warn(`⚠️ Could not find Three.js object for UUID: ${uuid}`);
+        return;
+      }
+
+      // If the object is a Mesh, create a body for that mesh (existing flow)
+      if (threeObject.isMesh) {
+        physicsWorld.logger.log(`Found mesh object with physics enabled: ${threeObject.name}`);
+        physicsWorld.logger.log(`   - Current mesh position BEFORE storing original: ${threeObject.position.x.toFixed(2)}, ${threeObject.position.y.toFixed(2)}, ${threeObject.position.z.toFixed(2)}`);
+
+        // Store original position BEFORE any physics modifications
+        threeObject.userData.originalPosition = threeObject.position.clone();
+        threeObject.userData.originalRotation = threeObject.rotation.clone();
+
+        physicsWorld.logger.log(`   - Stored original position: ${threeObject.userData.originalPosition.x.toFixed(2)}, ${threeObject.userData.originalPosition.y.toFixed(2)}, ${threeObject.userData.originalPosition.z.toFixed(2)}`);
+
+        physicsWorld.logger.log(`🔍 Creating physics body for ${threeObject.name}:`);
+        physicsWorld.logger.log(`   - Position: ${threeObject.position.x.toFixed(2)}, ${threeObject.position.y.toFixed(2)}, ${threeObject.position.z.toFixed(2)}`);
+        physicsWorld.logger.log(`   - Physics enabled: ${objectData.physics.enabled}`);
+        physicsWorld.logger.log(`   - Is player: ${objectData.isPlayer}`);
+        physicsWorld.logger.log(`   - Object data:`, objectData);
+
+        // Check if manual collision frames are defined
+        const hasManualFrames = objectData.collisionFrames && objectData.collisionFrames.length > 0;
+
+        if (hasManualFrames) {
+          addCompoundBody(physicsWorld, threeObject, objectData);
+          activatedCount++;
+        } else {
+          // DO NOT auto-create collision frames/bodies during Play unless explicitly requested.
+          // This prevents unexpected auto-generation when the user has manually created frames in the editor.
+          if (objectData.physics && objectData.physics.autoCreate) {
+            // Auto-create was explicitly requested via the editor UI (autoCreate: 'convex'|'trimesh')
+            let shapeInfo;
+            if (objectData.isPlayer) {
+              shapeInfo = autoDetectCharacterCollision(threeObject, physicsWorld.logger);
+              physicsWorld.logger.log(`🎮 Auto-detected CHARACTER collision (explicit autoCreate): ${shapeInfo.type}`, shapeInfo);
+            } else {
+              shapeInfo = autoDetectCollisionShape(threeObject, physicsWorld.logger);
+              physicsWorld.logger.log(`🔧 Auto-detected collision shape (explicit autoCreate): ${shapeInfo.type}`, shapeInfo);
+            }
+
+            const mass = objectData.physics.isStatic ? 0 : (objectData.physics.mass || 1);
+            const bodyOptions = {
+              type: shapeInfo.type,
+              mass: mass,
+              size: shapeInfo.size,
+              radius: shapeInfo.radius,
+              height: shapeInfo.height,
+              mesh: shapeInfo.mesh,
+              offset: shapeInfo.offset,
+              isCharacter: objectData.isPlayer,
+              isStatic: objectData.physics.isStatic || false
+            };
+
+            physicsWorld.logger.log(`🔧 Final body options (explicit):`, bodyOptions);
+            physicsWorld.removeBody(threeObject);
+            try {
+              let hasSkinned = false;
+              threeObject.traverse((c) => { if (c.isSkinnedMesh) hasSkinned = true; });
+              if (hasSkinned && bodyOptions.type === 'trimesh') {
+                physicsWorld.logger.log('⚠️ SkinnedMesh detected on', threeObject.name, '- switching trimesh -> convex for stability');
+                bodyOptions.type = 'convex';
+              }
+            } catch (err) { /* ignore */ }
+
+            physicsWorld.addBody(threeObject, bodyOptions);
+            activatedCount++;
+            physicsWorld.logger.log(`🔧 Activated physics for ${threeObject.name} (explicit autoCreate)`);
+          } else {
+            physicsWorld.logger.log(`⏭️ Skipping auto-creation of collision body for ${threeObject.name} during Play (no manual frames and no explicit autoCreate)`);
+          }
+        }
+      } else {
+        physicsWorld.logger.log(`🔍 Found non-mesh object with physics: ${threeObject.name} (type: ${threeObject.type}, constructor: ${threeObject.constructor.name})`);
+        physicsWorld.logger.log(`🔍 Object properties:`, {
+          isGroup: threeObject.isGroup,
+          isObject3D: threeObject.isObject3D,
+          type: threeObject.type,
+          children: threeObject.children?.length || 0
+        });
+        // For GLTF/group/scene roots: create a single approximation body on the root (box based on group's bounding box)
+        physicsWorld.logger.log(`Found Group/GLTF root with physics enabled: ${threeObject.name} - creating root approximation body`);
+
+        // Store original transform for the root
+        threeObject.userData.originalPosition = threeObject.position.clone ? threeObject.position.clone() : { x: threeObject.position.x, y: threeObject.position.y, z: threeObject.position.z };
+        threeObject.userData.originalRotation = threeObject.rotation ? threeObject.rotation.clone() : { x: threeObject.rotation.x, y: threeObject.rotation.y, z: threeObject.rotation.z };
+
+        // Check if manual collision frames are defined
+        const hasManualFramesGltf = objectData.collisionFrames && objectData.collisionFrames.length > 0;
+
+        if (hasManualFramesGltf) {
+          // Same compound body as meshes (and the exported game) get from their frames
+          addCompoundBody(physicsWorld, threeObject, objectData);
+          activatedCount++;
+        } else {
+          // DO NOT auto-create collision bodies for GLTF roots during Play unless explicitly requested
+          if (objectData.physics && objectData.physics.autoCreate) {
+            let shapeInfo;
+            if (objectData.isPlayer) {
+              shapeInfo = autoDetectCharacterCollision(threeObject, physicsWorld.logger);
+              physicsWorld.logger.log(`🎮 Auto-detected CHARACTER collision (GLTF explicit): ${shapeInfo.type}`, shapeInfo);
+            } else {
+              shapeInfo = autoDetectCollisionShape(threeObject, physicsWorld.logger);
+              physicsWorld.logger.log(`🔧 Auto-detected collision shape (GLTF explicit): ${shapeInfo.type}`, shapeInfo);
+            }
+
+            const mass = objectData.physics.isStatic ? 0 : (objectData.physics.mass || 1);
+            const bodyOptions = {
+              type: shapeInfo.type,
+              mass: mass,
+              size: shapeInfo.size,
+              radius: shapeInfo.radius,
+              height: shapeInfo.height,
+              mesh: shapeInfo.mesh,
+              isCharacter: objectData.isPlayer,
+              isStatic: objectData.physics.isStatic || false
+            };
+
+            physicsWorld.removeBody(threeObject);
+            if (bodyOptions.type === 'trimesh') {
+              physicsWorld.logger.log('⚠️ Group/GLTF root requested trimesh - switching to convex for stability');
+              bodyOptions.type = 'convex';
+            }
+            physicsWorld.addBody(threeObject, bodyOptions);
+            activatedCount++;
+            physicsWorld.logger.log(`🔧 Activated physics for root ${threeObject.name} (explicit autoCreate)`);
+          } else {
+            physicsWorld.logger.log(`⏭️ Skipping auto-creation for GLTF root ${threeObject.name} during Play (no manual frames and no explicit autoCreate)`);
+          }
+        }
+      }
+    }
+  });
+
+  return activatedCount;
+}
+
+// Plain `physics.bodyType` bodies for the physics-enabled meshes that don't have one yet.
+// Returns the number of bodies created.
+export function activateMeshBodies(physicsWorld, scene, objects) {
+  let activatedCount = 0;
+
+  physicsWorld.logger.log('🔍 Checking objects for physics activation:', objects.size);
+
+  objects.forEach((objectData, objectId) => {
+    physicsWorld.logger.log(`- Object ${objectData.name} (${objectId}):`);
+    physicsWorld.logger.log(`  - Type: ${objectData.type}`);
+    physicsWorld.logger.log(`  - Physics: ${JSON.stringify(objectData.physics)}`);
+
+    if (objectData.physics && objectData.physics.enabled) {
+      const threeObject = scene.getObjectByProperty('uuid', objectId);
+      physicsWorld.logger.log(`  - Found Three.js object:`, !!threeObject);
+
+      if (threeObject && threeObject.type === 'Mesh') {
+        // Check if physics body already exists
+        const existingBody = physicsWorld.getBody(threeObject);
+        physicsWorld.logger.log(`  - Existing physics body:`, !!existingBody);
+
+        if (!existingBody) {
+          // Create physics body
+          const bodyOptions = {
+            type: objectData.physics.bodyType || 'box',
+            mass: objectData.physics.mass || 1,
+            size: objectData.physics.size || { x: 1, y: 1, z: 1 },
+            isTrigger: objectData.physics.isTrigger || false,
+            isStatic: objectData.physics.isStatic || false
+          };
+          physicsWorld.addBody(threeObject, bodyOptions);
+          activatedCount++;
+          physicsWorld.logger.log(`🔧 Activated physics for ${threeObject.name || 'object'}`);
+        } else {
+          physicsWorld.logger.log(`⚠️ Physics body already exists for ${threeObject.name}`);
+        }
+      } else {
+        physicsWorld.logger.log(`❌ Three.js object not found or not a Mesh for ${objectData.name}`);
+      }
+    } else {
+      physicsWorld.logger.log(`  - Physics not enabled or not found`);
+    }
+  });
+
+  physicsWorld.logger.log(`🎯 Activated physics for ${activatedCount} objects`);
+  return activatedCount;
+}
+
+// Joints, physics materials, collision layers, CCD, moving platforms and ragdolls; call once every body exists
+export function applyPlayPhysics(physicsWorld, scene, objects) {
+  // Joints authored in PhysicsInspector, now that every body exists
+  objects.forEach((objectData, uuid) => {
+    (objectData.constraints || []).forEach((constraint) => {
+      const objectA = scene.getObjectByProperty('uuid', uuid);
+      const objectB = constraint.target ? scene.getObjectByProperty('uuid', constraint.target) : null;
+      if (objectA && (objectB || !constraint.target)) physicsWorld.addConstraint(constraint, objectA, objectB);
+    });
+  });
+  // Physics materials, collision layers and CCD picked in PhysicsInspector
+  objects.forEach((objectData, uuid) => {
+    if (!objectData.physics?.enabled) return;
+    const threeObject = scene.getObjectByProperty('uuid', uuid);
+    if (!threeObject) return;
+    if (objectData.physics.material) physicsWorld.setBodyMaterial(threeObject, objectData.physics.material);
+    if (objectData.physics.layer) physicsWorld.setBodyLayer(threeObject, objectData.physics.layer);
+    if (objectData.physics.ccd) physicsWorld.setBodyCCD(threeObject, true, objectData.physics.ccdRadius);
+  });
+  // Moving platforms follow their waypoint paths from where they are now
+  objects.forEach((objectData, uuid) => {
+    if (!objectData.physics?.enabled || !objectData.movingPlatform?.enabled) return;
+    const threeObject = scene.getObjectByProperty('uuid', uuid);
+    if (threeObject) physicsWorld.addMovingPlatform(threeObject, objectData.movingPlatform);
+  });
+  // Ragdolls wait for a SetRagdoll action; the character keeps its own body until then
+  objects.forEach((objectData, uuid) => {
+    if (!objectData.ragdoll?.enabled) return;
+    const threeObject = scene.getObjectByProperty('uuid', uuid);
+    if (threeObject) physicsWorld.addRagdoll(threeObject, objectData.ragdoll);
+  });
+  // The player walks with a kinematic character motor tuned by its character settings
+  objects.forEach((objectData, uuid) => {
+    if (!objectData.physics?.enabled || !objectData.isPlayer) return;
+    const threeObject = scene.getObjectByProperty('uuid', uuid);
+    if (threeObject) physicsWorld.addCharacterMotor(threeObject, objectData.characterSettings);
+  });
+}
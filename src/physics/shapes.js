@@ -0,0 +1,4 @@
+export {
+  capsuleFrameSize,
+  addCapsuleShapes
+} from '../../gameplayer/physicsShapes.js';
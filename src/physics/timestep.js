@@ -0,0 +1,5 @@
+export {
+  DEFAULT_TIMESTEP_SETTINGS,
+  FixedTimestep,
+  snapBody
+} from '../../gameplayer/physicsTimestep.js';
@@ -0,0 +1,120 @@
+import { create } from 'zustand';
+import { ACTION_TYPES, createCondition, defaultParameters } from '../engine/eventCatalog';
+
+let nextEventId = 1;
+const createId = (prefix) => `${prefix}-${Date.now().toString(36)}-${nextEventId++}`;
+
+// New condition→action row
+export const createEvent = () => ({
+  id: createId('event'),
+  condition: createCondition('OnStart'),
+  action: { type: 'SetPosition', parameters: defaultParameters(ACTION_TYPES.SetPosition) },
+  subEvents: []
+});
+
+// Store for the event sheets authored in the Events tab.
+// One sheet per scene object: { id, name, objectId, variables, events: [{ id, condition, action, subEvents }] }
+// where condition/action are { type, parameters } as read by the EventInterpreter.
+// Conditions can also be And/Or ({ conditions: [] }) or Not ({ condition }).
+export const useEventSheetStore = create((set, get) => ({
+  eventSheets: [],
+
+  // Initial values of project-wide variables
+  globalVariables: {},
+
+  getSheetForObject: (objectId) => {
+    return get().eventSheets.find(sheet => sheet.objectId === objectId) || null;
+  },
+
+  // Apply a change to the object's sheet, creating the sheet on first use
+  updateSheetForObject: (objectId, objectName, update) => {
+    const { eventSheets } = get();
+    const existing = eventSheets.find(sheet => sheet.objectId === objectId);
+    const sheet = existing || {
+      id: createId('sheet'),
+      name: objectName || 'Event Sheet',
+      objectId,
+      variables: {},
+      events: []
+    };
+    const updated = update(sheet);
+
+    set({
+      eventSheets: existing
+        ? eventSheets.map(s => (s === existing ? updated : s))
+        : [...eventSheets, updated]
+    });
+  },
+
+  // Add a new condition→action row to the object's sheet
+  addEvent: (objectId, objectName) => {
+    const event = createEvent();
+    get().updateSheetForObject(objectId, objectName, sheet => ({ ...sheet, events: [...sheet.events, event] }));
+    return event.id;
+  },
+
+  // Replace an event wholesale (condition trees and sub-events are edited as a whole)
+  updateEvent: (sheetId, eventId, changes) => {
+    set((state) => ({
+      eventSheets: state.eventSheets.map(sheet => (
+        sheet.id !== sheetId ? sheet : {
+          ...sheet,
+          events: sheet.events.map(event => (event.id === eventId ? { ...event, ...changes } : event))
+        }
+      ))
+    }));
+  },
+
+  removeEvent: (sheetId, eventId) => {
+    set((state) => ({
+      eventSheets: state.eventSheets
+        .map(sheet => (sheet.id === sheetId ? { ...sheet, events: sheet.events.filter(e => e.id !== eventId) } : sheet))
+        .filter(sheet => sheet.events.length > 0 || Object.keys(sheet.variables || {}).length > 0)
+    }));
+  },
+
+  // Move an event up (-1) or down (+1) - events run in sheet order
+  moveEvent: (sheetId, eventId, direction) => {
+    set((state) => ({
+      eventSheets: state.eventSheets.map((sheet) => {
+        if (sheet.id !== sheetId) return sheet;
+        const index = sheet.events.findIndex(e => e.id === eventId);
+        const target = index + direction;
+        if (index < 0 || target < 0 || target >= sheet.events.length) return sheet;
+        const events = [...sheet.events];
+        [events[index], events[target]] = [events[target], events[index]];
+        return { ...sheet, events };
+      })
+    }));
+  },
+
+  // Variables: pass value undefined to remove
+  setGlobalVariable: (name, value) => {
+    const globalVariables = { ...get().globalVariables };
+    if (value === undefined) delete globalVariables[name];
+    else globalVariables[name] = value;
+    set({ globalVariables });
+  },
+
+  setObjectVariable: (objectId, objectName, name, value) => {
+    get().updateSheetForObject(objectId, objectName, (sheet) => {
+      const variables = { ...(sheet.variables || {}) };
+      if (value === undefined) delete variables[name];
+      else variables[name] = value;
+      return { ...sheet, variables };
+    });
+  },
+
+  // Export sheets for the project file
+  exportEventSheets: () => {
+    return JSON.parse(JSON.stringify(get().eventSheets));
+  },
+
+  // Replace all sheets and global variables (project load/import)
+  importEventSheets: (eventSheets = [], globalVariables = {}) => {
+    set({
+      eventSheets: JSON.parse(JSON.stringify(eventSheets)),
+      globalVariables: { ...globalVariables }
+    });
+  }
+}));
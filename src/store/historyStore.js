@@ -0,0 +1,124 @@
+import { create } from 'zustand';
+
+// Maximum number of undo entries kept in memory
+const MAX_HISTORY = 100;
+
+// Consecutive commands with the same mergeKey inside this window collapse into one entry
+// (e.g. typing into a number field in the Inspector)
+const MERGE_WINDOW_MS = 1000;
+
+let nextCommandId = 1;
+
+// Store for the editor's undo/redo command history.
+// A command is { label, undo(), redo(), mergeKey? } - the closures restore the
+// state before/after the mutation. sceneStore records commands from its actions.
+export const useHistoryStore = create((set, get) => ({
+  undoStack: [],
+  redoStack: [],
+
+  // True while a command's undo/redo is running so the replayed actions don't record themselves
+  isApplying: false,
+
+  // Open merge group (e.g. a TransformControls drag) - every command with this key is folded into one entry
+  activeGroup: null,
+
+  // Record a command that has already been applied
+  record: (command) => {
+    const { isApplying, undoStack, activeGroup } = get();
+    if (isApplying || !command) return;
+
+    const now = Date.now();
+    const top = undoStack[undoStack.length - 1];
+    const sameKey = command.mergeKey && top && top.mergeKey === command.mergeKey;
+    const inGroup = sameKey && activeGroup && activeGroup.key === command.mergeKey && top.timestamp >= activeGroup.startedAt;
+    const inWindow = sameKey && !activeGroup && now - top.timestamp < MERGE_WINDOW_MS;
+
+    if (inGroup || inWindow) {
+      // Keep the oldest undo, take the newest redo
+      const merged = {
+        ...top,
+        label: activeGroup?.label || top.label,
+        redo: command.redo,
+        timestamp: now
+      };
+      set({ undoStack: [...undoStack.slice(0, -1), merged], redoStack: [] });
+      return;
+    }
+
+    const entry = {
+      id: nextCommandId++,
+      label: (activeGroup && activeGroup.key === command.mergeKey && activeGroup.label) || command.label || 'Edit',
+      mergeKey: command.mergeKey || null,
+      undo: command.undo,
+      redo: command.redo,
+      timestamp: now
+    };
+    set({ undoStack: [...undoStack, entry].slice(-MAX_HISTORY), redoStack: [] });
+  },
+
+  // Start folding commands with the given key into a single entry
+  beginGroup: (key, label) => {
+    set({ activeGroup: { key, label, startedAt: Date.now() } });
+  },
+
+  endGroup: () => {
+    set({ activeGroup: null });
+  },
+
+  undo: () => {
+    const { undoStack, redoStack } = get();
+    const entry = undoStack[undoStack.length - 1];
+    if (!entry) return;
+
+    set({ isApplying: true });
+    try {
+      entry.undo();
+    } catch (error) {
+      console.error(`Failed to undo "${entry.label}":`, error);
+    } finally {
+      set({
+        isApplying: false,
+        undoStack: undoStack.slice(0, -1),
+        redoStack: [...redoStack, entry]
+      });
+    }
+    console.log(`↩️ Undo: ${entry.label}`);
+  },
+
+  redo: () => {
+    const { undoStack, redoStack } = get();
+    const entry = redoStack[redoStack.length - 1];
+    if (!entry) return;
+
+    set({ isApplying: true });
+    try {
+      entry.redo();
+    } catch (error) {
+      console.error(`Failed to redo "${entry.label}":`, error);
+    } finally {
+      set({
+        isApplying: false,
+        undoStack: [...undoStack, entry],
+        redoStack: redoStack.slice(0, -1)
+      });
+    }
+    console.log(`↪️ Redo: ${entry.label}`);
+  },
+
+  // Undo or redo until the given entry is the most recent applied command
+  jumpTo: (entryId) => {
+    const { undoStack, redoStack, undo, redo } = get();
+    if (undoStack.some(e => e.id === entryId)) {
+      while (get().undoStack.length && get().undoStack[get().undoStack.length - 1].id !== entryId) undo();
+    } else if (redoStack.some(e => e.id === entryId)) {
+      while (get().redoStack.length && get().undoStack[get().undoStack.length - 1]?.id !== entryId) redo();
+    }
+  },
+
+  clear: () => {
+    set({ undoStack: [], redoStack: [], activeGroup: null });
+  },
+
+  canUndo: () => get().undoStack.length > 0,
+  canRedo: () => get().redoStack.length > 0
+}));
@@ -1,6 +1,10 @@
 import { create } from 'zustand';
 import * as THREE from 'three';
-import { autoDetectCollisionShape, autoDetectCharacterCollision } from '../utils/physicsShapeDetection';
+import { createPlayBodies, applyPlayPhysics } from '../physics/sceneBodies';
+import { EventInterpreter } from '../engine/eventInterpreter';
+import { startSceneAnimators, startSceneKeyframes, stopSceneAnimators } from '../engine/sceneAnimators';
+import { useEventSheetStore } from './eventSheetStore';
+import { useAudioStore } from './audioStore';
 
 // Store reference will be set during initialization
 let sceneStoreRef = null;
@@ -13,6 +17,9 @@ export const usePlayStore = create((set, get) => ({
   isPlaying: false,
   isPaused: false,
   
+  // Runs the authored event sheets while playing in the editor
+  eventInterpreter: null,
+  
   play: () => {
     console.log('🎮 Play mode starting - creating physics bodies first...');
     
@@ -38,190 +45,8 @@ export const usePlayStore = create((set, get) => ({
           });
         });
         
-        let activatedCount = 0;
-        
-        // Check each object in the store to see if it has physics enabled (objects is a Map)
-        objects.forEach((objectData, uuid) => {
-          if (objectData.physics && objectData.physics.enabled) {
-            console.log(`🎯 Processing object with physics enabled: ${objectData.name || 'unnamed'} (${uuid.substr(0,8)})`);
-            
-            // Special logging for Soldier
-            if (objectData.name === 'Soldier' || objectData.isPlayer) {
-              console.log(`🎮 SOLDIER FOUND in store:`, {
-                name: objectData.name,
-                uuid: uuid.substr(0,8),
-                physicsEnabled: objectData.physics.enabled,
-                isPlayer: objectData.isPlayer,
-                hasCollisionFrames: !!(objectData.collisionFrames && objectData.collisionFrames.length > 0),
-                collisionFrameCount: objectData.collisionFrames?.length || 0
-              });
-            }
-            // Find the actual Three.js object in the scene
-            let threeObject = null;
-            scene.traverse((object) => {
-              if (object.uuid === uuid) {
-                threeObject = object;
-              }
-            });
-
-            if (!threeObject) {
-              console.warn(`⚠️ Could not find Three.js object for UUID: ${uuid}`);
-              return;
-            }
-
-            // If the object is a Mesh, create a body for that mesh (existing flow)
-            if (threeObject.isMesh) {
-              console.log(`Found mesh object with physics enabled: ${threeObject.name}`);
-              console.log(`   - Current mesh position BEFORE storing original: ${threeObject.position.x.toFixed(2)}, ${threeObject.position.y.toFixed(2)}, ${threeObject.position.z.toFixed(2)}`);
-              
-              // Store original position BEFORE any physics modifications
-              threeObject.userData.originalPosition = threeObject.position.clone();
-              threeObject.userData.originalRotation = threeObject.rotation.clone();
-              
-              console.log(`   - Stored original position: ${threeObject.userData.originalPosition.x.toFixed(2)}, ${threeObject.userData.originalPosition.y.toFixed(2)}, ${threeObject.userData.originalPosition.z.toFixed(2)}`);
-
-              console.log(`🔍 Creating physics body for ${threeObject.name}:`);
-              console.log(`   - Position: ${threeObject.position.x.toFixed(2)}, ${threeObject.position.y.toFixed(2)}, ${threeObject.position.z.toFixed(2)}`);
-              console.log(`   - Physics enabled: ${objectData.physics.enabled}`);
-              console.log(`   - Is player: ${objectData.isPlayer}`);
-              console.log(`   - Object data:`, objectData);
-
-              // Check if manual collision frames are defined
-              const hasManualFrames = objectData.collisionFrames && objectData.collisionFrames.length > 0;
-
-              if (hasManualFrames) {
-                // Create a single physics body with compound shape from manual collision frames
-                console.log(`📋 Creating compound physics body from ${objectData.collisionFrames.length} manual collision frames for ${threeObject.name}`);
-                
-                // Remove existing body if any
-                physicsWorld.removeBody(threeObject);
-                
-                const mass = objectData.physics.isStatic ? 0 : (objectData.physics.mass || 1);
-                
-                console.log(`🔍 Compound body physics settings for ${threeObject.name}:`);
-                console.log(`   - objectData.physics.isStatic: ${objectData.physics.isStatic}`);
-                console.log(`   - objectData.physics.mass: ${objectData.physics.mass}`);
-                console.log(`   - calculated mass: ${mass}`);
-                console.log(`   - isPlayer: ${objectData.isPlayer}`);
-                
-                // Create compound body options
-                const bodyOptions = {
-                  type: 'compound', // Special type for compound shapes
-                  mass: mass,
-                  isCharacter: objectData.isPlayer,
-                  isStatic: objectData.physics.isStatic || false,
-                  frames: objectData.collisionFrames // Pass all frames
-                };
-                
-                console.log(`   🎯 Creating compound body with ${objectData.collisionFrames.length} frames:`, bodyOptions);
-                physicsWorld.addBody(threeObject, bodyOptions);
-                activatedCount++;
-              } else {
-                // DO NOT auto-create collision frames/bodies during Play unless explicitly requested.
-                // This prevents unexpected auto-generation when the user has manually created frames in the editor.
-                if (objectData.physics && objectData.physics.autoCreate) {
-                  // Auto-create was explicitly requested via the editor UI (autoCreate: 'convex'|'trimesh')
-                  let shapeInfo;
-                  if (objectData.isPlayer) {
-                    shapeInfo = autoDetectCharacterCollision(threeObject);
-                    console.log(`🎮 Auto-detected CHARACTER collision (explicit autoCreate): ${shapeInfo.type}`, shapeInfo);
-                  } else {
-                    shapeInfo = autoDetectCollisionShape(threeObject);
-                    console.log(`🔧 Auto-detected collision shape (explicit autoCreate): ${shapeInfo.type}`, shapeInfo);
-                  }
-
-                  const mass = objectData.physics.isStatic ? 0 : (objectData.physics.mass || 1);
-                  const bodyOptions = {
-                    type: shapeInfo.type,
-                    mass: mass,
-                    size: shapeInfo.size,
-                    radius: shapeInfo.radius,
-                    height: shapeInfo.height,
-                    mesh: shapeInfo.mesh,
-                    offset: shapeInfo.offset,
-                    isCharacter: objectData.isPlayer,
-                    isStatic: objectData.physics.isStatic || false
-                  };
-
-                  console.log(`🔧 Final body options (explicit):`, bodyOptions);
-                  physicsWorld.removeBody(threeObject);
-                  try {
-                    let hasSkinned = false;
-                    threeObject.traverse((c) => { if (c.isSkinnedMesh) hasSkinned = true; });
-                    if (hasSkinned && bodyOptions.type === 'trimesh') {
-                      console.log('⚠️ SkinnedMesh detected on', threeObject.name, '- switching trimesh -> convex for stability');
-                      bodyOptions.type = 'convex';
-                    }
-                  } catch (err) { /* ignore */ }
-
-                  physicsWorld.addBody(threeObject, bodyOptions);
-                  activatedCount++;
-                  console.log(`🔧 Activated physics for ${threeObject.name} (explicit autoCreate)`);
-                } else {
-                  console.log(`⏭️ Skipping auto-creation of collision body for ${threeObject.name} during Play (no manual frames and no explicit autoCreate)`);
-                }
-              }
-            } else {
-              console.log(`🔍 Found non-mesh object with physics: ${threeObject.name} (type: ${threeObject.type}, constructor: ${threeObject.constructor.name})`);
-              console.log(`🔍 Object properties:`, {
-                isGroup: threeObject.isGroup,
-                isObject3D: threeObject.isObject3D,
-                type: threeObject.type,
-                children: threeObject.children?.length || 0
-              });
-              // For GLTF/group/scene roots: create a single approximation body on the root (box based on group's bounding box)
-              console.log(`Found Group/GLTF root with physics enabled: ${threeObject.name} - creating root approximation body`);
-
-              // Store original transform for the root
-              threeObject.userData.originalPosition = threeObject.position.clone ? threeObject.position.clone() : { x: threeObject.position.x, y: threeObject.position.y, z: threeObject.position.z };
-              threeObject.userData.originalRotation = threeObject.rotation ? threeObject.rotation.clone() : { x: threeObject.rotation.x, y: threeObject.rotation.y, z: threeObject.rotation.z };
-
-              // Check if manual collision frames are defined
-              const hasManualFramesGltf = objectData.collisionFrames && objectData.collisionFrames.length > 0;
-
-              if (hasManualFramesGltf) {
-                // Skip auto-detection if user has manually defined collision frames
-                console.log(`📋 Using manual collision frames (${objectData.collisionFrames.length} frames) for GLTF - skipping auto-physics creation`);
-                // Don't create automatic physics body - manual frames will be used instead
-              } else {
-                // DO NOT auto-create collision bodies for GLTF roots during Play unless explicitly requested
-                if (objectData.physics && objectData.physics.autoCreate) {
-                  let shapeInfo;
-                  if (objectData.isPlayer) {
-                    shapeInfo = autoDetectCharacterCollision(threeObject);
-                    console.log(`🎮 Auto-detected CHARACTER collision (GLTF explicit): ${shapeInfo.type}`, shapeInfo);
-                  } else {
-                    shapeInfo = autoDetectCollisionShape(threeObject);
-                    console.log(`🔧 Auto-detected collision shape (GLTF explicit): ${shapeInfo.type}`, shapeInfo);
-                  }
-
-                  const mass = objectData.physics.isStatic ? 0 : (objectData.physics.mass || 1);
-                  const bodyOptions = {
-                    type: shapeInfo.type,
-                    mass: mass,
-                    size: shapeInfo.size,
-                    radius: shapeInfo.radius,
-                    height: shapeInfo.height,
-                    mesh: shapeInfo.mesh,
-                    isCharacter: objectData.isPlayer,
-                    isStatic: objectData.physics.isStatic || false
-                  };
-
-                  physicsWorld.removeBody(threeObject);
-                  if (bodyOptions.type === 'trimesh') {
-                    console.log('⚠️ Group/GLTF root requested trimesh - switching to convex for stability');
-                    bodyOptions.type = 'convex';
-                  }
-                  physicsWorld.addBody(threeObject, bodyOptions);
-                  activatedCount++;
-                  console.log(`🔧 Activated physics for root ${threeObject.name} (explicit autoCreate)`);
-                } else {
-                  console.log(`⏭️ Skipping auto-creation for GLTF root ${threeObject.name} during Play (no manual frames and no explicit autoCreate)`);
-                }
-              }
-            }
-          }
-        });
+        // Compound bodies from collision frames and explicit auto-created shapes
+        const activatedCount = createPlayBodies(physicsWorld, scene, objects);
         
         // Re-enable collision frame writes now that body creation is done
         try { sceneStore.setSuppressCollisionFrameUpdates && sceneStore.setSuppressCollisionFrameUpdates(false); } catch (err) { /* ignore */ }
@@ -231,13 +56,32 @@ export const usePlayStore = create((set, get) => ({
         try {
           sceneStore.activateAllPhysicsBodies && sceneStore.activateAllPhysicsBodies();
         } catch (err) { /* ignore */ }
+
+        // Joints, materials, layers, CCD, moving platforms and ragdolls, now that every body exists
+        applyPlayPhysics(physicsWorld, scene, objects);
         physicsWorld.setEnabled(true);
         console.log(`🎯 Activated physics for ${activatedCount} objects with physics.enabled = true`);
         console.log('🔧 Physics world enabled');
         
+        // Animator state machines for the animated objects (the player's is driven by its controller);
+        // their animation events go to the event sheets created below
+        startSceneAnimators(scene, objects, (object, event) => get().eventInterpreter?.animationEvent(object, event));
+        // Timeline clips: autoplay ones start now, the others wait for a Play Animation action
+        startSceneKeyframes(scene, objects);
+        
+        // Event sheets see the same contact events as collision audio
+        const eventInterpreter = new EventInterpreter({
+          scene,
+          physics: physicsWorld,
+          audioManager: useAudioStore.getState().audioManager
+        });
+        const { eventSheets, globalVariables } = useEventSheetStore.getState();
+        eventInterpreter.initialize(eventSheets, globalVariables);
+        
         // NOW set playing to true - after all physics bodies are created
-        set({ isPlaying: true, isPaused: false });
+        set({ isPlaying: true, isPaused: false, eventInterpreter });
         console.log('✅ Play mode fully activated - character controller can now find physics bodies');
+        eventInterpreter.trigger('OnStart');
       } else {
         console.error('Scene not available');
       }
@@ -247,9 +91,10 @@ export const usePlayStore = create((set, get) => ({
   },
   
   pause: () => {
-    const { isPlaying } = get();
+    const { isPlaying, eventInterpreter } = get();
     if (isPlaying) {
       set({ isPaused: true });
+      eventInterpreter?.setPaused(true);
       console.log('⏸️ Game paused');
       
       // Just disable physics simulation, keep bodies
@@ -263,7 +108,8 @@ export const usePlayStore = create((set, get) => ({
   },
   
   stop: () => {
-    set({ isPlaying: false, isPaused: false });
+    get().eventInterpreter?.dispose();
+    set({ isPlaying: false, isPaused: false, eventInterpreter: null });
     console.log('⏹️ Game stopped');
     
     // Force disable physics and reset positions
@@ -275,8 +121,14 @@ export const usePlayStore = create((set, get) => ({
         console.log('🛑 Force stopping physics...');
         console.log(`📊 Total objects in store: ${objects.size}`);
         
-        // First, disable physics world
+        // First, disable physics world and drop the play-mode ragdolls, character motors, joints and platform paths
         physicsWorld.setEnabled(false);
+        physicsWorld.clearRagdolls();
+        physicsWorld.clearCharacterMotors();
+        stopSceneAnimators(scene);
+        physicsWorld.clearConstraints();
+        physicsWorld.clearMovingPlatforms();
+        physicsWorld.clearCCD();
         console.log('🔧 Physics world disabled');
         
         // Debug: Check what objects have physics enabled
@@ -353,6 +205,7 @@ export const usePlayStore = create((set, get) => ({
   
   resume: () => {
     set({ isPaused: false });
+    get().eventInterpreter?.setPaused(false);
     console.log('▶️ Game resumed');
     
     // Re-enable physics simulation
@@ -0,0 +1,251 @@
+import { create } from 'zustand';
+import * as THREE from 'three';
+import { useSceneStore } from './sceneStore.js';
+import { useHistoryStore } from './historyStore.js';
+import { usePlayStore } from './playStore.js';
+import { SceneLoader } from '../engine/sceneLoader.js';
+import { serializeEditorScene, deserializeEditorObject } from '../engine/sceneFormat.js';
+import { DEFAULT_PHYSICS_SETTINGS } from '../physics/broadphase.js';
+
+let nextSceneId = 1;
+const createSceneId = () => `scene-${Date.now().toString(36)}-${nextSceneId++}`;
+
+// Lights every new scene starts with so it isn't pitch black
+const defaultSceneObjects = () => [
+  {
+    id: THREE.MathUtils.generateUUID(),
+    name: 'Hemisphere Light',
+    type: 'light',
+    transform: { position: [0, 20, 0], rotation: [0, 0, 0], scale: [1, 1, 1] },
+    light: { lightType: 'hemisphere', skyColor: 0xffffff, groundColor: 0x444444, intensity: 0.8 }
+  },
+  {
+    id: THREE.MathUtils.generateUUID(),
+    name: 'Directional Light',
+    type: 'light',
+    transform: { position: [5, 10, 7.5], rotation: [0, 0, 0], scale: [1, 1, 1] },
+    light: { lightType: 'directional', color: 0xffffff, intensity: 0.6, castShadow: true }
+  }
+];
+
+// Live contents of scenes that were open earlier, by scene id ({ objects, threeObjects } from
+// sceneStore.detachObjects). Switching back reuses them so GLTF models, mixers and dropped files
+// survive; scenes that were never opened are built from their serialized data instead.
+const liveScenes = new Map();
+
+const sceneLoader = new SceneLoader();
+
+// Create the Three.js objects of a serialized scene entry and register them in sceneStore.
+// Objects keep their ids so event sheets bound to them stay valid.
+async function instantiateScene(sceneEntry) {
+  const { scene, addObject } = useSceneStore.getState();
+  if (!scene) return;
+
+  for (const objectData of sceneEntry.objects || []) {
+    let entity = null;
+    try {
+      entity = await sceneLoader.createEntity(objectData);
+    } catch (err) {
+      console.warn(`⚠️ Could not load ${objectData.name} (${objectData.asset || objectData.type}):`, err);
+    }
+    if (!entity) continue;
+
+    entity.uuid = objectData.id;
+    entity.userData.originalPosition = entity.position.clone();
+    entity.userData.originalRotation = entity.rotation.clone();
+
+    const metadata = deserializeEditorObject(objectData);
+    if (objectData.type === 'gltf') {
+      entity.traverse((child) => {
+        if (!child.isMesh) return;
+        child.castShadow = true;
+        child.receiveShadow = true;
+        if (/collision/i.test(child.name || '')) {
+          child.userData.isCollisionMesh = true;
+          child.visible = false;
+          metadata.collisionMesh = child.uuid;
+        }
+      });
+
+      // The viewport updates any mixer found in userData
+      const clips = entity.userData._gltfAnimations || [];
+      if (clips.length > 0) {
+        const mixer = new THREE.AnimationMixer(entity);
+        const actions = {};
+        clips.forEach((clip, i) => { actions[clip.name || `anim_${i}`] = mixer.clipAction(clip); });
+        entity.userData.mixer = mixer;
+        entity.userData.actions = actions;
+      }
+    }
+
+    scene.add(entity);
+    addObject(entity, metadata, { recordHistory: false });
+  }
+}
+
+// Store for the scenes of the open project.
+// scenes: [{ id, name, data }] in project order, where data is the scene file entry
+// (see SCENE_FORMAT.md). The active scene's objects live in sceneStore, so its `data`
+// is only a snapshot from the last switch - use getProjectScenes() for current contents.
+export const useProjectStore = create((set, get) => ({
+  scenes: [{ id: 'main', name: 'Main', data: null }],
+  activeSceneId: 'main',
+  startSceneId: 'main',
+  isSwitching: false,
+
+  // Project-wide physics settings, saved as the project file's `physics` block
+  physicsSettings: { ...DEFAULT_PHYSICS_SETTINGS },
+
+  // Merge physics setting changes and apply them to the editor's PhysicsWorld
+  setPhysicsSettings: (changes) => {
+    const physicsSettings = { ...get().physicsSettings, ...changes };
+    set({ physicsSettings });
+    const { physicsWorld } = useSceneStore.getState();
+    physicsWorld.setBroadphase(physicsSettings);
+    physicsWorld.setTimestep(physicsSettings);
+    if (changes.materials) physicsWorld.setMaterials(physicsSettings.materials);
+    if (changes.layers || changes.collisionMatrix) physicsWorld.setCollisionLayers(physicsSettings);
+  },
+
+  getActiveScene: () => {
+    const { scenes, activeSceneId } = get();
+    return scenes.find(s => s.id === activeSceneId) || null;
+  },
+
+  // Serialize the active scene from sceneStore
+  serializeActiveScene: () => {
+    const active = get().getActiveScene();
+    const { objects, scene } = useSceneStore.getState();
+    return {
+      ...(active?.data || {}),
+      ...serializeEditorScene({ objects, scene, id: active?.id || 'main', name: active?.name || 'Main' })
+    };
+  },
+
+  // Every scene as a scene file entry, in project order
+  getProjectScenes: () => {
+    const { scenes, activeSceneId } = get();
+    return scenes.map(entry => (
+      entry.id === activeSceneId
+        ? get().serializeActiveScene()
+        : { ...JSON.parse(JSON.stringify(entry.data || { objects: [] })), id: entry.id, name: entry.name }
+    ));
+  },
+
+  // Add an empty scene (default lights only) after the others
+  createScene: (name) => {
+    const id = createSceneId();
+    const sceneName = name || `Scene ${get().scenes.length + 1}`;
+    set((state) => ({
+      scenes: [...state.scenes, { id, name: sceneName, data: { id, name: sceneName, objects: defaultSceneObjects() } }]
+    }));
+    console.log(`🎬 Created scene: ${sceneName}`);
+    return id;
+  },
+
+  // Copy a scene right after the original. Object ids are kept so the copy uses the same event sheets.
+  duplicateScene: (sceneId) => {
+    const { scenes, activeSceneId } = get();
+    const index = scenes.findIndex(s => s.id === sceneId);
+    if (index < 0) return null;
+
+    const source = sceneId === activeSceneId ? get().serializeActiveScene() : scenes[index].data;
+    const id = createSceneId();
+    const name = `${scenes[index].name} Copy`;
+    const data = { ...JSON.parse(JSON.stringify(source || { objects: [] })), id, name };
+
+    const updated = [...scenes];
+    updated.splice(index + 1, 0, { id, name, data });
+    set({ scenes: updated });
+    console.log(`🎬 Duplicated scene ${scenes[index].name} -> ${name}`);
+    return id;
+  },
+
+  renameScene: (sceneId, name) => {
+    if (!name?.trim()) return;
+    set((state) => ({
+      scenes: state.scenes.map(s => (s.id === sceneId ? { ...s, name: name.trim() } : s))
+    }));
+  },
+
+  // Move a scene up (-1) or down (+1) in the project list
+  moveScene: (sceneId, direction) => {
+    const scenes = [...get().scenes];
+    const index = scenes.findIndex(s => s.id === sceneId);
+    const target = index + direction;
+    if (index < 0 || target < 0 || target >= scenes.length) return;
+    [scenes[index], scenes[target]] = [scenes[target], scenes[index]];
+    set({ scenes });
+  },
+
+  setStartScene: (sceneId) => {
+    if (get().scenes.some(s => s.id === sceneId)) set({ startSceneId: sceneId });
+  },
+
+  // Delete a scene that isn't open. The start scene falls back to the first remaining one.
+  removeScene: (sceneId) => {
+    const { scenes, activeSceneId, startSceneId } = get();
+    if (sceneId === activeSceneId || scenes.length <= 1) return;
+    const remaining = scenes.filter(s => s.id !== sceneId);
+    liveScenes.delete(sceneId);
+    set({
+      scenes: remaining,
+      startSceneId: startSceneId === sceneId ? remaining[0].id : startSceneId
+    });
+  },
+
+  // Open another scene in the editor: the current contents are put aside and the
+  // target's objects are swapped into sceneStore. Undo history doesn't carry over.
+  switchScene: async (sceneId) => {
+    const { activeSceneId, scenes, isSwitching } = get();
+    const target = scenes.find(s => s.id === sceneId);
+    if (!target || sceneId === activeSceneId || isSwitching) return;
+    if (usePlayStore.getState().isPlaying) {
+      console.warn('⚠️ Stop play mode before switching scenes');
+      return;
+    }
+
+    set({ isSwitching: true });
+    try {
+      const data = get().serializeActiveScene();
+      liveScenes.set(activeSceneId, useSceneStore.getState().detachObjects());
+      set((state) => ({
+        scenes: state.scenes.map(s => (s.id === activeSceneId ? { ...s, data } : s)),
+        activeSceneId: sceneId
+      }));
+
+      if (liveScenes.has(sceneId)) {
+        useSceneStore.getState().attachObjects(liveScenes.get(sceneId));
+        liveScenes.delete(sceneId);
+      } else {
+        await instantiateScene(target.data || { objects: [] });
+      }
+      useHistoryStore.getState().clear();
+      console.log(`🎬 Switched to scene: ${target.name}`);
+    } finally {
+      set({ isSwitching: false });
+    }
+  },
+
+  // Replace the project's scenes (project load/import) and open the start scene
+  importScenes: async (sceneEntries = [], startScene) => {
+    if (sceneEntries.length === 0) return;
+    const start = sceneEntries.find(s => s.id === startScene) || sceneEntries[0];
+
+    set({ isSwitching: true });
+    try {
+      useSceneStore.getState().detachObjects();
+      liveScenes.clear();
+      set({
+        scenes: sceneEntries.map(s => ({ id: s.id, name: s.name, data: JSON.parse(JSON.stringify(s)) })),
+        activeSceneId: start.id,
+        startSceneId: start.id
+      });
+      await instantiateScene(start);
+      useHistoryStore.getState().clear();
+      console.log(`📂 Loaded ${sceneEntries.length} scene(s), opened ${start.name}`);
+    } finally {
+      set({ isSwitching: false });
+    }
+  }
+}));
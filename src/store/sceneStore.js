@@ -1,5 +1,55 @@
 import { create } from 'zustand';
 import { PhysicsWorld } from '../physics/PhysicsWorld.js';
+import { useHistoryStore } from './historyStore.js';
+import { activateMeshBodies } from '../physics/sceneBodies.js';
+import { decodeTerrain, updateTerrainMesh, updateTerrainLayers } from '../engine/terrain.js';
+
+// Deep copy plain object data so history entries aren't mutated by later edits
+const cloneData = (data) => (data === undefined ? undefined : JSON.parse(JSON.stringify(data)));
+
+// Read the editable properties of a light so they can be restored on undo
+const readLightProps = (light) => {
+  if (light.type === 'HemisphereLight') {
+    return { skyColor: light.color.getHex(), groundColor: light.groundColor.getHex(), intensity: light.intensity };
+  }
+  return { color: light.color?.getHex(), intensity: light.intensity, castShadow: light.castShadow };
+};
+
+// Record an undoable command (ignored while an undo/redo is being replayed)
+const recordHistory = (command) => useHistoryStore.getState().record(command);
+
+// Create an object's editor physics body from its `physics` data: collision mesh, static and trigger
+// flags, physics material, collision layer and CCD. objectData is the object's store entry (for
+// its collision mesh).
+const addEditorBody = (physicsWorld, scene, object, physics, objectData = {}) => {
+  // If the object has a collision mesh and user requested using it, pass that mesh as collision source
+  let collisionSource = null;
+  if (physics.useCollisionMesh && objectData.collisionMesh) {
+    collisionSource = scene?.getObjectByProperty('uuid', objectData.collisionMesh);
+  }
+  // Allow explicit auto-create request (convex/trimesh) to override the selected bodyType
+  let requestedType = physics.autoCreate ? physics.autoCreate : (physics.useCollisionMesh ? 'trimesh' : (physics.bodyType || 'box'));
+  // If object is a skinned mesh (animated character), avoid trimesh for dynamic bodies
+  try {
+    let hasSkinned = false;
+    object.traverse((c) => { if (c.isSkinnedMesh) hasSkinned = true; });
+    if (hasSkinned && requestedType === 'trimesh') {
+      console.log('⚠️ Object contains SkinnedMesh - overriding trimesh -> convex for stability');
+      requestedType = 'convex';
+    }
+  } catch (err) { /* ignore */ }
+  physicsWorld.addBody(object, {
+    type: requestedType,
+    mass: physics.mass ?? 1,
+    size: physics.size || { x: 1, y: 1, z: 1 },
+    isTrigger: physics.isTrigger || false,
+    isStatic: physics.isStatic || false,
+    collisionMesh: collisionSource,
+    physicsMaterial: physics.material,
+    collisionLayer: physics.layer
+  });
+  if (physics.ccd) physicsWorld.setBodyCCD(object, true, physics.ccdRadius);
+};
 
 // Store for managing the 3D scene state
 export const useSceneStore = create((set, get) => ({
@@ -133,6 +183,9 @@ export const useSceneStore = create((set, get) => ({
     const object = scene?.getObjectByProperty('uuid', objectId);
     
     if (object && transform) {
+      const previousTransform = cloneData(objects.get(objectId)?.transform);
+      const nextTransform = cloneData(transform);
+
       if (transform.position) {
         object.position.set(transform.position.x, transform.position.y, transform.position.z);
       }
@@ -146,9 +199,18 @@ export const useSceneStore = create((set, get) => ({
       // Update the objects map
       const updatedObjects = new Map(objects);
       const objectData = updatedObjects.get(objectId) || {};
-      updatedObjects.set(objectId, { ...objectData, transform });
+      updatedObjects.set(objectId, { ...objectData, transform: nextTransform });
       
       set({ objects: updatedObjects });
+
+      if (previousTransform) {
+        recordHistory({
+          label: `Transform ${object.name || 'object'}`,
+          mergeKey: `transform:${objectId}`,
+          undo: () => get().updateObjectTransform(objectId, previousTransform),
+          redo: () => get().updateObjectTransform(objectId, nextTransform)
+        });
+      }
     }
   },
   
@@ -190,6 +252,15 @@ export const useSceneStore = create((set, get) => ({
       });
       
       set({ objects: updatedObjects });
+
+      const previousMaterial = { color: currentColor, metalness: currentMetalness, roughness: currentRoughness };
+      const nextMaterial = { ...materialProps };
+      recordHistory({
+        label: `Material ${object.name || 'object'}`,
+        mergeKey: `material:${objectId}`,
+        undo: () => get().updateObjectMaterial(objectId, previousMaterial),
+        redo: () => get().updateObjectMaterial(objectId, nextMaterial)
+      });
     }
   },
 
@@ -199,75 +270,31 @@ export const useSceneStore = create((set, get) => ({
     const object = scene?.getObjectByProperty('uuid', objectId);
     
     if (object && physicsProps) {
+      const previousPhysics = cloneData(objects.get(objectId)?.physics) || { enabled: false, bodyType: 'box', mass: 1, size: { x: 1, y: 1, z: 1 } };
+      const nextPhysics = cloneData(physicsProps);
+
+      // Callers that don't know about physics materials, layers or CCD keep the current ones
+      const objectData = objects.get(objectId) || {};
+      const material = physicsProps.material !== undefined ? physicsProps.material : objectData.physics?.material;
+      const layer = physicsProps.layer !== undefined ? physicsProps.layer : objectData.physics?.layer;
+      const ccd = physicsProps.ccd !== undefined ? physicsProps.ccd : objectData.physics?.ccd;
+      const ccdRadius = physicsProps.ccdRadius !== undefined ? physicsProps.ccdRadius : objectData.physics?.ccdRadius;
+
       // Get current physics body
       const existingBody = physicsWorld.getBody(object);
       
-      // If enabling physics and no body exists, create one
-      if (physicsProps.enabled && !existingBody) {
-        const objectData = objects.get(objectId) || {};
-        // If the object has a collision mesh and user requested using it, pass that mesh as collision source
-        let collisionSource = null;
-        if (physicsProps.useCollisionMesh && objectData.collisionMesh) {
-          collisionSource = scene.getObjectByProperty('uuid', objectData.collisionMesh);
-        }
-        // Allow explicit auto-create request (convex/trimesh) to override the selected bodyType
-        let requestedType = physicsProps.autoCreate ? physicsProps.autoCreate : (physicsProps.useCollisionMesh ? 'trimesh' : (physicsProps.bodyType || 'box'));
-        // If object is a skinned mesh (animated character), avoid trimesh for dynamic bodies
-        try {
-          let hasSkinned = false;
-          object.traverse((c) => { if (c.isSkinnedMesh) hasSkinned = true; });
-          if (hasSkinned && requestedType === 'trimesh') {
-            console.log('⚠️ Object contains SkinnedMesh - overriding trimesh -> convex for stability');
-            requestedType = 'convex';
-          }
-        } catch (err) { /* ignore */ }
-        const bodyOptions = {
-          type: requestedType,
-          mass: physicsProps.mass ?? 1,
-          size: physicsProps.size || { x: 1, y: 1, z: 1 },
-          isTrigger: physicsProps.isTrigger || false,
-          isStatic: physicsProps.isStatic || false,
-          collisionMesh: collisionSource
-        };
-        physicsWorld.addBody(object, bodyOptions);
-      }
       // If disabling physics and body exists, remove it
-      else if (!physicsProps.enabled && existingBody) {
+      if (!physicsProps.enabled && existingBody) {
         physicsWorld.removeBody(object);
       }
-      // If body exists and we're updating properties
-      else if (existingBody && physicsProps.enabled) {
-        // Remove and recreate body with new properties
-        physicsWorld.removeBody(object);
-        const objectData = objects.get(objectId) || {};
-        let collisionSource = null;
-        if (physicsProps.useCollisionMesh && objectData.collisionMesh) {
-          collisionSource = scene.getObjectByProperty('uuid', objectData.collisionMesh);
-        }
-        // Respect autoCreate request if present
-        let requestedType = physicsProps.autoCreate ? physicsProps.autoCreate : (physicsProps.useCollisionMesh ? 'trimesh' : (physicsProps.bodyType || 'box'));
-        try {
-          let hasSkinned = false;
-          object.traverse((c) => { if (c.isSkinnedMesh) hasSkinned = true; });
-          if (hasSkinned && requestedType === 'trimesh') {
-            console.log('⚠️ Object contains SkinnedMesh - overriding trimesh -> convex for stability');
-            requestedType = 'convex';
-          }
-        } catch (err) { /* ignore */ }
-        const bodyOptions = {
-          type: requestedType,
-          mass: physicsProps.mass ?? 1,
-          size: physicsProps.size || { x: 1, y: 1, z: 1 },
-          isTrigger: physicsProps.isTrigger || false,
-          isStatic: physicsProps.isStatic || false,
-          collisionMesh: collisionSource
-        };
-        physicsWorld.addBody(object, bodyOptions);
+      // Create the body, or remove and recreate it with the new properties
+      else if (physicsProps.enabled) {
+        if (existingBody) physicsWorld.removeBody(object);
+        addEditorBody(physicsWorld, scene, object, { ...physicsProps, material, layer, ccd, ccdRadius }, objectData);
       }
       
       // Update the objects map
       const updatedObjects = new Map(objects);
-      const objectData = updatedObjects.get(objectId) || {};
         updatedObjects.set(objectId, { 
         ...objectData, 
         physics: {
@@ -278,11 +305,22 @@ export const useSceneStore = create((set, get) => ({
           isTrigger: physicsProps.isTrigger || false,
           isStatic: physicsProps.isStatic || false,
           useCollisionMesh: physicsProps.useCollisionMesh || false,
-          autoCreate: physicsProps.autoCreate || null
+          autoCreate: physicsProps.autoCreate || null,
+          ...(material ? { material } : {}),
+          ...(layer ? { layer } : {}),
+          ...(ccd ? { ccd } : {}),
+          ...(ccd && ccdRadius > 0 ? { ccdRadius } : {})
         }
       });
       
       set({ objects: updatedObjects });
+
+      recordHistory({
+        label: `Physics ${object.name || 'object'}`,
+        mergeKey: `physics:${objectId}`,
+        undo: () => get().updatePhysicsProperties(objectId, previousPhysics),
+        redo: () => get().updatePhysicsProperties(objectId, nextPhysics)
+      });
     }
   },
 
@@ -292,6 +330,8 @@ export const useSceneStore = create((set, get) => ({
     const light = scene?.getObjectByProperty('uuid', objectId);
     
     if (light && lightProps) {
+      const previousLightProps = readLightProps(light);
+
       // Update light properties based on type
       if (light.type === 'DirectionalLight') {
         if (lightProps.color !== undefined) {
@@ -321,11 +361,52 @@ export const useSceneStore = create((set, get) => ({
       updatedObjects.set(objectId, { ...objectData, lightProps });
       
       set({ objects: updatedObjects });
+
+      const nextLightProps = { ...lightProps };
+      recordHistory({
+        label: `Light ${light.name || 'light'}`,
+        mergeKey: `light:${objectId}`,
+        undo: () => get().updateLightProperties(objectId, previousLightProps),
+        redo: () => get().updateLightProperties(objectId, nextLightProps)
+      });
     }
   },
   
-  // Add object to scene
-  addObject: (object, metadata = {}) => {
+  // Replace a terrain object's heightmap (encoded like in scene files, see engine/terrain.js).
+  // The mesh and its heightfield body are rebuilt from it, so sculpting, the TerrainInspector and
+  // undo/redo all go through here.
+  updateTerrain: (objectId, terrainData) => {
+    const { scene, objects, physicsWorld } = get();
+    const object = scene?.getObjectByProperty('uuid', objectId);
+    const objectData = objects.get(objectId);
+    if (!object || !objectData || !terrainData) return;
+
+    const previousTerrain = cloneData(objectData.terrain);
+    const nextTerrain = cloneData(terrainData);
+
+    object.userData.terrain = decodeTerrain(nextTerrain);
+    updateTerrainMesh(object);
+    updateTerrainLayers(object);
+    if (physicsWorld.getBody(object)) {
+      physicsWorld.removeBody(object);
+      physicsWorld.addBody(object, { type: 'heightfield', isStatic: true });
+    }
+
+    const updatedObjects = new Map(objects);
+    updatedObjects.set(objectId, { ...objectData, terrain: nextTerrain });
+    set({ objects: updatedObjects });
+
+    recordHistory({
+      label: `Terrain ${object.name || 'terrain'}`,
+      mergeKey: `terrain:${objectId}`,
+      undo: () => get().updateTerrain(objectId, previousTerrain),
+      redo: () => get().updateTerrain(objectId, nextTerrain)
+    });
+  },
+  
+  // Add object to scene (the caller adds it to the Three.js scene first).
+  // Pass { recordHistory: false } for objects that shouldn't be undoable, e.g. the default scene contents.
+  addObject: (object, metadata = {}, options = {}) => {
     const { objects } = get();
     const updatedObjects = new Map(objects);
     
@@ -381,15 +462,21 @@ export const useSceneStore = create((set, get) => ({
     
     // If physics is enabled in metadata, create physics body immediately
     if (object.type === 'Mesh' && objectData.physics && objectData.physics.enabled) {
-      const { physicsWorld } = get();
-      const bodyOptions = {
-        type: objectData.physics.bodyType || 'box',
-        mass: objectData.physics.mass || 1,
-        size: objectData.physics.size || { x: 1, y: 1, z: 1 }
-      };
-      physicsWorld.addBody(object, bodyOptions);
+      addEditorBody(get().physicsWorld, get().scene, object, objectData.physics, objectData);
       console.log(`🔧 Physics body created for ${object.name || 'object'}`);
     }
+
+    if (options.recordHistory !== false) {
+      const parent = object.parent || get().scene;
+      recordHistory({
+        label: `Add ${objectData.name}`,
+        undo: () => get().removeObject(object.uuid),
+        redo: () => {
+          if (parent && !object.parent) parent.add(object);
+          get().addObject(object, metadata);
+        }
+      });
+    }
   },
   
   // Remove object from scene
@@ -398,6 +485,10 @@ export const useSceneStore = create((set, get) => ({
     const object = scene?.getObjectByProperty('uuid', objectId);
     
     if (object) {
+      const removedData = objects.get(objectId);
+      const parent = object.parent;
+      const hadBody = !!physicsWorld.getBody(object);
+
       // Remove physics body if it exists
       physicsWorld.removeBody(object);
       
@@ -410,9 +501,60 @@ export const useSceneStore = create((set, get) => ({
         objects: updatedObjects,
         selectedObject: selectedObject?.uuid === objectId ? null : selectedObject
       });
+
+      recordHistory({
+        label: `Delete ${object.name || 'object'}`,
+        undo: () => {
+          // Put the same Three.js object back so references (mixers, collision meshes) stay valid
+          (parent || get().scene)?.add(object);
+          const restoredObjects = new Map(get().objects);
+          if (removedData) restoredObjects.set(objectId, removedData);
+          set({ objects: restoredObjects });
+
+          if (hadBody && removedData?.physics?.enabled) {
+            addEditorBody(get().physicsWorld, get().scene, object, removedData.physics, removedData);
+          }
+        },
+        redo: () => get().removeObject(objectId)
+      });
     }
   },
 
+  // Take every object out of the Three.js scene and physics world without recording history.
+  // Returns { objects, threeObjects } so the same contents can be put back with attachObjects
+  // (used by projectStore when switching scenes).
+  detachObjects: () => {
+    const { scene, objects, physicsWorld } = get();
+    const threeObjects = [];
+
+    // Find every tracked object before any is detached; children of tracked objects aren't in the scene after that
+    objects.forEach((data, objectId) => {
+      const object = scene?.getObjectByProperty('uuid', objectId);
+      if (object) threeObjects.push({ object, parent: object.parent, hadBody: !!physicsWorld.getBody(object) });
+    });
+    // Bodies of the whole subtree go with it
+    threeObjects.forEach(({ object }) => {
+      object.traverse(child => physicsWorld.removeBody(child));
+      object.parent?.remove(object);
+    });
+
+    set({ objects: new Map(), selectedObject: null });
+    return { objects, threeObjects };
+  },
+
+  // Put back contents returned by detachObjects
+  attachObjects: ({ objects, threeObjects }) => {
+    const { scene, physicsWorld } = get();
+
+    threeObjects.forEach(({ object, parent }) => (parent || scene)?.add(object));
+    threeObjects.forEach(({ object, hadBody }) => {
+      const data = objects.get(object.uuid);
+      if (hadBody && data?.physics?.enabled) addEditorBody(physicsWorld, scene, object, data.physics, data);
+    });
+
+    set({ objects: new Map(objects), selectedObject: null });
+  },
+
   // Physics control methods
   enablePhysics: () => {
     const { physicsWorld } = get();
@@ -468,46 +610,7 @@ export const useSceneStore = create((set, get) => ({
       return;
     }
     
-    let activatedCount = 0;
-    
-    console.log('🔍 Checking objects for physics activation:', objects.size);
-    
-    objects.forEach((objectData, objectId) => {
-      console.log(`- Object ${objectData.name} (${objectId}):`);
-      console.log(`  - Type: ${objectData.type}`);
-      console.log(`  - Physics: ${JSON.stringify(objectData.physics)}`);
-      
-      if (objectData.physics && objectData.physics.enabled) {
-        const threeObject = scene.getObjectByProperty('uuid', objectId);
-        console.log(`  - Found Three.js object:`, !!threeObject);
-        
-        if (threeObject && threeObject.type === 'Mesh') {
-          // Check if physics body already exists
-          const existingBody = physicsWorld.getBody(threeObject);
-          console.log(`  - Existing physics body:`, !!existingBody);
-          
-          if (!existingBody) {
-            // Create physics body
-            const bodyOptions = {
-              type: objectData.physics.bodyType || 'box',
-              mass: objectData.physics.mass || 1,
-              size: objectData.physics.size || { x: 1, y: 1, z: 1 }
-            };
-            physicsWorld.addBody(threeObject, bodyOptions);
-            activatedCount++;
-            console.log(`🔧 Activated physics for ${threeObject.name || 'object'}`);
-          } else {
-            console.log(`⚠️ Physics body already exists for ${threeObject.name}`);
-          }
-        } else {
-          console.log(`❌ Three.js object not found or not a Mesh for ${objectData.name}`);
-        }
-      } else {
-        console.log(`  - Physics not enabled or not found`);
-      }
-    });
-    
-    console.log(`🎯 Activated physics for ${activatedCount} objects`);
+    activateMeshBodies(physicsWorld, scene, objects);
   },
 
   // Deactivate all physics bodies (for stop/pause)
@@ -566,11 +669,25 @@ export const useSceneStore = create((set, get) => ({
       console.trace();
     }
 
+    // Capture the fields being overwritten so the change can be undone
+    const previousFields = {};
+    Object.keys(newData || {}).forEach((key) => {
+      previousFields[key] = cloneData(existingData[key]);
+    });
+    const nextFields = cloneData(newData);
+
     // Merge existing data with new data
     updatedObjects.set(objectId, { ...existingData, ...newData });
     
     set({ objects: updatedObjects });
     console.log(`📝 Updated object data for ${objectId}`, newData);
+
+    recordHistory({
+      label: `Edit ${existingData.name || 'object'} (${Object.keys(newData || {}).join(', ')})`,
+      mergeKey: `data:${objectId}:${Object.keys(newData || {}).sort().join(',')}`,
+      undo: () => get().updateObjectData(objectId, previousFields),
+      redo: () => get().updateObjectData(objectId, nextFields)
+    });
   },
   
   // Get all objects as array
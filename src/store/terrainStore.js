@@ -0,0 +1,19 @@
+import { create } from 'zustand';
+
+// Brush settings for sculpting and painting the selected terrain in the viewport
+// (see TerrainBrushEditor and utils/terrainBrushes.js)
+export const useTerrainStore = create((set) => ({
+  // null (brush off), 'raise', 'lower', 'smooth', 'flatten' or 'paint'
+  tool: null,
+  // Brush radius in terrain units
+  radius: 4,
+  // 0..1, how much one dab does (see sculptTerrain / paintTerrain)
+  strength: 0.5,
+  // Splat layer the paint tool paints with (0..3)
+  paintLayer: 0,
+
+  // Actions
+  setTool: (tool) => set({ tool }),
+
+  setBrush: (settings) => set(settings)
+}));
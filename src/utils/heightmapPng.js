@@ -0,0 +1,172 @@
+// 16-bit grayscale PNG heightmaps for terrain objects (see engine/terrain.js), the format most
+// terrain tools exchange heightmaps in. Browsers' canvas only reads and writes 8 bits per channel,
+// so the PNG chunks are written and read here, with zlib from the fflate copy that ships with three.
+//
+// Black is height 0 and white is the terrain's maxHeight. Imports accept 8 or 16-bit grayscale,
+// grayscale + alpha, RGB and RGBA images (the first channel is used) without interlacing, and are
+// resampled to the terrain's resolution.
+
+import { zlibSync, unzlibSync } from 'three/examples/jsm/libs/fflate.module.js';
+
+const SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+let crcTable = null;
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const bytes = new Uint8Array(12 + data.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) bytes[4 + i] = type.charCodeAt(i);
+  bytes.set(data, 8);
+  view.setUint32(8 + data.length, crc32(bytes.subarray(4, 8 + data.length)));
+  return bytes;
+}
+
+// Terrain heights -> 16-bit grayscale PNG file bytes (one pixel per height sample, the -z edge first)
+export function encodeHeightmapPng(terrain) {
+  const { resolution, heights, maxHeight } = terrain;
+  const rowBytes = 1 + resolution * 2;
+  const raw = new Uint8Array(rowBytes * resolution);
+  const view = new DataView(raw.buffer);
+  for (let row = 0; row < resolution; row++) {
+    // Filter type 0 (none) at the start of every row
+    for (let col = 0; col < resolution; col++) {
+      const value = Math.round(Math.min(Math.max(heights[row * resolution + col] / maxHeight, 0), 1) * 65535);
+      view.setUint16(row * rowBytes + 1 + col * 2, value);
+    }
+  }
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, resolution);
+  headerView.setUint32(4, resolution);
+  header[8] = 16; // bit depth
+  header[9] = 0; // grayscale
+
+  const parts = [new Uint8Array(SIGNATURE), chunk('IHDR', header), chunk('IDAT', zlibSync(raw)), chunk('IEND', new Uint8Array(0))];
+  const png = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    png.set(part, offset);
+    offset += part.length;
+  });
+  return png;
+}
+
+// Undo a PNG scanline filter in place (bpp: bytes per pixel, at least 1)
+function unfilter(type, line, previous, bpp) {
+  for (let i = 0; i < line.length; i++) {
+    const left = i >= bpp ? line[i - bpp] : 0;
+    const up = previous ? previous[i] : 0;
+    const upLeft = previous && i >= bpp ? previous[i - bpp] : 0;
+    let predictor = 0;
+    switch (type) {
+      case 1: predictor = left; break;
+      case 2: predictor = up; break;
+      case 3: predictor = (left + up) >> 1; break;
+      case 4: {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+        break;
+      }
+      default: break;
+    }
+    line[i] = (line[i] + predictor) & 0xff;
+  }
+}
+
+// PNG file bytes -> { width, height, values: Float32Array of 0..1 (first channel), row by row }
+export function decodeHeightmapPng(bytes) {
+  const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  if (!SIGNATURE.every((value, i) => data[i] === value)) throw new Error('Not a PNG file');
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+  let width = 0;
+  let height = 0;
+  let depth = 0;
+  let colorType = 0;
+  const idat = [];
+  for (let offset = 8; offset + 8 <= data.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...data.subarray(offset + 4, offset + 8));
+    const body = data.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      width = view.getUint32(offset + 8);
+      height = view.getUint32(offset + 12);
+      depth = body[8];
+      colorType = body[9];
+      if (body[12] !== 0) throw new Error('Interlaced PNGs are not supported');
+    } else if (type === 'IDAT') {
+      idat.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+  const channels = CHANNELS[colorType];
+  if (!channels || (depth !== 8 && depth !== 16)) {
+    throw new Error(`Unsupported PNG (color type ${colorType}, ${depth} bit); use 8 or 16-bit grayscale or RGB`);
+  }
+
+  const compressed = new Uint8Array(idat.reduce((length, part) => length + part.length, 0));
+  let position = 0;
+  idat.forEach((part) => {
+    compressed.set(part, position);
+    position += part.length;
+  });
+  const raw = unzlibSync(compressed);
+
+  const bytesPerSample = depth / 8;
+  const bpp = channels * bytesPerSample;
+  const rowBytes = width * bpp;
+  const values = new Float32Array(width * height);
+  let previous = null;
+  for (let row = 0; row < height; row++) {
+    const start = row * (rowBytes + 1);
+    const line = raw.subarray(start + 1, start + 1 + rowBytes);
+    unfilter(raw[start], line, previous, bpp);
+    for (let col = 0; col < width; col++) {
+      const i = col * bpp;
+      values[row * width + col] = depth === 16 ? ((line[i] << 8) | line[i + 1]) / 65535 : line[i] / 255;
+    }
+    previous = line;
+  }
+  return { width, height, values };
+}
+
+// Replace a terrain's heights with a decoded heightmap, resampled to the terrain's resolution
+export function applyHeightmap(terrain, { width, height, values }) {
+  const { resolution, maxHeight } = terrain;
+  const at = (x, y) => values[y * width + x];
+  for (let row = 0; row < resolution; row++) {
+    for (let col = 0; col < resolution; col++) {
+      const fx = (col / (resolution - 1)) * (width - 1);
+      const fy = (row / (resolution - 1)) * (height - 1);
+      const x0 = Math.floor(fx);
+      const y0 = Math.floor(fy);
+      const x1 = Math.min(x0 + 1, width - 1);
+      const y1 = Math.min(y0 + 1, height - 1);
+      const top = at(x0, y0) + (at(x1, y0) - at(x0, y0)) * (fx - x0);
+      const bottom = at(x0, y1) + (at(x1, y1) - at(x0, y1)) * (fx - x0);
+      terrain.heights[row * resolution + col] = (top + (bottom - top) * (fy - y0)) * maxHeight;
+    }
+  }
+  return terrain;
+}
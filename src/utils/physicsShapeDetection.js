@@ -1,11 +1,13 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import { ConvexHull } from 'three/examples/jsm/math/ConvexHull.js';
 
 /**
  * Auto-detect the best physics collision shape from a Three.js mesh
  * Returns { type, size, vertices, indices } for physics body creation
+ * logger receives the progress messages (e.g. the PhysicsWorld's logger)
  */
-export function autoDetectCollisionShape(object) {
+export function autoDetectCollisionShape(object, logger = console) {
   // Get all meshes in the object
   const meshes = [];
   object.traverse((child) => {
@@ -15,7 +17,7 @@ export function autoDetectCollisionShape(object) {
   });
 
   if (meshes.length === 0) {
-    console.log(`⚠️ No meshes found in object ${object.name}, using default box`);
+    logger.log(`⚠️ No meshes found in object ${object.name}, using default box`);
     return { type: 'box', size: { x: 0.5, y: 0.5, z: 0.5 } };
   }
 
@@ -26,7 +28,7 @@ export function autoDetectCollisionShape(object) {
   bbox.getSize(size);
   bbox.getCenter(center);
 
-  console.log(`🔍 Auto-detecting collision for "${object.name}": size=(${size.x.toFixed(2)}, ${size.y.toFixed(2)}, ${size.z.toFixed(2)}), meshes=${meshes.length}`);
+  logger.log(`🔍 Auto-detecting collision for "${object.name}": size=(${size.x.toFixed(2)}, ${size.y.toFixed(2)}, ${size.z.toFixed(2)}), meshes=${meshes.length}`);
 
   // Analyze geometry to determine best shape
   const mainMesh = meshes[0];
@@ -36,7 +38,7 @@ export function autoDetectCollisionShape(object) {
   const shapeType = detectPrimitiveShape(geometry, size);
   
   if (shapeType) {
-    console.log(`✅ Detected primitive: ${shapeType.type}`, shapeType);
+    logger.log(`✅ Detected primitive: ${shapeType.type}`, shapeType);
     return {
       type: shapeType.type,
       size: shapeType.size,
@@ -50,7 +52,7 @@ export function autoDetectCollisionShape(object) {
   
   // Use convex hull for moderate complexity (better performance)
   if (vertexCount < 500) {
-    console.log(`✅ Using convex hull (${vertexCount} vertices)`);
+    logger.log(`✅ Using convex hull (${vertexCount} vertices)`);
     return {
       type: 'convex',
       mesh: mainMesh,
@@ -59,7 +61,7 @@ export function autoDetectCollisionShape(object) {
   }
 
   // Use trimesh for very complex shapes
-  console.log(`✅ Using trimesh (${vertexCount} vertices)`);
+  logger.log(`✅ Using trimesh (${vertexCount} vertices)`);
   return {
     type: 'trimesh',
     mesh: mainMesh,
@@ -276,11 +278,340 @@ function getCircleRadius(vertices) {
   return null;
 }
 
+// Meshes that make up an object, without editor helpers (wireframes, collision frame overlays)
+function collectMeshes(object, meshes = []) {
+  if (object.name === '__wireframeHelper' || object.name.startsWith('CollisionFrameVisualizer_')) return meshes;
+  if (object.isMesh && object.geometry?.attributes.position && !object.name.includes('wireframe')) meshes.push(object);
+  object.children.forEach(child => collectMeshes(child, meshes));
+  return meshes;
+}
+
+// Vertices and triangles of an object's meshes in its local space (before its own scale)
+function objectGeometry(object) {
+  object.updateMatrixWorld(true);
+  const toObject = new THREE.Matrix4().copy(object.matrixWorld).invert();
+  const toLocal = new THREE.Matrix4();
+  const points = [];
+  const triangles = [];
+  collectMeshes(object).forEach((mesh) => {
+    toLocal.multiplyMatrices(toObject, mesh.matrixWorld);
+    const { index, attributes: { position } } = mesh.geometry;
+    const first = points.length;
+    for (let i = 0; i < position.count; i++) {
+      points.push(new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(toLocal));
+    }
+    const count = index ? index.count : position.count;
+    for (let i = 0; i + 2 < count; i += 3) {
+      const [a, b, c] = index ? [index.getX(i), index.getX(i + 1), index.getX(i + 2)] : [i, i + 1, i + 2];
+      triangles.push([first + a, first + b, first + c]);
+    }
+  });
+  return { points, triangles };
+}
+
+const roundFrameValue = value => Math.round(value * 1e4) / 1e4;
+
+// 'convex' collision frame for the hull of some object-space points, or null when they are flat
+function convexHullFrame(points) {
+  if (points.length < 4) return null;
+  let hull;
+  try {
+    hull = new ConvexHull().setFromPoints(points);
+  } catch (err) {
+    return null;
+  }
+  if (hull.faces.length < 4) return null;
+
+  // Hull faces are counter-clockwise seen from outside, the winding cannon expects
+  const indexOf = new Map();
+  const hullPoints = [];
+  const faces = hull.faces.map((face) => {
+    const indices = [];
+    let edge = face.edge;
+    do {
+      const vertex = edge.head();
+      if (!indexOf.has(vertex)) {
+        indexOf.set(vertex, hullPoints.length);
+        hullPoints.push(vertex.point);
+      }
+      indices.push(indexOf.get(vertex));
+      edge = edge.next;
+    } while (edge !== face.edge);
+    return indices;
+  });
+
+  const center = new THREE.Box3().setFromPoints(hullPoints).getCenter(new THREE.Vector3());
+  return {
+    id: Date.now(),
+    type: 'convex',
+    position: { x: roundFrameValue(center.x), y: roundFrameValue(center.y), z: roundFrameValue(center.z) },
+    rotation: { x: 0, y: 0, z: 0 },
+    vertices: hullPoints.map(p => [p.x - center.x, p.y - center.y, p.z - center.z].map(roundFrameValue)),
+    faces
+  };
+}
+
+/**
+ * Convex collision frame wrapping all of an object's meshes
+ * Points are in the object's local space (before its scale), relative to the hull's centre.
+ * Returns a 'convex' frame ({ position, vertices, faces }) or null when the meshes are flat or empty
+ */
+export function createConvexFrame(object) {
+  const frame = convexHullFrame(objectGeometry(object).points);
+  if (!frame) {
+    console.warn(`⚠️ Could not build a convex hull for ${object.name}`);
+    return null;
+  }
+  console.log(`🔷 Convex frame for "${object.name}": ${frame.vertices.length} vertices, ${frame.faces.length} faces`);
+  return frame;
+}
+
+export const DEFAULT_DECOMPOSITION = {
+  resolution: 24, // voxels along the object's longest side
+  maxHulls: 8,
+  concavity: 0.05 // stop splitting a piece once its hull adds less than this share of the object's volume
+};
+
+// Decompositions by asset and settings, in object space, so every instance of a model reuses them
+const decompositionCache = new Map();
+
+export function clearDecompositionCache() {
+  decompositionCache.clear();
+}
+
+// Solid voxels of a mesh: triangles are rasterised into the grid and everything the outside can't
+// reach by flood fill is inside. Open meshes leak, which leaves just their shell (still usable).
+function voxelize({ points, triangles }, resolution) {
+  const bounds = new THREE.Box3().setFromPoints(points);
+  const size = bounds.getSize(new THREE.Vector3());
+  const voxel = Math.max(size.x, size.y, size.z) / resolution;
+  // One empty voxel of padding on every side so the flood fill can get around the mesh
+  const dims = [size.x, size.y, size.z].map(extent => Math.max(1, Math.ceil(extent / voxel - 1e-6)) + 2);
+  const [nx, ny] = dims;
+  const origin = bounds.min.clone().subScalar(voxel);
+  const cells = new Uint8Array(dims[0] * dims[1] * dims[2]); // 0 unknown, 1 surface or inside, 2 outside
+  const cellIndex = (x, y, z) => x + nx * (y + ny * z);
+  const cellOf = (value, axis) => Math.min(dims[axis] - 2, Math.max(1, Math.floor(value / voxel) + 1));
+
+  const p = new THREE.Vector3();
+  triangles.forEach(([ia, ib, ic]) => {
+    const a = points[ia];
+    const ab = points[ib].clone().sub(a);
+    const ac = points[ic].clone().sub(a);
+    const steps = Math.max(1, Math.ceil(Math.max(ab.length(), ac.length(), ab.distanceTo(ac)) / (voxel / 2)));
+    for (let i = 0; i <= steps; i++) {
+      for (let j = 0; i + j <= steps; j++) {
+        p.copy(a).addScaledVector(ab, i / steps).addScaledVector(ac, j / steps).sub(bounds.min);
+        cells[cellIndex(cellOf(p.x, 0), cellOf(p.y, 1), cellOf(p.z, 2))] = 1;
+      }
+    }
+  });
+
+  const stack = [0];
+  cells[0] = 2;
+  while (stack.length > 0) {
+    const index = stack.pop();
+    const x = index % nx;
+    const y = Math.floor(index / nx) % ny;
+    const z = Math.floor(index / (nx * ny));
+    [[x - 1, y, z], [x + 1, y, z], [x, y - 1, z], [x, y + 1, z], [x, y, z - 1], [x, y, z + 1]].forEach(([cx, cy, cz]) => {
+      if (cx < 0 || cy < 0 || cz < 0 || cx >= nx || cy >= ny || cz >= dims[2]) return;
+      const next = cellIndex(cx, cy, cz);
+      if (cells[next] !== 0) return;
+      cells[next] = 2;
+      stack.push(next);
+    });
+  }
+
+  const solid = [];
+  cells.forEach((cell, index) => { if (cell !== 2) solid.push(index); });
+  return { dims, origin, voxel, bounds, solid };
+}
+
+// Volume of a ConvexHull (sum of the tetrahedra between its faces and the origin)
+function hullVolume(hull) {
+  let volume = 0;
+  hull.faces.forEach((face) => {
+    const a = face.edge.head().point;
+    let edge = face.edge.next;
+    while (edge.next !== face.edge) {
+      volume += a.dot(edge.head().point.clone().cross(edge.next.head().point)) / 6;
+      edge = edge.next;
+    }
+  });
+  return Math.abs(volume);
+}
+
+/**
+ * Approximate convex decomposition (VHACD-style) of an object's meshes into 'convex' collision frames
+ * The meshes are voxelised and the solid voxels are split by axis-aligned planes, always cutting the
+ * piece whose hull covers the most empty space at the plane that leaves the least, until every
+ * piece is close to convex or maxHulls is reached. An object with more separate parts than maxHulls
+ * gets its smallest parts merged into the nearest hulls (with a warning) rather than dropped.
+ * options: { resolution, maxHulls, concavity } (see DEFAULT_DECOMPOSITION) and cacheKey, the asset
+ * the object comes from (e.g. the GLTF file); decompositions with a cacheKey are reused.
+ * Returns the frames in the object's local space, or [] when the object has no solid geometry
+ */
+export function decomposeConvex(object, options = {}) {
+  const settings = { ...DEFAULT_DECOMPOSITION, ...options };
+  const resolution = Math.max(4, Math.min(64, Math.round(settings.resolution)));
+  const maxHulls = Math.max(1, Math.round(settings.maxHulls));
+  const key = settings.cacheKey && `${settings.cacheKey}|${resolution}|${maxHulls}|${settings.concavity}`;
+  // Deep copies, with fresh ids, so edits to one object's frames (position, rotation, vertices)
+  // don't leak into the cache or other objects built from the same asset
+  const copyFrames = frames => frames.map((frame, i) => ({ ...structuredClone(frame), id: Date.now() + i }));
+  if (key && decompositionCache.has(key)) {
+    console.log(`♻️ Using cached convex decomposition for ${settings.cacheKey}`);
+    return copyFrames(decompositionCache.get(key));
+  }
+
+  const geometry = objectGeometry(object);
+  if (geometry.triangles.length === 0) return [];
+  const started = performance.now();
+  const { dims, origin, voxel, bounds, solid } = voxelize(geometry, resolution);
+  const [nx, ny] = dims;
+  const labels = new Int32Array(dims[0] * dims[1] * dims[2]).fill(-1);
+  solid.forEach((index) => { labels[index] = 0; });
+  const coord = (index, axis) => (axis === 0 ? index % nx : axis === 1 ? Math.floor(index / nx) % ny : Math.floor(index / (nx * ny)));
+  const strides = [1, nx, nx * ny];
+
+  // A piece's boundary voxels. `inside` says whether a cell belongs to the piece.
+  const boundaryCells = (cells, inside) => cells.filter(index => strides.some(stride => !inside(index - stride) || !inside(index + stride)));
+
+  // Corners of a piece's boundary voxels, kept inside the mesh bounds: the points of its final hull
+  const pieceCorners = (cells, inside) => {
+    const seen = new Set();
+    const corners = [];
+    boundaryCells(cells, inside).forEach((index) => {
+      const x = coord(index, 0);
+      const y = coord(index, 1);
+      const z = coord(index, 2);
+      for (let corner = 0; corner < 8; corner++) {
+        const cx = x + (corner & 1);
+        const cy = y + ((corner >> 1) & 1);
+        const cz = z + ((corner >> 2) & 1);
+        const id = cx + (nx + 1) * (cy + (ny + 1) * cz);
+        if (seen.has(id)) continue;
+        seen.add(id);
+        corners.push(new THREE.Vector3(cx, cy, cz).multiplyScalar(voxel).add(origin).clamp(bounds.min, bounds.max));
+      }
+    });
+    return corners;
+  };
+
+  // Empty space (in voxels) a piece's hull covers. Measured on the hull of the boundary voxels'
+  // centres, which doesn't count the staircase along curved surfaces as empty space the way their
+  // corners would; that hull misses about half of every boundary voxel, so those halves don't count.
+  const totalVolume = solid.length;
+  const concavityOf = (cells, inside) => {
+    const boundary = boundaryCells(cells, inside);
+    const centres = boundary.map(index => new THREE.Vector3(coord(index, 0), coord(index, 1), coord(index, 2)));
+    if (centres.length < 4) return 0;
+    try {
+      return Math.max(0, hullVolume(new ConvexHull().setFromPoints(centres)) - (cells.length - boundary.length / 2));
+    } catch (err) {
+      return 0;
+    }
+  };
+
+  // Separate parts of a set of cells (a cut can leave, say, both legs of an arch below it)
+  const components = (cells, inside) => {
+    const unvisited = new Set(cells);
+    const parts = [];
+    unvisited.forEach((start) => {
+      if (!unvisited.has(start)) return;
+      unvisited.delete(start);
+      const part = [start];
+      for (let i = 0; i < part.length; i++) {
+        strides.forEach((stride) => {
+          [part[i] - stride, part[i] + stride].forEach((next) => {
+            if (unvisited.has(next) && inside(next)) {
+              unvisited.delete(next);
+              part.push(next);
+            }
+          });
+        });
+      }
+      parts.push(part);
+    });
+    return parts;
+  };
+
+  const pieceOf = (label, cells) => ({ label, cells, concavity: concavityOf(cells, i => labels[i] === label) });
+  const cellBox = cells => new THREE.Box3().setFromPoints(cells.map(index => new THREE.Vector3(coord(index, 0), coord(index, 1), coord(index, 2))));
+
+  // More separate parts than hulls: the largest get a hull each and every other part joins the
+  // hull of the part nearest to it, so nothing is left without collision
+  const parts = components(solid, () => true).sort((a, b) => b.length - a.length);
+  const kept = parts.slice(0, maxHulls);
+  const extra = parts.slice(maxHulls);
+  if (extra.length > 0) {
+    const boxes = kept.map(cellBox);
+    extra.forEach((cells) => {
+      const centre = cellBox(cells).getCenter(new THREE.Vector3());
+      const nearest = boxes.reduce((best, box, i) => (box.distanceToPoint(centre) < boxes[best].distanceToPoint(centre) ? i : best), 0);
+      kept[nearest] = kept[nearest].concat(cells);
+    });
+    console.warn(`⚠️ "${object.name}" has ${parts.length} separate parts but maxHulls is ${maxHulls}: merged the ${extra.length} smallest into the nearest hulls`);
+  }
+  const pieces = kept.map((cells, label) => {
+    cells.forEach((index) => { labels[index] = label; });
+    return pieceOf(label, cells);
+  });
+  let nextLabel = pieces.length;
+
+  while (pieces.length < maxHulls) {
+    const piece = pieces.reduce((worst, p) => (p.concavity > worst.concavity ? p : worst));
+    if (piece.concavity / totalVolume < settings.concavity) break;
+
+    // Cutting planes every eighth of the piece's voxel range (or every voxel) along each axis
+    let best = null;
+    [0, 1, 2].forEach((axis) => {
+      let min = Infinity;
+      let max = -Infinity;
+      piece.cells.forEach((index) => {
+        const c = coord(index, axis);
+        if (c < min) min = c;
+        if (c > max) max = c;
+      });
+      const step = Math.max(1, Math.floor((max - min) / 8));
+      for (let plane = min + step; plane <= max; plane += step) {
+        const sides = [
+          i => labels[i] === piece.label && coord(i, axis) < plane,
+          i => labels[i] === piece.label && coord(i, axis) >= plane
+        ];
+        const parts = sides.flatMap(side => components(piece.cells.filter(side), side));
+        if (pieces.length - 1 + parts.length > maxHulls) continue;
+        const score = parts.reduce((sum, cells) => {
+          const part = new Set(cells);
+          return sum + concavityOf(cells, index => part.has(index));
+        }, 0);
+        if (!best || score < best.score) best = { score, parts };
+      }
+    });
+    if (!best) break; // a single voxel thick everywhere, or no cut fits in maxHulls
+
+    const replacements = best.parts.map((cells) => {
+      const label = nextLabel++;
+      cells.forEach((index) => { labels[index] = label; });
+      return pieceOf(label, cells);
+    });
+    pieces.splice(pieces.indexOf(piece), 1, ...replacements);
+  }
+
+  const frames = pieces
+    .map(piece => convexHullFrame(pieceCorners(piece.cells, i => labels[i] === piece.label)))
+    .filter(Boolean);
+  console.log(`🧩 Convex decomposition of "${object.name}": ${frames.length} hull(s) from ${solid.length} voxels in ${Math.round(performance.now() - started)} ms`);
+  if (key) decompositionCache.set(key, structuredClone(frames));
+  return copyFrames(frames);
+}
+
 /**
  * Character-specific collision detection
- * Returns a simplified capsule/cylinder for characters
+ * Returns a simplified capsule/cylinder for characters; logger as for autoDetectCollisionShape
  */
-export function autoDetectCharacterCollision(object) {
+export function autoDetectCharacterCollision(object, logger = console) {
   const bbox = new THREE.Box3().setFromObject(object);
   const size = new THREE.Vector3();
   const center = new THREE.Vector3();
@@ -300,9 +631,9 @@ export function autoDetectCharacterCollision(object) {
     center.z - object.position.z  // Z offset (usually 0 for centered characters)
   );
 
-  console.log(`🎮 Character collision: radius=${radius.toFixed(2)}, height=${height.toFixed(2)}, offset=(${offset.x.toFixed(2)}, ${offset.y.toFixed(2)}, ${offset.z.toFixed(2)})`);
-  console.log(`   - Bounding box center: (${center.x.toFixed(2)}, ${center.y.toFixed(2)}, ${center.z.toFixed(2)})`);
-  console.log(`   - Object position: (${object.position.x.toFixed(2)}, ${object.position.y.toFixed(2)}, ${object.position.z.toFixed(2)})`);
+  logger.log(`🎮 Character collision: radius=${radius.toFixed(2)}, height=${height.toFixed(2)}, offset=(${offset.x.toFixed(2)}, ${offset.y.toFixed(2)}, ${offset.z.toFixed(2)})`);
+  logger.log(`   - Bounding box center: (${center.x.toFixed(2)}, ${center.y.toFixed(2)}, ${center.z.toFixed(2)})`);
+  logger.log(`   - Object position: (${object.position.x.toFixed(2)}, ${object.position.y.toFixed(2)}, ${object.position.z.toFixed(2)})`);
 
   return {
     type: 'capsule',
@@ -0,0 +1,96 @@
+// Sculpting and splat painting brushes for terrain objects (see engine/terrain.js). Brushes work on
+// the runtime terrain in place, at a point in the terrain's local space; the caller updates the
+// mesh afterwards and commits the result with sceneStore.updateTerrain once the stroke ends.
+
+import { terrainSpacing, terrainHeightAt } from '../engine/terrain.js';
+
+export const SCULPT_TOOLS = ['raise', 'lower', 'smooth', 'flatten'];
+
+// Raise and lower move a sample at the brush centre by this fraction of maxHeight per dab at full strength
+const HEIGHT_STEP = 0.02;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Call fn(index, weight) for every sample under the brush; weight falls off smoothly from 1 at the
+// centre to 0 at the radius. Returns the touched rows/cols or null when the brush misses.
+function forEachSample(terrain, { x, z, radius }, fn) {
+  const { size, resolution } = terrain;
+  const spacing = terrainSpacing(terrain);
+  const col0 = Math.max(0, Math.ceil((x - radius + size / 2) / spacing));
+  const col1 = Math.min(resolution - 1, Math.floor((x + radius + size / 2) / spacing));
+  const row0 = Math.max(0, Math.ceil((z - radius + size / 2) / spacing));
+  const row1 = Math.min(resolution - 1, Math.floor((z + radius + size / 2) / spacing));
+  if (col0 > col1 || row0 > row1) return null;
+
+  for (let row = row0; row <= row1; row++) {
+    for (let col = col0; col <= col1; col++) {
+      const dx = -size / 2 + col * spacing - x;
+      const dz = -size / 2 + row * spacing - z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      if (distance > radius) continue;
+      const f = 1 - distance / radius;
+      fn(row * resolution + col, f * f * (3 - 2 * f));
+    }
+  }
+  return { row0, row1, col0, col1 };
+}
+
+// Apply one dab of a sculpt tool. options: { x, z (terrain local space), radius, strength (0..1),
+// target (flatten height; default: the height under the brush centre) }.
+export function sculptTerrain(terrain, tool, options) {
+  const { heights, maxHeight, resolution } = terrain;
+  const strength = clamp(options.strength ?? 0.5, 0, 1);
+
+  switch (tool) {
+    case 'raise':
+    case 'lower': {
+      const step = (tool === 'raise' ? 1 : -1) * strength * HEIGHT_STEP * maxHeight;
+      return forEachSample(terrain, options, (i, weight) => {
+        heights[i] = clamp(heights[i] + step * weight, 0, maxHeight);
+      });
+    }
+    case 'smooth': {
+      // Average the 3x3 neighbourhood of the heights from before this dab
+      const source = heights.slice();
+      return forEachSample(terrain, options, (i, weight) => {
+        const row = Math.floor(i / resolution);
+        const col = i % resolution;
+        let sum = 0;
+        let count = 0;
+        for (let r = Math.max(0, row - 1); r <= Math.min(resolution - 1, row + 1); r++) {
+          for (let c = Math.max(0, col - 1); c <= Math.min(resolution - 1, col + 1); c++) {
+            sum += source[r * resolution + c];
+            count++;
+          }
+        }
+        heights[i] += (sum / count - heights[i]) * strength * weight;
+      });
+    }
+    case 'flatten': {
+      const target = clamp(options.target ?? terrainHeightAt(terrain, options.x, options.z) ?? 0, 0, maxHeight);
+      return forEachSample(terrain, options, (i, weight) => {
+        heights[i] += (target - heights[i]) * strength * weight;
+      });
+    }
+    default:
+      console.warn(`Unknown terrain tool: ${tool}`);
+      return null;
+  }
+}
+
+// Paint one dab of a splat layer (0..3). Weights are blended toward the layer, so every sample's
+// four weights keep adding up to 255. options: { x, z, radius, strength (0..1) }.
+export function paintTerrain(terrain, layer, options) {
+  const { splat } = terrain;
+  const strength = clamp(options.strength ?? 0.5, 0, 1);
+  return forEachSample(terrain, options, (i, weight) => {
+    const t = strength * weight;
+    let total = 0;
+    for (let l = 0; l < 4; l++) {
+      if (l === layer) continue;
+      splat[i * 4 + l] = Math.round(splat[i * 4 + l] * (1 - t));
+      total += splat[i * 4 + l];
+    }
+    splat[i * 4 + layer] = 255 - total;
+  });
+}
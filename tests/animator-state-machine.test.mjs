@@ -0,0 +1,136 @@
+// Animator test
+// First weighs the blend trees on their own: a 1D blend has to mix the two motions either side of
+// its value and a 2D blend has to play the motion at its point. Then builds the default locomotion
+// state machine from clip names (Idle, Walk, Run, Jump, Fall on stand-in tracks) and lets the
+// character controller drive it the way play mode and the game player do: standing, walking and
+// running pick Idle, Walk and Run, a speed between walk and run plays both stretched to one length,
+// the jump trigger cross-fades into Jump over the transition's duration and is used up, leaving the
+// ground without jumping plays Fall, landing returns to Locomotion, and disposing puts back the
+// clip the object played before.
+//
+//   node tests/animator-state-machine.test.mjs
+
+import * as THREE from 'three';
+import { Animator, createAnimatorData, blend1DWeights, blend2DWeights } from '../gameplayer/animator.js';
+import { CharacterController } from '../gameplayer/characterController.js';
+import { createChecks, near } from './helpers.mjs';
+
+const DT = 1 / 60;
+const WALK_SPEED = 5;
+const RUN_SPEED = 8;
+
+// Clips moving the object a little, with lengths like a character's
+function createClips() {
+  const lengths = { Idle: 2, Walk: 1, Run: 0.7, TPose: 1, Jump: 0.8, Fall: 1 };
+  return Object.entries(lengths).map(([name, length]) => (
+    new THREE.AnimationClip(name, length, [new THREE.NumberKeyframeTrack('.position[x]', [0, length], [0, 1])])
+  ));
+}
+
+// The character motor as far as the controller and animator see it
+function createMotor() {
+  return {
+    settings: { moveSpeed: WALK_SPEED, runSpeed: RUN_SPEED },
+    grounded: true,
+    jumping: false,
+    velocity: { x: 0, z: 0 },
+    move(x, z) { this.velocity = { x, z }; },
+    jump() { this.jumping = true; this.grounded = false; }
+  };
+}
+
+function run() {
+  console.log('🎞️ Animator test');
+  const { check, finish } = createChecks();
+
+  // Blend tree weights on their own
+  {
+    const motions = [{ threshold: 0 }, { threshold: WALK_SPEED }, { threshold: RUN_SPEED }];
+    const between = blend1DWeights(motions, 6.5);
+    const beyond = blend1DWeights(motions, 20);
+    check(near(between[1], 0.5) && near(between[2], 0.5) && near(beyond[2], 1), `1D blend mixes the two thresholds around the value (${between.map(w => w.toFixed(2)).join(', ')})`);
+    const corners = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }];
+    const onPoint = blend2DWeights(corners, 1, 0);
+    const middle = blend2DWeights(corners, 0.5, 0.5);
+    const total = middle.reduce((sum, w) => sum + w, 0);
+    check(near(onPoint[1], 1) && near(total, 1) && near(middle[1], middle[2]), '2D blend plays the motion at its point and weighs the others by distance');
+  }
+
+  const clips = createClips();
+  const root = new THREE.Object3D();
+  const mixer = new THREE.AnimationMixer(root);
+  // The model played its first clip before play mode started
+  mixer.clipAction(clips[0]).play();
+
+  const data = createAnimatorData(clips.map(clip => clip.name), { walkSpeed: WALK_SPEED, runSpeed: RUN_SPEED });
+  const names = data.states.map(state => state.name);
+  const locomotion = data.states[0];
+  check(names.join(',') === 'Locomotion,Jump,Fall' && locomotion.motions.map(m => m.clip).join(',') === 'Idle,Walk,Run',
+    `default animator has ${names.join(', ')} with an Idle/Walk/Run blend tree`);
+
+  const animator = new Animator(mixer, clips, data);
+  const motor = createMotor();
+  const controller = new CharacterController({ player: root, camera: null, motor, animator });
+  const weight = name => animator.actions.get(name)?.getEffectiveWeight() || 0;
+  const frames = (seconds) => {
+    for (let t = 0; t < seconds; t += DT) {
+      controller.update(DT);
+      animator.update(DT);
+      mixer.update(DT);
+    }
+  };
+
+  // Standing, walking and running set the speed the blend tree follows
+  frames(0.2);
+  check(animator.stateName === 'Locomotion' && near(weight('Idle'), 1), `stands in Locomotion playing Idle (weight ${weight('Idle').toFixed(2)})`);
+  controller.keys.add('KeyW');
+  frames(0.2);
+  check(near(animator.get('speed'), WALK_SPEED) && near(weight('Walk'), 1), `walking sets speed ${animator.get('speed')} and plays Walk`);
+  const walkScale = animator.actions.get('Walk').getEffectiveTimeScale();
+  controller.keys.add('ShiftLeft');
+  frames(0.2);
+  check(near(animator.get('speed'), RUN_SPEED) && near(weight('Run'), 1), `running sets speed ${animator.get('speed')} and plays Run`);
+  check(walkScale > 0 && near(walkScale, 1), 'a motion playing alone keeps its own speed');
+
+  // Half way between walk and run both play, stretched to a shared length
+  animator.set('speed', (WALK_SPEED + RUN_SPEED) / 2);
+  animator.update(DT);
+  const walk = animator.actions.get('Walk');
+  const runAction = animator.actions.get('Run');
+  const walkLength = clips[1].duration / walk.getEffectiveTimeScale();
+  const runLength = clips[2].duration / runAction.getEffectiveTimeScale();
+  check(near(weight('Walk'), 0.5) && near(weight('Run'), 0.5) && near(walkLength, runLength),
+    `blends Walk and Run half and half in step (${walkLength.toFixed(2)} s and ${runLength.toFixed(2)} s cycles)`);
+
+  // Jumping fires the trigger once, the jump state fades in over the transition's duration
+  const jumpFade = data.transitions.find(transition => transition.to === data.states[1].id).duration;
+  controller.jumpPressed = true;
+  frames(DT);
+  const halfWay = weight('Jump');
+  check(animator.stateName === 'Jump' && halfWay > 0 && halfWay < 1, `jump trigger switches to Jump, cross-fading (weight ${halfWay.toFixed(2)} after one frame)`);
+  frames(jumpFade);
+  check(near(weight('Jump'), 1) && animator.get('jump') === false, `Jump is fully faded in after ${jumpFade} s and the trigger is used up`);
+
+  // Landing goes back to locomotion; walking off an edge falls
+  motor.grounded = true;
+  motor.jumping = false;
+  frames(0.5);
+  check(animator.stateName === 'Locomotion' && near(weight('Run'), 1), 'landing goes back to Locomotion');
+  motor.grounded = false;
+  frames(0.5);
+  check(animator.stateName === 'Fall' && near(weight('Fall'), 1), 'leaving the ground without jumping plays Fall');
+  motor.grounded = true;
+  frames(0.5);
+  check(animator.stateName === 'Locomotion', 'and lands back in Locomotion');
+
+  // Disposing gives the object its previous clip back
+  controller.dispose();
+  animator.dispose();
+  const idle = mixer.existingAction(clips[0]);
+  const others = clips.slice(1).map(clip => mixer.existingAction(clip)).filter(action => action?.isRunning());
+  check(idle.isRunning() && others.length === 0, 'disposing restores the clip played before');
+
+  finish('Animator test failed', 'The animator blends by speed and switches states on jump and grounded');
+}
+
+run();
@@ -0,0 +1,157 @@
+// CCD tunneling test
+// Fires small fast spheres at a thin solid platform and at a Trimesh ground, once without and
+// once with continuous collision detection, and counts how many end up on the far side. Every CCD
+// body has to be stopped, except by a platform whose collision mask leaves the spheres' layer out.
+//
+//   node tests/ccd-tunneling.test.mjs            run the test
+//   node tests/ccd-tunneling.test.mjs --write    also save examples/ccd-tunneling.json, which can be imported
+//                                                in the editor (Settings → Import JSON): debris dropped
+//                                                from high up, the left column with CCD and the right without
+
+import { writeFileSync } from 'fs';
+import * as CANNON from 'cannon-es';
+import { applyBroadphase, attachTrimeshBVH } from '../gameplayer/physicsBroadphase.js';
+import { FixedTimestep } from '../gameplayer/physicsTimestep.js';
+import { ContinuousCollision } from '../gameplayer/physicsCCD.js';
+import { createChecks, repoPath, isMain } from './helpers.mjs';
+
+const SHOTS = 20;
+const SPEED = 120; // 2 units per 60 Hz step
+const RADIUS = 0.05;
+const PLATFORM_THICKNESS = 0.05;
+const STEPS = 90;
+
+// Flat Trimesh ground of (n * n * 2) triangles centred on the origin
+function createGround(n = 10, spacing = 2) {
+  const vertices = [];
+  const indices = [];
+  for (let z = 0; z <= n; z++) {
+    for (let x = 0; x <= n; x++) vertices.push((x - n / 2) * spacing, 0, (z - n / 2) * spacing);
+  }
+  for (let z = 0; z < n; z++) {
+    for (let x = 0; x < n; x++) {
+      const a = z * (n + 1) + x;
+      indices.push(a, a + n + 1, a + 1, a + 1, a + n + 1, a + n + 2);
+    }
+  }
+  return new CANNON.Trimesh(vertices, indices);
+}
+
+const tunneled = shots => shots.filter(body => body.position.y < -PLATFORM_THICKNESS).length;
+
+// Shoot SHOTS spheres straight down at a target whose top is at y = 0; returns the spheres.
+// targetMask is the target's collisionFilterMask; the spheres are in group 2.
+function shootAt(target, useCCD, targetMask = -1) {
+  const world = new CANNON.World({ gravity: new CANNON.Vec3(0, -9.82, 0) });
+  applyBroadphase(world, { broadphase: 'sap' });
+  const ccd = new ContinuousCollision(world);
+  const timestep = new FixedTimestep();
+
+  const ground = new CANNON.Body({ mass: 0 });
+  if (target === 'platform') {
+    ground.addShape(new CANNON.Box(new CANNON.Vec3(5, PLATFORM_THICKNESS / 2, 5)));
+    ground.position.set(0, -PLATFORM_THICKNESS / 2, 0);
+  } else {
+    const mesh = createGround();
+    attachTrimeshBVH(mesh);
+    ground.addShape(mesh);
+  }
+  ground.collisionFilterMask = targetMask;
+  world.addBody(ground);
+
+  const shots = [];
+  for (let i = 0; i < SHOTS; i++) {
+    const body = new CANNON.Body({ mass: 0.05, shape: new CANNON.Sphere(RADIUS), collisionFilterGroup: 2 });
+    // Spread the start heights so the shots reach the surface at different points of a step
+    body.position.set((i % 5) - 2, 3 + i * 0.137, Math.floor(i / 5) - 2);
+    body.velocity.set(0, -SPEED, 0);
+    world.addBody(body);
+    if (useCCD) ccd.add(body);
+    shots.push(body);
+  }
+
+  for (let i = 0; i < STEPS; i++) timestep.step(world, 1 / 60);
+  return shots;
+}
+
+const sphere = (id, name, position, color, ccd) => ({
+  id,
+  name,
+  type: 'primitive',
+  primitive: 'sphere',
+  geometry: { radius: 0.1 },
+  transform: { position, rotation: [0, 0, 0], scale: [0.2, 0.2, 0.2] },
+  material: { color, metalness: 0, roughness: 0.5 },
+  physics: { enabled: true, bodyType: 'sphere', mass: 0.1, size: { x: 0.2, y: 0.2, z: 0.2 }, ccd }
+});
+
+// Scene file (formatVersion 2): debris falls 300 units onto a 5 cm thick platform
+export function createCCDProject() {
+  const objects = [
+    {
+      id: 'sun',
+      name: 'Sun',
+      type: 'light',
+      transform: { position: [10, 20, 10], rotation: [0, 0, 0], scale: [1, 1, 1] },
+      light: { lightType: 'directional', color: 0xffffff, intensity: 0.9, castShadow: true }
+    },
+    {
+      id: 'thin-platform',
+      name: 'Thin Platform',
+      type: 'primitive',
+      primitive: 'solidPlatform',
+      geometry: { width: 8, height: PLATFORM_THICKNESS, depth: 4 },
+      transform: { position: [0, 2, 0], rotation: [0, 0, 0], scale: [1, 1, 1] },
+      material: { color: 0x10b981, metalness: 0, roughness: 0.6 },
+      physics: { enabled: true, bodyType: 'solidPlatform', mass: 0, isStatic: true, size: { x: 8, y: PLATFORM_THICKNESS, z: 4 } }
+    }
+  ];
+  for (let i = 0; i < 6; i++) {
+    objects.push(sphere(`ccd-${i}`, `Debris CCD ${i}`, [-2, 300 + i * 8, i * 0.5 - 1.25], 0x33dd66, true));
+    objects.push(sphere(`plain-${i}`, `Debris ${i}`, [2, 300 + i * 8, i * 0.5 - 1.25], 0xdd3333, false));
+  }
+
+  return {
+    formatVersion: 2,
+    generator: 'GD3D CCD tunneling test',
+    project: { id: 'ccd-tunneling', name: 'CCD Tunneling Test', version: '0.1.0' },
+    startScene: 'ccd',
+    scenes: [{
+      id: 'ccd',
+      name: 'CCD Tunneling Test',
+      camera: { position: [0, 4, 10], target: [0, 2, 0] },
+      objects
+    }],
+    eventSheets: [],
+    variables: {},
+    assets: [],
+    physics: { broadphase: 'sap', sapAxis: 'auto' }
+  };
+}
+
+function run() {
+  console.log(`🎯 CCD tunneling test: ${SHOTS} spheres of radius ${RADIUS} at ${SPEED} units/s`);
+  const { check, finish } = createChecks();
+  ['platform', 'trimesh'].forEach((target) => {
+    const plain = tunneled(shootAt(target, false));
+    const swept = tunneled(shootAt(target, true));
+    const label = target === 'platform' ? `${PLATFORM_THICKNESS * 100} cm platform` : 'Trimesh ground';
+    check(swept === 0, `${label.padEnd(16)} without CCD ${String(plain).padStart(2)}/${SHOTS} tunneled   with CCD ${String(swept).padStart(2)}/${SHOTS} tunneled`);
+  });
+
+  // The spheres' mask includes the platform, but the platform's own mask leaves the spheres out,
+  // so the pair never collides and CCD mustn't stop them either: they keep falling at full speed
+  const filtered = shootAt('platform', true, ~2).filter(body => body.velocity.y < -SPEED).length;
+  check(filtered === SHOTS, `${'filtered platform'.padEnd(16)} with CCD ${String(filtered).padStart(2)}/${SHOTS} fall through a platform whose mask leaves their layer out`);
+
+  if (process.argv.includes('--write')) {
+    const file = repoPath('examples/ccd-tunneling.json');
+    writeFileSync(file, JSON.stringify(createCCDProject(), null, 2));
+    console.log(`💾 Wrote ${file}`);
+  }
+
+  finish('CCD tunneling test failed', 'CCD stops fast bodies wherever their layers collide, and only there');
+}
+
+// Only run when executed directly, not when imported for createCCDProject
+if (isMain(import.meta)) run();
@@ -0,0 +1,206 @@
+// Character motor test
+// Drives a capsule character with the game player's proportions through one short course per
+// behaviour of the kinematic character motor: it has to slide along a wall without sinking into it,
+// walk up a 30° ramp and back down without leaving the ground, be stopped by a 60° one, step up a
+// 0.25 m ledge but not a 0.5 m one, still jump just after walking off an edge but not too long
+// after (coyote time), jump on landing only when the press came shortly before (jump buffer), stay
+// put on a moving platform and push a dynamic crate ahead of it.
+//
+//   node tests/character-motor.test.mjs
+
+import * as CANNON from 'cannon-es';
+import { CharacterMotors } from '../gameplayer/physicsCharacter.js';
+import { MovingPlatforms } from '../gameplayer/physicsPlatforms.js';
+import { addCapsuleShapes } from '../gameplayer/physicsShapes.js';
+import { snapBody } from '../gameplayer/physicsTimestep.js';
+import { createChecks } from './helpers.mjs';
+
+const DT = 1 / 60;
+const RADIUS = 0.3;
+const HEIGHT = 1.8;
+const SPEED = 5;
+
+function createWorld() {
+  const world = new CANNON.World({ gravity: new CANNON.Vec3(0, -20, 0) });
+  // Bodies are placed after their shapes are added, so refresh their bounds like the runtimes do
+  world.addEventListener('addBody', event => snapBody(event.body));
+  const floor = new CANNON.Body({ mass: 0, shape: new CANNON.Box(new CANNON.Vec3(50, 0.5, 50)) });
+  floor.position.set(0, -0.5, 0);
+  world.addBody(floor);
+  return world;
+}
+
+function addBox(world, halfExtents, position, angleZ = 0, mass = 0) {
+  const body = new CANNON.Body({ mass, shape: new CANNON.Box(new CANNON.Vec3(...halfExtents)) });
+  body.position.set(...position);
+  body.quaternion.setFromEuler(0, 0, angleZ);
+  world.addBody(body);
+  return body;
+}
+
+// A ramp rising along +x from `foot` at `degrees`, 10 units long
+function addRamp(world, foot, degrees) {
+  const angle = degrees * Math.PI / 180;
+  const half = 5;
+  const thickness = 0.25;
+  // Centre of the top face half way up, then down by the half thickness along the face normal
+  const x = foot + Math.cos(angle) * half + Math.sin(angle) * thickness;
+  const y = Math.sin(angle) * half - Math.cos(angle) * thickness;
+  return addBox(world, [half, thickness, 3], [x, y, 0], angle);
+}
+
+// The player's body: origin at the feet, capsule above it
+function addCharacter(world, motors, x, y = 0, z = 0, settings = {}) {
+  const body = new CANNON.Body({ mass: 1, fixedRotation: true });
+  addCapsuleShapes(body, RADIUS, HEIGHT, new CANNON.Vec3(0, HEIGHT / 2, 0));
+  body.position.set(x, y, z);
+  world.addBody(body);
+  const motor = motors.add(body, settings);
+  return { body, motor };
+}
+
+function run() {
+  console.log('🏃 Character motor test');
+  const { check, finish } = createChecks();
+  const simulate = (world, seconds, each = () => {}) => {
+    for (let t = 0; t < seconds; t += DT) {
+      each(t);
+      world.step(DT);
+    }
+  };
+
+  // Wall: pressing into it at a run never gets the capsule inside
+  {
+    const world = createWorld();
+    const motors = new CharacterMotors(world);
+    addBox(world, [0.1, 2, 5], [3, 2, 0]);
+    const { body, motor } = addCharacter(world, motors, 0);
+    let deepest = Infinity;
+    simulate(world, 2, () => {
+      motor.move(8, 1);
+      deepest = Math.min(deepest, 2.9 - (body.position.x + RADIUS));
+    });
+    check(deepest > -0.01 && body.position.z > 1, `runs along a wall without clipping into it (closest ${deepest.toFixed(3)})`);
+  }
+
+  // Ramps: 30° is walked up, 60° is too steep
+  {
+    const world = createWorld();
+    const motors = new CharacterMotors(world);
+    addRamp(world, 1, 30);
+    const { body, motor } = addCharacter(world, motors, 0);
+    let airborne = 0;
+    simulate(world, 1.5, () => {
+      motor.move(SPEED, 0);
+      if (!motor.grounded) airborne++;
+    });
+    const expected = (body.position.x - 1) * Math.tan(Math.PI / 6);
+    check(body.position.y > 1 && Math.abs(body.position.y - expected) < 0.15 && airborne <= 1, `walks up a 30° ramp (at ${body.position.y.toFixed(2)} m, ramp surface ${expected.toFixed(2)} m, ${airborne} frames airborne)`);
+
+    // And back down without leaving the ground
+    airborne = 0;
+    simulate(world, 1.2, () => {
+      motor.move(-SPEED, 0);
+      if (!motor.grounded) airborne++;
+    });
+    check(airborne <= 1 && body.position.y < 0.05, `walks down it snapped to the ground (${airborne} frames airborne)`);
+  }
+  {
+    const world = createWorld();
+    const motors = new CharacterMotors(world);
+    addRamp(world, 1, 60);
+    const { body, motor } = addCharacter(world, motors, 0);
+    let highest = 0;
+    simulate(world, 2, () => {
+      motor.move(SPEED, 0);
+      highest = Math.max(highest, body.position.y);
+    });
+    check(highest < 0.35 && body.position.x < 1.2, `can't walk up a 60° ramp (highest ${highest.toFixed(2)} m)`);
+  }
+
+  // Ledges: 0.25 m is stepped up, 0.5 m blocks
+  for (const [height, climbs] of [[0.25, true], [0.5, false]]) {
+    const world = createWorld();
+    const motors = new CharacterMotors(world);
+    addBox(world, [3, height / 2, 3], [4, height / 2, 0]);
+    const { body, motor } = addCharacter(world, motors, 0);
+    simulate(world, 1, () => motor.move(SPEED, 0));
+    const onTop = body.position.x > 2 && Math.abs(body.position.y - height) < 0.05;
+    check(climbs ? onTop : body.position.x < 1 && body.position.y < 0.05,
+      `${climbs ? 'steps up' : 'is stopped by'} a ${height} m ledge (at x ${body.position.x.toFixed(2)}, y ${body.position.y.toFixed(2)})`);
+  }
+
+  // Coyote time: a jump pressed shortly after walking off an edge still jumps, a late one doesn't
+  for (const [late, jumps] of [[0.08, true], [0.3, false]]) {
+    const world = createWorld();
+    const motors = new CharacterMotors(world);
+    addBox(world, [2, 1, 3], [0, 1, 0]);
+    const { motor } = addCharacter(world, motors, 1, 2, 0, { coyoteTime: 0.15 });
+    let leftAt = null;
+    let jumpedAt = null;
+    let pressed = false;
+    simulate(world, 1.2, (t) => {
+      motor.move(SPEED, 0);
+      if (leftAt === null && !motor.grounded && t > 0.1) leftAt = t;
+      if (leftAt !== null && !pressed && t >= leftAt + late) {
+        motor.jump();
+        pressed = true;
+      }
+      if (pressed && jumpedAt === null && motor.velocity.y > 0) jumpedAt = t;
+    });
+    check(jumps === (jumpedAt !== null), `${jumps ? 'jumps' : "doesn't jump"} when jump is pressed ${late} s after walking off an edge`);
+  }
+
+  // Jump buffer: a jump pressed just before landing jumps on landing, an early one is forgotten
+  for (const [early, jumps] of [[0.06, true], [0.3, false]]) {
+    const world = createWorld();
+    const motors = new CharacterMotors(world);
+    const { body, motor } = addCharacter(world, motors, 0, 5, 0, { jumpBufferTime: 0.1 });
+    // Landing time from 5 m at 20 m/s², rounded up to the physics step
+    const landing = Math.ceil(Math.sqrt(2 * 5 / 20) / DT) * DT;
+    let pressed = false;
+    let landed = false;
+    let bounced = false;
+    simulate(world, landing + 0.4, (t) => {
+      if (!pressed && t >= landing - early) {
+        motor.jump();
+        pressed = true;
+      }
+      if (motor.grounded) landed = true;
+      if (landed && body.position.y > 0.2) bounced = true;
+    });
+    check(jumps === bounced, `${jumps ? 'jumps on landing' : 'lands without jumping'} when jump is pressed ${early} s before touching down`);
+  }
+
+  // Moving platform: standing on it carries the character along
+  {
+    const world = createWorld();
+    const platforms = new MovingPlatforms(world);
+    const motors = new CharacterMotors(world);
+    const platform = addBox(world, [1.5, 0.25, 1.5], [0, 1, 0]);
+    platforms.add(platform, { enabled: true, mode: 'pingPong', speed: 2, easing: 'linear', waypoints: [{ x: 0, y: 0, z: 0, wait: 0 }, { x: 4, y: 1, z: 0, wait: 0 }] });
+    const { body, motor } = addCharacter(world, motors, 0, 1.3);
+    // The platform moves off while the character drops onto it, so compare against where it landed
+    let landed = null;
+    simulate(world, 1.5, () => {
+      if (landed === null && motor.grounded) landed = body.position.x - platform.position.x;
+    });
+    const drift = body.position.x - platform.position.x - landed;
+    const feet = body.position.y - (platform.position.y + 0.25);
+    check(motor.grounded && Math.abs(drift) < 0.02 && Math.abs(feet - 0.02) < 0.05, `rides a moving platform (drifted ${drift.toFixed(3)} m, ${feet.toFixed(3)} m above it)`);
+  }
+
+  // Crate: walking into a dynamic body pushes it instead of passing through
+  {
+    const world = createWorld();
+    const motors = new CharacterMotors(world);
+    const crate = addBox(world, [0.4, 0.4, 0.4], [2, 0.4, 0], 0, 2);
+    const { body, motor } = addCharacter(world, motors, 0);
+    simulate(world, 2, () => motor.move(SPEED, 0));
+    check(crate.position.x > 2.5 && crate.position.x - body.position.x > 0.6, `pushes a crate (crate at ${crate.position.x.toFixed(2)}, character at ${body.position.x.toFixed(2)})`);
+  }
+
+  finish('Character motor test failed', 'The character motor slides, climbs, steps, snaps and jumps as configured');
+}
+
+run();
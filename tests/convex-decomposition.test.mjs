@@ -0,0 +1,119 @@
+// Convex decomposition test
+// Builds a stone arch as a single mesh, gives it collision frames once from one convex hull and
+// once from an approximate convex decomposition, and rolls a ball through the opening. The single
+// hull fills the opening in, so the ball should only get through with the decomposition.
+// Then decomposes a row of five separate stepping stones with fewer hulls than stones: a ball
+// dropped on each stone has to land on it, so no stone may be left without collision.
+//
+//   node tests/convex-decomposition.test.mjs                 run the test
+//   node tests/convex-decomposition.test.mjs --resolution 32 --max-hulls 4
+
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { createConvexFrame, decomposeConvex, DEFAULT_DECOMPOSITION } from '../src/utils/physicsShapeDetection.js';
+import { addCompoundFrames } from '../gameplayer/physicsCompound.js';
+import { createChecks, argValue } from './helpers.mjs';
+
+const STEPS = 240;
+const BALL_RADIUS = 0.3;
+
+// Two 0.5 wide pillars, 2 tall, under a 2.5 wide lintel: a 1.5 x 2 opening along z
+function createArch() {
+  const block = (width, height, depth, x, y) => new THREE.BoxGeometry(width, height, depth).translate(x, y, 0);
+  const geometry = mergeGeometries([
+    block(0.5, 2, 0.5, -1, 1),
+    block(0.5, 2, 0.5, 1, 1),
+    block(2.5, 0.5, 0.5, 0, 2.25)
+  ]);
+  const arch = new THREE.Mesh(geometry);
+  arch.name = 'Arch';
+  return arch;
+}
+
+// Five 0.6 wide stones, 1 tall, 1.5 apart along x, as one mesh
+const STONE_X = [-3, -1.5, 0, 1.5, 3];
+function createStones() {
+  const stones = new THREE.Mesh(mergeGeometries(STONE_X.map(x => new THREE.BoxGeometry(0.6, 1, 0.6).translate(x, 0.5, 0))));
+  stones.name = 'Stones';
+  return stones;
+}
+
+// Roll a ball at the arch along z; returns true when it comes out the other side
+function rollThrough(frames) {
+  const world = new CANNON.World({ gravity: new CANNON.Vec3(0, -9.82, 0) });
+  const ground = new CANNON.Body({ mass: 0, shape: new CANNON.Plane() });
+  ground.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
+  world.addBody(ground);
+
+  const arch = new CANNON.Body({ mass: 0 });
+  addCompoundFrames(arch, frames);
+  world.addBody(arch);
+
+  const ball = new CANNON.Body({ mass: 1, shape: new CANNON.Sphere(BALL_RADIUS) });
+  ball.position.set(0, BALL_RADIUS, -3);
+  ball.velocity.set(0, 0, 4);
+  world.addBody(ball);
+
+  for (let i = 0; i < STEPS; i++) world.step(1 / 60);
+  return ball.position.z > 1;
+}
+
+// Drop a ball on each stone; returns the heights they come to rest at
+function dropOnStones(frames) {
+  const world = new CANNON.World({ gravity: new CANNON.Vec3(0, -9.82, 0) });
+  const ground = new CANNON.Body({ mass: 0, shape: new CANNON.Plane() });
+  ground.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
+  world.addBody(ground);
+
+  const stones = new CANNON.Body({ mass: 0 });
+  addCompoundFrames(stones, frames);
+  world.addBody(stones);
+
+  const balls = STONE_X.map((x) => {
+    const ball = new CANNON.Body({ mass: 1, shape: new CANNON.Sphere(0.2) });
+    ball.position.set(x, 2, 0);
+    world.addBody(ball);
+    return ball;
+  });
+  for (let i = 0; i < STEPS; i++) world.step(1 / 60);
+  return balls.map(ball => ball.position.y);
+}
+
+function run() {
+  const arch = createArch();
+  const options = {
+    resolution: Number(argValue('--resolution') ?? DEFAULT_DECOMPOSITION.resolution),
+    maxHulls: Number(argValue('--max-hulls') ?? DEFAULT_DECOMPOSITION.maxHulls)
+  };
+  console.log(`🏛️ Convex decomposition test: resolution ${options.resolution}, up to ${options.maxHulls} hulls`);
+
+  const { log, warn } = console;
+  const warnings = [];
+  console.log = () => {};
+  console.warn = message => warnings.push(message);
+  const hull = [createConvexFrame(arch)];
+  const started = performance.now();
+  const pieces = decomposeConvex(arch, { ...options, cacheKey: 'arch' });
+  const elapsed = performance.now() - started;
+  const cachedStart = performance.now();
+  decomposeConvex(arch, { ...options, cacheKey: 'arch' });
+  const cached = performance.now() - cachedStart;
+  const stoneHulls = decomposeConvex(createStones(), { resolution: options.resolution, maxHulls: 3 });
+  console.log = log;
+  console.warn = warn;
+
+  const { check, finish } = createChecks();
+  const hullPasses = rollThrough(hull);
+  const piecesPass = rollThrough(pieces);
+  check(!hullPasses, `single hull        ${hullPasses ? 'ball got through' : 'opening blocked'}`);
+  check(piecesPass, `${String(pieces.length).padStart(2)} convex pieces   ${piecesPass ? 'ball got through' : 'opening blocked'} (${Math.round(elapsed)} ms, cached ${cached.toFixed(1)} ms)`);
+
+  const heights = dropOnStones(stoneHulls);
+  check(stoneHulls.length === 3 && heights.every(y => y > 1), `5 stones in 3 hulls   balls resting at ${heights.map(y => y.toFixed(2)).join(', ')}`);
+  check(warnings.some(message => message.includes('5 separate parts')), 'merging the extra stones is reported');
+
+  finish('Convex decomposition test failed', 'Only the decomposed arch lets the ball through, and every stone keeps its collision');
+}
+
+run();
@@ -0,0 +1,120 @@
+// Event interpreter test
+// Runs event sheets against a stubbed runtime (an empty scene, no physics) and a stand-in for the
+// browser's document: a repeating and a one-shot timer have to fire on time, keyboard events have to
+// pass through nested And / Or / Not conditions, variable changes have to run their handlers and
+// sub-events, object variables have to stay separate from globals, and pausing has to stop time.
+//
+//   node tests/event-interpreter.test.mjs
+
+import * as THREE from 'three';
+import { EventInterpreter } from '../src/engine/eventInterpreter.js';
+import { createChecks } from './helpers.mjs';
+
+const DT = 0.25;
+
+// The interpreter listens for keys on document
+globalThis.document ??= new EventTarget();
+const press = (code, repeat = false) => document.dispatchEvent(Object.assign(new Event('keydown'), { code, repeat }));
+
+const condition = (type, parameters = {}) => ({ type, parameters });
+const setVariable = (name, operation, value, scope = 'global') => ({ type: 'SetVariable', parameters: { scope, name, operation, value } });
+
+const SHEETS = [
+  {
+    id: 'game',
+    events: [
+      { condition: condition('OnEvery', { seconds: 1 }), action: setVariable('score', 'add', 1) },
+      { condition: condition('OnTimer', { seconds: 2.5 }), action: setVariable('alarms', 'add', 1) },
+      {
+        // Space jumps once the score reaches 3, or at any score when no lives are left
+        condition: {
+          type: 'And',
+          conditions: [
+            condition('OnKeyPressed', { key: 'Space' }),
+            {
+              type: 'Or',
+              conditions: [
+                condition('CompareVariable', { scope: 'global', name: 'score', operator: '>=', value: 3 }),
+                { type: 'Not', condition: condition('CompareVariable', { scope: 'global', name: 'lives', operator: '>', value: 0 }) }
+              ]
+            }
+          ]
+        },
+        action: setVariable('jumps', 'add', 1)
+      },
+      {
+        condition: condition('OnVariableChanged', { scope: 'global', name: 'score' }),
+        action: setVariable('changes', 'add', 1),
+        subEvents: [
+          { condition: condition('CompareVariable', { scope: 'global', name: 'score', operator: '==', value: '5' }), action: setVariable('bonus', 'set', 'unlocked') }
+        ]
+      }
+    ]
+  },
+  {
+    id: 'player-sheet',
+    objectId: 'player',
+    variables: { hp: 10 },
+    events: [
+      { condition: condition('OnEvery', { seconds: 0.5 }), action: setVariable('hp', 'subtract', 1, 'object') }
+    ]
+  }
+];
+
+function run() {
+  console.log('⚡ Event interpreter test');
+  const { check, finish } = createChecks();
+
+  const interpreter = new EventInterpreter({ scene: new THREE.Scene(), physics: null });
+  interpreter.initialize(SHEETS, { score: 0, lives: 3 });
+  const global = name => interpreter.getVariable('global', name);
+  const runFor = (seconds) => {
+    for (let i = 0; i < Math.round(seconds / DT); i++) interpreter.update(DT);
+  };
+
+  runFor(0.75);
+  check(global('score') === 0 && global('changes') === undefined, 'nothing fires before the first second');
+  press('Space');
+  check(global('jumps') === undefined, 'Space does nothing with a low score and lives left (And / Or both false)');
+  interpreter.setVariable('global', 'lives', 0);
+  press('Space');
+  check(global('jumps') === 1, 'with no lives left the Not branch lets Space through');
+  interpreter.setVariable('global', 'lives', 3);
+
+  runFor(0.25);
+  check(global('score') === 1 && global('changes') === 1, 'Every 1 s adds to the score at 1 s and runs the change handler');
+  runFor(1.25);
+  check(global('alarms') === undefined, 'the 2.5 s timer has not fired at 2.25 s');
+  runFor(0.25);
+  check(global('alarms') === 1 && global('score') === 2, 'it fires at 2.5 s');
+
+  runFor(0.5);
+  press('Space');
+  press('Space', true);
+  press('KeyA');
+  check(global('score') === 3 && global('jumps') === 2, 'at score 3 Space jumps; key repeats and other keys do not');
+
+  runFor(1);
+  check(global('bonus') === undefined, 'the bonus sub-event waits for its condition (score 4)');
+  runFor(1);
+  check(global('bonus') === 'unlocked' && global('changes') === 5, 'and runs with its parent event when the score reaches 5');
+  check(global('alarms') === 1, 'the one-shot timer fired only once');
+  check(interpreter.getVariable('object', 'hp', 'player') === 0 && global('hp') === undefined,
+    `the player's own every-0.5 s event counts its hp down to ${interpreter.getVariable('object', 'hp', 'player')} without touching the globals`);
+
+  interpreter.setPaused(true);
+  runFor(3);
+  press('Space');
+  check(global('score') === 5 && global('jumps') === 2, 'while paused no time passes and no key events run');
+  interpreter.setPaused(false);
+  runFor(1);
+  check(global('score') === 6, 'after unpausing the timers carry on where they stopped');
+
+  interpreter.dispose();
+  press('Space');
+  check(global('jumps') === 2, 'disposing removes the keyboard listeners');
+
+  finish('Event interpreter test failed', 'Conditions, timers and variables run the events they should');
+}
+
+run();
@@ -0,0 +1,40 @@
+// Shared helpers for the tests in this directory. Each *.test.mjs file is a plain Node script:
+// `npm test` (tests/run.mjs) runs them one after another and a test fails by exiting non-zero.
+
+import { fileURLToPath } from 'url';
+
+// Collects pass/fail lines; finish() prints the result and exits with 1 if any check failed
+export function createChecks() {
+  let failed = false;
+  return {
+    check(ok, message) {
+      console.log(`  ${ok ? '✅' : '❌'} ${message}`);
+      if (!ok) failed = true;
+      return ok;
+    },
+    get failed() {
+      return failed;
+    },
+    finish(failureMessage, successMessage) {
+      if (failed) {
+        console.error(`❌ ${failureMessage}`);
+        process.exit(1);
+      }
+      console.log(`✅ ${successMessage}`);
+    }
+  };
+}
+
+export const near = (a, b, tolerance = 0.02) => Math.abs(a - b) < tolerance;
+
+// Value following a command line flag, e.g. argValue('--frames') for `--frames 240`
+export const argValue = (name) => {
+  const index = process.argv.indexOf(name);
+  return index >= 0 ? process.argv[index + 1] : undefined;
+};
+
+// Absolute path of a file relative to the repository root
+export const repoPath = file => fileURLToPath(new URL(`../${file}`, import.meta.url));
+
+// True when the module was run with `node <file>` rather than imported by another test
+export const isMain = meta => process.argv[1] === fileURLToPath(meta.url);
@@ -0,0 +1,79 @@
+// Undo/redo history test
+// Runs the scene and history stores without the editor: a gizmo drag recorded inside a merge group
+// has to undo as one entry back to where it started, redo has to replay it, a new edit has to clear
+// the redo stack, jumpTo has to walk several entries, and undoing a delete has to put the object
+// back with a physics body built from its saved settings (layer and material included).
+//
+//   node tests/history-store.test.mjs
+
+import * as THREE from 'three';
+import { useSceneStore } from '../src/store/sceneStore.js';
+import { useHistoryStore } from '../src/store/historyStore.js';
+import { PhysicsWorld } from '../src/physics/PhysicsWorld.js';
+import { createChecks } from './helpers.mjs';
+
+const history = () => useHistoryStore.getState();
+const scene = () => useSceneStore.getState();
+const position = (x, y, z) => ({ position: { x, y, z }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 } });
+
+function addBox(name, physics) {
+  const box = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), new THREE.MeshStandardMaterial());
+  box.name = name;
+  scene().scene.add(box);
+  scene().addObject(box, physics ? { physics } : {});
+  return box;
+}
+
+function run() {
+  console.log('↩️ Undo/redo history test');
+  const { check, finish } = createChecks();
+
+  useSceneStore.setState({ scene: new THREE.Scene(), physicsWorld: new PhysicsWorld({ logger: { log: () => {} } }) });
+  const box = addBox('Box');
+  const crate = addBox('Crate', { enabled: true, bodyType: 'box', mass: 2, size: { x: 1, y: 1, z: 1 }, layer: 'Pickup', material: 'ice' });
+  check(history().undoStack.map(entry => entry.label).join(',') === 'Add Box,Add Crate', 'adding objects records one entry each');
+
+  // A gizmo drag: many transform updates folded into one entry by the merge group
+  history().beginGroup(`transform:${box.uuid}`, 'Move Box');
+  for (let i = 1; i <= 10; i++) scene().updateObjectTransform(box.uuid, position(i, 0, 0));
+  history().endGroup();
+  const top = history().undoStack[history().undoStack.length - 1];
+  check(history().undoStack.length === 3 && top.label === 'Move Box', `a drag of 10 updates is one "${top.label}" entry`);
+
+  history().undo();
+  check(box.position.x === 0 && scene().objects.get(box.uuid).transform.position.x === 0, 'undoing the drag puts the box back where it started');
+  history().redo();
+  check(box.position.x === 10 && history().redoStack.length === 0, 'redo moves it to where the drag ended');
+
+  // Different objects never merge, and a new edit drops what could be redone
+  scene().updateObjectTransform(crate.uuid, position(0, 3, 0));
+  history().undo();
+  check(history().redoStack.length === 1 && crate.position.y === 0, 'an edit of another object is its own entry');
+  scene().updateObjectTransform(box.uuid, position(10, 0, 5));
+  check(history().redoStack.length === 0, 'a new edit clears the redo stack');
+
+  // Delete and undo: the same object comes back with a body made from its saved settings
+  const world = scene().physicsWorld;
+  const before = world.getBody(crate);
+  scene().removeObject(crate.uuid);
+  check(!crate.parent && !world.getBody(crate) && !scene().objects.has(crate.uuid), 'deleting removes the object, its body and its data');
+  history().undo();
+  const body = world.getBody(crate);
+  check(crate.parent === scene().scene && scene().objects.has(crate.uuid), 'undoing the delete puts the same object back');
+  check(body && body !== before && body.mass === 2 && body.collisionLayer === 'Pickup' && body.material === before.material,
+    `and rebuilds its body with the saved mass, layer and material (mass ${body?.mass}, ${body?.collisionLayer}, ${body?.material?.name})`);
+  history().redo();
+  check(!crate.parent && !world.getBody(crate), 'redoing the delete removes it again');
+
+  // jumpTo walks back and forth over several entries
+  const first = history().undoStack[0];
+  history().jumpTo(first.id);
+  check(history().undoStack.length === 1 && !box.position.x && scene().objects.size === 1, 'jumping to the first entry undoes everything after it');
+  const last = history().redoStack[0];
+  history().jumpTo(last.id);
+  check(history().redoStack.length === 0 && box.position.z === 5 && !world.getBody(crate), 'jumping to the last entry redoes them all');
+
+  finish('Undo/redo history test failed', 'Edits undo and redo as recorded, drags as one step, deletes with their bodies');
+}
+
+run();
@@ -0,0 +1,182 @@
+// Keyframe timeline test
+// Starts with the clip editing helpers behind the Timeline tab: keys have to stay in time order
+// with their easing, ease in / ease in-out / step curves have to sample as named, saved clips have
+// to parse as three.js AnimationClips, and lights and meshes have to offer their own keyable
+// properties. Then plays a keyed scene the way the RuntimePlayer does (a lift, a door, a spinning
+// sign and a flickering lamp on their objects' mixers): rotation has to turn past a full circle,
+// autoplay and ping-pong clips have to run while the door waits for its Play Animation action,
+// the door and lift bodies have to follow their animation (the lift carrying a crate up), Stop
+// Animation has to hold the sign, and disposing has to restore the door. Last, the clips have to
+// pass the scene file schema and load back unchanged.
+//
+//   node tests/keyframe-timeline.test.mjs
+
+import * as THREE from 'three';
+import {
+  KEYFRAME_PROPERTIES,
+  keyframeProperties,
+  createKeyframeClipData,
+  createKeyframeClip,
+  setKeyframe,
+  updateKeyframe,
+  removeKeyframe,
+  KeyframeAnimations
+} from '../src/engine/keyframeAnimation.js';
+import { PhysicsEngine } from '../src/engine/physics.js';
+import { EventInterpreter } from '../src/engine/eventInterpreter.js';
+import { serializeEditorObject, serializeEditorScene, createProjectFile, parseSceneFile } from '../src/engine/sceneFormat.js';
+import { createChecks, near } from './helpers.mjs';
+
+const DT = 1 / 60;
+const property = track => KEYFRAME_PROPERTIES.find(p => p.track === track);
+
+function createBox(name, size, position) {
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(...size), new THREE.MeshStandardMaterial({ color: 0x808080 }));
+  mesh.name = name;
+  mesh.userData.sceneObjectId = name;
+  mesh.position.set(...position);
+  mesh.updateMatrixWorld(true);
+  return mesh;
+}
+
+// The value a one-track clip gives at time t
+function sample(clipData, t) {
+  const object = new THREE.Object3D();
+  const mixer = new THREE.AnimationMixer(object);
+  const action = mixer.clipAction(createKeyframeClip(clipData));
+  action.play();
+  action.time = t;
+  mixer.update(0);
+  return object.position.y;
+}
+
+function run() {
+  console.log('🎬 Keyframe timeline test');
+  const { check, finish } = createChecks();
+
+  // Editing keys
+  {
+    let clip = createKeyframeClipData({ name: 'Rise' });
+    clip = setKeyframe(clip, property('.position'), 2, [0, 2, 0]);
+    clip = setKeyframe(clip, property('.position'), 0, [0, 0, 0], 'easeIn');
+    clip = setKeyframe(clip, property('.position'), 1, [0, 9, 0]);
+    clip = removeKeyframe(clip, '.position', 1);
+    const track = clip.tracks[0];
+    check(track.times.join(',') === '0,2' && track.values.join(',') === '0,0,0,0,2,0' && track.easing.join(',') === 'easeIn,linear' && clip.duration === 2,
+      'keys stay in time order with their easing, and the clip grows to the last key');
+    check(near(sample(clip, 1), 0.5) && near(sample(clip, 0.5), 2 * 0.0625),
+      `ease in starts slow (${sample(clip, 0.5).toFixed(3)} at a quarter, ${sample(clip, 1).toFixed(3)} half way)`);
+    const eased = updateKeyframe(clip, '.position', 0, { easing: 'easeInOut' });
+    const stepped = updateKeyframe(clip, '.position', 0, { easing: 'step' });
+    check(near(sample(eased, 1), 1) && near(sample(eased, 1.5), 2 * 0.875) && sample(stepped, 1.9) === 0 && sample(stepped, 2) === 2,
+      'ease in-out meets in the middle, step holds until the next key');
+    const parsed = THREE.AnimationClip.parse(JSON.parse(JSON.stringify(clip)));
+    check(parsed.name === 'Rise' && parsed.duration === 2 && parsed.tracks[0] instanceof THREE.VectorKeyframeTrack,
+      'saved clips are AnimationClip JSON that three.js parses as is');
+
+    const lamp = new THREE.PointLight(0xffffff, 1);
+    const keyable = keyframeProperties(lamp).map(p => p.label).join(', ');
+    const boxKeyable = keyframeProperties(createBox('box', [1, 1, 1], [0, 0, 0])).map(p => p.label).join(', ');
+    check(keyable === 'Position, Rotation X, Rotation Y, Rotation Z, Scale, Intensity' && boxKeyable.endsWith('Scale, Colour, Emissive'),
+      `lights key intensity (${keyable}), meshes their colours`);
+  }
+
+  // The scene, as the RuntimePlayer loads it
+  const scene = new THREE.Scene();
+  const physics = new PhysicsEngine();
+  physics.world.gravity.set(0, -9.82, 0);
+  const ground = createBox('ground', [20, 1, 20], [0, -0.5, 0]);
+  scene.add(ground);
+  physics.addBody(ground, { bodyType: 'static' });
+
+  const lift = createBox('lift', [2, 0.2, 2], [0, 0.1, 0]);
+  const liftClip = [createKeyframeClipData({ name: 'Rise', autoplay: true, loop: 'once' })];
+  liftClip[0] = setKeyframe(liftClip[0], property('.position'), 0, [0, 0.1, 0], 'easeInOut');
+  liftClip[0] = setKeyframe(liftClip[0], property('.position'), 2, [0, 2.1, 0]);
+  scene.add(lift);
+  physics.addBody(lift, { bodyType: 'static' });
+  const crate = createBox('crate', [0.5, 0.5, 0.5], [0, 0.46, 0]);
+  scene.add(crate);
+  physics.addBody(crate, { mass: 1 });
+
+  const door = createBox('door', [1, 2, 0.1], [4, 1, 0]);
+  let doorClip = createKeyframeClipData({ name: 'Open', loop: 'once' });
+  doorClip = setKeyframe(doorClip, property('.rotation[y]'), 0, [0], 'easeOut');
+  doorClip = setKeyframe(doorClip, property('.rotation[y]'), 1, [Math.PI / 2]);
+  doorClip = setKeyframe(doorClip, property('.material.color'), 0, [1, 0, 0]);
+  doorClip = setKeyframe(doorClip, property('.material.emissive'), 1, [0, 0, 1]);
+  scene.add(door);
+  physics.addBody(door, { bodyType: 'static' });
+
+  const sign = createBox('sign', [1, 1, 0.1], [-4, 2, 0]);
+  let spin = createKeyframeClipData({ name: 'Spin', autoplay: true, loop: 'repeat' });
+  spin = setKeyframe(spin, property('.rotation[y]'), 0, [0]);
+  spin = setKeyframe(spin, property('.rotation[y]'), 1, [4 * Math.PI]);
+  scene.add(sign);
+
+  const lamp = new THREE.PointLight(0xffffff, 1);
+  lamp.name = 'lamp';
+  let flicker = createKeyframeClipData({ name: 'Flicker', autoplay: true, loop: 'pingPong', duration: 0.5 });
+  flicker = setKeyframe(flicker, property('.intensity'), 0, [0]);
+  flicker = setKeyframe(flicker, property('.intensity'), 0.5, [2]);
+  scene.add(lamp);
+
+  const animated = [[lift, liftClip], [door, [doorClip]], [sign, [spin]], [lamp, [flicker]]].map(([object, clips]) => {
+    const mixer = new THREE.AnimationMixer(object);
+    object.userData.keyframes = new KeyframeAnimations(mixer, clips);
+    return mixer;
+  });
+  const frames = (seconds) => {
+    for (let i = Math.round(seconds / DT); i > 0; i--) {
+      animated.forEach((mixer) => {
+        mixer.update(DT);
+        mixer.getRoot().userData.keyframes.syncBody(physics);
+      });
+      physics.step(DT);
+    }
+  };
+
+  frames(0.5);
+  check(near(sign.rotation.y, 2 * Math.PI, 0.05), `rotation keys turn past a full circle (sign at ${THREE.MathUtils.radToDeg(sign.rotation.y).toFixed(0)}°)`);
+  check(near(lamp.intensity, 2, 0.05) && door.rotation.y === 0, `autoplay clips start with the scene (lamp at ${lamp.intensity.toFixed(2)}), the door waits`);
+  frames(0.25);
+  check(near(lamp.intensity, 1, 0.05), `ping-pong plays the flicker back down (${lamp.intensity.toFixed(2)})`);
+
+  // Play Animation from an event sheet
+  const interpreter = new EventInterpreter({ scene, physics });
+  interpreter.executeAction({ type: 'PlayAnimation', parameters: { target: 'door', clip: 'Open', loop: 'clip' } }, { objectId: null });
+  frames(0.5);
+  const halfOpen = door.rotation.y / (Math.PI / 2);
+  check(halfOpen > 0.7 && halfOpen < 0.8, `Play Animation swings the door, easing out (${(halfOpen * 100).toFixed(0)}% open half way)`);
+  frames(2);
+  const doorBody = physics.bodies.get(door);
+  const bodyAngle = new THREE.Euler().setFromQuaternion(new THREE.Quaternion(doorBody.quaternion.x, doorBody.quaternion.y, doorBody.quaternion.z, doorBody.quaternion.w)).y;
+  check(near(door.rotation.y, Math.PI / 2) && near(bodyAngle, Math.PI / 2) && door.material.emissive.b === 1,
+    'the door stays open and its body turned with it');
+  check(near(lift.position.y, 2.1) && near(crate.position.y, 2.45, 0.1),
+    `the lift's body carries the crate up (lift ${lift.position.y.toFixed(2)}, crate ${crate.position.y.toFixed(2)})`);
+
+  interpreter.executeAction({ type: 'StopAnimation', parameters: { target: 'sign', clip: '' } }, { objectId: null });
+  const stoppedAt = sign.rotation.y;
+  frames(0.5);
+  check(sign.rotation.y === stoppedAt, 'Stop Animation holds the sign where it was');
+
+  door.userData.keyframes.dispose();
+  check(door.rotation.y === 0 && door.material.color.getHex() === 0x808080, 'disposing gives the door its own rotation and colour back');
+
+  // Scene file round trip
+  const data = { name: 'lift', type: 'primitive', primitive: 'box', transform: { position: { x: 0, y: 0.1, z: 0 } }, keyframeClips: liftClip };
+  const project = createProjectFile({ name: 'Timeline', scenes: [serializeEditorScene({ objects: new Map([['lift', data]]) })] });
+  let loaded = null;
+  try {
+    loaded = parseSceneFile(JSON.parse(JSON.stringify(project))).scenes[0].objects[0];
+  } catch (err) {
+    console.error(err.message);
+  }
+  check(loaded && JSON.stringify(loaded.keyframeClips) === JSON.stringify(serializeEditorObject('lift', data).keyframeClips) && loaded.keyframeClips[0].tracks[0].easing[0] === 'easeInOut',
+    'clips with their easing pass the scene file schema and load back unchanged');
+
+  finish('Keyframe timeline test failed', 'Timeline clips follow their curves, move their bodies and load from the scene file');
+}
+
+run();
@@ -0,0 +1,70 @@
+// Physics snapshot tests
+// Runs scenes through the headless physics simulation (src/physics/headless.js) and compares every
+// body's shapes and transforms with the golden snapshots in tests/snapshots/. A difference means
+// body creation (shapes, offsets, ground handling, compound bodies) or the simulation changed.
+//
+//   node tests/physics-snapshots.test.mjs              compare all golden scenes, exit 1 on differences
+//   node tests/physics-snapshots.test.mjs --update     rewrite the golden snapshots after an intended change
+//   node tests/physics-snapshots.test.mjs scene.json [--frames 240] [--out snapshot.json]
+//                                                      snapshot any scene file (printed, or saved with --out)
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { simulateScene, compareSnapshots } from '../src/physics/headless.js';
+import { createCCDProject } from './ccd-tunneling.test.mjs';
+import { argValue, repoPath } from './helpers.mjs';
+
+const readJSON = file => JSON.parse(readFileSync(file, 'utf8'));
+
+// Golden scenes: snapshot name, how to get the scene file and how many 60 Hz frames to run
+const GOLDEN_SCENES = [
+  { name: 'physics-regression', load: () => readJSON(repoPath('tests/physics-regression.json')), frames: 240 },
+  { name: 'simple-platformer', load: () => readJSON(repoPath('examples/simple-platformer.json')), frames: 120 },
+  { name: 'ccd-tunneling', load: createCCDProject, frames: 900, sampleEvery: 150 }
+];
+
+async function snapshotFile(file) {
+  const frames = Number(argValue('--frames')) || undefined;
+  const snapshot = await simulateScene(readJSON(file), { frames });
+  const out = argValue('--out');
+  if (out) {
+    writeFileSync(out, JSON.stringify(snapshot, null, 2));
+    console.log(`💾 Wrote ${out} (${Object.keys(snapshot.bodies).length} bodies, ${snapshot.frames} frames)`);
+  } else {
+    console.log(JSON.stringify(snapshot, null, 2));
+  }
+}
+
+async function runGolden(update) {
+  const dir = repoPath('tests/snapshots/');
+  if (!existsSync(dir)) mkdirSync(dir);
+  let failed = 0;
+
+  for (const { name, load, frames, sampleEvery } of GOLDEN_SCENES) {
+    const file = `${dir}${name}.json`;
+    const snapshot = await simulateScene(load(), { frames, sampleEvery });
+    if (update || !existsSync(file)) {
+      writeFileSync(file, `${JSON.stringify(snapshot, null, 2)}\n`);
+      console.log(`💾 ${name}: snapshot saved (${Object.keys(snapshot.bodies).length} bodies, ${frames} frames)`);
+      continue;
+    }
+
+    const differences = compareSnapshots(readJSON(file), snapshot);
+    if (differences.length === 0) {
+      console.log(`✅ ${name}: matches (${Object.keys(snapshot.bodies).length} bodies, ${frames} frames)`);
+    } else {
+      failed++;
+      console.error(`❌ ${name}: ${differences.length} difference(s)`);
+      differences.forEach(line => console.error(`   ${line}`));
+    }
+  }
+
+  if (failed > 0) {
+    console.error(`\n${failed} scene(s) changed. If the change is intended, run with --update and commit the new snapshots.`);
+    process.exit(1);
+  }
+}
+
+const args = process.argv.slice(2);
+const file = args.find((arg, i) => arg.endsWith('.json') && !['--out', '--frames'].includes(args[i - 1]));
+if (file) await snapshotFile(file);
+else await runGolden(process.argv.includes('--update'));
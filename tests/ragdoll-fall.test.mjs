@@ -0,0 +1,153 @@
+// Ragdoll test
+// Maps the skeleton of the game player's Soldier.glb (rebuilt from the file's nodes and skin, without
+// mesh data) to ragdoll parts by bone name, switches the ragdoll on and knocks it over. Checks that
+// all eleven parts are found, the character's own body makes way for the parts, the ragdoll falls
+// without sinking into the ground, its joints stay joined and inside their cone limits, and the
+// bones and the character object follow the parts. Switching it off has to blend from the fallen
+// pose back to the one a stand-in mixer keeps writing, with the body back where the pelvis lay.
+//
+//   node tests/ragdoll-fall.test.mjs
+
+import { readFileSync } from 'fs';
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { createRagdollData, Ragdolls } from '../src/physics/ragdoll.js';
+import { createChecks } from './helpers.mjs';
+
+const MODEL = new URL('../gameplayer/assets/models/Soldier.glb', import.meta.url);
+const DT = 1 / 60;
+const BLEND_TIME = 0.5;
+
+// The node hierarchy and first skin of a .glb file as Three.js bones and a SkinnedMesh
+function loadSkeleton(file) {
+  const bytes = readFileSync(file);
+  const jsonLength = bytes.readUInt32LE(12);
+  const json = JSON.parse(bytes.subarray(20, 20 + jsonLength).toString());
+  const binary = bytes.subarray(20 + jsonLength + 8);
+  const skin = json.skins[0];
+
+  const nodes = json.nodes.map((node, i) => {
+    const object = skin.joints.includes(i) ? new THREE.Bone() : new THREE.Object3D();
+    object.name = THREE.PropertyBinding.sanitizeNodeName(node.name || `node_${i}`);
+    if (node.translation) object.position.fromArray(node.translation);
+    if (node.rotation) object.quaternion.fromArray(node.rotation);
+    if (node.scale) object.scale.fromArray(node.scale);
+    return object;
+  });
+  json.nodes.forEach((node, i) => (node.children || []).forEach(child => nodes[i].add(nodes[child])));
+
+  const root = new THREE.Group();
+  root.name = 'Soldier';
+  json.scenes[json.scene || 0].nodes.forEach(i => root.add(nodes[i]));
+
+  const accessor = json.accessors[skin.inverseBindMatrices];
+  const view = json.bufferViews[accessor.bufferView];
+  const offset = (view.byteOffset || 0) + (accessor.byteOffset || 0);
+  const floats = new Float32Array(binary.buffer.slice(binary.byteOffset + offset, binary.byteOffset + offset + accessor.count * 64));
+  const bones = skin.joints.map(i => nodes[i]);
+  const inverses = bones.map((_, i) => new THREE.Matrix4().fromArray(floats, i * 16));
+  const mesh = new THREE.SkinnedMesh(new THREE.BufferGeometry(), new THREE.MeshBasicMaterial());
+  root.add(mesh);
+  mesh.bind(new THREE.Skeleton(bones, inverses));
+  return root;
+}
+
+function run() {
+  console.log('🪆 Ragdoll test');
+  const { check, finish } = createChecks();
+
+  const scene = new THREE.Scene();
+  const soldier = loadSkeleton(MODEL);
+  scene.add(soldier);
+  scene.updateMatrixWorld(true);
+
+  const data = createRagdollData(soldier, { mass: 20, blendTime: BLEND_TIME });
+  check(data.parts.length === 11, `mapped ${data.parts.length} of 11 parts: ${data.parts.map(part => `${part.name}=${part.bone}`).join(', ')}`);
+
+  // What an AnimationMixer playing the bind pose would write every frame
+  const bones = [];
+  soldier.traverse((object) => { if (object.isBone) bones.push(object); });
+  const animated = bones.map(bone => bone.quaternion.clone());
+  const hips = bones.find(bone => bone.name === data.parts[0].bone);
+  const animatedHips = hips.position.clone();
+  const mixer = () => {
+    bones.forEach((bone, i) => bone.quaternion.copy(animated[i]));
+    hips.position.copy(animatedHips);
+  };
+
+  const world = new CANNON.World({ gravity: new CANNON.Vec3(0, -9.82, 0) });
+  world.solver.iterations = 15;
+  const ground = new CANNON.Body({ mass: 0, shape: new CANNON.Plane() });
+  ground.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
+  ground.collisionFilterGroup = 8;
+  world.addBody(ground);
+  // The character's own capsule-ish body, standing on the ground
+  const body = new CANNON.Body({ mass: 1, shape: new CANNON.Box(new CANNON.Vec3(0.3, 0.9, 0.3)) });
+  body.position.set(0, 0.9, 0);
+  body.collisionFilterGroup = 2;
+  world.addBody(body);
+
+  const ragdolls = new Ragdolls(world);
+  ragdolls.add(soldier, body, data);
+  const hipsHeight = hips.getWorldPosition(new THREE.Vector3()).y;
+  const frame = () => {
+    world.step(DT);
+    mixer();
+    ragdolls.update(DT);
+  };
+
+  // Knocked backwards off its feet
+  ragdolls.setActive(soldier, true, { impulse: { x: 0, y: 10, z: -30 } });
+  check(!world.bodies.includes(body) && soldier.userData.ragdolled, 'the character body leaves the world while ragdolled');
+  for (let i = 0; i < 240; i++) frame();
+
+  const character = ragdolls.characters.get(soldier);
+  const parts = character.parts;
+  const finite = parts.every(part => [part.body.position.x, part.body.position.y, part.body.position.z].every(Number.isFinite));
+  check(finite, 'every part has a finite position');
+  parts.forEach(part => part.body.updateAABB());
+  const lowest = Math.min(...parts.map(part => part.body.aabb.lowerBound.y));
+  check(lowest > -0.05, `no part sinks into the ground (lowest point ${lowest.toFixed(3)})`);
+  const pelvis = parts[0].body.position;
+  check(pelvis.y < hipsHeight * 0.5, `the ragdoll fell over (pelvis at ${pelvis.y.toFixed(2)}, standing ${hipsHeight.toFixed(2)})`);
+  const gap = Math.max(...parts.filter(part => part.joint).map((part) => {
+    const a = part.parent.body.pointToWorldFrame(part.joint.pivotA);
+    const b = part.body.pointToWorldFrame(part.joint.pivotB);
+    return a.distanceTo(b);
+  }));
+  check(gap < 0.05, `the joints hold (largest gap ${gap.toFixed(3)})`);
+  const bend = Math.max(...parts.filter(part => part.joint).map((part) => {
+    const a = part.parent.body.vectorToWorldFrame(part.joint.axisA);
+    const b = part.body.vectorToWorldFrame(part.joint.axisB);
+    return Math.acos(Math.min(1, a.dot(b))) - part.joint.angle;
+  }));
+  check(bend < 0.1, `the joints stay within their cone limits (worst by ${(bend / Math.PI * 180).toFixed(1)}°)`);
+  const boneGap = Math.max(...parts.map((part) => {
+    const p = part.bone.getWorldPosition(new THREE.Vector3());
+    return p.distanceTo(new THREE.Vector3(part.body.position.x, part.body.position.y, part.body.position.z));
+  }));
+  check(boneGap < 0.05, `the bones follow their parts (largest gap ${boneGap.toFixed(3)})`);
+  const rootToPelvis = Math.hypot(soldier.position.x - pelvis.x, soldier.position.z - pelvis.z);
+  const startOffset = Math.hypot(character.state.followOffset.x, character.state.followOffset.z);
+  check(Math.abs(rootToPelvis - startOffset) < 1e-3 && Math.abs(soldier.position.y) < 0.05, 'the character object follows the pelvis along the ground');
+
+  // Back to the animation, blending out of the pose it fell in
+  const fallenHips = hips.getWorldPosition(new THREE.Vector3());
+  ragdolls.setActive(soldier, false);
+  check(world.bodies.includes(body) && parts.every(part => !part.body), 'the character body returns and the parts leave the world');
+  for (let i = 0; i < Math.round(BLEND_TIME / DT / 2); i++) frame();
+  // The hips are about as far from where they lay as from where the animation puts them
+  const hipsNow = hips.getWorldPosition(new THREE.Vector3());
+  const animatedHipsWorld = hips.parent.localToWorld(animatedHips.clone());
+  const span = fallenHips.distanceTo(animatedHipsWorld);
+  const halfway = Math.abs(hipsNow.distanceTo(fallenHips) - hipsNow.distanceTo(animatedHipsWorld)) < span * 0.2 && soldier.userData.ragdolled;
+  check(halfway, 'halfway through the blend the pose is between the two');
+  for (let i = 0; i < Math.round(BLEND_TIME / DT); i++) frame();
+  const restored = bones.every((bone, i) => bone.quaternion.angleTo(animated[i]) < 1e-6);
+  check(restored && !soldier.userData.ragdolled, 'after the blend the animated pose is back');
+  check(Math.hypot(body.position.x - soldier.position.x, body.position.z - soldier.position.z) < 0.05, 'the character gets up where it fell');
+
+  finish('Ragdoll test failed', 'Ragdoll falls, holds together and blends back to the animation');
+}
+
+run();
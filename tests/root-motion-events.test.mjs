@@ -0,0 +1,165 @@
+// Root motion and animation events test
+// Uses a small rig laid out like Soldier.glb's (an armature turned on its back and scaled to
+// centimetres, hips as the root bone) with an idle, a walk and a run whose hips move forward the way
+// clips authored with root motion do. The root motion has to find the hips, measure each clip's
+// speed, strip the forward drift from the tracks but keep the bounce, and scale with the model.
+// Driven through the character controller and the animator, the character has to stand still in
+// idle, walk and run at the clips' speeds instead of the motor's, and put a foot down twice per walk
+// cycle including after the loop. Between walk and run the pace has to be the blend's, with
+// footsteps coming only from the heavier run.
+//
+//   node tests/root-motion-events.test.mjs
+
+import * as THREE from 'three';
+import { extractRootMotion, rootMotionBones } from '../gameplayer/rootMotion.js';
+import { Animator, createAnimatorData } from '../gameplayer/animator.js';
+import { CharacterController } from '../gameplayer/characterController.js';
+import { AnimationEvents } from '../src/engine/animationEvents.js';
+import { createChecks, near } from './helpers.mjs';
+
+const DT = 1 / 60;
+const WALK_SPEED = 1.4; // m/s the walk clip moves the hips
+const RUN_SPEED = 3.5;
+
+function createRig() {
+  const root = new THREE.Group();
+  root.name = 'Character';
+  const armature = new THREE.Object3D();
+  armature.name = 'Armature';
+  armature.rotation.x = -Math.PI / 2;
+  armature.scale.setScalar(0.01);
+  const hips = new THREE.Bone();
+  hips.name = 'Hips';
+  hips.position.set(0, 0, 100);
+  const spine = new THREE.Bone();
+  spine.name = 'Spine';
+  spine.position.set(0, 10, 0);
+  hips.add(spine);
+  armature.add(hips);
+  root.add(armature);
+  return root;
+}
+
+// A clip moving the hips `speed` m/s forward (model -z is armature +y) with a bounce, and the
+// spine bobbing, over `length` seconds
+function createClip(name, length, speed) {
+  const times = [];
+  const hips = [];
+  const spine = [];
+  for (let i = 0; i <= 8; i++) {
+    const t = length * i / 8;
+    times.push(t);
+    hips.push(0, speed * t * 100, 100 + Math.sin(i / 8 * Math.PI * 4) * 2);
+    spine.push(0, 10, Math.sin(i / 8 * Math.PI * 2));
+  }
+  return new THREE.AnimationClip(name, length, [
+    new THREE.VectorKeyframeTrack('Hips.position', times, hips),
+    new THREE.VectorKeyframeTrack('Spine.position', times, spine)
+  ]);
+}
+
+function createMotor() {
+  return {
+    settings: { moveSpeed: 5, runSpeed: 10 },
+    grounded: true,
+    jumping: false,
+    velocity: { x: 0, z: 0 },
+    move(x, z) { this.velocity = { x, z }; },
+    jump() {}
+  };
+}
+
+function run() {
+  console.log('🦶 Root motion and animation events test');
+  const { check, finish } = createChecks();
+
+  const root = createRig();
+  const clips = [createClip('Idle', 2, 0), createClip('Walk', 1, WALK_SPEED), createClip('Run', 0.6, RUN_SPEED)];
+
+  // Measuring and removing the drift
+  {
+    check(rootMotionBones(root, clips).join(',') === 'Hips,Spine', `finds the root bone (${rootMotionBones(root, clips)[0]})`);
+    const motion = extractRootMotion(root, clips);
+    const walk = motion.speeds.get('Walk');
+    check(near(walk, WALK_SPEED) && near(motion.speeds.get('Run'), RUN_SPEED) && motion.speeds.get('Idle') === 0,
+      `measures the clips' root speeds (walk ${walk.toFixed(2)} m/s, run ${motion.speeds.get('Run').toFixed(2)} m/s, idle 0)`);
+    const values = motion.clips[1].tracks[0].values;
+    const last = values.length - 3;
+    const bounce = clips[1].tracks[0].values[5];
+    check(near(values[last + 1], values[1]) && values[5] === bounce && motion.clips[0] === clips[0] && clips[1].tracks[0].values[last + 1] > 100,
+      'walks the copies on the spot, keeps the bounce and leaves the original clips alone');
+
+    root.scale.setScalar(2);
+    const scaled = extractRootMotion(root, clips).speeds.get('Walk');
+    root.scale.setScalar(1);
+    check(near(scaled, WALK_SPEED * 2), `a model scaled up twice walks twice as fast (${scaled.toFixed(2)} m/s)`);
+  }
+
+  // Driving the motor through the animator and the controller
+  const mixer = new THREE.AnimationMixer(root);
+  const data = createAnimatorData(clips.map(clip => clip.name), { walkSpeed: 5, runSpeed: 10 });
+  data.rootMotion = { enabled: true, bone: null };
+  const animator = new Animator(mixer, clips, data);
+  const motor = createMotor();
+  const controller = new CharacterController({ player: root, camera: null, motor, animator });
+  const marks = [];
+  const events = new AnimationEvents(mixer, [...animator.clips.values()], [
+    { id: 'a', clip: 'Walk', time: 0, name: 'footstep' },
+    { id: 'b', clip: 'Walk', time: 0.5, name: 'footstep' },
+    { id: 'c', clip: 'Run', time: 0.1, name: 'footstep' },
+    { id: 'd', clip: 'Run', time: 0.4, name: 'footstep' }
+  ], event => marks.push(event));
+  const frames = (seconds) => {
+    for (let t = 0; t < seconds; t += DT) {
+      controller.update(DT);
+      animator.update(DT);
+      mixer.update(DT);
+      events.update();
+    }
+  };
+
+  frames(0.5);
+  check(motor.velocity.x === 0 && motor.velocity.z === 0 && marks.length === 0, 'stands still in idle without footsteps');
+
+  controller.keys.add('KeyW');
+  frames(0.1);
+  marks.length = 0;
+  frames(2);
+  const pace = Math.hypot(motor.velocity.x, motor.velocity.z);
+  check(near(pace, WALK_SPEED), `walks at the walk clip's root speed instead of the set 5 m/s (${pace.toFixed(2)} m/s)`);
+  check(marks.length === 4, `puts a foot down twice per walk cycle, looping (${marks.length} footsteps in 2 s)`);
+
+  controller.keys.add('ShiftLeft');
+  frames(0.2);
+  const runPace = Math.hypot(motor.velocity.x, motor.velocity.z);
+  check(near(runPace, RUN_SPEED), `runs at the run clip's root speed (${runPace.toFixed(2)} m/s)`);
+
+  // Mostly running: the run sets the steps, the pace is the blend's distance per shared cycle
+  controller.keys.delete('ShiftLeft');
+  const between = 8.5;
+  const steps = [];
+  events.onEvent = event => steps.push(event.clip);
+  for (let t = 0; t < 1.2; t += DT) {
+    controller.update(DT);
+    animator.set('speed', between);
+    animator.update(DT);
+    mixer.update(DT);
+    events.update();
+  }
+  const mixed = Math.hypot(motor.velocity.x, motor.velocity.z);
+  const runWeight = (between - 5) / 5;
+  const [walkLength, runLength] = [clips[1].duration, clips[2].duration];
+  const expected = ((1 - runWeight) * WALK_SPEED * walkLength + runWeight * RUN_SPEED * runLength)
+    / ((1 - runWeight) * walkLength + runWeight * runLength);
+  const fromRun = steps.filter(clip => clip === 'Run').length;
+  check(near(mixed, expected, 0.1) && steps.length > 0 && fromRun === steps.length,
+    `blends the pace (${mixed.toFixed(2)} m/s) and only the heavier run puts feet down (${steps.length} footsteps)`);
+
+  events.dispose();
+  controller.dispose();
+  animator.dispose();
+
+  finish('Root motion and animation events test failed', 'The clips set the character\'s pace and fire their footsteps in step');
+}
+
+run();
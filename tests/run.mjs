@@ -0,0 +1,25 @@
+// Runs every *.test.mjs file in this directory, one after another, and exits with 1 if any fails.
+//
+//   node tests/run.mjs              run all tests (npm test)
+//   node tests/run.mjs ragdoll      only the tests whose file name contains "ragdoll"
+
+import { readdirSync } from 'fs';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const dir = fileURLToPath(new URL('.', import.meta.url));
+const filter = process.argv[2] ?? '';
+const files = readdirSync(dir).filter(file => file.endsWith('.test.mjs') && file.includes(filter)).sort();
+
+const failed = [];
+for (const file of files) {
+  console.log(`\n▶ ${file}`);
+  const { status } = spawnSync(process.execPath, [`${dir}${file}`], { stdio: 'inherit' });
+  if (status !== 0) failed.push(file);
+}
+
+console.log(`\n${files.length - failed.length}/${files.length} test files passed`);
+if (failed.length > 0) {
+  console.error(`❌ Failed: ${failed.join(', ')}`);
+  process.exit(1);
+}
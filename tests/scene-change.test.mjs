@@ -0,0 +1,94 @@
+// Scene change test
+// Loads a two-scene project in the RuntimePlayer (no renderer; small stand-ins for the browser's
+// document and AudioContext) and carries the player into the second scene with LoadScene's
+// persistent object. The carried player has to take the place of the second scene's copy and keep
+// its body on the Player layer, so the collision matrix and layer-filtered rays still treat it
+// as the player.
+//
+//   node tests/scene-change.test.mjs
+
+import * as THREE from 'three';
+import { layerBit, layerMask } from '../gameplayer/physicsLayers.js';
+import { createChecks } from './helpers.mjs';
+
+globalThis.document ??= new EventTarget();
+globalThis.window ??= globalThis;
+window.AudioContext ??= class {
+  constructor() {
+    this.state = 'running';
+    this.destination = {};
+  }
+
+  createGain() {
+    return { gain: { value: 1, setTargetAtTime() {} }, connect() {}, disconnect() {} };
+  }
+};
+
+// Imported after the stand-ins: the player's AudioManager makes an AudioListener
+const { RuntimePlayer } = await import('../src/engine/runtimePlayer.js');
+
+const box = (id, position, extra = {}) => ({
+  id,
+  name: id,
+  type: 'primitive',
+  primitive: 'box',
+  transform: { position, rotation: [0, 0, 0], scale: [1, 1, 1] },
+  physics: { enabled: true, bodyType: 'box', mass: 1 },
+  ...extra
+});
+
+const PROJECT = {
+  formatVersion: 2,
+  project: { name: 'Scene change test' },
+  startScene: 'first',
+  scenes: [
+    { id: 'first', name: 'First', objects: [box('player', [0, 1, 0], { isPlayer: true })] },
+    {
+      id: 'second',
+      name: 'Second',
+      objects: [
+        box('floor', [3, -0.5, 0], { physics: { enabled: true, bodyType: 'box', isStatic: true, layer: 'World' } }),
+        box('player', [3, 1, 0], { isPlayer: true })
+      ]
+    }
+  ],
+  eventSheets: []
+};
+
+async function run() {
+  console.log('🚪 Scene change test');
+  const { check, finish } = createChecks();
+
+  const player = new RuntimePlayer({ parentElement: null }, PROJECT);
+  player.scene = new THREE.Scene();
+  player.camera = new THREE.PerspectiveCamera();
+  await player.loadScene(PROJECT.scenes[0]);
+
+  const hero = player.scene.children.find(child => child.userData.sceneObjectId === 'player');
+  const group = layerBit(PROJECT.physics, 'Player');
+  const mask = layerMask(PROJECT.physics, 'Player');
+  const before = player.physics.bodies.get(hero);
+  check(before?.collisionFilterGroup === group, `the player starts on the Player layer (group ${before?.collisionFilterGroup})`);
+
+  await player.changeScene('second', { persistentObject: 'player' });
+  const body = player.physics.bodies.get(hero);
+  const players = player.scene.children.filter(child => child.userData.sceneObjectId === 'player');
+  check(players.length === 1 && players[0] === hero && hero.position.x === 3,
+    'the carried player takes the place of the second scene\'s copy');
+  check(body && body !== before && player.physics.world.bodies.includes(body), 'and gets a body in the new physics world');
+  check(body?.collisionFilterGroup === group && body?.collisionFilterMask === mask,
+    `that stays on the Player layer (group ${body?.collisionFilterGroup}, mask ${body?.collisionFilterMask})`);
+
+  const from = { x: 3, y: 5, z: 0 };
+  const to = { x: 3, y: -5, z: 0 };
+  const playerHit = player.physics.raycastClosest(from, to, { layers: ['Player'] });
+  const worldHit = player.physics.raycastClosest(from, to, { layers: ['World'] });
+  check(playerHit?.object === hero && worldHit?.object?.userData.sceneObjectId === 'floor',
+    'a ray limited to Player hits it and one limited to World passes through it to the floor');
+
+  player.inputManager.dispose();
+  player.eventInterpreter.dispose();
+  finish('Scene change test failed', 'The carried player keeps its layer in the new scene');
+}
+
+await run();
@@ -0,0 +1,82 @@
+// Scene file format test
+// Migrates every bundled v1 scene (the flat editor/export files and the project layout of the
+// platformer example) to the current format and validates the result against the schema: no
+// object may be lost on the way and migrating again must change nothing. Then feeds in broken
+// files, which have to be rejected with an error that names what is wrong and where.
+//
+//   node tests/scene-format.test.mjs
+
+import { readFileSync } from 'fs';
+import {
+  SCENE_FORMAT_VERSION,
+  detectFormatVersion,
+  migrateScene,
+  validateScene,
+  parseSceneFile
+} from '../gameplayer/sceneFormat.js';
+import { createChecks, repoPath } from './helpers.mjs';
+
+const V1_SCENES = [
+  'gameplayer/scene.json',
+  'src/assets/scene_editor.json',
+  'src/assets/MyProject_editor.json',
+  'examples/simple-platformer.json'
+];
+
+const readJSON = file => JSON.parse(readFileSync(repoPath(file), 'utf8'));
+
+// The error message parseSceneFile / migrateScene throws for a scene file, or null if it loads
+function loadError(data) {
+  try {
+    parseSceneFile(data);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function run() {
+  console.log('📄 Scene file format test');
+  const { check, finish } = createChecks();
+
+  V1_SCENES.forEach((file) => {
+    const data = readJSON(file);
+    const original = JSON.stringify(data);
+    const objectCount = data.objects?.length ?? data.scenes.reduce((sum, scene) => sum + scene.entities.length, 0);
+
+    const scene = parseSceneFile(data);
+
+    const { valid, errors } = validateScene(scene);
+    const migratedCount = scene.scenes.reduce((sum, s) => sum + s.objects.length, 0);
+    check(detectFormatVersion(data) === 1 && scene.formatVersion === SCENE_FORMAT_VERSION && valid,
+      `${file} migrates from format 1 to ${scene.formatVersion} and validates${errors.length ? ` (${errors[0]})` : ''}`);
+    check(migratedCount === objectCount && scene.scenes.some(s => s.id === scene.startScene),
+      `${file} keeps all ${objectCount} objects and starts in a scene it has`);
+    check(JSON.stringify(data) === original && JSON.stringify(migrateScene(scene)) === JSON.stringify(scene),
+      `${file} is left alone, and migrating the result again changes nothing`);
+  });
+
+  const valid = migrateScene(readJSON('examples/simple-platformer.json'));
+  const broken = (change) => {
+    const copy = structuredClone(valid);
+    change(copy);
+    return copy;
+  };
+
+  const cases = [
+    ['a file that is not an object', null, 'must be a JSON object'],
+    ['a file from a newer version', { ...valid, formatVersion: SCENE_FORMAT_VERSION + 1 }, `format ${SCENE_FORMAT_VERSION + 1} is newer`],
+    ['a project without scenes', broken((d) => { d.scenes = []; }), '$.scenes: expected at least 1 items'],
+    ['an object without an id', broken((d) => { delete d.scenes[0].objects[0].id; }), '$.scenes[0].objects[0].id: is required'],
+    ['a position that is not a vector', broken((d) => { d.scenes[0].objects[1].transform.position = 'up'; }), '$.scenes[0].objects[1].transform.position: expected array'],
+    ['an unknown broadphase', broken((d) => { d.physics = { broadphase: 'octree' }; }), '$.physics.broadphase: expected one of naive, sap, grid']
+  ];
+  cases.forEach(([label, data, expected]) => {
+    const error = loadError(data);
+    check(error?.includes(expected), `rejects ${label}: ${error ? JSON.stringify(error.split('\n').pop()) : 'loaded without an error'}`);
+  });
+
+  finish('Scene file format test failed', 'Old scene files migrate to valid ones and broken files are rejected with the reason');
+}
+
+run();
@@ -0,0 +1,92 @@
+// Terrain heightmap test
+// Sculpts a hill into a terrain with the editor's brushes, sends it through a 16-bit PNG heightmap
+// and the scene file encoding, then drops balls onto its heightfield collider. Each ball has to
+// come to rest on the surface the mesh shows (terrainHeightAt), which catches a mirrored or
+// misplaced heightfield as well as lossy heightmap round trips.
+//
+//   node tests/terrain-heightmap.test.mjs             run the test
+//   node tests/terrain-heightmap.test.mjs --write     also save the heightmap as examples/terrain-heightmap.png
+
+import { writeFileSync } from 'fs';
+import * as CANNON from 'cannon-es';
+import { createTerrain, encodeTerrain, decodeTerrain, addTerrainShape, terrainHeightAt } from '../gameplayer/terrain.js';
+import { sculptTerrain } from '../src/utils/terrainBrushes.js';
+import { encodeHeightmapPng, decodeHeightmapPng, applyHeightmap } from '../src/utils/heightmapPng.js';
+import { createChecks, repoPath } from './helpers.mjs';
+
+const BALL_RADIUS = 0.25;
+const TOLERANCE = 0.05;
+// Drop points in terrain space: the flat corner, both slopes of the hill and its top. The slope
+// points sit inside grid cells, since a ball balanced on a vertex sinks into the cells around it
+const DROPS = [[-12, -12], [-4.3, 3.4], [5.4, -2.3], [2.3, 6.4], [1.2, 1.3]];
+
+function sculptHill() {
+  const terrain = createTerrain({ size: 32, resolution: 33, maxHeight: 8 });
+  // An off-centre hill, so a mirrored collider puts the slopes in the wrong place
+  for (let i = 0; i < 40; i++) sculptTerrain(terrain, 'raise', { x: 3, z: 2, radius: 9, strength: 1 });
+  for (let i = 0; i < 4; i++) sculptTerrain(terrain, 'smooth', { x: 3, z: 2, radius: 12, strength: 1 });
+  sculptTerrain(terrain, 'flatten', { x: 1, z: 1, radius: 2, strength: 1 });
+  return terrain;
+}
+
+// Where a ball dropped at (x, z) comes to rest, in terrain space
+function dropBall(terrain, origin, x, z) {
+  const world = new CANNON.World({ gravity: new CANNON.Vec3(0, -9.82, 0) });
+  const ground = new CANNON.Body({ mass: 0 });
+  ground.position.set(origin.x, origin.y, origin.z);
+  addTerrainShape(ground, terrain);
+  world.addBody(ground);
+
+  const ball = new CANNON.Body({ mass: 1, shape: new CANNON.Sphere(BALL_RADIUS) });
+  ball.position.set(origin.x + x, origin.y + terrain.maxHeight + 2, origin.z + z);
+  world.addBody(ball);
+  // Let it land, then damp it so it settles where it landed instead of rolling away
+  for (let i = 0; i < 120 && ball.position.y - origin.y > (terrainHeightAt(terrain, x, z) ?? 0) + BALL_RADIUS + 0.02; i++) world.step(1 / 60);
+  ball.linearDamping = 0.99;
+  for (let i = 0; i < 30; i++) world.step(1 / 60);
+  return { x: ball.position.x - origin.x, y: ball.position.y - origin.y, z: ball.position.z - origin.z };
+}
+
+// Distance from a point (terrain space) to the terrain surface around it, sampled on a fine grid
+function surfaceDistance(terrain, point) {
+  let closest = Infinity;
+  for (let dx = -2; dx <= 2; dx += 0.02) {
+    for (let dz = -2; dz <= 2; dz += 0.02) {
+      const x = point.x + dx * BALL_RADIUS;
+      const z = point.z + dz * BALL_RADIUS;
+      const height = terrainHeightAt(terrain, x, z);
+      if (height === null) continue;
+      closest = Math.min(closest, Math.hypot(x - point.x, height - point.y, z - point.z));
+    }
+  }
+  return closest;
+}
+
+function run() {
+  console.log('⛰️ Terrain heightmap test');
+  const sculpted = sculptHill();
+
+  const png = encodeHeightmapPng(sculpted);
+  if (process.argv.includes('--write')) {
+    const file = repoPath('examples/terrain-heightmap.png');
+    writeFileSync(file, png);
+    console.log(`💾 Wrote ${file}`);
+  }
+  const imported = applyHeightmap(createTerrain({ size: 32, resolution: 33, maxHeight: 8 }), decodeHeightmapPng(png));
+  const terrain = decodeTerrain(JSON.parse(JSON.stringify(encodeTerrain(imported))));
+  const drift = Math.max(...terrain.heights.map((height, i) => Math.abs(height - sculpted.heights[i])));
+  const { check, finish } = createChecks();
+  check(drift <= 0.001, `PNG (${png.length} bytes) and scene file round trip: max height change ${drift.toFixed(5)}`);
+
+  const origin = { x: 10, y: -1, z: -5 };
+  DROPS.forEach(([x, z]) => {
+    const rest = dropBall(terrain, origin, x, z);
+    // On a slope the ball touches the surface beside its centre, so measure the closest distance
+    const gap = surfaceDistance(terrain, rest) - BALL_RADIUS;
+    check(Math.abs(gap) < TOLERANCE, `ball dropped at (${x}, ${z}) rests ${gap.toFixed(3)} from the surface`);
+  });
+
+  finish('The heightfield collider does not match the terrain surface', 'Balls rest on the terrain surface');
+}
+
+run();